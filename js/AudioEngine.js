@@ -20,6 +20,12 @@
  * All branding, logos, and the name "Sensement Music" are properties of SensementMusic.com.
  */
 
+import { INSERT_TYPES, LOUDNESS_TARGETS, RETURN_BUSES, REVERB_TYPES, getDefaultMaster, getDefaultReturns, isSidechainTrigger } from './EffectDefs.js';
+import { MASTER_AUTOMATION_LANES, TRACK_AUTOMATION_LANES, getAutomationEvents, hasAutomation } from './AutomationDefs.js';
+import { MASTER_GRAPH, TRACK_GRAPH, getMasterGraphSettings, getTrackGraphSettings } from './GraphDefs.js';
+import { decodeSampleData, findZone } from './SamplerDefs.js';
+import LoudnessMeter from './LoudnessMeter.js';
+
 /**
  * Main Audio Engine Class
  * Handles Web Audio API context management, node graph setup, synthesis (Synth/Drums),
@@ -30,10 +36,16 @@ export default class AudioEngine {
         // Critical: Context is not created at instantiation (set to Null).
         // It will be initialized on the first user interaction.
         this.ctx = null;
+        this.starting = null; // Pending context creation (see init)
 
         // Non-audio state variables
         this.activeNodes = [];
         this.liveTrackBuses = new Map();
+        this.meterData = null; // Reused sample buffer for track meters
+        this.masterLoudness = null; // LoudnessMeter fed from the master output (see updateMasterMeter)
+        this.masterMeterData = null;
+        this.masterMeterTime = 0; // Context time of the last master meter read
+        this.masterLevels = { peak: [0, 0], truePeak: [0, 0] };
         
         // MIDI to Drum Type Mapping
         this.drumMap = {
@@ -57,13 +69,22 @@ export default class AudioEngine {
         };
 
         // Buffers
-        this.reverbBuffer = null;
+        this.impulseCache = new Map(); // Generated reverb impulses by character and sample rate
+        this.vinylCache = new Map(); // Vinyl noise loops by sample rate
+        this.sampleBuffers = new Map(); // Decoded sampler samples by sample id (see loadSamples)
+        this.sampleLoads = new Map(); // Pending decodes by sample id
+        this.workletContexts = new WeakSet(); // Contexts with the bitcrusher and limiter worklets loaded
+        this.insertNoiseActive = false; // Live vinyl noise only plays with the transport
         this.noiseBuffer = null;
 
         // Audio Nodes (initialized later)
-        this.masterGain = null;
+        this.master = null; // Master chain graph (see GraphDefs)
+        this.masterGain = null; // Input of the master chain
+        this.clickBus = null;
+        this.returnBuses = null; // Shared send/return effects (see EffectDefs)
         this.analyser = null;
         this.dataArray = null;
+        this.masterMeters = null; // Left/right analysers on the master output
     }
 
     /**
@@ -74,8 +95,8 @@ export default class AudioEngine {
     async init() {
         // 1. If context does not exist, create it and setup master nodes
         if (!this.ctx) {
-            this.ctx = new (window.AudioContext || window.webkitAudioContext)();
-            this.setupAudioNodes();
+            if (!this.starting) this.starting = this.startContext();
+            await this.starting;
         }
 
         // 2. Resume context if suspended
@@ -84,49 +105,49 @@ export default class AudioEngine {
         }
 
         // 3. Create buffers if they don't exist
-        if (!this.reverbBuffer) this.reverbBuffer = this.createImpulseResponse();
         if (!this.noiseBuffer) this.noiseBuffer = this.createNoiseBuffer();
     }
 
     /**
-     * Sets up the master audio graph, including Master Gain, Compressor,
-     * and Mastering EQ (Low/High Cuts).
+     * Creates the AudioContext. The worklets load before the master graph is built,
+     * since the master limiter runs in one.
+     * @returns {Promise<void>}
+     */
+    async startContext() {
+        const ctx = new (window.AudioContext || window.webkitAudioContext)();
+        await this.loadWorklets(ctx);
+        this.ctx = ctx;
+        this.setupAudioNodes();
+    }
+
+    /**
+     * Loads the insert effect and master limiter worklets into a context (once per context).
+     * Without worklet support, the bitcrusher falls back to bit reduction only and the
+     * limiter to a compressor (see GraphDefs.MASTER_GRAPH).
+     * @param {BaseAudioContext} ctx 
+     * @returns {Promise<boolean>} True if the worklets are available.
+     */
+    async loadWorklets(ctx) {
+        if (this.workletContexts.has(ctx)) return true;
+        if (!ctx.audioWorklet) return false;
+        try {
+            await ctx.audioWorklet.addModule(new URL('./BitcrusherWorklet.js', import.meta.url));
+            await ctx.audioWorklet.addModule(new URL('./LimiterWorklet.js', import.meta.url));
+            this.workletContexts.add(ctx);
+            return true;
+        } catch (err) {
+            console.warn("Worklets unavailable, using bit reduction only and a compressor as limiter:", err);
+            return false;
+        }
+    }
+
+    /**
+     * Sets up the master audio graph (see GraphDefs.MASTER_GRAPH), the analyser,
+     * the drum preview bus, the return buses and the metronome bus.
      */
     setupAudioNodes() {
         // --- 1. Define Nodes ---
 
-        // Master Gain
-        this.masterGain = this.ctx.createGain();
-        this.masterGain.gain.value = 0.4;
-
-        // Master Compressor
-        this.masterCompressor = this.ctx.createDynamicsCompressor();
-        this.masterCompressor.threshold.value = -10;
-        this.masterCompressor.knee.value = 40;
-        this.masterCompressor.ratio.value = 2;
-        this.masterCompressor.attack.value = 0.005;
-        this.masterCompressor.release.value = 0.15;
-
-        // Final Low Cut (Cleaning Filter)
-        this.masterLowCut = this.ctx.createBiquadFilter();
-        // Explicit stereo enforcement to fix potential Glitch warnings
-        this.masterLowCut.channelCount = 2;
-        this.masterLowCut.channelCountMode = 'explicit';
-
-        this.masterLowCut.type = 'highpass';
-        this.masterLowCut.frequency.value = 30;
-        this.masterLowCut.Q.value = 0;
-
-        // Final High Cut (Noise Reduction)
-        this.masterHighCut = this.ctx.createBiquadFilter();
-        // Explicit stereo enforcement to fix potential Glitch warnings
-        this.masterHighCut.channelCount = 2;
-        this.masterHighCut.channelCountMode = 'explicit';
-
-        this.masterHighCut.type = 'lowpass';
-        this.masterHighCut.frequency.value = 18000;
-        this.masterHighCut.Q.value = 0;
-
         // Analyser Node
         this.analyser = this.ctx.createAnalyser();
         this.analyser.fftSize = 2048;
@@ -147,14 +168,103 @@ export default class AudioEngine {
         this.drumBusGain.connect(this.drumBusComp);
 
         // --- 3. Final Routing Chain ---
+        // Mastering Chain -> Analyser -> Destination (the same chain renderOffline builds)
+        this.master = this.buildGraph(this.ctx, MASTER_GRAPH, { output: this.analyser }, getMasterGraphSettings(getDefaultMaster()));
+        this.masterGain = this.master.nodes.input;
         this.drumBusComp.connect(this.masterGain);
-
-        // Mastering Chain: Gain -> Compressor -> LowCut -> HighCut -> Analyser -> Destination
-        this.masterGain.connect(this.masterCompressor);
-        this.masterCompressor.connect(this.masterLowCut);
-        this.masterLowCut.connect(this.masterHighCut);
-        this.masterHighCut.connect(this.analyser);
         this.analyser.connect(this.ctx.destination);
+
+        // Master meters: left/right taps long enough to bridge a dropped frame
+        const meterSplit = this.ctx.createChannelSplitter(2);
+        this.masterMeters = [this.ctx.createAnalyser(), this.ctx.createAnalyser()];
+        this.analyser.connect(meterSplit);
+        this.masterMeters.forEach((m, i) => {
+            m.fftSize = 8192;
+            meterSplit.connect(m, i);
+        });
+        this.masterLoudness = new LoudnessMeter(this.ctx.sampleRate);
+
+        // --- 4. Send/Return Buses ---
+        this.returnBuses = this.createReturnBuses(this.ctx, this.masterGain);
+        this.setReturnParams(this.returnBuses, getDefaultReturns(), 0.375);
+
+        // --- 5. Metronome Bus ---
+        // Straight to the output: no master processing, no visualizer, and never part of
+        // renderOffline (which only renders track notes)
+        this.clickBus = this.ctx.createGain();
+        this.clickBus.gain.value = 0.6;
+        this.clickBus.connect(this.ctx.destination);
+    }
+
+    /**
+     * Sets the metronome level.
+     * @param {number} level - Gain (0-1).
+     */
+    setClickLevel(level) {
+        if (!this.clickBus) return;
+        this.clickBus.gain.setTargetAtTime(level, this.ctx.currentTime, 0.02);
+    }
+
+    /**
+     * Plays one metronome click on the metronome bus.
+     * @param {number} time - Context time.
+     * @param {number} accent - 2 = downbeat, 1 = pulse group start, 0 = other beats.
+     * @param {string} [sound='Beep'] - 'Beep', 'Woodblock' or 'Cowbell'.
+     */
+    playClick(time, accent, sound = 'Beep') {
+        if (!this.ctx || !this.clickBus) return;
+        const t = Math.max(time, this.ctx.currentTime);
+        const level = [0.55, 0.75, 1][accent] || 0.55;
+        const pitch = [1, 1.25, 1.5][accent] || 1;
+
+        const gain = this.ctx.createGain();
+        gain.connect(this.clickBus);
+
+        if (sound === 'Woodblock') {
+            // Short filtered triangle "tock"
+            const osc = this.ctx.createOscillator();
+            const filter = this.ctx.createBiquadFilter();
+            osc.type = 'triangle';
+            osc.frequency.setValueAtTime(800 * pitch, t);
+            filter.type = 'bandpass';
+            filter.frequency.value = 1200 * pitch;
+            filter.Q.value = 4;
+            gain.gain.setValueAtTime(level, t);
+            gain.gain.exponentialRampToValueAtTime(0.001, t + 0.05);
+            osc.connect(filter);
+            filter.connect(gain);
+            osc.start(t);
+            osc.stop(t + 0.06);
+            this.trackNode(osc, gain);
+        } else if (sound === 'Cowbell') {
+            // Two detuned squares through a band-pass, the classic drum machine bell
+            [540, 800].forEach(freq => {
+                const osc = this.ctx.createOscillator();
+                const filter = this.ctx.createBiquadFilter();
+                osc.type = 'square';
+                osc.frequency.setValueAtTime(freq * pitch, t);
+                filter.type = 'bandpass';
+                filter.frequency.value = 2600;
+                filter.Q.value = 2;
+                osc.connect(filter);
+                filter.connect(gain);
+                osc.start(t);
+                osc.stop(t + 0.2);
+                this.trackNode(osc, gain);
+            });
+            gain.gain.setValueAtTime(level * 0.4, t);
+            gain.gain.exponentialRampToValueAtTime(0.001, t + 0.18);
+        } else {
+            const osc = this.ctx.createOscillator();
+            osc.type = 'sine';
+            osc.frequency.setValueAtTime(1000 * pitch, t);
+            gain.gain.setValueAtTime(level, t);
+            gain.gain.exponentialRampToValueAtTime(0.001, t + 0.04);
+            osc.connect(gain);
+            osc.start(t);
+            osc.stop(t + 0.05);
+            this.trackNode(osc, gain);
+        }
     }
 
     /**
@@ -168,20 +278,48 @@ export default class AudioEngine {
     }
 
     /**
-     * Generates a synthetic impulse response buffer for Reverb.
+     * Gets the impulse response of a reverb character, generating it on first use.
+     * The noise is seeded, so the same character always sounds the same (live and in exports).
+     * @param {BaseAudioContext} ctx - Context used to create the buffer.
+     * @param {string} character - Key of REVERB_TYPES.
      * @returns {AudioBuffer}
      */
-    createImpulseResponse() {
-        const rate = this.ctx.sampleRate;
-        const length = rate * 3.0;
-        const impulse = this.ctx.createBuffer(2, length, rate);
-        
-        for (let i = 0; i < length; i++) {
-            const n = i / length;
-            const d = Math.pow(1 - n, 3);
-            impulse.getChannelData(0)[i] = (Math.random() * 2 - 1) * d;
-            impulse.getChannelData(1)[i] = (Math.random() * 2 - 1) * d;
+    getReverbImpulse(ctx, character) {
+        const type = REVERB_TYPES[character] || REVERB_TYPES['room'];
+        const key = `${character}@${ctx.sampleRate}`;
+        if (this.impulseCache.has(key)) return this.impulseCache.get(key);
+
+        const rate = ctx.sampleRate;
+        const length = Math.ceil(rate * type.length);
+        const impulse = ctx.createBuffer(2, length, rate);
+        const preDelay = Math.floor(type.preDelay * rate);
+
+        for (let ch = 0; ch < 2; ch++) {
+            const data = impulse.getChannelData(ch);
+            let seed = (ch + 1) * 0x9E3779B1;
+            const random = () => {
+                seed = (seed * 1664525 + 1013904223) >>> 0;
+                return seed / 4294967296 * 2 - 1;
+            };
+
+            // Decaying noise (-60 dB at `decay`) through a lowpass that closes over time
+            let lowpass = 0;
+            for (let i = preDelay; i < length; i++) {
+                const t = (i - preDelay) / rate;
+                const cutoff = type.brightHz * Math.pow(type.darkHz / type.brightHz, Math.min(1, t / type.decay));
+                const a = Math.exp(-2 * Math.PI * cutoff / rate);
+                lowpass = (1 - a) * random() + a * lowpass;
+                data[i] = lowpass * Math.pow(10, -3 * t / type.decay);
+            }
+
+            // Early reflections, mirrored between the channels for width
+            type.early.forEach(([time, gain], n) => {
+                const index = Math.floor((time + (ch ? 0.0013 : 0)) * rate);
+                if (index < length) data[index] += gain * ((n + ch) % 2 ? -1 : 1);
+            });
         }
+
+        this.impulseCache.set(key, impulse);
         return impulse;
     }
 
@@ -198,12 +336,123 @@ export default class AudioEngine {
         return b;
     }
 
+    // --- Declarative Graphs ---
+
+    /**
+     * Picks the definition a graph node is built from in a context: worklet nodes use
+     * their fallback where the worklets are not loaded.
+     * @param {BaseAudioContext} ctx 
+     * @param {Object} def - Node definition.
+     * @returns {Object} Node definition.
+     */
+    resolveGraphDef(ctx, def) {
+        return (def.type === 'worklet' && !this.workletContexts.has(ctx)) ? def.fallback : def;
+    }
+
+    /**
+     * Creates one node of a graph definition (see GraphDefs).
+     * @param {BaseAudioContext} ctx 
+     * @param {Object} def - Node definition { type, channels, processor }.
+     * @returns {AudioNode}
+     */
+    createGraphNode(ctx, def) {
+        switch (def.type) {
+            case 'worklet': return new AudioWorkletNode(ctx, def.processor, { outputChannelCount: [def.channels] });
+            case 'gain': return ctx.createGain();
+            case 'biquad': return ctx.createBiquadFilter();
+            case 'compressor': return ctx.createDynamicsCompressor();
+            case 'waveShaper': return ctx.createWaveShaper();
+            case 'panner': return ctx.createStereoPanner();
+            case 'splitter': return ctx.createChannelSplitter(def.channels);
+            case 'merger': return ctx.createChannelMerger(def.channels);
+            default: throw new Error(`Unknown graph node type: ${def.type}`);
+        }
+    }
+
+    /**
+     * Builds a graph definition (see GraphDefs) in a context. Live buses and offline renders
+     * both come through here, so they can only differ in what they are connected to.
+     * @param {BaseAudioContext} ctx 
+     * @param {Object} spec - Graph definition (e.g. TRACK_GRAPH).
+     * @param {Object} externals - Nodes for '@' targets keyed by name; connections to missing ones are skipped.
+     * @param {Object} settings - Graph settings, applied directly.
+     * @param {Set<string>} [automated] - Parameters ('node.param') left to automation.
+     * @returns {Object} { spec, defs, nodes, settings, values, automated } (defs: the node definitions used).
+     */
+    buildGraph(ctx, spec, externals, settings, automated = new Set()) {
+        const defs = {};
+        const nodes = {};
+        Object.keys(spec.nodes).forEach(name => {
+            defs[name] = this.resolveGraphDef(ctx, spec.nodes[name]);
+            nodes[name] = this.createGraphNode(ctx, defs[name]);
+        });
+        spec.connections.forEach(([from, to, output = 0, input = 0]) => {
+            const target = to.charAt(0) === '@' ? externals[to.slice(1)] : nodes[to];
+            if (target) nodes[from].connect(target, output, input);
+        });
+
+        const graph = { spec, defs, nodes, settings: null, values: new Map(), automated };
+        this.applyGraph(graph, settings, null);
+        return graph;
+    }
+
+    /**
+     * Applies settings to a graph. Only values that changed are touched, and automated
+     * parameters are skipped.
+     * @param {Object} graph - Result of buildGraph().
+     * @param {Object} settings - Graph settings.
+     * @param {number|null} now - Context time to glide from (live), or null to set directly (offline).
+     */
+    applyGraph(graph, settings, now) {
+        graph.settings = settings;
+        const resolve = (value) => typeof value === 'function' ? value(settings) : value;
+
+        Object.keys(graph.defs).forEach(name => {
+            const def = graph.defs[name];
+            const node = graph.nodes[name];
+            Object.keys(def.props || {}).forEach(prop => {
+                const value = resolve(def.props[prop]);
+                if (node[prop] !== value) node[prop] = value;
+            });
+            Object.keys(def.params || {}).forEach(param => {
+                const key = name + '.' + param;
+                const value = resolve(def.params[param]);
+                if (graph.automated.has(key) || graph.values.get(key) === value) return;
+                graph.values.set(key, value);
+                this.setParam(this.getNodeParam(node, param), value, now, def.glide || 0.02);
+            });
+        });
+    }
+
+    /**
+     * Finds a graph parameter.
+     * @param {Object} graph - Result of buildGraph().
+     * @param {string} target - 'node.param'.
+     * @returns {AudioParam|null}
+     */
+    getGraphParam(graph, target) {
+        const dot = target.lastIndexOf('.');
+        const node = graph.nodes[target.slice(0, dot)];
+        return (node && this.getNodeParam(node, target.slice(dot + 1))) || null;
+    }
+
+    /**
+     * Gets a parameter of a node by name, including worklet parameters.
+     * @param {AudioNode} node 
+     * @param {string} param 
+     * @returns {AudioParam|undefined}
+     */
+    getNodeParam(node, param) {
+        return node.parameters ? node.parameters.get(param) : node[param];
+    }
+
     // --- Live FX Bus System ---
 
     /**
-     * Retrieves or creates a persistent FX chain for a specific track.
+     * Retrieves or creates the persistent graph of a track. A bus created here (rather than
+     * by syncTrack) starts from the default mix until the mixer catches up.
      * @param {string|number} trackId - Unique identifier for the track.
-     * @param {Object} params - Effect parameters (distortion, delay, reverb).
+     * @param {Object} params - Synth settings of the note being played (distortion).
      * @returns {GainNode|null} The input node of the bus.
      */
     getOrCreateLiveBus(trackId, params) {
@@ -211,135 +460,766 @@ export default class AudioEngine {
 
         let bus = this.liveTrackBuses.get(trackId);
         if (!bus) {
-            bus = this.createLiveFXChain(this.ctx, this.masterGain);
+            bus = this.createLiveBus(getTrackGraphSettings({ synthSettings: params }));
             this.liveTrackBuses.set(trackId, bus);
-
-            // Prevent clicking artifact during bus creation by ramping up gain
-            bus.input.gain.value = 0;
-            bus.input.gain.setTargetAtTime(1, this.ctx.currentTime, 0.05);
         }
-        this.updateLiveBusParams(bus, params);
-        return bus.input;
+        const distortion = params && params.distortion > 0 ? params.distortion : 0;
+        if (bus.graph.settings.distortion !== distortion) {
+            this.applyGraph(bus.graph, Object.assign({}, bus.graph.settings, { distortion }), this.ctx.currentTime);
+        }
+        return bus.graph.nodes.input;
+    }
+
+    /**
+     * Creates a live track bus: the track graph feeding the master chain and the return
+     * buses, with an empty insert chain and a left/right meter tap.
+     * @param {Object} settings - Result of getTrackGraphSettings().
+     * @returns {Object} { graph, insertUnits, insertLayout, meters }.
+     */
+    createLiveBus(settings) {
+        const externals = { output: this.masterGain };
+        RETURN_BUSES.forEach(def => externals['return:' + def.id] = this.returnBuses[def.id].input);
+        const graph = this.buildGraph(this.ctx, TRACK_GRAPH, externals, settings);
+        const units = this.buildInsertChain(this.ctx, [], graph.nodes.inserts, graph.nodes.strip);
+
+        const meterSplit = this.ctx.createChannelSplitter(2);
+        const meters = [this.ctx.createAnalyser(), this.ctx.createAnalyser()];
+        graph.nodes.panner.connect(meterSplit);
+        meters.forEach((m, i) => {
+            m.fftSize = 1024;
+            meterSplit.connect(m, i);
+        });
+
+        return { graph, insertUnits: units, insertLayout: '', meters };
+    }
+
+    /**
+     * Brings a track's live bus in line with the track: creates it if needed, then applies
+     * its lanes, mix settings and insert chain.
+     * @param {Object} track 
+     * @param {boolean} audible - False when muted (or not soloed while others are).
+     */
+    syncTrack(track, audible) {
+        if (!this.ctx) return;
+        const settings = getTrackGraphSettings(track, audible);
+        if (!this.liveTrackBuses.has(track.id)) this.liveTrackBuses.set(track.id, this.createLiveBus(settings));
+        this.setTrackAutomation(track.id, track.automation);
+        this.setTrackMix(track.id, settings);
+        this.setTrackInserts(track.id, track.inserts);
     }
 
     /**
-     * Updates the volume for a specific track bus.
+     * Applies mix settings (mute, fader, pan, width, sends, distortion) to a track bus.
+     * Automated parameters are left to their lanes.
      * @param {string|number} trackId 
-     * @param {number} volume 
+     * @param {Object} settings - Result of getTrackGraphSettings().
      */
-    setTrackVolume(trackId, volume) {
+    setTrackMix(trackId, settings) {
         if (!this.ctx) return;
         const bus = this.liveTrackBuses.get(trackId);
-        if (bus && bus.input) {
-            bus.input.gain.setTargetAtTime(volume, this.ctx.currentTime, 0.02);
-        }
+        if (bus) this.applyGraph(bus.graph, settings, this.ctx.currentTime);
     }
 
     /**
-     * Creates the live effects graph (Distortion, Delay, Reverb).
-     * @param {AudioContext} ctx 
-     * @param {AudioNode} destination 
-     * @returns {Object} Object containing input node and references to internal effect nodes.
+     * Reads the peak level of a track bus since the last frame (post fader and pan).
+     * @param {string|number} trackId 
+     * @returns {Object|null} { left, right } linear peaks, or null if the bus does not exist yet.
      */
-    createLiveFXChain(ctx, destination) {
-        const input = ctx.createGain();
+    getTrackPeak(trackId) {
+        const bus = this.liveTrackBuses.get(trackId);
+        if (!bus) return null;
+
+        const [meterL, meterR] = bus.meters;
+        if (!this.meterData || this.meterData.length !== meterL.fftSize) this.meterData = new Float32Array(meterL.fftSize);
+        const peakOf = (analyser) => {
+            analyser.getFloatTimeDomainData(this.meterData);
+            let peak = 0;
+            for (let i = 0; i < this.meterData.length; i++) {
+                const v = Math.abs(this.meterData[i]);
+                if (v > peak) peak = v;
+            }
+            return peak;
+        };
+        return { left: peakOf(meterL), right: peakOf(meterR) };
+    }
 
-        // --- Distortion Nodes ---
-        const distDrive = ctx.createGain();
-        distDrive.gain.value = 0;
-        const distShaper = ctx.createWaveShaper();
-        distShaper.curve = this.makeDistortionCurve(0);
-        const distFilter = ctx.createBiquadFilter();
-        distFilter.type = 'lowpass';
-        distFilter.frequency.value = 4000;
-        const distLevel = ctx.createGain();
-        distLevel.gain.value = 0;
-
-        // --- Delay Nodes ---
-        const delayNode = ctx.createDelay();
-        const delayFeedback = ctx.createGain();
-        delayFeedback.gain.value = 0;
-        const delayWet = ctx.createGain();
-        delayWet.gain.value = 0;
-
-        // --- Reverb Nodes ---
-        const reverbNode = ctx.createConvolver();
-        if (this.reverbBuffer) reverbNode.buffer = this.reverbBuffer;
-        const reverbWet = ctx.createGain();
-        reverbWet.gain.value = 0;
-
-        // --- Dry Signal ---
-        const dryGain = ctx.createGain();
-        dryGain.gain.value = 1;
-
-        // --- Routing ---
-        // Distortion Chain
-        input.connect(distDrive);
-        distDrive.connect(distShaper);
-        distShaper.connect(distFilter);
-        distFilter.connect(distLevel);
-        distLevel.connect(destination);
-
-        // Delay Chain
-        input.connect(delayNode);
-        delayNode.connect(delayFeedback);
-        delayFeedback.connect(delayNode);
-        delayNode.connect(delayWet);
-        delayWet.connect(destination);
-
-        // Reverb Chain
-        input.connect(reverbNode);
-        reverbNode.connect(reverbWet);
-        reverbWet.connect(destination);
-
-        // Dry Chain
-        input.connect(dryGain);
-        dryGain.connect(destination);
+    /**
+     * Feeds the master output played since the last call to the master loudness meter.
+     * Call once per frame (extra calls in the same frame are free).
+     * @returns {Object} Peaks since the last call: { peak: [left, right], truePeak: [left, right] }.
+     */
+    updateMasterMeter() {
+        if (!this.ctx || !this.masterMeters) return this.masterLevels;
+        const [meterL, meterR] = this.masterMeters;
+        const size = meterL.fftSize;
+        const now = this.ctx.currentTime;
+        const count = Math.min(size, Math.round((now - this.masterMeterTime) * this.ctx.sampleRate));
+        if (count <= 0) return this.masterLevels;
+        this.masterMeterTime = now;
+
+        if (!this.masterMeterData) this.masterMeterData = [new Float32Array(size), new Float32Array(size)];
+        meterL.getFloatTimeDomainData(this.masterMeterData[0]);
+        meterR.getFloatTimeDomainData(this.masterMeterData[1]);
+        this.masterLevels = this.masterLoudness.process(this.masterMeterData.map(d => d.subarray(size - count)));
+        return this.masterLevels;
+    }
 
+    /**
+     * Reads the master loudness meter.
+     * @returns {Object|null} { momentary, shortTerm, integrated (LUFS), rms (dBFS, 300 ms), maxTruePeak (dBTP) }, or null before init.
+     */
+    getMasterLoudness() {
+        const meter = this.masterLoudness;
+        if (!meter) return null;
         return {
-            input,
-            nodes: { distDrive, distShaper, distLevel, delayNode, delayFeedback, delayWet, reverbNode, reverbWet, dryGain }
+            momentary: meter.getMomentary(),
+            shortTerm: meter.getShortTerm(),
+            integrated: meter.getIntegrated(),
+            rms: meter.getRms(0.3),
+            maxTruePeak: meter.toDb(meter.maxTruePeak)
         };
     }
 
     /**
-     * Updates the parameters of an existing live bus based on UI settings.
-     * @param {Object} bus - The bus object returned by createLiveFXChain.
-     * @param {Object} params - Effect settings.
+     * Starts a new master loudness measurement (the integrated value covers one playback).
+     */
+    resetMasterMeter() {
+        if (!this.masterLoudness) return;
+        this.masterLoudness.reset();
+        this.masterMeterTime = this.ctx.currentTime;
+    }
+
+    /**
+     * Applies the project's return bus settings to the live buses.
+     * @param {Object} returns - Settings keyed by bus id (state.returns).
+     * @param {number} delaySeconds - Delay time at the song tempo.
+     */
+    setReturns(returns, delaySeconds) {
+        if (!this.ctx || !this.returnBuses) return;
+        this.setReturnParams(this.returnBuses, returns, delaySeconds, this.ctx.currentTime);
+    }
+
+    /**
+     * Applies the project's master section (EQ, glue compressor, limiter) to the live
+     * master chain. Loudness normalisation only applies to exports.
+     * @param {Object} master - Master section settings (state.master).
+     */
+    setMaster(master) {
+        if (!this.ctx || !this.master) return;
+        this.applyGraph(this.master, getMasterGraphSettings(master), this.ctx.currentTime);
+    }
+
+    /**
+     * Creates the shared return buses (reverbs and delay) feeding a destination.
+     * Used by the live graph and the offline render, so both route identically.
+     * @param {BaseAudioContext} ctx 
+     * @param {AudioNode} destination 
+     * @returns {Object} Buses keyed by id, each { input, output, ... }.
+     */
+    createReturnBuses(ctx, destination) {
+        const buses = {};
+        RETURN_BUSES.forEach(def => {
+            const input = ctx.createGain();
+            const output = ctx.createGain();
+            output.connect(destination);
+
+            if (def.type === 'reverb') {
+                const convolver = ctx.createConvolver();
+                input.connect(convolver);
+                convolver.connect(output);
+                buses[def.id] = { input, output, convolver, character: null };
+            } else {
+                // Repeats lose some top end on every pass
+                const delay = ctx.createDelay(3.0);
+                const tone = ctx.createBiquadFilter();
+                tone.type = 'lowpass';
+                tone.frequency.value = 4500;
+                const feedback = ctx.createGain();
+                input.connect(delay);
+                delay.connect(tone);
+                tone.connect(feedback);
+                feedback.connect(delay);
+                delay.connect(output);
+                buses[def.id] = { input, output, delay, feedback };
+            }
+        });
+        return buses;
+    }
+
+    /**
+     * Applies return settings to a set of return buses.
+     * @param {Object} buses - Result of createReturnBuses().
+     * @param {Object} returns - Settings keyed by bus id.
+     * @param {number} delaySeconds - Delay time.
+     * @param {number|null} now - Context time to glide from (live), or null to set directly (offline).
+     */
+    setReturnParams(buses, returns, delaySeconds, now = null) {
+        const defaults = getDefaultReturns();
+        const set = (param, value) => this.setParam(param, value, now, 0.05);
+
+        RETURN_BUSES.forEach(def => {
+            const bus = buses[def.id];
+            const settings = (returns && returns[def.id]) || defaults[def.id];
+            set(bus.output.gain, settings.level);
+
+            if (def.type === 'reverb') {
+                if (bus.character !== settings.character) {
+                    bus.convolver.buffer = this.getReverbImpulse(bus.convolver.context, settings.character);
+                    bus.character = settings.character;
+                }
+            } else {
+                set(bus.delay.delayTime, Math.max(0.01, Math.min(2.9, delaySeconds)));
+                set(bus.feedback.gain, settings.feedback);
+            }
+        });
+    }
+
+    // --- Sidechain Ducking ---
+
+    /**
+     * Schedules one dip of a duck gain: down by `amount` over the attack (softer hits than
+     * the default velocity of 0.8 dip less), then back to unity over the release. Overlapping dips chain smoothly
+     * because each target starts from wherever the gain is at that moment.
+     * @param {AudioParam} param - Gain of a track graph's duck node.
+     * @param {number} time - Context time of the triggering note.
+     * @param {Object} sidechain - { amount, attack, release }.
+     * @param {number} [velocity=1] - Velocity of the triggering note (0-1).
      */
-    updateLiveBusParams(bus, params) {
+    scheduleDuck(param, time, sidechain, velocity = 1) {
+        const depth = Math.max(0, Math.min(1, sidechain.amount * Math.min(1, velocity / 0.8)));
+        if (depth <= 0) return;
+        param.setTargetAtTime(1 - depth, time, sidechain.attack / 3);
+        param.setTargetAtTime(1, time + sidechain.attack, sidechain.release / 3);
+    }
+
+    /**
+     * Ducks a live track bus for one trigger note of its sidechain source.
+     * @param {string|number} trackId - The ducked track.
+     * @param {number} time - Context time of the triggering note.
+     * @param {Object} sidechain - The ducked track's sidechain setting.
+     * @param {number} velocity - Velocity of the triggering note.
+     */
+    duckTrack(trackId, time, sidechain, velocity) {
+        if (!this.ctx) return;
+        const bus = this.liveTrackBuses.get(trackId);
+        if (bus) this.scheduleDuck(bus.graph.nodes.duck.gain, time, sidechain, velocity);
+    }
+
+    /**
+     * Drops every scheduled dip and returns the live buses to unity (used when playback stops).
+     */
+    resetDucking() {
         if (!this.ctx) return;
         const now = this.ctx.currentTime;
-        const n = bus.nodes;
-
-        // Distortion update
-        if (params.distortion > 0) {
-            if (!n.distShaper.curve) n.distShaper.curve = this.makeDistortionCurve(params.distortion);
-            n.distDrive.gain.setTargetAtTime(5.0, now, 0.1);
-            n.distLevel.gain.setTargetAtTime(0.3, now, 0.1);
-            n.dryGain.gain.setTargetAtTime(0.2, now, 0.1);
+        this.liveTrackBuses.forEach(bus => {
+            const gain = bus.graph.nodes.duck.gain;
+            gain.cancelScheduledValues(now);
+            gain.setTargetAtTime(1, now, 0.02);
+        });
+    }
+
+    /**
+     * Schedules the ducking of a track for an offline render from its sources' notes,
+     * with the same groove timing as live playback.
+     * @param {Object} state - Project state.
+     * @param {Object} track - The ducked track.
+     * @param {Map} links - Result of state.getSidechainLinks().
+     * @param {AudioParam} param - Gain of the offline track graph's duck.
+     */
+    scheduleOfflineDucks(state, track, links, param) {
+        links.forEach((list, sourceId) => {
+            const link = list.find(l => l.trackId === track.id);
+            if (!link) return;
+            const source = state.tracks.find(t => t.id === sourceId);
+            const hits = source.notes
+                .filter(n => isSidechainTrigger(link.sidechain, n.midi, link.sourceType))
+                .map(n => ({
+                    time: state.tempoMap.stepToSeconds(state.grooveMap.getPlayStep(n, source)),
+                    velocity: state.grooveMap.getPlayVelocity(n, source)
+                }))
+                .sort((a, b) => a.time - b.time);
+            hits.forEach(hit => this.scheduleDuck(param, Math.max(0, hit.time), link.sidechain, hit.velocity));
+        });
+    }
+
+    // --- Automation ---
+
+    /**
+     * Finds the graph parameter a lane drives.
+     * @param {Object} graph - Result of buildGraph().
+     * @param {Object} lanes - TRACK_AUTOMATION_LANES or MASTER_AUTOMATION_LANES.
+     * @param {string} laneId - Lane id.
+     * @returns {AudioParam|null}
+     */
+    getAutomationParam(graph, lanes, laneId) {
+        const def = lanes[laneId];
+        return def ? this.getGraphParam(graph, def.target) : null;
+    }
+
+    /**
+     * Lists the graph parameters driven by the lanes that have points.
+     * @param {Object} automation - Lanes keyed by id.
+     * @param {Object} lanes - TRACK_AUTOMATION_LANES or MASTER_AUTOMATION_LANES.
+     * @returns {Set<string>} Targets ('node.param').
+     */
+    getAutomatedTargets(automation, lanes) {
+        const targets = new Set();
+        Object.keys(automation || {}).forEach(id => {
+            if (lanes[id] && hasAutomation(automation, id)) targets.add(lanes[id].target);
+        });
+        return targets;
+    }
+
+    /**
+     * Schedules automation events (see AutomationDefs.getAutomationEvents) on a parameter.
+     * @param {AudioParam} param 
+     * @param {Array<Object>} events - Events { step, value, type }.
+     * @param {Function} toTime - Converts a song step to context time.
+     */
+    scheduleAutomation(param, events, toTime) {
+        events.forEach(e => {
+            const time = Math.max(0, toTime(e.step));
+            if (e.type === 'set') param.setValueAtTime(e.value, time);
+            else if (e.type === 'exp') param.exponentialRampToValueAtTime(e.value, time);
+            else param.linearRampToValueAtTime(e.value, time);
+        });
+    }
+
+    /**
+     * Schedules all of a project's lanes on a graph in one go (offline renders).
+     * @param {Object} graph - Result of buildGraph().
+     * @param {Object} lanes - TRACK_AUTOMATION_LANES or MASTER_AUTOMATION_LANES.
+     * @param {Object} automation - Lanes keyed by id.
+     * @param {number} endStep - Last step to schedule.
+     * @param {Function} toTime - Converts a song step to context time.
+     */
+    scheduleGraphAutomation(graph, lanes, automation, endStep, toTime) {
+        Object.keys(automation || {}).forEach(laneId => {
+            const param = this.getAutomationParam(graph, lanes, laneId);
+            if (param) this.scheduleAutomation(param, getAutomationEvents(automation[laneId], 0, endStep), toTime);
+        });
+    }
+
+    /**
+     * Schedules part of a track lane on the track's live bus.
+     * @param {string|number} trackId 
+     * @param {string} laneId - Key of TRACK_AUTOMATION_LANES.
+     * @param {Array<Object>} events - Events { step, value, type }.
+     * @param {Function} toTime - Converts a song step to context time.
+     */
+    automateTrack(trackId, laneId, events, toTime) {
+        if (!this.ctx) return;
+        const bus = this.liveTrackBuses.get(trackId);
+        if (!bus) return;
+        const param = this.getAutomationParam(bus.graph, TRACK_AUTOMATION_LANES, laneId);
+        if (param) this.scheduleAutomation(param, events, toTime);
+    }
+
+    /**
+     * Schedules part of a master lane on the live master chain.
+     * @param {string} laneId - Key of MASTER_AUTOMATION_LANES.
+     * @param {Array<Object>} events - Events { step, value, type }.
+     * @param {Function} toTime - Converts a song step to context time.
+     */
+    automateMaster(laneId, events, toTime) {
+        if (!this.ctx) return;
+        const param = this.getAutomationParam(this.master, MASTER_AUTOMATION_LANES, laneId);
+        if (param) this.scheduleAutomation(param, events, toTime);
+    }
+
+    /**
+     * Tells a live graph which parameters its lanes drive. Lanes that lost their points stop
+     * where they are and hand the parameter back to the graph settings; lanes drive
+     * the parameter from the next scheduled pass on.
+     * @param {Object} graph - Result of buildGraph().
+     * @param {Set<string>} targets - Result of getAutomatedTargets().
+     */
+    setAutomatedTargets(graph, targets) {
+        const now = this.ctx.currentTime;
+        graph.automated.forEach(target => {
+            if (targets.has(target)) return;
+            this.holdParam(this.getGraphParam(graph, target), now);
+            graph.values.delete(target);
+        });
+        graph.automated = targets;
+        this.applyGraph(graph, graph.settings, now);
+    }
+
+    /**
+     * Applies a track's lanes to its live bus (see setAutomatedTargets).
+     * @param {string|number} trackId 
+     * @param {Object} automation - track.automation.
+     */
+    setTrackAutomation(trackId, automation) {
+        if (!this.ctx) return;
+        const bus = this.liveTrackBuses.get(trackId);
+        if (bus) this.setAutomatedTargets(bus.graph, this.getAutomatedTargets(automation, TRACK_AUTOMATION_LANES));
+    }
+
+    /**
+     * Applies the master lanes to the live master chain (see setAutomatedTargets).
+     * @param {Object} automation - state.masterAutomation.
+     */
+    setMasterAutomation(automation) {
+        if (!this.ctx) return;
+        this.setAutomatedTargets(this.master, this.getAutomatedTargets(automation, MASTER_AUTOMATION_LANES));
+    }
+
+    /**
+     * Drops the scheduled automation of the live graph (used when playback stops);
+     * every parameter keeps its current value.
+     */
+    stopAutomation() {
+        if (!this.ctx) return;
+        const now = this.ctx.currentTime;
+        const hold = (graph) => graph.automated.forEach(target => this.holdParam(this.getGraphParam(graph, target), now));
+        this.liveTrackBuses.forEach(bus => hold(bus.graph));
+        hold(this.master);
+    }
+
+    /**
+     * Cancels the scheduled changes of a parameter, holding its current value.
+     * @param {AudioParam} param 
+     * @param {number} now - Context time.
+     */
+    holdParam(param, now) {
+        if (param.cancelAndHoldAtTime) param.cancelAndHoldAtTime(now);
+        else param.cancelScheduledValues(now);
+    }
+
+    /**
+     * Sets an AudioParam directly (offline) or with a short glide (live).
+     * @param {AudioParam} param 
+     * @param {number} value 
+     * @param {number|null} now - Context time to glide from, or null to set directly.
+     * @param {number} [timeConstant=0.02] - Glide time constant in seconds.
+     */
+    setParam(param, value, now, timeConstant = 0.02) {
+        if (now === null) param.value = value;
+        else param.setTargetAtTime(value, now, timeConstant);
+    }
+
+    // --- Insert Effects ---
+
+    /**
+     * Applies a track's insert chain to its live bus. The chain is rebuilt when effects
+     * are added, removed, reordered or toggled; parameter changes glide in place.
+     * @param {string|number} trackId 
+     * @param {Array} inserts - track.inserts.
+     */
+    setTrackInserts(trackId, inserts) {
+        if (!this.ctx) return;
+        const bus = this.liveTrackBuses.get(trackId);
+        if (!bus) return;
+
+        const active = (inserts || []).filter(ins => ins.enabled && INSERT_TYPES[ins.type]);
+        const layout = active.map(ins => ins.id + ':' + ins.type).join('|');
+        if (layout !== bus.insertLayout) {
+            bus.insertUnits.forEach(unit => this.disposeInsertUnit(unit));
+            const nodes = bus.graph.nodes;
+            nodes.inserts.disconnect();
+            bus.insertUnits = this.buildInsertChain(this.ctx, active, nodes.inserts, nodes.strip, this.ctx.currentTime);
+            bus.insertLayout = layout;
         } else {
-            n.distDrive.gain.setTargetAtTime(0, now, 0.1);
-            n.distLevel.gain.setTargetAtTime(0, now, 0.1);
-            n.dryGain.gain.setTargetAtTime(1.0, now, 0.1);
+            const now = this.ctx.currentTime;
+            bus.insertUnits.forEach((unit, i) => unit.apply(active[i].params, now));
         }
+        this.updateInsertNoise(bus);
+    }
 
-        // Delay update
-        if (params.delayMix > 0) {
-            n.delayNode.delayTime.setTargetAtTime(params.delayTime || 0.3, now, 0.1);
-            n.delayFeedback.gain.setTargetAtTime(0.3, now, 0.1);
-            n.delayWet.gain.setTargetAtTime(params.delayMix, now, 0.1);
-        } else {
-            n.delayWet.gain.setTargetAtTime(0, now, 0.1);
+    /**
+     * Starts or silences the vinyl noise of live lo-fi inserts (it only plays with the transport).
+     * @param {boolean} active 
+     */
+    setInsertNoiseActive(active) {
+        this.insertNoiseActive = active;
+        this.liveTrackBuses.forEach(bus => this.updateInsertNoise(bus));
+    }
+
+    /**
+     * Opens or closes the noise gates of a live bus.
+     * @param {Object} bus - Live track bus.
+     */
+    updateInsertNoise(bus) {
+        if (!this.ctx) return;
+        bus.insertUnits.forEach(unit => {
+            if (unit.noiseGate) unit.noiseGate.gain.setTargetAtTime(this.insertNoiseActive ? 1 : 0, this.ctx.currentTime, 0.05);
+        });
+    }
+
+    /**
+     * Connects insert effects in series between two nodes.
+     * @param {BaseAudioContext} ctx 
+     * @param {Array} inserts - Enabled inserts, in order.
+     * @param {AudioNode} input - Chain input.
+     * @param {AudioNode} destination - Chain output.
+     * @param {number|null} now - Live context time, or null when rendering offline.
+     * @returns {Array} The created units.
+     */
+    buildInsertChain(ctx, inserts, input, destination, now = null) {
+        let source = input;
+        const units = inserts.map(ins => {
+            const unit = this.createInsertUnit(ctx, ins, now);
+            source.connect(unit.input);
+            source = unit.output;
+            return unit;
+        });
+        source.connect(destination);
+        return units;
+    }
+
+    /**
+     * Stops and disconnects a live insert unit.
+     * @param {Object} unit - Result of createInsertUnit().
+     */
+    disposeInsertUnit(unit) {
+        unit.sources.forEach(src => {
+            try {
+                src.stop();
+            } catch (e) {}
+        });
+        unit.output.disconnect();
+    }
+
+    /**
+     * Creates one insert effect.
+     * @param {BaseAudioContext} ctx 
+     * @param {Object} insert - { type, params }.
+     * @param {number|null} now - Live context time (starts LFOs), or null offline (starts at 0).
+     * @returns {Object} { input, output, sources, noiseGate, apply(params, now) }.
+     */
+    createInsertUnit(ctx, insert, now = null) {
+        const input = ctx.createGain();
+        const output = ctx.createGain();
+        const sources = []; // Oscillators and loops to stop on removal
+        const startAt = now === null ? 0 : now;
+        let noiseGate = null;
+        let apply;
+
+        const lfo = (type = 'sine') => {
+            const osc = ctx.createOscillator();
+            osc.type = type;
+            osc.start(startAt);
+            sources.push(osc);
+            return osc;
+        };
+        const dbToGain = (db) => Math.pow(10, db / 20);
+
+        switch (insert.type) {
+            case 'eq': {
+                const low = ctx.createBiquadFilter();
+                low.type = 'lowshelf';
+                const mid = ctx.createBiquadFilter();
+                mid.type = 'peaking';
+                const high = ctx.createBiquadFilter();
+                high.type = 'highshelf';
+                input.connect(low);
+                low.connect(mid);
+                mid.connect(high);
+                high.connect(output);
+                apply = (p, t) => {
+                    this.setParam(low.frequency, p.lowFreq, t);
+                    this.setParam(low.gain, p.lowGain, t);
+                    this.setParam(mid.frequency, p.midFreq, t);
+                    this.setParam(mid.Q, p.midQ, t);
+                    this.setParam(mid.gain, p.midGain, t);
+                    this.setParam(high.frequency, p.highFreq, t);
+                    this.setParam(high.gain, p.highGain, t);
+                };
+                break;
+            }
+            case 'compressor': {
+                const comp = ctx.createDynamicsCompressor();
+                comp.knee.value = 6;
+                const makeup = ctx.createGain();
+                input.connect(comp);
+                comp.connect(makeup);
+                makeup.connect(output);
+                apply = (p, t) => {
+                    this.setParam(comp.threshold, p.threshold, t);
+                    this.setParam(comp.ratio, p.ratio, t);
+                    this.setParam(comp.attack, p.attack, t);
+                    this.setParam(comp.release, p.release, t);
+                    this.setParam(makeup.gain, dbToGain(p.makeup), t);
+                };
+                break;
+            }
+            case 'chorus': {
+                // Two short delays swept in opposite directions, one per side
+                const dry = ctx.createGain();
+                const wet = ctx.createGain();
+                const merger = ctx.createChannelMerger(2);
+                const delays = [ctx.createDelay(0.05), ctx.createDelay(0.05)];
+                const sweeps = [ctx.createGain(), ctx.createGain()];
+                const osc = lfo();
+                input.connect(dry);
+                dry.connect(output);
+                delays.forEach((d, i) => {
+                    d.delayTime.value = 0.015;
+                    input.connect(d);
+                    d.connect(merger, 0, i);
+                    osc.connect(sweeps[i]);
+                    sweeps[i].connect(d.delayTime);
+                });
+                merger.connect(wet);
+                wet.connect(output);
+                apply = (p, t) => {
+                    this.setParam(osc.frequency, p.rate, t);
+                    this.setParam(sweeps[0].gain, p.depth * 0.004, t);
+                    this.setParam(sweeps[1].gain, -p.depth * 0.004, t);
+                    this.setParam(dry.gain, 1 - p.mix, t);
+                    this.setParam(wet.gain, p.mix, t);
+                };
+                break;
+            }
+            case 'phaser': {
+                // Four swept allpass stages; the feedback loop needs a delay to be legal
+                const dry = ctx.createGain();
+                const wet = ctx.createGain();
+                const stages = [0, 1, 2, 3].map(() => {
+                    const ap = ctx.createBiquadFilter();
+                    ap.type = 'allpass';
+                    ap.frequency.value = 1000;
+                    return ap;
+                });
+                const feedback = ctx.createGain();
+                const loop = ctx.createDelay(0.01);
+                loop.delayTime.value = 0.001;
+                const sweep = ctx.createGain();
+                const osc = lfo();
+                input.connect(dry);
+                dry.connect(output);
+                input.connect(stages[0]);
+                for (let i = 1; i < stages.length; i++) stages[i - 1].connect(stages[i]);
+                stages[3].connect(wet);
+                stages[3].connect(feedback);
+                feedback.connect(loop);
+                loop.connect(stages[0]);
+                wet.connect(output);
+                osc.connect(sweep);
+                stages.forEach(ap => sweep.connect(ap.frequency));
+                apply = (p, t) => {
+                    this.setParam(osc.frequency, p.rate, t);
+                    this.setParam(sweep.gain, p.depth * 800, t);
+                    this.setParam(feedback.gain, p.feedback, t);
+                    this.setParam(dry.gain, 1 - p.mix / 2, t);
+                    this.setParam(wet.gain, p.mix / 2, t);
+                };
+                break;
+            }
+            case 'bitcrusher': {
+                const dry = ctx.createGain();
+                const wet = ctx.createGain();
+                input.connect(dry);
+                dry.connect(output);
+
+                let crusher;
+                let setCrush;
+                if (this.workletContexts.has(ctx)) {
+                    crusher = new AudioWorkletNode(ctx, 'bitcrusher', { outputChannelCount: [2] });
+                    setCrush = (p, t) => {
+                        this.setParam(crusher.parameters.get('bits'), p.bits, t);
+                        this.setParam(crusher.parameters.get('downsample'), p.downsample, t);
+                    };
+                } else {
+                    crusher = ctx.createWaveShaper();
+                    setCrush = (p) => crusher.curve = this.makeBitCurve(p.bits);
+                }
+                input.connect(crusher);
+                crusher.connect(wet);
+                wet.connect(output);
+
+                // Vinyl hiss and crackle loop
+                const vinyl = ctx.createBufferSource();
+                vinyl.buffer = this.getVinylBuffer(ctx);
+                vinyl.loop = true;
+                vinyl.start(startAt);
+                sources.push(vinyl);
+                const noiseLevel = ctx.createGain();
+                noiseGate = ctx.createGain();
+                noiseGate.gain.value = now === null ? 1 : 0;
+                vinyl.connect(noiseLevel);
+                noiseLevel.connect(noiseGate);
+                noiseGate.connect(output);
+
+                apply = (p, t) => {
+                    setCrush(p, t);
+                    this.setParam(dry.gain, 1 - p.mix, t);
+                    this.setParam(wet.gain, p.mix, t);
+                    this.setParam(noiseLevel.gain, p.noise, t);
+                };
+                break;
+            }
+            case 'tremolo': {
+                const amp = ctx.createGain();
+                const sweep = ctx.createGain();
+                const osc = lfo();
+                input.connect(amp);
+                amp.connect(output);
+                osc.connect(sweep);
+                sweep.connect(amp.gain);
+                apply = (p, t) => {
+                    this.setParam(osc.frequency, p.rate, t);
+                    this.setParam(amp.gain, 1 - p.depth / 2, t);
+                    this.setParam(sweep.gain, p.depth / 2, t);
+                };
+                break;
+            }
+            default:
+                throw new Error(`Unknown insert effect "${insert.type}".`);
         }
 
-        // Reverb update
-        if (params.reverbMix > 0) {
-            if (!n.reverbNode.buffer && this.reverbBuffer) n.reverbNode.buffer = this.reverbBuffer;
-            n.reverbWet.gain.setTargetAtTime(params.reverbMix, now, 0.1);
-        } else {
-            n.reverbWet.gain.setTargetAtTime(0, now, 0.1);
+        // Start from the saved values without a glide
+        apply(insert.params, null);
+        return { input, output, sources, noiseGate, apply };
+    }
+
+    /**
+     * Creates a staircase curve that reduces the bit depth (bitcrusher fallback).
+     * @param {number} bits - Bit depth.
+     * @returns {Float32Array}
+     */
+    makeBitCurve(bits) {
+        const n = 65536;
+        const levels = Math.pow(2, Math.round(bits) - 1);
+        const c = new Float32Array(n);
+        for (let i = 0; i < n; i++) {
+            const x = i * 2 / n - 1;
+            c[i] = Math.round(x * levels) / levels;
         }
+        return c;
+    }
+
+    /**
+     * Gets a seeded two-second loop of vinyl hiss and crackle (generated on first use).
+     * @param {BaseAudioContext} ctx 
+     * @returns {AudioBuffer}
+     */
+    getVinylBuffer(ctx) {
+        if (this.vinylCache.has(ctx.sampleRate)) return this.vinylCache.get(ctx.sampleRate);
+
+        const rate = ctx.sampleRate;
+        const buffer = ctx.createBuffer(2, rate * 2, rate);
+        for (let ch = 0; ch < 2; ch++) {
+            const data = buffer.getChannelData(ch);
+            let seed = 0x2545F491 + ch;
+            const random = () => {
+                seed = (seed * 1664525 + 1013904223) >>> 0;
+                return seed / 4294967296;
+            };
+            let lowpass = 0;
+            let crackle = 0;
+            for (let i = 0; i < data.length; i++) {
+                // Soft, dark hiss
+                lowpass = 0.85 * lowpass + 0.15 * (random() * 2 - 1);
+                // Sparse clicks that ring out quickly
+                if (random() < 12 / rate) crackle = (random() * 2 - 1) * 0.6;
+                crackle *= 0.93;
+                data[i] = lowpass * 0.03 + crackle;
+            }
+        }
+        this.vinylCache.set(ctx.sampleRate, buffer);
+        return buffer;
     }
 
     /**
@@ -473,6 +1353,100 @@ export default class AudioEngine {
         }
     }
 
+    /**
+     * Decodes the project's sampler samples that are not decoded yet, and forgets the
+     * ones the project no longer has. Sample ids never change content, so each is decoded once.
+     * @param {Object} samples - Embedded samples by id (state.samples).
+     * @returns {Promise<void>} Resolves when every sample is ready (undecodable ones are skipped with a warning).
+     */
+    async loadSamples(samples) {
+        samples = samples || {};
+        [...this.sampleBuffers.keys()].forEach(id => {
+            if (!samples[id]) this.sampleBuffers.delete(id);
+        });
+
+        // Decoding resamples to the context's rate; before the first interaction a stand-in context decodes
+        const ctx = this.ctx || new OfflineAudioContext(2, 1, 44100);
+        await Promise.all(Object.keys(samples).map(id => {
+            if (this.sampleBuffers.has(id)) return null;
+            if (!this.sampleLoads.has(id)) {
+                const load = ctx.decodeAudioData(decodeSampleData(samples[id].data))
+                    .then(buffer => this.sampleBuffers.set(id, buffer))
+                    .catch(err => console.warn(`Sample "${samples[id].name}" could not be decoded:`, err))
+                    .then(() => this.sampleLoads.delete(id));
+                this.sampleLoads.set(id, load);
+            }
+            return this.sampleLoads.get(id);
+        }));
+    }
+
+    /**
+     * Plays a note of a SAMPLER track: the matching zone's sample, pitch-shifted from its
+     * root note and scaled by its gain, through the zone's own envelope (e.g. from a SoundFont)
+     * or else the synth envelope settings (attack, decay, sustain, release).
+     * Notes without a zone or a decoded sample are silent.
+     * @param {number} midi - MIDI note number.
+     * @param {number} duration - Note length in seconds.
+     * @param {number} time - Start time (0 = now).
+     * @param {Object} params - Track synth settings (envelope, distortion).
+     * @param {Object} sampler - Track sampler settings (see SamplerDefs).
+     * @param {number} velocity - Velocity (0-1).
+     * @param {AudioContext|null} targetCtx - Context (offline support).
+     * @param {AudioNode|null} targetDest - Destination (offline support).
+     * @param {string|number|null} trackId - Track ID for routing.
+     */
+    playSample(midi, duration, time, params, sampler, velocity = 0.8, targetCtx = null, targetDest = null, trackId = null) {
+        const ctx = targetCtx || this.ctx;
+        if (!ctx) return;
+        const zone = findZone(sampler, midi, velocity);
+        const buffer = zone ? this.sampleBuffers.get(zone.sampleId) : null;
+        if (!buffer) return;
+
+        params = params || {};
+        const startTime = (time && time > 0) ? time : ctx.currentTime;
+        let dest = targetDest;
+        if (!dest) dest = trackId ? this.getOrCreateLiveBus(trackId, params) : this.masterGain;
+
+        const source = ctx.createBufferSource();
+        source.buffer = buffer;
+        source.playbackRate.value = Math.pow(2, (midi - zone.rootNote + zone.tune / 100) / 12);
+        if (zone.loop && zone.loopEnd > zone.loopStart) {
+            source.loop = true;
+            source.loopStart = zone.loopStart;
+            source.loopEnd = zone.loopEnd;
+        }
+
+        // --- ENVELOPE (as playNote, plus the hold stage of SoundFont envelopes) ---
+        const shape = zone.envelope || params;
+        const env = ctx.createGain();
+        const peak = velocity * (zone.gain === undefined ? 1 : zone.gain);
+        const atk = shape.attack || 0.005;
+        const hold = shape.hold || 0;
+        const dec = shape.decay || 0.1;
+        const sus = shape.sustain === undefined ? 1 : shape.sustain;
+        const rel = shape.release || 0.2;
+        const attEnd = startTime + atk;
+        const decEnd = attEnd + hold + dec;
+        const relStart = startTime + duration;
+
+        env.gain.setValueAtTime(0, startTime);
+        env.gain.linearRampToValueAtTime(peak, attEnd);
+        if (relStart > decEnd) {
+            if (hold > 0) env.gain.setValueAtTime(peak, attEnd + hold);
+            env.gain.exponentialRampToValueAtTime(Math.max(0.001, peak * sus), decEnd);
+        } else {
+            env.gain.linearRampToValueAtTime(peak, relStart);
+        }
+        env.gain.setTargetAtTime(0, relStart, rel / 4);
+
+        source.connect(env);
+        env.connect(dest);
+        source.start(startTime);
+        source.stop(relStart + rel + 0.5);
+
+        if (!targetCtx) this.trackNode(source, env);
+    }
+
     /**
      * Plays a drum sound based on MIDI mapping.
      * @param {number} midi - MIDI note number.
@@ -704,182 +1678,202 @@ export default class AudioEngine {
     }
 
     /**
-     * Creates an FX chain specifically for offline rendering context.
+     * Creates the input of a stereo stem inside a multichannel offline render.
      * @param {OfflineAudioContext} ctx 
-     * @param {Object} params 
-     * @param {AudioNode} destination 
-     * @returns {GainNode} Input node.
+     * @param {ChannelMergerNode} merger - Merger feeding the destination.
+     * @param {number} channel - First of the two stem channels.
+     * @returns {AudioNode} Node to connect the stem signal to.
      */
-    createTrackFXChain(ctx, params, destination) {
-        const input = ctx.createGain();
-        let signalSource = input;
-
-        if (params.distortion > 0) {
-            const shaper = ctx.createWaveShaper();
-            shaper.curve = this.makeDistortionCurve(params.distortion);
-            const drive = ctx.createGain();
-            drive.gain.value = 5.0;
-            const cab = ctx.createBiquadFilter();
-            cab.type = 'lowpass';
-            cab.frequency.value = 4000;
-            const distLevel = ctx.createGain();
-            distLevel.gain.value = 0.3;
-            const dryPath = ctx.createGain();
-            dryPath.gain.value = 0.2;
-
-            input.connect(drive);
-            drive.connect(shaper);
-            shaper.connect(cab);
-            cab.connect(distLevel);
-            input.connect(dryPath);
-            const mergeNode = ctx.createGain();
-            distLevel.connect(mergeNode);
-            dryPath.connect(mergeNode);
-            signalSource = mergeNode;
-        }
-        signalSource.connect(destination);
-
-        if (params.delayMix > 0) {
-            const d = ctx.createDelay();
-            d.delayTime.value = params.delayTime || 0.3;
-            const f = ctx.createGain();
-            f.gain.value = 0.3;
-            const w = ctx.createGain();
-            w.gain.value = params.delayMix;
-            signalSource.connect(d);
-            d.connect(f);
-            f.connect(d);
-            d.connect(w);
-            w.connect(destination);
-        }
-
-        if (params.reverbMix > 0 && this.reverbBuffer) {
-            const r = ctx.createConvolver();
-            r.buffer = this.reverbBuffer;
-            const w = ctx.createGain();
-            w.gain.value = params.reverbMix;
-            signalSource.connect(r);
-            r.connect(w);
-            w.connect(destination);
-        }
-        return input;
+    createStemInput(ctx, merger, channel) {
+        const splitter = ctx.createChannelSplitter(2);
+        splitter.connect(merger, 0, channel);
+        splitter.connect(merger, 1, channel + 1);
+        return splitter;
     }
 
     /**
-     * Performs an offline render of the current project state.
-     * @param {Object} state - Project state (tracks, notes, settings).
-     * @returns {Promise<AudioBuffer>} Final mastered audio buffer.
+     * Measures the length of a project render: the song (or its last note, whichever is
+     * later) plus a tail for releases and effect returns.
+     * @param {Object} state - Project state.
+     * @returns {Object} { sampleRate, totalSeconds, totalSamples, automationEnd } (automation is scheduled up to the end of the tail).
      */
-    async renderOffline(state) {
+    getRenderLength(state) {
         // Use main context sample rate for consistency, default to 44100 if null.
         const sampleRate = this.ctx ? this.ctx.sampleRate : 44100;
-
-        console.log("Starting Mastered Offline Render...");
-
-        const secondsPerStep = (60 / state.bpm) * (4 / state.stepsPerBar);
-        let maxStepTime = 0;
+        let maxStepTime = state.getTotalSteps();
         state.tracks.forEach(t => {
             t.notes.forEach(n => {
-                const end = n.time + n.duration;
-                if (end > maxStepTime) maxStepTime = end;
+                if (n.time + n.duration > maxStepTime) maxStepTime = n.time + n.duration;
             });
         });
 
-        const barSteps = state.totalBars * state.stepsPerBar;
-        if (maxStepTime < barSteps) maxStepTime = barSteps;
-
-        const totalSeconds = maxStepTime * secondsPerStep;
+        const totalSeconds = state.tempoMap.stepToSeconds(maxStepTime);
         const tailSeconds = 4.0;
-        const totalSamples = Math.ceil((totalSeconds + tailSeconds) * sampleRate);
+        return {
+            sampleRate: sampleRate,
+            totalSeconds: totalSeconds,
+            totalSamples: Math.ceil((totalSeconds + tailSeconds) * sampleRate),
+            automationEnd: state.tempoMap.secondsToStep(totalSeconds + tailSeconds)
+        };
+    }
+
+    /**
+     * Performs an offline render of the current project state. Each track graph renders
+     * on its own into a dry stem and one stem per send it uses; the summed stems then run through
+     * the return buses and the master chain. Every graph is built from the same definitions
+     * as the live buses (see GraphDefs). When the project has a loudness target, the
+     * mastered buffer is measured and the master pass re-rendered with a correcting gain
+     * ahead of the limiter (twice at most, since limiting makes loudness non-linear).
+     * @param {Object} state - Project state (tracks, notes, settings).
+     * @param {Object} [options]
+     * @param {boolean} [options.normalize=true] - False renders the master as heard live.
+     * @returns {Promise<AudioBuffer>} Final mastered audio buffer.
+     */
+    async renderOffline(state, options = {}) {
+        console.log("Starting Mastered Offline Render...");
 
+        const tempoMap = state.tempoMap;
+        const { sampleRate, totalSeconds, totalSamples, automationEnd } = this.getRenderLength(state);
         console.log(`Duration: ${totalSeconds.toFixed(2)}s. Mixing ${state.tracks.length} tracks.`);
+        await this.loadSamples(state.samples);
 
         const rawLeft = new Float32Array(totalSamples);
         const rawRight = new Float32Array(totalSamples);
+        // Summed post-fader sends per return bus, processed once in the mastering pass
+        const sendSums = {};
+
+        const sidechainLinks = state.getSidechainLinks();
+        const toTime = (step) => tempoMap.stepToSeconds(step);
 
         for (let i = 0; i < state.tracks.length; i++) {
             const track = state.tracks[i];
-            const isAnySolo = state.tracks.some(t => t.isSolo);
-            if (isAnySolo && !track.isSolo) continue;
-            if (track.isMuted && !track.isSolo) continue;
+            if (!state.isTrackAudible(track)) continue;
+
+            // The track renders a stereo dry stem plus one stereo stem per send it uses;
+            // unused sends are left unconnected
+            const automation = track.automation || {};
+            const settings = getTrackGraphSettings(track);
+            const sends = RETURN_BUSES.filter(def => settings.sends[def.id] > 0 || hasAutomation(automation, 'send:' + def.id));
+            const channels = 2 + sends.length * 2;
+
+            const offlineCtx = new OfflineAudioContext(channels, totalSamples, sampleRate);
+            offlineCtx.destination.channelInterpretation = 'discrete';
+            const stems = offlineCtx.createChannelMerger(channels);
+            stems.connect(offlineCtx.destination);
+
+            const externals = { output: this.createStemInput(offlineCtx, stems, 0) };
+            sends.forEach((def, s) => {
+                externals['return:' + def.id] = this.createStemInput(offlineCtx, stems, 2 + s * 2);
+            });
+            const automated = this.getAutomatedTargets(automation, TRACK_AUTOMATION_LANES);
+            const graph = this.buildGraph(offlineCtx, TRACK_GRAPH, externals, settings, automated);
+            this.scheduleGraphAutomation(graph, TRACK_AUTOMATION_LANES, automation, automationEnd, toTime);
+            this.scheduleOfflineDucks(state, track, sidechainLinks, graph.nodes.duck.gain);
 
-            const offlineCtx = new OfflineAudioContext(2, totalSamples, sampleRate);
-            const trackBus = this.createTrackFXChain(offlineCtx, track.synthSettings, offlineCtx.destination);
+            // Same insert chain as the live bus
+            const inserts = (track.inserts || []).filter(ins => ins.enabled && INSERT_TYPES[ins.type]);
+            if (inserts.some(ins => ins.type === 'bitcrusher')) await this.loadWorklets(offlineCtx);
+            this.buildInsertChain(offlineCtx, inserts, graph.nodes.inserts, graph.nodes.strip);
 
             track.notes.forEach(note => {
-                const time = note.time * secondsPerStep;
-                const duration = note.duration * secondsPerStep;
+                // Same groove timing and accents as live playback
+                const playStep = state.grooveMap.getPlayStep(note, track);
+                const velocity = state.grooveMap.getPlayVelocity(note, track);
+                const time = tempoMap.stepToSeconds(playStep);
+                const duration = tempoMap.spanToSeconds(playStep, note.duration);
                 try {
                     if (track.type === 'DRUMS') {
-                        this.playDrum(note.midi, time, track.synthSettings, note.velocity, offlineCtx, offlineCtx.destination);
+                        this.playDrum(note.midi, time, track.synthSettings, velocity, offlineCtx, graph.nodes.input);
+                    } else if (track.type === 'SAMPLER') {
+                        this.playSample(note.midi, duration, time, track.synthSettings, track.sampler, velocity, offlineCtx, graph.nodes.input);
                     } else {
-                        this.playNote(note.midi, duration, time, track.synthSettings, note.velocity, track.preset, offlineCtx, trackBus, true, true);
+                        this.playNote(note.midi, duration, time, track.synthSettings, velocity, track.preset, offlineCtx, graph.nodes.input, true, true);
                     }
                 } catch (e) {}
             });
 
             const trackBuffer = await offlineCtx.startRendering();
-            const left = trackBuffer.getChannelData(0);
-            const right = trackBuffer.getChannelData(1);
-            const vol = track.volume !== undefined ? track.volume : 0.8;
+            const mixStem = (channel, targetLeft, targetRight) => {
+                const left = trackBuffer.getChannelData(channel);
+                const right = trackBuffer.getChannelData(channel + 1);
+                for (let j = 0; j < totalSamples; j++) {
+                    targetLeft[j] += left[j];
+                    targetRight[j] += right[j];
+                }
+            };
+
+            mixStem(0, rawLeft, rawRight);
+            sends.forEach((def, s) => {
+                if (!sendSums[def.id]) sendSums[def.id] = [new Float32Array(totalSamples), new Float32Array(totalSamples)];
+                mixStem(2 + s * 2, sendSums[def.id][0], sendSums[def.id][1]);
+            });
+        }
 
-            for (let j = 0; j < totalSamples; j++) {
-                rawLeft[j] += left[j] * vol;
-                rawRight[j] += right[j] * vol;
+        console.log("Applying Master Chain...");
+        const mix = { left: rawLeft, right: rawRight, sends: sendSums };
+        let loudnessGain = 1;
+        let masteredBuffer = await this.renderMaster(state, mix, loudnessGain);
+
+        const target = LOUDNESS_TARGETS[(state.master || {}).loudness];
+        if (options.normalize !== false && target && target.lufs !== null) {
+            const meter = new LoudnessMeter(sampleRate);
+            for (let pass = 0; pass < 2; pass++) {
+                const lufs = meter.measure(masteredBuffer, false).integrated;
+                if (!isFinite(lufs) || Math.abs(lufs - target.lufs) < 0.1) break;
+
+                // Never more than 24 dB either way, so a near-silent song is not blown up
+                const correction = Math.pow(10, (target.lufs - lufs) / 20);
+                loudnessGain = Math.min(16, Math.max(1 / 16, loudnessGain * correction));
+                masteredBuffer = await this.renderMaster(state, mix, loudnessGain);
             }
         }
 
-        console.log("Applying Master Chain (Matched to Live)...");
-
-        const masteringCtx = new OfflineAudioContext(2, totalSamples, sampleRate);
-        const rawBuffer = masteringCtx.createBuffer(2, totalSamples, sampleRate);
-        rawBuffer.copyToChannel(rawLeft, 0);
-        rawBuffer.copyToChannel(rawRight, 1);
-
-        const source = masteringCtx.createBufferSource();
-        source.buffer = rawBuffer;
-
-        const masterGain = masteringCtx.createGain();
-        masterGain.gain.value = 0.4;
-        const compressor = masteringCtx.createDynamicsCompressor();
-        compressor.threshold.value = -10;
-        compressor.knee.value = 40;
-        compressor.ratio.value = 2;
-        compressor.attack.value = 0.005;
-        compressor.release.value = 0.15;
-        const lowCut = masteringCtx.createBiquadFilter();
-        lowCut.type = 'highpass';
-        lowCut.frequency.value = 30;
-        const highCut = masteringCtx.createBiquadFilter();
-        highCut.type = 'lowpass';
-        highCut.frequency.value = 18000;
-
-        source.connect(masterGain);
-        masterGain.connect(compressor);
-        compressor.connect(lowCut);
-        lowCut.connect(highCut);
-        highCut.connect(masteringCtx.destination);
-
-        source.start(0);
-        const masteredBuffer = await masteringCtx.startRendering();
         console.log("Export Complete!");
         return masteredBuffer;
     }
 
     /**
-     * Creates a distortion curve for the WaveShaperNode.
-     * @param {number} k - Distortion amount.
-     * @returns {Float32Array}
+     * Renders the mastering pass of an export: the summed track stems and the return buses
+     * through the master chain, with the project's master section and master automation.
+     * @param {Object} state - Project state.
+     * @param {Object} mix - { left, right, sends } from renderOffline (sends: stereo sums by bus id).
+     * @param {number} loudnessGain - Normalisation gain ahead of the limiter.
+     * @returns {Promise<AudioBuffer>} Mastered stereo buffer.
      */
-    makeDistortionCurve(k) {
-        const n = 44100;
-        const c = new Float32Array(n);
-        const deg = Math.PI / 180;
-        for (let i = 0; i < n; ++i) {
-            const x = i * 2 / n - 1;
-            c[i] = (3 + k) * x * 20 * deg / (Math.PI + k * Math.abs(x));
-        }
-        return c;
+    async renderMaster(state, mix, loudnessGain) {
+        const { sampleRate, totalSamples, automationEnd } = this.getRenderLength(state);
+        const toTime = (step) => state.tempoMap.stepToSeconds(step);
+        const masteringCtx = new OfflineAudioContext(2, totalSamples, sampleRate);
+        await this.loadWorklets(masteringCtx);
+        const toSource = (left, right) => {
+            const buffer = masteringCtx.createBuffer(2, totalSamples, sampleRate);
+            buffer.copyToChannel(left, 0);
+            buffer.copyToChannel(right, 1);
+            const source = masteringCtx.createBufferSource();
+            source.buffer = buffer;
+            return source;
+        };
+
+        const masterAutomation = state.masterAutomation || {};
+        const master = this.buildGraph(masteringCtx, MASTER_GRAPH, { output: masteringCtx.destination },
+            getMasterGraphSettings(state.master, loudnessGain), this.getAutomatedTargets(masterAutomation, MASTER_AUTOMATION_LANES));
+        this.scheduleGraphAutomation(master, MASTER_AUTOMATION_LANES, masterAutomation, automationEnd, toTime);
+
+        const source = toSource(mix.left, mix.right);
+        source.connect(master.nodes.input);
+
+        // Shared returns, fed by the summed sends
+        const returnBuses = this.createReturnBuses(masteringCtx, master.nodes.input);
+        this.setReturnParams(returnBuses, state.returns, state.getDelaySeconds());
+        const sendSources = Object.keys(mix.sends).map(id => {
+            const sendSource = toSource(mix.sends[id][0], mix.sends[id][1]);
+            sendSource.connect(returnBuses[id].input);
+            return sendSource;
+        });
+
+        source.start(0);
+        sendSources.forEach(s => s.start(0));
+        return masteringCtx.startRendering();
     }
 
     /**
@@ -0,0 +1,179 @@
+/*
+ * SenseAudio - Visual Theory & Creative Studio
+ * Copyright (C) 2026 SensementMusic.com
+ *
+ * This file is part of SenseAudio (A Sensement Music Project).
+ *
+ * SenseAudio is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * SenseAudio is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with SenseAudio. If not, see <https://www.gnu.org/licenses/>.
+ *
+ * All branding, logos, and the name "Sensement Music" are properties of SensementMusic.com.
+ */
+
+import { RETURN_BUSES } from './EffectDefs.js';
+
+/**
+ * @fileoverview Defines the automation lanes and how their breakpoints become values.
+ *
+ * A lane is a list of breakpoints { step, value, curve } sorted by step; `curve` shapes
+ * the segment from that point to the next one. Before the first point a lane holds the
+ * first value, after the last point the last value. Tracks keep their lanes in
+ * `track.automation` and the project in `state.masterAutomation`, keyed by lane id.
+ * While a lane has points it replaces the matching static setting (fader, pan, send).
+ *
+ * Live playback and the offline render schedule the same events (getAutomationEvents)
+ * as AudioParam ramps, so both follow the lanes identically.
+ */
+
+/**
+ * Segment shapes.
+ * @constant
+ * @type {Object.<string, Object>}
+ */
+export const AUTOMATION_CURVES = {
+    'linear': { label: 'Linear' },
+    'exp': { label: 'Exponential' }, // Even steps per octave, good for cutoff sweeps
+    'smooth': { label: 'S-Curve' },
+    'step': { label: 'Hold' } // Holds the value, then jumps at the next point
+};
+
+/**
+ * Track lanes. `target` is the TRACK_GRAPH parameter the lane drives (see GraphDefs);
+ * `log` lanes are drawn on a logarithmic scale; `unit` is only used for display.
+ * Send lanes are named 'send:' + the return bus id.
+ * @constant
+ * @type {Object.<string, Object>}
+ */
+export const TRACK_AUTOMATION_LANES = {
+    'volume': { label: 'Volume', target: 'level.gain', min: 0, max: 1, default: 0.8, unit: '' },
+    'pan': { label: 'Pan', target: 'panner.pan', min: -1, max: 1, default: 0, unit: '' },
+    'cutoff': { label: 'Filter Cutoff', target: 'filter.frequency', min: 20, max: 20000, default: 20000, unit: 'Hz', log: true },
+    'resonance': { label: 'Filter Resonance', target: 'filter.Q', min: 0, max: 20, default: 0, unit: 'dB' }
+};
+RETURN_BUSES.forEach(def => {
+    TRACK_AUTOMATION_LANES['send:' + def.id] = { label: `Send ${def.label}`, target: `send:${def.id}.gain`, min: 0, max: 1, default: 0, unit: '' };
+});
+
+/**
+ * Project (master) lanes, driving MASTER_GRAPH parameters. Master volume scales the mastered output.
+ * @constant
+ * @type {Object.<string, Object>}
+ */
+export const MASTER_AUTOMATION_LANES = {
+    'volume': { label: 'Master Volume', target: 'fader.gain', min: 0, max: 1.5, default: 1, unit: '' }
+};
+
+/**
+ * Checks whether a lane has any points.
+ * @param {Object} automation - Lanes keyed by id (track.automation or state.masterAutomation).
+ * @param {string} laneId - Lane id.
+ * @returns {boolean}
+ */
+export function hasAutomation(automation, laneId) {
+    return !!automation && Array.isArray(automation[laneId]) && automation[laneId].length > 0;
+}
+
+/**
+ * Interpolates between two values along a segment shape.
+ * @param {string} curve - Key of AUTOMATION_CURVES.
+ * @param {number} from - Value at the segment start.
+ * @param {number} to - Value at the segment end.
+ * @param {number} t - Position in the segment (0-1).
+ * @returns {number} Value.
+ */
+export function interpolateAutomation(curve, from, to, t) {
+    if (curve === 'step') return from;
+    // Exponential needs two positive values (the same rule as exponentialRampToValueAtTime)
+    if (curve === 'exp' && from > 0 && to > 0) return from * Math.pow(to / from, t);
+    if (curve === 'smooth') t = t * t * (3 - 2 * t);
+    return from + (to - from) * t;
+}
+
+/**
+ * Gets the value of a lane at a step. At a breakpoint the point's own value applies.
+ * @param {Array<Object>} points - Sorted breakpoints.
+ * @param {number} step - Step position.
+ * @returns {number|null} Value, or null for an empty lane.
+ */
+export function getAutomationValue(points, step) {
+    if (!points || points.length === 0) return null;
+    if (step < points[0].step) return points[0].value;
+
+    let i = 0;
+    while (i + 1 < points.length && points[i + 1].step <= step) i++;
+    const prev = points[i];
+    const next = points[i + 1];
+    if (!next) return prev.value;
+    return interpolateAutomation(prev.curve, prev.value, next.value, (step - prev.step) / (next.step - prev.step));
+}
+
+/**
+ * Turns the part of a lane in a step range into AudioParam events:
+ * 'set' (setValueAtTime), 'linear' or 'exp' (ramps ending at the event).
+ * The range starts with a 'set' to the current value and ends on the value at `toStep`,
+ * so consecutive ranges join seamlessly. S-curves are approximated by short linear ramps.
+ * @param {Array<Object>} points - Sorted breakpoints.
+ * @param {number} fromStep - Range start.
+ * @param {number} toStep - Range end (finite).
+ * @returns {Array<Object>} Events { step, value, type } in time order.
+ */
+export function getAutomationEvents(points, fromStep, toStep) {
+    if (!points || points.length === 0 || !(toStep > fromStep)) return [];
+
+    const events = [{ step: fromStep, value: getAutomationValue(points, fromStep), type: 'set' }];
+    const stops = points.map(p => p.step).filter(s => s > fromStep && s < toStep);
+    stops.push(toStep);
+
+    let step = fromStep;
+    let value = events[0].value;
+    stops.forEach(stop => {
+        if (stop <= step) return;
+        // The segment [step, stop] never crosses a breakpoint
+        let i = -1;
+        while (i + 1 < points.length && points[i + 1].step <= step) i++;
+        const prev = points[i];
+        const next = points[i + 1];
+        // Approached from the left, so a jump (two points on one step) ramps to the first
+        const target = next && stop === next.step ? next.value : getAutomationValue(points, stop);
+
+        if (prev && next) {
+            if (prev.curve === 'step') {
+                if (stop === next.step) events.push({ step: stop, value: target, type: 'set' });
+            } else if (prev.curve === 'smooth') {
+                const pieces = Math.max(1, Math.ceil((stop - step) * 4));
+                for (let k = 1; k <= pieces; k++) {
+                    const s = step + (stop - step) * k / pieces;
+                    events.push({ step: s, value: k === pieces ? target : getAutomationValue(points, s), type: 'linear' });
+                }
+            } else {
+                const exp = prev.curve === 'exp' && value > 0 && target > 0;
+                events.push({ step: stop, value: target, type: exp ? 'exp' : 'linear' });
+            }
+        }
+        value = getAutomationValue(points, stop);
+        if (value !== target) events.push({ step: stop, value: value, type: 'set' });
+        step = stop;
+    });
+    return events;
+}
+
+/**
+ * Creates a breakpoint.
+ * @param {number} step - Step position.
+ * @param {number} value - Lane value.
+ * @param {string} [curve='linear'] - Shape of the segment after the point.
+ * @returns {Object} Breakpoint { step, value, curve }.
+ */
+export function createAutomationPoint(step, value, curve = 'linear') {
+    return { step: step, value: value, curve: curve };
+}
@@ -0,0 +1,533 @@
+/*
+ * SenseAudio - Visual Theory & Creative Studio
+ * Copyright (C) 2026 SensementMusic.com
+ *
+ * This file is part of SenseAudio (A Sensement Music Project).
+ *
+ * SenseAudio is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * SenseAudio is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with SenseAudio. If not, see <https://www.gnu.org/licenses/>.
+ *
+ * All branding, logos, and the name "Sensement Music" are properties of SensementMusic.com.
+ */
+
+import { TRACK_AUTOMATION_LANES, MASTER_AUTOMATION_LANES, AUTOMATION_CURVES, getAutomationValue, createAutomationPoint } from './AutomationDefs.js';
+
+/**
+ * Automation lanes under the piano roll. Shows the lanes of the active track that
+ * have points, the master lanes that have points, and the lane picked in the toolbar;
+ * the timeline follows the piano roll's zoom and scroll.
+ *
+ * Click to add a breakpoint, drag to move it (Shift: off the snap grid), double click
+ * or right click to delete it. The toolbar sets the curve of the selected point.
+ * Edits go through the undo history; `onChange` pushes them to the audio engine.
+ */
+export default class AutomationLanes {
+    /**
+     * Creates the lanes view.
+     * @param {string} containerId - The ID of the lanes panel (toggled by open/close).
+     * @param {Object} state - The global application state.
+     * @param {Object} renderer - The piano roll renderer (timeline geometry and scroll).
+     * @param {Object} history - The undo history.
+     * @param {Function} onChange - Called after an edit that adds or removes points.
+     */
+    constructor(containerId, state, renderer, history, onChange) {
+        this.container = document.getElementById(containerId);
+        this.canvas = document.getElementById('automationCanvas');
+        this.ctx = this.canvas.getContext('2d');
+        this.laneSelect = document.getElementById('automationLaneSelect');
+        this.curveSelect = document.getElementById('automationCurveSelect');
+        this.state = state;
+        this.renderer = renderer;
+        this.history = history;
+        this.onChange = onChange;
+
+        this.rowHeight = 56;
+        this.current = { owner: 'track', laneId: 'volume' }; // Lane picked in the toolbar
+        this.selected = null; // { owner, laneId, point } of the selected breakpoint
+        this.drag = null;
+        this.laneOptions = '';
+
+        Object.keys(AUTOMATION_CURVES).forEach(key => {
+            const opt = document.createElement('option');
+            opt.value = key;
+            opt.innerText = AUTOMATION_CURVES[key].label;
+            this.curveSelect.appendChild(opt);
+        });
+
+        this.laneSelect.addEventListener('change', () => {
+            const [owner, laneId] = this.laneSelect.value.split('|');
+            this.current = { owner, laneId };
+            this.selected = null;
+            this.draw();
+        });
+        this.curveSelect.addEventListener('change', () => this.setCurve(this.curveSelect.value));
+        document.getElementById('automationClearBtn').addEventListener('click', () => this.clearLane());
+
+        this.canvas.addEventListener('mousedown', (e) => this.onMouseDown(e));
+        this.canvas.addEventListener('dblclick', (e) => this.onDelete(e));
+        this.canvas.addEventListener('contextmenu', (e) => this.onDelete(e));
+    }
+
+    /**
+     * Shows the lanes.
+     */
+    open() {
+        this.container.style.display = 'flex';
+        this.draw();
+    }
+
+    /**
+     * Hides the lanes.
+     */
+    close() {
+        this.container.style.display = 'none';
+        this.drag = null;
+    }
+
+    /**
+     * @returns {boolean} True while the lanes are shown.
+     */
+    isOpen() {
+        return this.container.style.display !== 'none';
+    }
+
+    /**
+     * Gets the lanes object of an owner.
+     * @param {string} owner - 'track' (the active track) or 'master'.
+     * @param {boolean} [create=false] - Create a missing track automation object.
+     * @returns {Object|null} Lanes keyed by lane id.
+     */
+    getLanes(owner, create = false) {
+        if (owner === 'master') return this.state.masterAutomation;
+        const track = this.state.tracks[this.state.activeTrackIndex];
+        if (!track) return null;
+        if (!track.automation && create) track.automation = {};
+        return track.automation || null;
+    }
+
+    /**
+     * Gets the undo scope of an owner's lanes.
+     * @param {string} owner - 'track' or 'master'.
+     * @returns {Object} Scope for history.saveState.
+     */
+    getScope(owner) {
+        if (owner === 'master') return { song: ['masterAutomation'] };
+        const track = this.state.tracks[this.state.activeTrackIndex];
+        return track ? { tracks: [track.id] } : {};
+    }
+
+    /**
+     * Gets a lane definition.
+     * @param {string} owner - 'track' or 'master'.
+     * @param {string} laneId - Lane id.
+     * @returns {Object|undefined}
+     */
+    getDef(owner, laneId) {
+        return owner === 'master' ? MASTER_AUTOMATION_LANES[laneId] : TRACK_AUTOMATION_LANES[laneId];
+    }
+
+    /**
+     * Gets the value a lane replaces, drawn while the lane is empty.
+     * @param {string} owner - 'track' or 'master'.
+     * @param {string} laneId - Lane id.
+     * @returns {number}
+     */
+    getStaticValue(owner, laneId) {
+        const def = this.getDef(owner, laneId);
+        const track = this.state.tracks[this.state.activeTrackIndex];
+        if (owner === 'master' || !track) return def.default;
+        if (laneId === 'volume') return track.volume;
+        if (laneId === 'pan') return track.pan || 0;
+        if (laneId.indexOf('send:') === 0) return (track.sends && track.sends[laneId.slice(5)]) || 0;
+        return def.default;
+    }
+
+    /**
+     * Lists the rows to draw: lanes with points, plus the lane picked in the toolbar.
+     * @returns {Array<Object>} Rows { owner, laneId, def, points }.
+     */
+    getRows() {
+        const rows = [];
+        const add = (owner, defs) => {
+            const lanes = this.getLanes(owner) || {};
+            Object.keys(defs).forEach(laneId => {
+                const points = lanes[laneId] || [];
+                const isCurrent = this.current.owner === owner && this.current.laneId === laneId;
+                if (points.length > 0 || isCurrent) rows.push({ owner, laneId, def: defs[laneId], points });
+            });
+        };
+        add('track', TRACK_AUTOMATION_LANES);
+        add('master', MASTER_AUTOMATION_LANES);
+        return rows;
+    }
+
+    /**
+     * Converts a lane value to a 0-1 height (log lanes use a logarithmic scale).
+     * @param {Object} def - Lane definition.
+     * @param {number} value 
+     * @returns {number}
+     */
+    toNormal(def, value) {
+        if (def.log) return Math.log(value / def.min) / Math.log(def.max / def.min);
+        return (value - def.min) / (def.max - def.min);
+    }
+
+    /**
+     * Converts a 0-1 height back to a lane value.
+     * @param {Object} def - Lane definition.
+     * @param {number} normal 
+     * @returns {number}
+     */
+    fromNormal(def, normal) {
+        const n = Math.max(0, Math.min(1, normal));
+        if (def.log) return Math.round(def.min * Math.pow(def.max / def.min, n));
+        return Math.round((def.min + (def.max - def.min) * n) * 1000) / 1000;
+    }
+
+    /**
+     * Formats a lane value for display.
+     * @param {Object} def - Lane definition.
+     * @param {number} value 
+     * @returns {string}
+     */
+    formatValue(def, value) {
+        if (def.unit === 'Hz') return value >= 1000 ? (value / 1000).toFixed(1) + ' kHz' : Math.round(value) + ' Hz';
+        if (def.unit === 'dB') return value.toFixed(1) + ' dB';
+        if (def.min < 0) {
+            const p = Math.round(value * 100);
+            return p === 0 ? 'C' : (p < 0 ? `L${-p}` : `R${p}`);
+        }
+        return Math.round(value * 100) + '%';
+    }
+
+    /**
+     * Converts a song step to a canvas x position (same geometry as the piano roll).
+     * @param {number} step 
+     * @returns {number}
+     */
+    stepToX(step) {
+        const c = this.renderer.config;
+        return c.keyWidth + step * c.gridW - this.renderer.cachedScrollLeft;
+    }
+
+    /**
+     * Converts a canvas x position to a song step.
+     * @param {number} x 
+     * @returns {number}
+     */
+    xToStep(x) {
+        const c = this.renderer.config;
+        return Math.max(0, (x + this.renderer.cachedScrollLeft - c.keyWidth) / c.gridW);
+    }
+
+    /**
+     * Gets the y position of a value in a row.
+     * @param {Object} def - Lane definition.
+     * @param {number} value 
+     * @param {number} top - Row top.
+     * @returns {number}
+     */
+    valueToY(def, value, top) {
+        const pad = 6;
+        return top + pad + (1 - this.toNormal(def, value)) * (this.rowHeight - pad * 2);
+    }
+
+    /**
+     * Gets the value at a y position in a row.
+     * @param {Object} def - Lane definition.
+     * @param {number} y 
+     * @param {number} top - Row top.
+     * @returns {number}
+     */
+    yToValue(def, y, top) {
+        const pad = 6;
+        return this.fromNormal(def, 1 - (y - top - pad) / (this.rowHeight - pad * 2));
+    }
+
+    /**
+     * Rebuilds the lane picker when the lanes with points change (they are marked with ●).
+     */
+    updateToolbar() {
+        const group = (owner, title, defs) => {
+            const lanes = this.getLanes(owner) || {};
+            return `<optgroup label="${title}">` + Object.keys(defs).map(id => {
+                const used = lanes[id] && lanes[id].length > 0;
+                return `<option value="${owner}|${id}">${defs[id].label}${used ? ' ●' : ''}</option>`;
+            }).join('') + '</optgroup>';
+        };
+        const track = this.state.tracks[this.state.activeTrackIndex];
+        const html = group('track', track ? `Track: ${track.name}` : 'Track', TRACK_AUTOMATION_LANES) +
+            group('master', 'Master', MASTER_AUTOMATION_LANES);
+        if (html !== this.laneOptions) {
+            this.laneSelect.innerHTML = html;
+            this.laneOptions = html;
+        }
+        this.laneSelect.value = this.current.owner + '|' + this.current.laneId;
+
+        const point = this.getSelectedPoint();
+        this.curveSelect.disabled = !point;
+        this.curveSelect.value = point ? point.curve : 'linear';
+    }
+
+    /**
+     * Gets the selected breakpoint if it still exists (undo may have removed it).
+     * @returns {Object|null}
+     */
+    getSelectedPoint() {
+        if (!this.selected) return null;
+        const lanes = this.getLanes(this.selected.owner);
+        const points = lanes && lanes[this.selected.laneId];
+        return points && points.includes(this.selected.point) ? this.selected.point : null;
+    }
+
+    /**
+     * Draws the lanes (called with every piano roll redraw).
+     */
+    draw() {
+        if (!this.isOpen()) return;
+        this.updateToolbar();
+
+        const rows = this.getRows();
+        const width = this.renderer.mainCanvas.width;
+        const height = rows.length * this.rowHeight;
+        if (this.canvas.width !== width) this.canvas.width = width;
+        if (this.canvas.height !== height) this.canvas.height = height;
+
+        const ctx = this.ctx;
+        const c = this.renderer.config;
+        const track = this.state.tracks[this.state.activeTrackIndex];
+        ctx.fillStyle = '#161616';
+        ctx.fillRect(0, 0, width, height);
+
+        rows.forEach((row, i) => {
+            const top = i * this.rowHeight;
+            const isCurrent = row.owner === this.current.owner && row.laneId === this.current.laneId;
+            const color = row.owner === 'master' ? '#f1c40f' : ((track && track.color) || '#00d2d3');
+
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(c.keyWidth, top, width - c.keyWidth, this.rowHeight);
+            ctx.clip();
+
+            // Bar lines
+            ctx.strokeStyle = '#2a2a2a';
+            ctx.lineWidth = 1;
+            for (let bar = 0; bar <= this.state.totalBars; bar++) {
+                const x = Math.floor(this.stepToX(this.state.getBarStartStep(bar))) + 0.5;
+                if (x < c.keyWidth || x > width) continue;
+                ctx.beginPath();
+                ctx.moveTo(x, top);
+                ctx.lineTo(x, top + this.rowHeight);
+                ctx.stroke();
+            }
+
+            // Curve (sampled per pixel), or the static value as a dashed line
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            if (row.points.length === 0) {
+                const y = this.valueToY(row.def, this.getStaticValue(row.owner, row.laneId), top);
+                ctx.setLineDash([4, 4]);
+                ctx.globalAlpha = 0.5;
+                ctx.moveTo(c.keyWidth, y);
+                ctx.lineTo(width, y);
+            } else {
+                for (let x = c.keyWidth; x <= width; x += 2) {
+                    const y = this.valueToY(row.def, getAutomationValue(row.points, this.xToStep(x)), top);
+                    if (x === c.keyWidth) ctx.moveTo(x, y);
+                    else ctx.lineTo(x, y);
+                }
+            }
+            ctx.stroke();
+            ctx.setLineDash([]);
+            ctx.globalAlpha = 1;
+
+            // Breakpoints
+            const selected = this.getSelectedPoint();
+            row.points.forEach(p => {
+                const x = this.stepToX(p.step);
+                if (x < c.keyWidth - 6 || x > width + 6) return;
+                const y = this.valueToY(row.def, p.value, top);
+                ctx.fillStyle = p === selected ? '#fff' : color;
+                ctx.beginPath();
+                ctx.arc(x, y, p === selected ? 5 : 4, 0, Math.PI * 2);
+                ctx.fill();
+                if (p === selected) {
+                    ctx.fillStyle = '#ddd';
+                    ctx.font = '10px sans-serif';
+                    ctx.textAlign = x > width - 70 ? 'right' : 'left';
+                    ctx.fillText(this.formatValue(row.def, p.value), x + (ctx.textAlign === 'right' ? -8 : 8), Math.max(top + 12, y - 6));
+                }
+            });
+            ctx.restore();
+
+            // Lane header
+            ctx.fillStyle = isCurrent ? '#2d3436' : '#1e1e1e';
+            ctx.fillRect(0, top, c.keyWidth, this.rowHeight);
+            ctx.fillStyle = isCurrent ? '#fff' : '#999';
+            ctx.font = '9px sans-serif';
+            ctx.textAlign = 'left';
+            this.wrapLabel(row.def.label, c.keyWidth - 8).slice(0, 3).forEach((line, k) => {
+                ctx.fillText(line, 4, top + 14 + k * 11);
+            });
+            ctx.strokeStyle = '#000';
+            ctx.beginPath();
+            ctx.moveTo(0, top + this.rowHeight - 0.5);
+            ctx.lineTo(width, top + this.rowHeight - 0.5);
+            ctx.stroke();
+        });
+    }
+
+    /**
+     * Splits a lane label into lines that fit the header.
+     * @param {string} text 
+     * @param {number} maxWidth - In pixels.
+     * @returns {Array<string>}
+     */
+    wrapLabel(text, maxWidth) {
+        const lines = [];
+        text.split(' ').forEach(word => {
+            const last = lines[lines.length - 1];
+            if (last && this.ctx.measureText(last + ' ' + word).width <= maxWidth) lines[lines.length - 1] = last + ' ' + word;
+            else lines.push(word);
+        });
+        return lines;
+    }
+
+    /**
+     * Finds the row and breakpoint under the mouse.
+     * @param {MouseEvent} e 
+     * @returns {Object|null} { row, top, x, y, point } (point is null over empty space).
+     */
+    hitTest(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const x = e.clientX - rect.left;
+        const y = e.clientY - rect.top;
+        const rows = this.getRows();
+        const row = rows[Math.floor(y / this.rowHeight)];
+        if (!row) return null;
+        const top = rows.indexOf(row) * this.rowHeight;
+        const point = row.points.find(p => {
+            const dx = this.stepToX(p.step) - x;
+            const dy = this.valueToY(row.def, p.value, top) - y;
+            return dx * dx + dy * dy <= 49;
+        }) || null;
+        return { row, top, x, y, point };
+    }
+
+    /**
+     * Selects a lane, then adds or picks up a breakpoint.
+     * @param {MouseEvent} e 
+     */
+    onMouseDown(e) {
+        if (e.button !== 0) return;
+        const hit = this.hitTest(e);
+        if (!hit) return;
+        const { row, top } = hit;
+        this.current = { owner: row.owner, laneId: row.laneId };
+        if (hit.x < this.renderer.config.keyWidth) {
+            this.selected = null;
+            this.draw();
+            return;
+        }
+        e.preventDefault();
+
+        let point = hit.point;
+        let saved = false;
+        if (!point) {
+            const lanes = this.getLanes(row.owner, true);
+            if (!lanes) return;
+            this.history.saveState(`Add automation point: ${row.def.label}`, this.getScope(row.owner));
+            saved = true;
+            const step = e.shiftKey ? this.xToStep(hit.x) : this.state.snapStep(this.xToStep(hit.x), true);
+            point = createAutomationPoint(step, this.yToValue(row.def, hit.y, top));
+            // New points continue the curve of the point before them
+            const before = (lanes[row.laneId] || []).filter(p => p.step <= step).pop();
+            if (before) point.curve = before.curve;
+            lanes[row.laneId] = [...(lanes[row.laneId] || []), point].sort((a, b) => a.step - b.step);
+            this.onChange();
+        }
+        this.selected = { owner: row.owner, laneId: row.laneId, point };
+        this.draw();
+
+        const lanes = this.getLanes(row.owner);
+        const onMove = (ev) => {
+            const rect = this.canvas.getBoundingClientRect();
+            const points = lanes[row.laneId];
+            const index = points.indexOf(point);
+            if (index === -1) return;
+            if (!saved) {
+                this.history.saveState(`Move automation point: ${row.def.label}`, this.getScope(row.owner));
+                saved = true;
+            }
+            // A point stays between its neighbours
+            const exact = this.xToStep(ev.clientX - rect.left);
+            let step = ev.shiftKey ? exact : this.state.snapStep(exact, true);
+            if (index > 0) step = Math.max(points[index - 1].step, step);
+            if (index < points.length - 1) step = Math.min(points[index + 1].step, step);
+            point.step = this.state.roundTime(step);
+            point.value = this.yToValue(row.def, ev.clientY - rect.top, top);
+            this.draw();
+        };
+        const onUp = () => {
+            window.removeEventListener('mousemove', onMove);
+            window.removeEventListener('mouseup', onUp);
+        };
+        window.addEventListener('mousemove', onMove);
+        window.addEventListener('mouseup', onUp);
+    }
+
+    /**
+     * Deletes the breakpoint under the mouse (double click or right click).
+     * @param {MouseEvent} e 
+     */
+    onDelete(e) {
+        e.preventDefault();
+        const hit = this.hitTest(e);
+        if (!hit || !hit.point) return;
+        const lanes = this.getLanes(hit.row.owner);
+        this.history.saveState(`Delete automation point: ${hit.row.def.label}`, this.getScope(hit.row.owner));
+        lanes[hit.row.laneId] = lanes[hit.row.laneId].filter(p => p !== hit.point);
+        if (lanes[hit.row.laneId].length === 0) delete lanes[hit.row.laneId];
+        this.selected = null;
+        this.onChange();
+        this.draw();
+    }
+
+    /**
+     * Sets the curve of the selected breakpoint (the shape up to the next point).
+     * @param {string} curve - Key of AUTOMATION_CURVES.
+     */
+    setCurve(curve) {
+        const point = this.getSelectedPoint();
+        if (!point || point.curve === curve) return;
+        this.history.saveState(`Automation curve: ${AUTOMATION_CURVES[curve].label}`, this.getScope(this.selected.owner));
+        point.curve = curve;
+        this.draw();
+    }
+
+    /**
+     * Removes every point of the lane picked in the toolbar.
+     */
+    clearLane() {
+        const lanes = this.getLanes(this.current.owner);
+        const def = this.getDef(this.current.owner, this.current.laneId);
+        if (!lanes || !lanes[this.current.laneId]) return;
+        if (!confirm(`Remove all ${def.label} automation?`)) return;
+        this.history.saveState(`Clear automation: ${def.label}`, this.getScope(this.current.owner));
+        delete lanes[this.current.laneId];
+        this.selected = null;
+        this.onChange();
+        this.draw();
+    }
+}
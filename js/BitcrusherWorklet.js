@@ -0,0 +1,72 @@
+/*
+ * SenseAudio - Visual Theory & Creative Studio
+ * Copyright (C) 2026 SensementMusic.com
+ *
+ * This file is part of SenseAudio (A Sensement Music Project).
+ *
+ * SenseAudio is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * SenseAudio is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with SenseAudio. If not, see <https://www.gnu.org/licenses/>.
+ *
+ * All branding, logos, and the name "Sensement Music" are properties of SensementMusic.com.
+ */
+
+/**
+ * @fileoverview Audio worklet for the bitcrusher insert. Runs on the audio thread, in the
+ * live context and in every offline render that uses it (see AudioEngine.loadWorklets).
+ *
+ * Parameters: `bits` (quantisation depth) and `downsample` (hold every sample for
+ * that many frames, i.e. divide the sample rate).
+ */
+
+class BitcrusherProcessor extends AudioWorkletProcessor {
+    static get parameterDescriptors() {
+        return [
+            { name: 'bits', defaultValue: 8, minValue: 1, maxValue: 16, automationRate: 'k-rate' },
+            { name: 'downsample', defaultValue: 1, minValue: 1, maxValue: 64, automationRate: 'k-rate' }
+        ];
+    }
+
+    constructor() {
+        super();
+        this.held = [];
+        this.counter = [];
+    }
+
+    process(inputs, outputs, parameters) {
+        const input = inputs[0];
+        const output = outputs[0];
+        const levels = Math.pow(2, Math.round(parameters.bits[0]) - 1);
+        const hold = Math.max(1, Math.round(parameters.downsample[0]));
+
+        for (let ch = 0; ch < output.length; ch++) {
+            const src = input[ch] || input[0];
+            const dst = output[ch];
+            if (!src) {
+                dst.fill(0);
+                continue;
+            }
+            if (this.held[ch] === undefined) {
+                this.held[ch] = 0;
+                this.counter[ch] = 0;
+            }
+            for (let i = 0; i < dst.length; i++) {
+                if (this.counter[ch] === 0) this.held[ch] = Math.round(src[i] * levels) / levels;
+                this.counter[ch] = (this.counter[ch] + 1) % hold;
+                dst[i] = this.held[ch];
+            }
+        }
+        return true;
+    }
+}
+
+registerProcessor('bitcrusher', BitcrusherProcessor);
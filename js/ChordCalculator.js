@@ -20,6 +20,8 @@
  * All branding, logos, and the name "Sensement Music" are properties of SensementMusic.com.
  */
 
+import { CHORD_QUALITIES } from './ChordDefs.js';
+
 /**
  * Class representing the Chord Calculator module.
  * Handles UI interactions, chord calculations, and piano visualization.
@@ -58,64 +60,8 @@ export default class ChordCalculator {
         // Music data
         this.noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
 
-        // Chord definitions with musical descriptions (Vibe)
-        this.chordDefinitions = {
-            'Major': {
-                intervals: [0, 4, 7],
-                label: '',
-                desc: 'Happy, bright, and stable. The basis of pop music.'
-            },
-            'Minor': {
-                intervals: [0, 3, 7],
-                label: 'm',
-                desc: 'Sad, serious, or emotional. Good for storytelling.'
-            },
-            'Diminished': {
-                intervals: [0, 3, 6],
-                label: 'dim',
-                desc: 'Tense and scary. Wants to resolve to a Major chord.'
-            },
-            'Augmented': {
-                intervals: [0, 4, 8],
-                label: 'aug',
-                desc: 'Suspenseful, dreamlike, and floating. Unsettling.'
-            },
-            'Sus2': {
-                intervals: [0, 2, 7],
-                label: 'sus2',
-                desc: 'Open, airy, and hopeful. Neither happy nor sad.'
-            },
-            'Sus4': {
-                intervals: [0, 5, 7],
-                label: 'sus4',
-                desc: 'Tension seeking resolution (usually to Major).'
-            },
-            'Maj7': {
-                intervals: [0, 4, 7, 11],
-                label: 'maj7',
-                desc: 'Dreamy, romantic, jazzy, and nostalgic.'
-            },
-            'Min7': {
-                intervals: [0, 3, 7, 10],
-                label: 'm7',
-                desc: 'Soulful, smooth, and moody. Great for Lo-Fi/Jazz.'
-            },
-            'Dom7': {
-                intervals: [0, 4, 7, 10],
-                label: '7',
-                desc: 'Bluesy, funky, and strong tension. Leads to Tonic.'
-            },
-            'Dim7': {
-                intervals: [0, 3, 6, 9],
-                label: 'dim7',
-                desc: 'Very dramatic, intense, and unstable. Horror feel.'
-            },
-            'Min7b5': {
-                intervals: [0, 3, 6, 10],
-                label: 'm7b5',
-                desc: 'Dark, mysterious, and complex. Often used in Jazz.'
-            }
-        };
+        // Chord definitions with musical descriptions (Vibe), shared with the chord track
+        this.chordDefinitions = CHORD_QUALITIES;
 
         // Current state
         this.currentRoot = 0; // C
@@ -0,0 +1,155 @@
+/*
+ * SenseAudio - Visual Theory & Creative Studio
+ * Copyright (C) 2026 SensementMusic.com
+ *
+ * This file is part of SenseAudio (A Sensement Music Project).
+ *
+ * SenseAudio is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * SenseAudio is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with SenseAudio. If not, see <https://www.gnu.org/licenses/>.
+ *
+ * All branding, logos, and the name "Sensement Music" are properties of SensementMusic.com.
+ */
+
+/**
+ * @fileoverview Defines the chord quality vocabulary shared by the chord calculator,
+ * the chord track and the generators. Intervals are in semitones above the chord root.
+ */
+
+/**
+ * Chord qualities with their symbol suffix and a short musical description.
+ * @constant
+ * @type {Object.<string, Object>}
+ */
+export const CHORD_QUALITIES = {
+    // --- Triads ---
+    'Major': {
+        intervals: [0, 4, 7],
+        label: '',
+        desc: 'Happy, bright, and stable. The basis of pop music.'
+    },
+    'Minor': {
+        intervals: [0, 3, 7],
+        label: 'm',
+        desc: 'Sad, serious, or emotional. Good for storytelling.'
+    },
+    'Diminished': {
+        intervals: [0, 3, 6],
+        label: 'dim',
+        desc: 'Tense and scary. Wants to resolve to a Major chord.'
+    },
+    'Augmented': {
+        intervals: [0, 4, 8],
+        label: 'aug',
+        desc: 'Suspenseful, dreamlike, and floating. Unsettling.'
+    },
+    'Sus2': {
+        intervals: [0, 2, 7],
+        label: 'sus2',
+        desc: 'Open, airy, and hopeful. Neither happy nor sad.'
+    },
+    'Sus4': {
+        intervals: [0, 5, 7],
+        label: 'sus4',
+        desc: 'Tension seeking resolution (usually to Major).'
+    },
+
+    // --- Sevenths ---
+    'Maj7': {
+        intervals: [0, 4, 7, 11],
+        label: 'maj7',
+        desc: 'Dreamy, romantic, jazzy, and nostalgic.'
+    },
+    'Min7': {
+        intervals: [0, 3, 7, 10],
+        label: 'm7',
+        desc: 'Soulful, smooth, and moody. Great for Lo-Fi/Jazz.'
+    },
+    'Dom7': {
+        intervals: [0, 4, 7, 10],
+        label: '7',
+        desc: 'Bluesy, funky, and strong tension. Leads to Tonic.'
+    },
+    'Dim7': {
+        intervals: [0, 3, 6, 9],
+        label: 'dim7',
+        desc: 'Very dramatic, intense, and unstable. Horror feel.'
+    },
+    'Min7b5': {
+        intervals: [0, 3, 6, 10],
+        label: 'm7b5',
+        desc: 'Dark, mysterious, and complex. Often used in Jazz.'
+    },
+
+    // --- Extensions ---
+    'Power': {
+        intervals: [0, 7],
+        label: '5',
+        desc: 'Neither major nor minor. Heavy and driving (Rock/Metal).'
+    },
+    'Add9': {
+        intervals: [0, 4, 7, 14],
+        label: 'add9',
+        desc: 'Bright with a shimmer on top. Modern pop and worship.'
+    },
+    'Maj6': {
+        intervals: [0, 4, 7, 9],
+        label: '6',
+        desc: 'Sweet and vintage. Classic jazz and old-school pop.'
+    },
+    'Min6': {
+        intervals: [0, 3, 7, 9],
+        label: 'm6',
+        desc: 'Bittersweet, noir, and cinematic.'
+    },
+    'Dom7Sus4': {
+        intervals: [0, 5, 7, 10],
+        label: '7sus4',
+        desc: 'Soft dominant. Floating tension before resolving.'
+    },
+    'Maj9': {
+        intervals: [0, 4, 7, 11, 14],
+        label: 'maj9',
+        desc: 'Lush and glowing. Neo-soul and R&B.'
+    },
+    'Min9': {
+        intervals: [0, 3, 7, 10, 14],
+        label: 'm9',
+        desc: 'Warm, deep, and smooth. Lo-Fi staple.'
+    },
+    'Dom9': {
+        intervals: [0, 4, 7, 10, 14],
+        label: '9',
+        desc: 'Funky dominant with colour. Funk and blues.'
+    }
+};
+
+/**
+ * Short chord type names used by MusicBrain.chordDegrees, mapped to their quality.
+ * @constant
+ * @type {Object.<string, string>}
+ */
+export const CHORD_TYPE_ALIASES = {
+    'Dim': 'Diminished',
+    'Aug': 'Augmented'
+};
+
+/**
+ * Retrieves a chord quality by name (or chordDegrees type alias).
+ * If the quality is not found, it returns the 'Major' quality.
+ *
+ * @param {string} name - Quality name, e.g. 'Min7' or 'Dim'.
+ * @returns {Object} The quality definition { intervals, label, desc }.
+ */
+export function getChordQuality(name) {
+    return CHORD_QUALITIES[CHORD_TYPE_ALIASES[name] || name] || CHORD_QUALITIES['Major'];
+}
@@ -0,0 +1,43 @@
+/*
+ * SenseAudio - Visual Theory & Creative Studio
+ * Copyright (C) 2026 SensementMusic.com
+ *
+ * This file is part of SenseAudio (A Sensement Music Project).
+ *
+ * SenseAudio is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * SenseAudio is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with SenseAudio. If not, see <https://www.gnu.org/licenses/>.
+ *
+ * All branding, logos, and the name "Sensement Music" are properties of SensementMusic.com.
+ */
+
+/**
+ * @fileoverview Worker clock for the Transport. Timers in a worker keep their pace while
+ * the page is busy drawing or the tab is in the background, so the scheduler is woken
+ * up on time. The worker only keeps time; all scheduling happens in the Transport.
+ *
+ * Messages in: { type: 'start', interval } (milliseconds) and { type: 'stop' }.
+ * Messages out: 'tick'.
+ */
+
+let timerId = null;
+
+self.onmessage = (e) => {
+    const msg = e.data;
+    if (msg.type === 'start') {
+        if (timerId) clearInterval(timerId);
+        timerId = setInterval(() => self.postMessage('tick'), msg.interval);
+    } else if (msg.type === 'stop') {
+        if (timerId) clearInterval(timerId);
+        timerId = null;
+    }
+};
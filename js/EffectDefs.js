@@ -0,0 +1,328 @@
+/*
+ * SenseAudio - Visual Theory & Creative Studio
+ * Copyright (C) 2026 SensementMusic.com
+ *
+ * This file is part of SenseAudio (A Sensement Music Project).
+ *
+ * SenseAudio is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * SenseAudio is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with SenseAudio. If not, see <https://www.gnu.org/licenses/>.
+ *
+ * All branding, logos, and the name "Sensement Music" are properties of SensementMusic.com.
+ */
+
+/**
+ * @fileoverview Defines the track effects: the insert effects a track chains in order
+ * (`track.inserts`), the shared send/return effect buses and the reverb characters
+ * whose impulse responses the audio engine generates.
+ *
+ * Every track has a send level per bus (`track.sends`); the project stores the bus
+ * settings (`state.returns`). Live playback and the offline render build the same routing.
+ * A track can also be ducked by another track's notes (`track.sidechain`).
+ * The project's master section (`state.master`) sets up the master chain and the
+ * loudness the WAV export is normalised to.
+ */
+
+/**
+ * Insert effect types. Each parameter lists its range, step and default;
+ * `unit` is only used for display.
+ * @constant
+ * @type {Object.<string, Object>}
+ */
+export const INSERT_TYPES = {
+    'eq': {
+        label: 'EQ (3-Band)',
+        params: {
+            lowGain:  { label: 'Low', min: -15, max: 15, step: 0.5, default: 0, unit: 'dB' },
+            lowFreq:  { label: 'Low Freq', min: 40, max: 500, step: 5, default: 120, unit: 'Hz' },
+            midGain:  { label: 'Mid', min: -15, max: 15, step: 0.5, default: 0, unit: 'dB' },
+            midFreq:  { label: 'Mid Freq', min: 200, max: 8000, step: 10, default: 1000, unit: 'Hz' },
+            midQ:     { label: 'Mid Q', min: 0.3, max: 8, step: 0.1, default: 1, unit: '' },
+            highGain: { label: 'High', min: -15, max: 15, step: 0.5, default: 0, unit: 'dB' },
+            highFreq: { label: 'High Freq', min: 2000, max: 16000, step: 100, default: 8000, unit: 'Hz' }
+        }
+    },
+    'compressor': {
+        label: 'Compressor',
+        params: {
+            threshold: { label: 'Threshold', min: -60, max: 0, step: 1, default: -18, unit: 'dB' },
+            ratio:     { label: 'Ratio', min: 1, max: 20, step: 0.5, default: 4, unit: ':1' },
+            attack:    { label: 'Attack', min: 0.001, max: 0.2, step: 0.001, default: 0.01, unit: 's' },
+            release:   { label: 'Release', min: 0.02, max: 1, step: 0.01, default: 0.2, unit: 's' },
+            makeup:    { label: 'Makeup', min: 0, max: 24, step: 0.5, default: 4, unit: 'dB' }
+        }
+    },
+    'chorus': {
+        label: 'Chorus',
+        params: {
+            rate:  { label: 'Rate', min: 0.1, max: 5, step: 0.1, default: 0.8, unit: 'Hz' },
+            depth: { label: 'Depth', min: 0, max: 1, step: 0.05, default: 0.5, unit: '' },
+            mix:   { label: 'Mix', min: 0, max: 1, step: 0.05, default: 0.5, unit: '' }
+        }
+    },
+    'phaser': {
+        label: 'Phaser',
+        params: {
+            rate:     { label: 'Rate', min: 0.05, max: 5, step: 0.05, default: 0.5, unit: 'Hz' },
+            depth:    { label: 'Depth', min: 0, max: 1, step: 0.05, default: 0.7, unit: '' },
+            feedback: { label: 'Feedback', min: 0, max: 0.9, step: 0.05, default: 0.4, unit: '' },
+            mix:      { label: 'Mix', min: 0, max: 1, step: 0.05, default: 0.5, unit: '' }
+        }
+    },
+    'bitcrusher': {
+        // Bit depth and sample rate reduction, plus vinyl hiss and crackle
+        label: 'Bitcrusher / Lo-Fi',
+        params: {
+            bits:       { label: 'Bits', min: 2, max: 16, step: 1, default: 8, unit: '' },
+            downsample: { label: 'Downsample', min: 1, max: 32, step: 1, default: 4, unit: 'x' },
+            noise:      { label: 'Vinyl', min: 0, max: 1, step: 0.05, default: 0, unit: '' },
+            mix:        { label: 'Mix', min: 0, max: 1, step: 0.05, default: 1, unit: '' }
+        }
+    },
+    'tremolo': {
+        label: 'Tremolo',
+        params: {
+            rate:  { label: 'Rate', min: 0.5, max: 15, step: 0.5, default: 5, unit: 'Hz' },
+            depth: { label: 'Depth', min: 0, max: 1, step: 0.05, default: 0.5, unit: '' }
+        }
+    }
+};
+
+/**
+ * Creates an insert effect with default parameters.
+ * @param {string} type - Key of INSERT_TYPES.
+ * @param {Object} [params={}] - Parameters to override.
+ * @returns {Object} Insert { id, type, enabled, params }.
+ */
+export function createInsert(type, params = {}) {
+    const def = INSERT_TYPES[type];
+    if (!def) throw new Error(`Unknown insert effect "${type}".`);
+    const values = {};
+    Object.keys(def.params).forEach(key => {
+        values[key] = params[key] !== undefined ? params[key] : def.params[key].default;
+    });
+    return { id: 'ins_' + Math.random().toString(36).substr(2, 9), type: type, enabled: true, params: values };
+}
+
+/**
+ * The return buses, in mixer order.
+ * @constant
+ * @type {Array<Object>}
+ */
+export const RETURN_BUSES = [
+    { id: 'reverbA', label: 'Reverb A', type: 'reverb' },
+    { id: 'reverbB', label: 'Reverb B', type: 'reverb' },
+    { id: 'delay', label: 'Delay', type: 'delay' }
+];
+
+/**
+ * Reverb characters. `decay` is the RT60 in seconds, `length` the impulse length,
+ * `preDelay` the gap before the tail; the tail darkens from `brightHz` to `darkHz`.
+ * `early` lists early reflections as [seconds, gain].
+ * @constant
+ * @type {Object.<string, Object>}
+ */
+export const REVERB_TYPES = {
+    'room': {
+        label: 'Room',
+        decay: 0.7,
+        length: 1.0,
+        preDelay: 0.004,
+        brightHz: 9000,
+        darkHz: 2500,
+        early: [[0.007, 0.6], [0.011, 0.45], [0.017, 0.35], [0.023, 0.25]]
+    },
+    'hall': {
+        label: 'Hall',
+        decay: 2.6,
+        length: 3.2,
+        preDelay: 0.025,
+        brightHz: 7000,
+        darkHz: 1500,
+        early: [[0.031, 0.4], [0.043, 0.3], [0.058, 0.2], [0.071, 0.15]]
+    },
+    'plate': {
+        // Dense from the start, bright and without distinct reflections
+        label: 'Plate',
+        decay: 1.6,
+        length: 2.0,
+        preDelay: 0,
+        brightHz: 12000,
+        darkHz: 5000,
+        early: []
+    }
+};
+
+/**
+ * Delay times as note values at the song tempo (same notation as the snap grid).
+ * @constant
+ * @type {Array<string>}
+ */
+export const DELAY_TIMES = ['1/4', '1/8.', '1/8', '1/8T', '1/16'];
+
+/**
+ * Creates the return bus settings of a new project.
+ * @returns {Object} Settings keyed by bus id.
+ */
+export function getDefaultReturns() {
+    return {
+        reverbA: { character: 'room', level: 1 },
+        reverbB: { character: 'hall', level: 1 },
+        delay: { time: '1/8.', feedback: 0.35, level: 1 }
+    };
+}
+
+/**
+ * Gets the send levels a preset starts with. Presets describe their ambience with
+ * `reverbMix` (sent to Reverb A) and `delayMix`.
+ * @param {Object} settings - Instrument settings.
+ * @returns {Object} Send levels keyed by bus id (0-1).
+ */
+export function getDefaultSends(settings) {
+    return {
+        reverbA: (settings && settings.reverbMix) || 0,
+        reverbB: 0,
+        delay: (settings && settings.delayMix) || 0
+    };
+}
+
+/**
+ * Describes a return bus with its current setting, e.g. "Reverb B · Hall" or "Delay · 1/8.".
+ * @param {Object} def - Entry of RETURN_BUSES.
+ * @param {Object} settings - The bus settings from state.returns.
+ * @returns {string} Label.
+ */
+export function getReturnLabel(def, settings) {
+    if (!settings) return def.label;
+    if (def.type === 'reverb') {
+        const type = REVERB_TYPES[settings.character];
+        return `${def.label} · ${type ? type.label : settings.character}`;
+    }
+    return `${def.label} · ${settings.time}`;
+}
+
+/**
+ * Sidechain ducking parameters: how far the track dips (`amount`, 0-1) and how fast
+ * it dips and recovers. The dip follows the source track's notes, so it is sample-exact
+ * and identical in live playback and the offline render.
+ * @constant
+ * @type {Object.<string, Object>}
+ */
+export const SIDECHAIN_PARAMS = {
+    amount:  { label: 'Amount', min: 0, max: 1, step: 0.05, default: 0.6, unit: '' },
+    attack:  { label: 'Attack', min: 0.001, max: 0.1, step: 0.001, default: 0.005, unit: 's' },
+    release: { label: 'Release', min: 0.02, max: 1, step: 0.01, default: 0.2, unit: 's' }
+};
+
+/**
+ * Which notes of a drum source trigger the ducking. Other sources always trigger on every note.
+ * @constant
+ * @type {Object.<string, Object>}
+ */
+export const SIDECHAIN_TRIGGERS = {
+    'kick': { label: 'Kick only', midis: [35, 36] },
+    'all': { label: 'All hits', midis: null }
+};
+
+/**
+ * Creates a sidechain setting with defaults.
+ * @param {string} source - Id of the track that triggers the ducking.
+ * @param {Object} [params={}] - Values to override (trigger, amount, attack, release).
+ * @returns {Object} Sidechain { source, trigger, amount, attack, release }.
+ */
+export function createSidechain(source, params = {}) {
+    const sidechain = { source: source, trigger: params.trigger || 'kick' };
+    Object.keys(SIDECHAIN_PARAMS).forEach(key => {
+        sidechain[key] = params[key] !== undefined ? params[key] : SIDECHAIN_PARAMS[key].default;
+    });
+    return sidechain;
+}
+
+/**
+ * Checks whether a source note triggers the ducking.
+ * @param {Object} sidechain - The ducked track's sidechain setting.
+ * @param {number} midi - Note number of the source note.
+ * @param {string} sourceType - Type of the source track ('DRUMS' or 'SYNTH').
+ * @returns {boolean}
+ */
+export function isSidechainTrigger(sidechain, midi, sourceType) {
+    if (sourceType !== 'DRUMS') return true;
+    const trigger = SIDECHAIN_TRIGGERS[sidechain.trigger];
+    return !trigger || !trigger.midis || trigger.midis.includes(midi);
+}
+
+/**
+ * The adjustable sections of the master chain, in signal order (see GraphDefs.MASTER_GRAPH).
+ * Parameters use the same format as INSERT_TYPES; each section can be bypassed.
+ * @constant
+ * @type {Object.<string, Object>}
+ */
+export const MASTER_SECTIONS = {
+    'eq': {
+        label: 'Master EQ',
+        params: {
+            lowGain:  { label: 'Low', min: -12, max: 12, step: 0.5, default: 0, unit: 'dB' },
+            midGain:  { label: 'Mid', min: -12, max: 12, step: 0.5, default: 0, unit: 'dB' },
+            midFreq:  { label: 'Mid Freq', min: 200, max: 8000, step: 10, default: 1000, unit: 'Hz' },
+            highGain: { label: 'High', min: -12, max: 12, step: 0.5, default: 0, unit: 'dB' }
+        }
+    },
+    'compressor': {
+        label: 'Glue Compressor',
+        params: {
+            threshold: { label: 'Threshold', min: -40, max: 0, step: 1, default: -10, unit: 'dB' },
+            ratio:     { label: 'Ratio', min: 1, max: 10, step: 0.5, default: 2, unit: ':1' },
+            attack:    { label: 'Attack', min: 0.001, max: 0.1, step: 0.001, default: 0.005, unit: 's' },
+            release:   { label: 'Release', min: 0.02, max: 1, step: 0.01, default: 0.15, unit: 's' },
+            makeup:    { label: 'Makeup', min: 0, max: 12, step: 0.5, default: 0, unit: 'dB' }
+        }
+    },
+    'limiter': {
+        // Catches peaks between samples too, so the export never exceeds the ceiling
+        label: 'True-Peak Limiter',
+        params: {
+            ceiling: { label: 'Ceiling', min: -6, max: 0, step: 0.1, default: -1, unit: 'dBTP' },
+            release: { label: 'Release', min: 0.01, max: 0.5, step: 0.01, default: 0.08, unit: 's' }
+        }
+    }
+};
+
+/**
+ * Loudness targets the WAV export is normalised to (integrated loudness, ITU-R BS.1770).
+ * `lufs: null` exports the master as heard.
+ * @constant
+ * @type {Object.<string, Object>}
+ */
+export const LOUDNESS_TARGETS = {
+    'off': { label: 'Off (as heard)', lufs: null },
+    'streaming': { label: 'Streaming (-14 LUFS)', lufs: -14 },
+    'apple': { label: 'Apple Music (-16 LUFS)', lufs: -16 },
+    'club': { label: 'Club (-9 LUFS)', lufs: -9 },
+    'broadcast': { label: 'Broadcast (-23 LUFS)', lufs: -23 }
+};
+
+/**
+ * Creates the master section settings of a new project: every section on with its
+ * defaults, and exports normalised for streaming.
+ * @returns {Object} { eq, compressor, limiter } (each { enabled, ...params }) and `loudness` (key of LOUDNESS_TARGETS).
+ */
+export function getDefaultMaster() {
+    const master = { loudness: 'streaming' };
+    Object.keys(MASTER_SECTIONS).forEach(id => {
+        const section = { enabled: true };
+        Object.keys(MASTER_SECTIONS[id].params).forEach(key => {
+            section[key] = MASTER_SECTIONS[id].params[key].default;
+        });
+        master[id] = section;
+    });
+    return master;
+}
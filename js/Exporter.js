@@ -20,6 +20,9 @@
  * All branding, logos, and the name "Sensement Music" are properties of SensementMusic.com.
  */
 
+import LoudnessMeter from './LoudnessMeter.js';
+import { LOUDNESS_TARGETS } from './EffectDefs.js';
+
 /**
  * Handles exporting project data to various formats (JSON, MIDI, WAV).
  */
@@ -105,8 +108,8 @@ export default class Exporter {
 
             const trackName = this.state.tracks[trackIndex].name.replace(/\s+/g, '_');
             
-            // Render offline
-            const buffer = await this.audioEngine.renderOffline(this.state);
+            // Render offline (not loudness-normalised, so stems keep their level in the mix)
+            const buffer = await this.audioEngine.renderOffline(this.state, { normalize: false });
             
             // Convert buffer to WAV
             const wavData = this.bufferToWave(buffer, buffer.length);
@@ -126,12 +129,15 @@ export default class Exporter {
     }
 
     /**
-     * Exports the full project mix as a WAV audio file.
+     * Exports the full project mix as a WAV audio file. The render is measured first and
+     * its loudness report shown; the file is saved once the user confirms.
      */
     async exportWav() {
         if (!this.audioEngine) return;
         try {
             const buffer = await this.audioEngine.renderOffline(this.state);
+            const report = new LoudnessMeter(buffer.sampleRate).measure(buffer);
+            if (!confirm(this.formatLoudnessReport(report) + "\n\nSave the WAV file?")) return;
             const wavData = this.bufferToWave(buffer, buffer.length);
             this.downloadBlob(wavData, `song_${Date.now()}.wav`, "audio/wav");
         } catch (err) {
@@ -140,6 +146,33 @@ export default class Exporter {
         }
     }
 
+    /**
+     * Describes the loudness of a render for the export dialog.
+     * @param {Object} report - Result of LoudnessMeter.measure().
+     * @returns {string}
+     */
+    formatLoudnessReport(report) {
+        const format = (value, unit) => isFinite(value) ? `${value.toFixed(1)} ${unit}` : 'silent';
+        const target = LOUDNESS_TARGETS[(this.state.master || {}).loudness];
+        const lufs = target ? target.lufs : null;
+
+        const lines = [
+            "Loudness report",
+            `Integrated: ${format(report.integrated, 'LUFS')}${lufs !== null ? ` (target ${lufs} LUFS)` : ''}`,
+            `Short-term max: ${format(report.shortTermMax, 'LUFS')}`,
+            `True peak: ${format(report.truePeak, 'dBTP')}`,
+            `Sample peak: ${format(report.samplePeak, 'dBFS')}`,
+            `RMS: ${format(report.rms, 'dBFS')}`
+        ];
+        if (lufs !== null && isFinite(report.integrated) && report.integrated < lufs - 1) {
+            lines.push("", "⚠️ The render stayed below the target: the limiter holds the level back (or the song is very quiet). Lower the target or add level with the glue compressor's makeup gain.");
+        }
+        if (report.truePeak > 0) {
+            lines.push("", "⚠️ The true peak is above 0 dBTP, so the file will clip. Turn on the master limiter or lower the master volume.");
+        }
+        return lines.join("\n");
+    }
+
     // ============================================================
     // 🌊 WAV ENCODER (FIXED & OPTIMIZED)
     // ============================================================
@@ -210,6 +243,64 @@ export default class Exporter {
     // 🎹 MIDI ENCODER LOGIC
     // ============================================================
 
+    /**
+     * Builds the tempo (FF 51) and time signature (FF 58) meta events of the tempo/meter map.
+     * Tempo ramps are written as one tempo event per quarter note, each holding the average
+     * tempo of that quarter so note positions in seconds match playback exactly.
+     * @param {number} ticksPerStep - MIDI ticks per grid step.
+     * @returns {Array} Events { tick, meta }.
+     */
+    buildTimelineEvents(ticksPerStep) {
+        const state = this.state;
+        const tempoMap = state.tempoMap;
+        const stepsPerQuarter = state.getStepsPerQuarter();
+        const events = [];
+
+        const pushTempo = (step, secondsPerQuarter) => {
+            const micros = Math.min(0xFFFFFF, Math.round(secondsPerQuarter * 1000000));
+            events.push({
+                tick: Math.round(step * ticksPerStep),
+                meta: [0xFF, 0x51, 0x03, (micros >> 16) & 0xFF, (micros >> 8) & 0xFF, micros & 0xFF]
+            });
+        };
+
+        tempoMap.getSegments().forEach(seg => {
+            if (seg.startBpm === seg.endBpm || !isFinite(seg.endStep)) {
+                pushTempo(seg.startStep, 60 / seg.startBpm);
+                return;
+            }
+            for (let step = seg.startStep; step < seg.endStep; step += stepsPerQuarter) {
+                const end = Math.min(seg.endStep, step + stepsPerQuarter);
+                const quarters = (end - step) / stepsPerQuarter;
+                pushTempo(step, tempoMap.spanToSeconds(step, end - step) / quarters);
+            }
+        });
+
+        events.push({ tick: 0, meta: this.buildTimeSignatureEvent(state.timeNumerator, state.timeDenominator) });
+        state.meterChanges.forEach(m => {
+            events.push({
+                tick: Math.round(state.getBarStartStep(m.bar) * ticksPerStep),
+                meta: this.buildTimeSignatureEvent(m.numerator, m.denominator)
+            });
+        });
+
+        return events;
+    }
+
+    /**
+     * Builds a Time Signature meta event (FF 58), without the delta time.
+     * @param {number} numerator - Beats per bar.
+     * @param {number} denominator - Beat unit (power of two).
+     * @returns {Array<number>} Event bytes.
+     */
+    buildTimeSignatureEvent(numerator, denominator) {
+        const denomPower = Math.round(Math.log2(denominator));
+        // Metronome click in MIDI clocks (24 per quarter): dotted quarter for compound meters
+        const isCompound = denominator === 8 && numerator > 3 && numerator % 3 === 0;
+        const clocksPerClick = isCompound ? 36 : Math.round(24 * 4 / denominator);
+        return [0xFF, 0x58, 0x04, numerator & 0xFF, denomPower, clocksPerClick, 8];
+    }
+
     /**
      * Builds a MIDI file byte array from a list of tracks.
      * @param {Array} tracks - List of track objects containing notes.
@@ -217,9 +308,10 @@ export default class Exporter {
      * @returns {Uint8Array} The complete MIDI file as a byte array.
      */
     buildMidiFile(tracks, format = 1) {
-        const TICKS_PER_BEAT = 480; 
-        const stepsPerBeat = this.state.stepsPerBar / 4; 
+        const TICKS_PER_BEAT = 960; // Fine enough for off-grid timing and 1/64 triplets
+        const stepsPerBeat = this.state.getStepsPerQuarter(); // MIDI ticks are counted per quarter note
         const ticksPerStep = TICKS_PER_BEAT / stepsPerBeat;
+        const timelineEvents = this.buildTimelineEvents(ticksPerStep);
 
         const header = [
             0x4D, 0x54, 0x68, 0x64, 
@@ -253,34 +345,33 @@ export default class Exporter {
             const noteOffStatus = 0x80 | channel;
 
             track.notes.forEach(note => {
-                const startTick = Math.round(note.time * ticksPerStep);
-                const endTick = Math.round((note.time + note.duration) * ticksPerStep);
-                const velocity = Math.floor((note.velocity || 0.8) * 127);
+                // The groove is written into the file as shifted ticks and accents
+                const playStep = this.state.grooveMap.getPlayStep(note, track);
+                const startTick = Math.round(playStep * ticksPerStep);
+                const endTick = Math.round((playStep + note.duration) * ticksPerStep);
+                const velocity = Math.max(1, Math.floor(this.state.grooveMap.getPlayVelocity({ ...note, velocity: note.velocity || 0.8 }, track) * 127));
 
                 // Use dynamic status instead of fixed 0x90
                 trackEvents.push({ tick: startTick, type: noteOnStatus, note: note.midi, velocity: velocity });
                 trackEvents.push({ tick: endTick, type: noteOffStatus, note: note.midi, velocity: 0 });
             });
 
-            trackEvents.sort((a, b) => a.tick - b.tick);
+            // Tempo and time signature meta events go first at equal ticks
+            trackEvents.push(...timelineEvents);
+            trackEvents.sort((a, b) => (a.tick - b.tick) || ((b.meta ? 1 : 0) - (a.meta ? 1 : 0)));
 
             let trackBytes = [];
             trackBytes.push(0, 0xFF, 0x03);
             const nameBytes = this.stringToBytes(track.name || "Untitled");
             trackBytes.push(nameBytes.length, ...nameBytes);
 
-            if (this.state.bpm) {
-                const micros = Math.round(60000000 / this.state.bpm);
-                trackBytes.push(0, 0xFF, 0x51, 0x03);
-                trackBytes.push((micros >> 16) & 0xFF, (micros >> 8) & 0xFF, micros & 0xFF);
-            }
-
             let lastTick = 0;
             trackEvents.forEach(event => {
                 const delta = event.tick - lastTick;
                 lastTick = event.tick;
                 trackBytes.push(...this.toVLQ(delta));
-                trackBytes.push(event.type, event.note, event.velocity);
+                if (event.meta) trackBytes.push(...event.meta);
+                else trackBytes.push(event.type, event.note, event.velocity);
             });
 
             trackBytes.push(0, 0xFF, 0x2F, 0x00);
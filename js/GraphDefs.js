@@ -0,0 +1,216 @@
+/*
+ * SenseAudio - Visual Theory & Creative Studio
+ * Copyright (C) 2026 SensementMusic.com
+ *
+ * This file is part of SenseAudio (A Sensement Music Project).
+ *
+ * SenseAudio is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * SenseAudio is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with SenseAudio. If not, see <https://www.gnu.org/licenses/>.
+ *
+ * All branding, logos, and the name "Sensement Music" are properties of SensementMusic.com.
+ */
+
+import { RETURN_BUSES, getDefaultMaster } from './EffectDefs.js';
+
+/**
+ * @fileoverview Declares the audio graphs of a track and of the master chain. The audio
+ * engine builds live buses and offline renders from these same definitions, so a WAV
+ * export goes through exactly the processing that was heard.
+ *
+ * A graph lists its nodes and connections. A node has a `type`, optional `props` (node
+ * attributes such as a filter type) and `params` (AudioParam values); either may be a
+ * function of the graph settings, re-evaluated whenever the settings change. `glide` is
+ * the time constant live changes use (offline values are set directly).
+ * A connection is [from, to, output, input]; a target starting with '@' is an external
+ * node passed in by the engine ('@output', '@return:<bus id>').
+ * A 'worklet' node runs an audio worklet `processor`; contexts without worklets build
+ * its `fallback` definition instead.
+ */
+
+/**
+ * Converts decibels to a linear gain.
+ * @param {number} db 
+ * @returns {number}
+ */
+function dbToGain(db) {
+    return Math.pow(10, db / 20);
+}
+
+/**
+ * Distortion curves by amount, shared by every graph.
+ * @type {Map<number, Float32Array>}
+ */
+const distortionCurves = new Map();
+
+/**
+ * Gets the wave shaper curve for a distortion amount.
+ * @param {number} k - Distortion amount.
+ * @returns {Float32Array}
+ */
+export function getDistortionCurve(k) {
+    if (distortionCurves.has(k)) return distortionCurves.get(k);
+    const n = 44100;
+    const c = new Float32Array(n);
+    const deg = Math.PI / 180;
+    for (let i = 0; i < n; ++i) {
+        const x = i * 2 / n - 1;
+        c[i] = (3 + k) * x * 20 * deg / (Math.PI + k * Math.abs(x));
+    }
+    distortionCurves.set(k, c);
+    return c;
+}
+
+/**
+ * The graph of one track. Notes enter at `input` (the mute), pass the distortion stage,
+ * the insert chain (built by the engine from `inserts` to `strip`), then the strip:
+ * the automation filter, the fader (`level`), sidechain ducking, width and pan.
+ * Post-fader sends feed the shared return buses.
+ * Settings: see getTrackGraphSettings().
+ * @constant
+ * @type {Object}
+ */
+export const TRACK_GRAPH = {
+    nodes: {
+        'input': { type: 'gain', params: { gain: s => s.audible ? 1 : 0 } },
+        'drive': { type: 'gain', glide: 0.1, params: { gain: s => s.distortion > 0 ? 5 : 0 } },
+        'shaper': { type: 'waveShaper', props: { curve: s => getDistortionCurve(s.distortion) } },
+        'cab': { type: 'biquad', props: { type: 'lowpass' }, params: { frequency: 4000 } },
+        'wet': { type: 'gain', glide: 0.1, params: { gain: s => s.distortion > 0 ? 0.3 : 0 } },
+        'dry': { type: 'gain', glide: 0.1, params: { gain: s => s.distortion > 0 ? 0.2 : 1 } },
+        'inserts': { type: 'gain' },
+        // Forced to stereo so mono sources are spread to both sides before the width stage
+        'strip': { type: 'gain', props: { channelCount: 2, channelCountMode: 'explicit' } },
+        // Driven by the cutoff/resonance lanes; fully open otherwise
+        'filter': { type: 'biquad', props: { type: 'lowpass' }, params: { frequency: 20000, Q: 0 } },
+        'level': { type: 'gain', params: { gain: s => s.volume } },
+        // Dipped by sidechain ducking; sits before the sends, so the effect returns duck too
+        'duck': { type: 'gain' },
+        // L' = L * (1 + w) / 2 + R * (1 - w) / 2, and mirrored for R'
+        'splitter': { type: 'splitter', channels: 2 },
+        'directL': { type: 'gain', params: { gain: s => (1 + s.width) / 2 } },
+        'crossL': { type: 'gain', params: { gain: s => (1 - s.width) / 2 } },
+        'directR': { type: 'gain', params: { gain: s => (1 + s.width) / 2 } },
+        'crossR': { type: 'gain', params: { gain: s => (1 - s.width) / 2 } },
+        'merger': { type: 'merger', channels: 2 },
+        'panner': { type: 'panner', params: { pan: s => s.pan } }
+    },
+    connections: [
+        ['input', 'drive'], ['drive', 'shaper'], ['shaper', 'cab'], ['cab', 'wet'], ['wet', 'inserts'],
+        ['input', 'dry'], ['dry', 'inserts'],
+        ['strip', 'filter'], ['filter', 'level'], ['level', 'duck'], ['duck', 'splitter'],
+        ['splitter', 'directL', 0], ['splitter', 'crossL', 0], ['splitter', 'directR', 1], ['splitter', 'crossR', 1],
+        ['directL', 'merger', 0, 0], ['crossR', 'merger', 0, 0], ['directR', 'merger', 0, 1], ['crossL', 'merger', 0, 1],
+        ['merger', 'panner'], ['panner', '@output']
+    ]
+};
+RETURN_BUSES.forEach(def => {
+    const send = 'send:' + def.id;
+    TRACK_GRAPH.nodes[send] = { type: 'gain', params: { gain: s => s.sends[def.id] || 0 } };
+    TRACK_GRAPH.connections.push(['panner', send], [send, '@return:' + def.id]);
+});
+
+/**
+ * The master chain: gain staging, the master EQ, the glue compressor with makeup gain,
+ * the cleaning filters, the master fader (driven by the master volume lane), the export
+ * loudness gain, then the true-peak limiter. Tracks, return buses and the drum preview
+ * bus all feed `input`. Bypassed sections stay in place with neutral values.
+ * Settings: see getMasterGraphSettings().
+ * @constant
+ * @type {Object}
+ */
+export const MASTER_GRAPH = {
+    nodes: {
+        'input': { type: 'gain', params: { gain: 0.4 } },
+        'eqLow': {
+            type: 'biquad', props: { type: 'lowshelf' },
+            params: { frequency: 120, gain: s => s.eq.enabled ? s.eq.lowGain : 0 }
+        },
+        'eqMid': {
+            type: 'biquad', props: { type: 'peaking' },
+            params: { frequency: s => s.eq.midFreq, Q: 0.8, gain: s => s.eq.enabled ? s.eq.midGain : 0 }
+        },
+        'eqHigh': {
+            type: 'biquad', props: { type: 'highshelf' },
+            params: { frequency: 8000, gain: s => s.eq.enabled ? s.eq.highGain : 0 }
+        },
+        'compressor': {
+            type: 'compressor',
+            params: {
+                threshold: s => s.compressor.enabled ? s.compressor.threshold : 0,
+                knee: 40,
+                ratio: s => s.compressor.enabled ? s.compressor.ratio : 1,
+                attack: s => s.compressor.attack,
+                release: s => s.compressor.release
+            }
+        },
+        'makeup': { type: 'gain', params: { gain: s => s.compressor.enabled ? dbToGain(s.compressor.makeup) : 1 } },
+        'lowCut': { type: 'biquad', props: { type: 'highpass', channelCount: 2, channelCountMode: 'explicit' }, params: { frequency: 30, Q: 0 } },
+        'highCut': { type: 'biquad', props: { type: 'lowpass', channelCount: 2, channelCountMode: 'explicit' }, params: { frequency: 18000, Q: 0 } },
+        'fader': { type: 'gain' },
+        'loudness': { type: 'gain', params: { gain: s => s.loudnessGain } },
+        'limiter': {
+            type: 'worklet', processor: 'true-peak-limiter', channels: 2,
+            params: {
+                ceiling: s => dbToGain(s.limiter.ceiling),
+                release: s => s.limiter.release,
+                enabled: s => s.limiter.enabled ? 1 : 0
+            },
+            // Without worklets: a fast compressor at the ceiling (sample peaks only)
+            fallback: {
+                type: 'compressor',
+                params: {
+                    threshold: s => s.limiter.enabled ? s.limiter.ceiling : 0,
+                    knee: 0,
+                    ratio: s => s.limiter.enabled ? 20 : 1,
+                    attack: 0.001,
+                    release: s => s.limiter.release
+                }
+            }
+        }
+    },
+    connections: [
+        ['input', 'eqLow'], ['eqLow', 'eqMid'], ['eqMid', 'eqHigh'], ['eqHigh', 'compressor'], ['compressor', 'makeup'],
+        ['makeup', 'lowCut'], ['lowCut', 'highCut'], ['highCut', 'fader'], ['fader', 'loudness'], ['loudness', 'limiter'],
+        ['limiter', '@output']
+    ]
+};
+
+/**
+ * Gets the settings a track's graph is built from.
+ * @param {Object} track - The track.
+ * @param {boolean} [audible=true] - False when muted (or not soloed while others are).
+ * @returns {Object} { audible, distortion, volume, pan, width, sends }.
+ */
+export function getTrackGraphSettings(track, audible = true) {
+    const synth = track.synthSettings || {};
+    const width = track.width === undefined ? 1 : track.width;
+    return {
+        audible: audible,
+        distortion: synth.distortion > 0 ? synth.distortion : 0,
+        volume: track.volume !== undefined ? track.volume : 0.8,
+        pan: Math.max(-1, Math.min(1, track.pan || 0)),
+        width: Math.max(0, Math.min(2, width)),
+        sends: track.sends || {}
+    };
+}
+
+/**
+ * Gets the settings the master graph is built from.
+ * @param {Object} master - The master section (state.master); missing sections use their defaults.
+ * @param {number} [loudnessGain=1] - Export normalisation gain (1 in live playback).
+ * @returns {Object} { eq, compressor, limiter, loudnessGain }.
+ */
+export function getMasterGraphSettings(master, loudnessGain = 1) {
+    const settings = Object.assign(getDefaultMaster(), master);
+    return { eq: settings.eq, compressor: settings.compressor, limiter: settings.limiter, loudnessGain: loudnessGain };
+}
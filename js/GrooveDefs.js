@@ -0,0 +1,81 @@
+/*
+ * SenseAudio - Visual Theory & Creative Studio
+ * Copyright (C) 2026 SensementMusic.com
+ *
+ * This file is part of SenseAudio (A Sensement Music Project).
+ *
+ * SenseAudio is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * SenseAudio is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with SenseAudio. If not, see <https://www.gnu.org/licenses/>.
+ *
+ * All branding, logos, and the name "Sensement Music" are properties of SensementMusic.com.
+ */
+
+/**
+ * @fileoverview Defines the groove templates used for swing and feel at playback,
+ * offline render and MIDI export.
+ *
+ * A template repeats every `offsets.length` slots of `resolution` notes (16 = sixteenths),
+ * counted from the start of each bar. `offsets` moves the note on that slot by a fraction
+ * of a slot and `velocities` scales its velocity; both are the values at 100% amount.
+ */
+
+/**
+ * Collection of groove templates.
+ * @constant
+ * @type {Object.<string, Object>}
+ */
+export const GROOVES = {
+    'Straight': {
+        label: 'Straight (No Groove)',
+        resolution: 16,
+        offsets: [0],
+        velocities: [1]
+    },
+    'MPC 16th Swing': {
+        // 100% equals MPC swing 75%; 33% is close to the classic 58%
+        label: 'MPC 16th Swing',
+        resolution: 16,
+        offsets: [0, 0.5],
+        velocities: [1, 0.85]
+    },
+    'Swing 8th': {
+        // 100% places the off-beat eighth on the last triplet
+        label: 'Swing 8th',
+        resolution: 8,
+        offsets: [0, 1 / 3],
+        velocities: [1, 0.9]
+    },
+    'Shuffle': {
+        // Triplet shuffle with softer off-beats (blues, boom bap)
+        label: 'Shuffle',
+        resolution: 16,
+        offsets: [0, 1 / 3, 0, 1 / 3],
+        velocities: [1, 0.7, 0.9, 0.7]
+    },
+    'Dembow Push': {
+        // The "a" of 1 and the "and" of 2 are pushed ahead of the beat, kick stays on the grid
+        label: 'Reggaeton Dembow Push',
+        resolution: 16,
+        offsets: [0, 0, 0, -0.25, 0, 0, -0.15, 0],
+        velocities: [1, 0.8, 0.85, 1, 0.9, 0.8, 1, 0.85]
+    }
+};
+
+/**
+ * Gets a groove template by name.
+ * @param {string} name - Template name.
+ * @returns {Object} The template, or 'Straight' if the name is unknown.
+ */
+export function getGroove(name) {
+    return GROOVES[name] || GROOVES['Straight'];
+}
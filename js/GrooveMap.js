@@ -0,0 +1,136 @@
+/*
+ * SenseAudio - Visual Theory & Creative Studio
+ * Copyright (C) 2026 SensementMusic.com
+ *
+ * This file is part of SenseAudio (A Sensement Music Project).
+ *
+ * SenseAudio is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * SenseAudio is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with SenseAudio. If not, see <https://www.gnu.org/licenses/>.
+ *
+ * All branding, logos, and the name "Sensement Music" are properties of SensementMusic.com.
+ */
+
+import { getGroove } from './GrooveDefs.js';
+
+/**
+ * Applies groove templates (swing and feel) to note timing and velocity.
+ *
+ * The song groove is `state.groove` ({ template, amount }, amount 0-1); a track with its
+ * own `track.groove` uses that instead, `null` follows the song. The groove only moves
+ * notes that sit exactly on a template slot, so notes that were placed off the grid
+ * keep their written timing. Notes grooved with applyToNotes are marked `grooved` and
+ * play as written, since their timing and accent already carry the groove; edits that
+ * move or stretch a note clear the mark (see NoteTransforms).
+ */
+export default class GrooveMap {
+    /**
+     * @param {Object} state - The application state.
+     */
+    constructor(state) {
+        this.state = state;
+    }
+
+    /**
+     * Gets the groove that applies to a track.
+     * @param {Object} [track] - Track (omit for the song groove).
+     * @returns {Object} { template, amount }.
+     */
+    getTrackGroove(track) {
+        if (track && track.groove) return track.groove;
+        return this.state.groove || { template: 'Straight', amount: 0 };
+    }
+
+    /**
+     * Finds the template slot a step sits on.
+     * @param {number} step - Step position.
+     * @param {Object} template - Groove template.
+     * @param {boolean} [nearest=false] - Use the nearest slot instead of requiring an exact hit.
+     * @returns {Object|null} { index, step } of the slot, or null when the step is off the slots.
+     */
+    findSlot(step, template, nearest = false) {
+        const slotSteps = this.state.gridResolution / template.resolution;
+        const barStart = this.state.getBarStartStep(this.state.getBarAtStep(step));
+        const pos = (step - barStart) / slotSteps;
+        const slot = Math.round(pos);
+        if (!nearest && Math.abs(pos - slot) > 1e-6) return null;
+
+        const length = template.offsets.length;
+        return { index: ((slot % length) + length) % length, step: barStart + slot * slotSteps };
+    }
+
+    /**
+     * Gets the timing offset and velocity factor of a groove at a step.
+     * @param {number} step - Step position.
+     * @param {Object} groove - { template, amount }.
+     * @returns {Object} { offset (steps), velocity (factor) }.
+     */
+    getShift(step, groove) {
+        const template = getGroove(groove.template);
+        const slot = groove.amount > 0 ? this.findSlot(step, template) : null;
+        if (!slot) return { offset: 0, velocity: 1 };
+
+        const slotSteps = this.state.gridResolution / template.resolution;
+        return {
+            offset: template.offsets[slot.index] * groove.amount * slotSteps,
+            velocity: 1 + (template.velocities[slot.index] - 1) * groove.amount
+        };
+    }
+
+    /**
+     * Gets the step a note is heard at.
+     * @param {Object} note - Note.
+     * @param {Object} [track] - The note's track.
+     * @returns {number} Grooved start step (never before the song start).
+     */
+    getPlayStep(note, track) {
+        if (note.grooved) return note.time;
+        return Math.max(0, note.time + this.getShift(note.time, this.getTrackGroove(track)).offset);
+    }
+
+    /**
+     * Gets the velocity a note is played with.
+     * @param {Object} note - Note.
+     * @param {Object} [track] - The note's track.
+     * @returns {number} Grooved velocity (0-1).
+     */
+    getPlayVelocity(note, track) {
+        if (note.grooved) return note.velocity;
+        const factor = this.getShift(note.time, this.getTrackGroove(track)).velocity;
+        return Math.max(0, Math.min(1, note.velocity * factor));
+    }
+
+    /**
+     * Writes a groove into notes (destructive groove quantize): each note moves towards
+     * its nearest slot plus the groove offset, and takes the groove accent. The notes are
+     * marked `grooved` so playback does not groove them again.
+     * @param {Array} notes - Notes to change.
+     * @param {Object} groove - { template, amount }.
+     * @param {number} [strength=1] - 0-1, how far notes move towards the target.
+     */
+    applyToNotes(notes, groove, strength = 1) {
+        const template = getGroove(groove.template);
+        const slotSteps = this.state.gridResolution / template.resolution;
+
+        notes.forEach(n => {
+            const slot = this.findSlot(n.time, template, true);
+            const target = slot.step + template.offsets[slot.index] * groove.amount * slotSteps;
+            const time = n.time + (target - n.time) * strength;
+            // Rounded to keep saved files readable; whole steps stay whole
+            n.time = Math.max(0, Math.round(time * 1000) / 1000);
+
+            const accent = 1 + (template.velocities[slot.index] - 1) * groove.amount * strength;
+            n.velocity = Math.max(0, Math.min(1, n.velocity * accent));
+            n.grooved = true;
+        });
+    }
+}
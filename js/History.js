@@ -21,86 +21,679 @@
  */
 
 /**
- * Manages the undo/redo history stack for the application state.
- * Handles state snapshots, history limits, and restoration of data.
+ * Manages the undo/redo history for the application state.
+ *
+ * Instead of storing a full copy of the project per step, each step is recorded as a
+ * patch: the song fields that changed, the notes added/removed per track, and track
+ * changes. A patch holds both sides, so undo applies its inverse and redo applies it
+ * again. Memory therefore grows with the size of the edits, not the size of the song.
+ *
+ * Callers keep the existing pattern: call saveState(label) right before an edit.
+ * That closes the previous step and opens a new one, which stays open until the next
+ * saveState/commit/undo/redo. A drag that starts with one saveState is therefore a
+ * single step; repeated edits with the same `coalesce` key (slider moves, nudges)
+ * within a short window are merged into one step as well.
+ *
+ * Opening a step takes a compact copy (song fields as JSON strings, notes as one key
+ * string per note) of what the edit may touch, and closing it diffs that against the
+ * same parts afterwards. Every edit names its scope ({ tracks: [ids], song: [keys] }), so
+ * only those tracks and fields are copied: a fader move copies one track, a bar edit
+ * every track and the timeline (getTimelineScope), and only edits that replace the
+ * project compare all of it (getProjectScope). Nothing is compared while no step is open. Embedded samples are tracked by id only:
+ * a step stores the data of the samples it adds or removes, once.
+ *
+ * Steps form a tree rather than a stack: editing after an undo starts a new branch
+ * and keeps the old one, so any earlier idea can be reached again with jumpTo().
+ * Steps can carry a checkpoint name, and the tree is saved through a HistoryStore
+ * (IndexedDB) so it survives a reload.
  */
 export default class History {
     /**
      * Creates an instance of the History manager.
      * @param {Object} state - The state management object containing data logic.
      * @param {Object} renderer - The renderer object responsible for drawing the UI.
-     * @param {number} [limit=50] - Maximum number of history steps to store.
+     * @param {number} [limit=500] - Maximum number of history steps to keep (all branches).
      */
-    constructor(state, renderer, limit = 50) {
+    constructor(state, renderer, limit = 500) {
         this.state = state;
         this.renderer = renderer;
         this.limit = limit; // Maximum number of stored history steps
+        this.coalesceWindow = 1000; // ms within which same-key edits merge into one step
+
+        // getData() fields that are not part of the edit history
+        this.ignoredKeys = ['tracks', 'cloudId', 'schemaVersion', 'samples'];
+        // Song fields that bar, meter and key edits may change (see getTimelineScope)
+        this.timelineKeys = ['bpm', 'timeNumerator', 'timeDenominator', 'beatGrouping', 'gridResolution',
+            'stepsPerBar', 'tempoChanges', 'meterChanges', 'keyChanges', 'rootKey', 'scaleName',
+            'masterAutomation', 'totalBars', 'chordRegions', 'barStructure'];
+
+        this.store = null; // Optional HistoryStore for persistence
+        this.saveDelay = 1500; // ms of quiet before the session is written
+        this.saveTimer = null;
+        this.onChange = null; // Called after the tree or the current step changes
+
+        this.pending = null; // Open step { label, coalesce, time, scope, before }
+        this.reset();
+    }
+
+    /**
+     * Starts a new tree whose root is the current state.
+     */
+    reset() {
+        this.nodes = {};
+        this.nextId = 1;
+        this.rootId = 0;
+        this.currentId = 0;
+        this.nodes[0] = this.createNode(0, null, 'Start', null);
+    }
+
+    /**
+     * Creates a history node.
+     * @param {number} id - Node id.
+     * @param {number|null} parent - Parent node id.
+     * @param {string} label - Step label.
+     * @param {Object|null} patch - Patch from the parent state to this one.
+     * @returns {Object} Node.
+     */
+    createNode(id, parent, label, patch) {
+        return { id, parent, label, patch, time: Date.now(), children: [], lastChild: null, checkpoint: null };
+    }
+
+    // =========================================================================
+    // Recording
+    // =========================================================================
+
+    /**
+     * Marks the start of an edit. Call this before modifying the data.
+     * @param {string} [label='Edit'] - Name shown in the Edit menu, e.g. "Generate melody bars 9-16".
+     * @param {Object} [options] - { coalesce: key } merges consecutive edits with the same key;
+     *   { tracks: [trackId], song: [field] } limits the step to those tracks and song fields
+     *   (added tracks are always recorded; a removed track must be in the scope).
+     *   Without a scope the whole project is compared.
+     */
+    saveState(label = 'Edit', options = {}) {
+        const now = Date.now();
+        const p = this.pending;
+        if (options.coalesce && p && p.coalesce === options.coalesce && now - p.time < this.coalesceWindow) {
+            p.time = now;
+            return;
+        }
 
-        this.undoStack = [];
-        this.redoStack = [];
+        this.commit();
+        const scope = (options.tracks || options.song) ? { tracks: options.tracks || [], song: options.song || [] } : null;
+        this.pending = { label, coalesce: options.coalesce || null, time: now, scope, before: this.snapshot(scope) };
     }
 
     /**
-     * Saves the current state snapshot.
-     * This method should be called before any destructive modification to the data.
+     * Gets the scope of edits that move content in time (bars, meter and key maps,
+     * inserting pastes): every track and the song's timeline fields.
+     * @returns {Object} Scope for saveState.
      */
-    saveState() {
-        // Create a deep copy of the current data
-        const snapshot = this.state.getData();
-        const clone = JSON.parse(JSON.stringify(snapshot));
+    getTimelineScope() {
+        return {
+            tracks: this.state.tracks.map(t => t.id),
+            song: this.timelineKeys.slice()
+        };
+    }
+
+    /**
+     * Gets the scope of edits that replace the project (new, open, song wizard).
+     * @returns {Object} Scope for saveState.
+     */
+    getProjectScope() {
+        return {
+            tracks: this.state.tracks.map(t => t.id),
+            song: Object.keys(this.state.getData()).filter(key => !this.ignoredKeys.includes(key))
+        };
+    }
 
-        this.undoStack.push(clone);
+    /**
+     * Closes the open step: diffs its scope against the copy taken when it opened and
+     * stores the patch as a new child of the current step.
+     * @returns {boolean} True if a step was recorded.
+     */
+    commit() {
+        const p = this.pending;
+        if (!p) return false;
+        this.pending = null;
+
+        const patch = this.diff(p.before, this.snapshot(p.scope, p.before.order));
+        if (!patch) return false;
+        const label = p.label;
+
+        const parent = this.nodes[this.currentId];
+        const node = this.createNode(this.nextId++, parent.id, label, patch);
+        this.nodes[node.id] = node;
+        parent.children.push(node.id);
+        parent.lastChild = node.id;
+        this.currentId = node.id;
+
+        this.prune();
+        this.changed();
+        return true;
+    }
 
-        // If the history limit is exceeded, remove the oldest entry
-        if (this.undoStack.length > this.limit) {
-            this.undoStack.shift();
+    /**
+     * Drops the oldest steps once the tree exceeds the limit. The root moves forward
+     * along the path to the current step; branches leaving the old root are removed.
+     */
+    prune() {
+        while (Object.keys(this.nodes).length > this.limit && this.rootId !== this.currentId) {
+            const root = this.nodes[this.rootId];
+            const path = this.getPath(this.currentId);
+            const nextRootId = path[1];
+
+            root.children.filter(id => id !== nextRootId).forEach(id => this.removeSubtree(id));
+            delete this.nodes[root.id];
+
+            const nextRoot = this.nodes[nextRootId];
+            nextRoot.parent = null;
+            nextRoot.patch = null;
+            this.rootId = nextRootId;
+        }
+    }
+
+    /**
+     * Removes a node and all of its descendants.
+     * @param {number} id - Node id.
+     */
+    removeSubtree(id) {
+        const stack = [id];
+        while (stack.length > 0) {
+            const node = this.nodes[stack.pop()];
+            if (!node) continue;
+            stack.push(...node.children);
+            delete this.nodes[node.id];
         }
+    }
 
-        // Clear the redo stack as the new change invalidates the future timeline
-        this.redoStack = [];
+    /**
+     * Forgets all history and takes the current state as the new starting point.
+     */
+    clear() {
+        this.pending = null;
+        this.reset();
+        this.changed();
+    }
 
-        // console.log("State Saved. Stack size:", this.undoStack.length);
+    /**
+     * Notifies listeners and schedules a save after any history change.
+     */
+    changed() {
+        this.scheduleSave();
+        if (this.onChange) this.onChange();
     }
 
+    // =========================================================================
+    // Navigation
+    // =========================================================================
+
     /**
-     * Reverts the application state to the previous snapshot.
+     * Reverts the current step (moves to its parent).
      */
     undo() {
-        if (this.undoStack.length === 0) return;
+        this.commit();
+        const node = this.nodes[this.currentId];
+        if (node.parent === null) return;
 
-        // 1. Save the current state to the redo stack (to allow re-doing later)
-        const currentSnapshot = this.state.getData();
-        this.redoStack.push(JSON.parse(JSON.stringify(currentSnapshot)));
+        this.applyPatch(node.patch, true);
+        this.nodes[node.parent].lastChild = node.id;
+        this.currentId = node.parent;
+        this.afterRestore();
+    }
+
+    /**
+     * Reapplies the most recently visited child of the current step.
+     */
+    redo() {
+        this.commit();
+        const childId = this.getRedoId();
+        if (childId === null) return;
+
+        this.applyPatch(this.nodes[childId].patch, false);
+        this.currentId = childId;
+        this.afterRestore();
+    }
+
+    /**
+     * Moves to any step in the tree, undoing up to the common ancestor and
+     * redoing down the target's branch.
+     * @param {number} targetId - Node id.
+     */
+    jumpTo(targetId) {
+        this.commit();
+        if (!this.nodes[targetId] || targetId === this.currentId) return;
+
+        const targetPath = this.getPath(targetId);
+        const onTargetPath = new Set(targetPath);
+
+        while (!onTargetPath.has(this.currentId)) {
+            const node = this.nodes[this.currentId];
+            this.applyPatch(node.patch, true);
+            this.nodes[node.parent].lastChild = node.id;
+            this.currentId = node.parent;
+        }
+
+        targetPath.slice(targetPath.indexOf(this.currentId) + 1).forEach(id => {
+            this.applyPatch(this.nodes[id].patch, false);
+            this.nodes[this.currentId].lastChild = id;
+            this.currentId = id;
+        });
+        this.afterRestore();
+    }
 
-        // 2. Retrieve the last saved state from the undo stack
-        const previousState = this.undoStack.pop();
+    /**
+     * Refreshes the view after moving through the tree.
+     */
+    afterRestore() {
+        const state = this.state;
+        if (state.activeTrackIndex >= state.tracks.length) state.activeTrackIndex = state.tracks.length - 1;
+        if (state.activeTrackIndex < 0 && state.tracks.length > 0) state.activeTrackIndex = 0;
 
-        // 3. Restore the state
-        this.state.restoreData(previousState);
         this.renderer.resize(); // Resize is necessary as the number of measures may have changed
         this.renderer.draw();
+        this.changed();
+    }
 
-        // console.log("Undo performed.");
+    /**
+     * Gets the ids from the root to a node.
+     * @param {number} id - Node id.
+     * @returns {Array<number>} Path, root first.
+     */
+    getPath(id) {
+        const path = [];
+        for (let node = this.nodes[id]; node; node = this.nodes[node.parent]) {
+            path.unshift(node.id);
+        }
+        return path;
     }
 
     /**
-     * Reapplies a previously undone state.
+     * Gets the child that redo would move to.
+     * @returns {number|null} Node id, or null at the tip of a branch.
      */
-    redo() {
-        if (this.redoStack.length === 0) return;
+    getRedoId() {
+        const node = this.nodes[this.currentId];
+        if (node.lastChild !== null && this.nodes[node.lastChild]) return node.lastChild;
+        return node.children.length > 0 ? node.children[node.children.length - 1] : null;
+    }
 
-        // 1. Push the current state back to the undo stack
-        const currentSnapshot = this.state.getData();
-        this.undoStack.push(JSON.parse(JSON.stringify(currentSnapshot)));
+    /**
+     * Gets the label of the step that undo would revert.
+     * @returns {string|null} Label, or null if there is nothing to undo.
+     */
+    getUndoLabel() {
+        this.commit();
+        const node = this.nodes[this.currentId];
+        return node.parent === null ? null : node.label;
+    }
 
-        // 2. Retrieve the next state from the redo stack
-        const nextState = this.redoStack.pop();
+    /**
+     * Gets the label of the step that redo would reapply.
+     * @returns {string|null} Label, or null if there is nothing to redo.
+     */
+    getRedoLabel() {
+        const id = this.getRedoId();
+        return id === null ? null : this.nodes[id].label;
+    }
 
-        // 3. Restore the state
-        this.state.restoreData(nextState);
-        this.renderer.resize();
-        this.renderer.draw();
+    // =========================================================================
+    // Checkpoints
+    // =========================================================================
+
+    /**
+     * Names the current step so it is easy to find and return to.
+     * @param {string} name - Checkpoint name, e.g. "before reharm".
+     * @returns {number} Id of the named step.
+     */
+    addCheckpoint(name) {
+        this.commit();
+        this.nodes[this.currentId].checkpoint = name;
+        this.changed();
+        return this.currentId;
+    }
 
-        // console.log("Redo performed.");
+    /**
+     * Removes a checkpoint name from a step.
+     * @param {number} id - Node id.
+     */
+    removeCheckpoint(id) {
+        if (!this.nodes[id]) return;
+        this.nodes[id].checkpoint = null;
+        this.changed();
+    }
+
+    /**
+     * Lists the named steps, oldest first.
+     * @returns {Array<Object>} Nodes with a checkpoint.
+     */
+    getCheckpoints() {
+        return Object.values(this.nodes)
+            .filter(node => node.checkpoint)
+            .sort((a, b) => a.id - b.id);
+    }
+
+    /**
+     * Lists the tree for display: a depth-first walk where the branch redo would
+     * follow continues at the same depth and other branches are indented.
+     * @returns {Array<Object>} Rows { node, depth, isCurrent, isActivePath }.
+     */
+    getRows() {
+        const activePath = new Set(this.getPath(this.currentId));
+        const rows = [];
+        const stack = [{ id: this.rootId, depth: 0 }];
+        while (stack.length > 0) {
+            const { id, depth } = stack.pop();
+            const node = this.nodes[id];
+            rows.push({ node, depth, isCurrent: id === this.currentId, isActivePath: activePath.has(id) });
+
+            const main = node.lastChild !== null && this.nodes[node.lastChild] ? node.lastChild : node.children[node.children.length - 1];
+            // Pushed in reverse so side branches are listed before the main line continues
+            if (main !== undefined) stack.push({ id: main, depth });
+            node.children.filter(c => c !== main).reverse().forEach(c => stack.push({ id: c, depth: depth + 1 }));
+        }
+        return rows;
+    }
+
+    // =========================================================================
+    // Persistence
+    // =========================================================================
+
+    /**
+     * Connects a store and writes the session whenever the history changes.
+     * @param {Object} store - HistoryStore instance.
+     */
+    attachStore(store) {
+        this.store = store;
+    }
+
+    /**
+     * Writes the session after a short pause, so bursts of edits cause one write.
+     */
+    scheduleSave() {
+        if (!this.store) return;
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.saveNow(), this.saveDelay);
+    }
+
+    /**
+     * Writes the session immediately. Failures are logged, never thrown: losing the
+     * saved history must not interrupt editing. While a step is open (e.g. a long drag)
+     * the write waits, so the saved project always matches the saved tree.
+     * @returns {Promise<void>}
+     */
+    async saveNow() {
+        if (!this.store) return;
+        clearTimeout(this.saveTimer);
+        if (this.pending) {
+            this.scheduleSave();
+            return;
+        }
+        try {
+            await this.store.saveSession(this.serialize());
+        } catch (err) {
+            console.warn("History could not be saved:", err);
+        }
+    }
+
+    /**
+     * Serializes the tree together with the project at the current step. The project
+     * keeps every loaded sample, since steps that bring back a zone only store its id.
+     * @returns {Object} { savedAt, project, tree }.
+     */
+    serialize() {
+        return {
+            savedAt: Date.now(),
+            project: { ...this.state.getData(), samples: this.state.samples },
+            tree: {
+                nodes: Object.values(this.nodes),
+                rootId: this.rootId,
+                currentId: this.currentId,
+                nextId: this.nextId
+            }
+        };
+    }
+
+    /**
+     * Restores a serialized tree. The project must already be loaded (state.loadProject)
+     * from the same session, so it matches the tree's current step.
+     * @param {Object} tree - The `tree` part of serialize().
+     */
+    restore(tree) {
+        if (!tree || !Array.isArray(tree.nodes) || !tree.nodes.some(n => n.id === tree.currentId)) {
+            throw new Error("The saved history is incomplete and cannot be restored.");
+        }
+        this.nodes = {};
+        tree.nodes.forEach(node => this.nodes[node.id] = node);
+        this.rootId = tree.rootId;
+        this.currentId = tree.currentId;
+        this.nextId = tree.nextId;
+        this.pending = null;
+        if (this.onChange) this.onChange();
+    }
+
+    // =========================================================================
+    // Snapshots and patches
+    // =========================================================================
+
+    /**
+     * Serializes a note to a comparable key. Runtime fields (prefixed "_") are skipped.
+     * @param {Object} note - Note object.
+     * @returns {string} Key.
+     */
+    noteKey(note) {
+        const plain = {};
+        for (const k in note) {
+            if (k.charAt(0) !== '_') plain[k] = note[k];
+        }
+        return JSON.stringify(plain);
+    }
+
+    /**
+     * Gets a stable key per track (its id, made unique if ids repeat).
+     * @param {Array} tracks - Track list.
+     * @returns {Array<string>} Keys in track order.
+     */
+    trackKeys(tracks) {
+        const seen = {};
+        return tracks.map(t => {
+            const id = String(t.id);
+            seen[id] = (seen[id] || 0) + 1;
+            return seen[id] > 1 ? `${id}#${seen[id]}` : id;
+        });
+    }
+
+    /**
+     * Takes a compact serialized copy of (part of) the state for diffing.
+     * @param {Object|null} [scope] - { tracks: [trackId], song: [field] }, or null for everything.
+     * @param {Array<string>} [knownOrder] - Track keys of the earlier copy; tracks added since are always copied.
+     * @returns {Object} { song: {key: json}, order: [trackKey], tracks: {trackKey: {meta, notes}}, samples: {id: sample} }
+     */
+    snapshot(scope = null, knownOrder = null) {
+        const data = this.state.getData();
+        const song = {};
+        const songKeys = scope ? scope.song : Object.keys(data).filter(key => !this.ignoredKeys.includes(key));
+        songKeys.forEach(key => song[key] = JSON.stringify(data[key]));
+
+        const tracks = {};
+        const order = this.trackKeys(this.state.tracks);
+        this.state.tracks.forEach((t, i) => {
+            const inScope = !scope || scope.tracks.includes(t.id) || (knownOrder && !knownOrder.includes(order[i]));
+            if (!inScope) return;
+            tracks[order[i]] = {
+                // Notes are diffed separately; null keeps the field's position in the object
+                meta: JSON.stringify({ ...t, notes: null }),
+                notes: (t.notes || []).map(n => this.noteKey(n))
+            };
+        });
+        // Sample objects are never modified, so references are enough
+        return { song, order, tracks, samples: { ...this.state.samples } };
+    }
+
+    /**
+     * Computes the patch between two snapshots of the same scope. Tracks outside the
+     * scope appear only in `order` and are left alone.
+     * @param {Object} prev - Earlier snapshot.
+     * @param {Object} next - Later snapshot.
+     * @returns {Object|null} Patch, or null if nothing changed.
+     */
+    diff(prev, next) {
+        const patch = { song: {}, order: null, addedTracks: {}, removedTracks: {}, meta: {}, notes: {}, samples: null };
+        let changed = false;
+
+        Object.keys(next.song).forEach(key => {
+            if (prev.song[key] !== next.song[key]) {
+                patch.song[key] = [prev.song[key], next.song[key]];
+                changed = true;
+            }
+        });
+
+        if (prev.order.join('\n') !== next.order.join('\n')) {
+            patch.order = [prev.order, next.order];
+            changed = true;
+        }
+
+        prev.order.forEach(key => {
+            if (!next.order.includes(key) && prev.tracks[key]) patch.removedTracks[key] = prev.tracks[key];
+        });
+        Object.keys(next.tracks).forEach(key => {
+            const after = next.tracks[key];
+            const before = prev.tracks[key];
+            if (!prev.order.includes(key)) {
+                patch.addedTracks[key] = after;
+                return;
+            }
+            if (!before) return; // Outside the step's scope
+            if (before.meta !== after.meta) {
+                patch.meta[key] = [before.meta, after.meta];
+                changed = true;
+            }
+            const noteChange = this.diffNotes(before.notes, after.notes);
+            if (noteChange) {
+                patch.notes[key] = noteChange;
+                changed = true;
+            }
+        });
+
+        const samples = { added: {}, removed: {} };
+        Object.keys(prev.samples).forEach(id => {
+            if (!next.samples[id]) samples.removed[id] = prev.samples[id];
+        });
+        Object.keys(next.samples).forEach(id => {
+            if (!prev.samples[id]) samples.added[id] = next.samples[id];
+        });
+        if (Object.keys(samples.added).length > 0 || Object.keys(samples.removed).length > 0) {
+            patch.samples = samples;
+            changed = true;
+        }
+
+        return changed ? patch : null;
+    }
+
+    /**
+     * Diffs two note key lists as multisets.
+     * @param {Array<string>} before - Earlier keys.
+     * @param {Array<string>} after - Later keys.
+     * @returns {Object|null} { removed, added } or null if equal.
+     */
+    diffNotes(before, after) {
+        if (before.length === after.length && before.every((k, i) => k === after[i])) return null;
+
+        const counts = new Map();
+        before.forEach(k => counts.set(k, (counts.get(k) || 0) + 1));
+        const added = [];
+        after.forEach(k => {
+            const c = counts.get(k) || 0;
+            if (c > 0) counts.set(k, c - 1);
+            else added.push(k);
+        });
+        const removed = [];
+        counts.forEach((c, k) => {
+            for (let i = 0; i < c; i++) removed.push(k);
+        });
+
+        // Same notes in a different order: nothing to record
+        if (added.length === 0 && removed.length === 0) return null;
+        return { removed, added };
+    }
+
+    /**
+     * Applies a patch to the live state.
+     * @param {Object} patch - Patch from diff().
+     * @param {boolean} reverse - True to apply the inverse (undo).
+     */
+    applyPatch(patch, reverse) {
+        const state = this.state;
+        const side = (pair) => (reverse ? pair[0] : pair[1]);
+
+        // Song fields use the same names in getData() and on the state
+        Object.keys(patch.song).forEach(key => {
+            const json = side(patch.song[key]);
+            if (json !== undefined) state[key] = JSON.parse(json);
+        });
+
+        if (patch.samples) {
+            const samples = { ...state.samples };
+            Object.keys(reverse ? patch.samples.added : patch.samples.removed).forEach(id => delete samples[id]);
+            Object.assign(samples, reverse ? patch.samples.removed : patch.samples.added);
+            state.samples = samples;
+        }
+
+        const byKey = {};
+        const keys = this.trackKeys(state.tracks);
+        state.tracks.forEach((t, i) => byKey[keys[i]] = t);
+
+        const toRemove = reverse ? patch.addedTracks : patch.removedTracks;
+        const toCreate = reverse ? patch.removedTracks : patch.addedTracks;
+        Object.keys(toRemove).forEach(key => delete byKey[key]);
+        Object.keys(toCreate).forEach(key => {
+            const saved = toCreate[key];
+            const track = JSON.parse(saved.meta);
+            track.notes = saved.notes.map(k => this.restoreNote(k));
+            byKey[key] = track;
+        });
+
+        Object.keys(patch.meta).forEach(key => {
+            const track = byKey[key];
+            if (!track) return;
+            const meta = JSON.parse(side(patch.meta[key]));
+            delete meta.notes;
+            Object.keys(track).forEach(k => {
+                if (k !== 'notes' && !(k in meta)) delete track[k];
+            });
+            Object.assign(track, meta);
+        });
+
+        Object.keys(patch.notes).forEach(key => {
+            const track = byKey[key];
+            if (!track) return;
+            const change = patch.notes[key];
+            const removed = reverse ? change.added : change.removed;
+            const added = reverse ? change.removed : change.added;
+
+            const counts = new Map();
+            removed.forEach(k => counts.set(k, (counts.get(k) || 0) + 1));
+            track.notes = track.notes.filter(n => {
+                const k = this.noteKey(n);
+                const c = counts.get(k) || 0;
+                if (c === 0) return true;
+                counts.set(k, c - 1);
+                return false;
+            });
+            added.forEach(k => track.notes.push(this.restoreNote(k)));
+        });
+
+        const order = patch.order ? side(patch.order) : keys.filter(k => byKey[k]);
+        state.tracks = order.filter(k => byKey[k]).map(k => byKey[k]);
+    }
+
+    /**
+     * Rebuilds a note from its key. Runtime fields are not restored;
+     * playback takes them from the track (see State.getAllNotesFlattened).
+     * @param {string} key - Note key.
+     * @returns {Object} Note object.
+     */
+    restoreNote(key) {
+        return JSON.parse(key);
     }
-}
\ No newline at end of file
+}
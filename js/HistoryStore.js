@@ -0,0 +1,112 @@
+/*
+ * SenseAudio - Visual Theory & Creative Studio
+ * Copyright (C) 2026 SensementMusic.com
+ *
+ * This file is part of SenseAudio (A Sensement Music Project).
+ *
+ * SenseAudio is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * SenseAudio is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with SenseAudio. If not, see <https://www.gnu.org/licenses/>.
+ *
+ * All branding, logos, and the name "Sensement Music" are properties of SensementMusic.com.
+ */
+
+/**
+ * Keeps the undo history in IndexedDB so it survives a reload or a tab crash.
+ *
+ * A single "session" record holds the project as of the current history step and
+ * the history tree (see History.serialize). Writes replace the whole record.
+ */
+export default class HistoryStore {
+    /**
+     * @param {string} [dbName='SenseAudioHistory'] - IndexedDB database name.
+     */
+    constructor(dbName = 'SenseAudioHistory') {
+        this.dbName = dbName;
+        this.storeName = 'sessions';
+        this.sessionKey = 'current';
+        this.dbPromise = null;
+    }
+
+    /**
+     * Checks whether IndexedDB can be used in this browser.
+     * @returns {boolean} True if available.
+     */
+    isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Opens (and on first use creates) the database.
+     * @returns {Promise<IDBDatabase>} The database.
+     */
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+        this.dbPromise = new Promise((resolve, reject) => {
+            if (!this.isAvailable()) {
+                reject(new Error("IndexedDB is not available in this browser."));
+                return;
+            }
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) db.createObjectStore(this.storeName);
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error || new Error("Could not open the history database."));
+        });
+        // Allow a later retry if opening failed
+        this.dbPromise.catch(() => { this.dbPromise = null; });
+        return this.dbPromise;
+    }
+
+    /**
+     * Runs a single request against the session store.
+     * @param {string} mode - 'readonly' or 'readwrite'.
+     * @param {Function} makeRequest - Receives the object store, returns an IDBRequest.
+     * @returns {Promise<*>} The request result.
+     */
+    async run(mode, makeRequest) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const request = makeRequest(tx.objectStore(this.storeName));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error || new Error("History database request failed."));
+            tx.onabort = () => reject(tx.error || new Error("History database request was aborted."));
+        });
+    }
+
+    /**
+     * Saves the session, replacing the previous one.
+     * @param {Object} session - { savedAt, project, tree }.
+     */
+    async saveSession(session) {
+        await this.run('readwrite', store => store.put(session, this.sessionKey));
+    }
+
+    /**
+     * Loads the saved session.
+     * @returns {Promise<Object|null>} Session, or null if none was saved.
+     */
+    async loadSession() {
+        const session = await this.run('readonly', store => store.get(this.sessionKey));
+        return session || null;
+    }
+
+    /**
+     * Deletes the saved session.
+     */
+    async clearSession() {
+        await this.run('readwrite', store => store.delete(this.sessionKey));
+    }
+}
@@ -0,0 +1,196 @@
+/*
+ * SenseAudio - Visual Theory & Creative Studio
+ * Copyright (C) 2026 SensementMusic.com
+ *
+ * This file is part of SenseAudio (A Sensement Music Project).
+ *
+ * SenseAudio is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * SenseAudio is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with SenseAudio. If not, see <https://www.gnu.org/licenses/>.
+ *
+ * All branding, logos, and the name "Sensement Music" are properties of SensementMusic.com.
+ */
+
+import { INSERT_TYPES, createInsert } from './EffectDefs.js';
+
+/**
+ * Edits a track's insert effect chain in the synth panel: add, remove, reorder,
+ * bypass and adjust parameters. Edits go through the undo history; `onChange`
+ * pushes them to the audio engine.
+ */
+export default class InsertEditor {
+    /**
+     * Creates the editor.
+     * @param {string} listId - The ID of the element that lists the effects.
+     * @param {string} addSelectId - The ID of the "add effect" select.
+     * @param {Object} state - The global application state.
+     * @param {Object} history - The undo history.
+     * @param {Function} onChange - Called after an edit.
+     */
+    constructor(listId, addSelectId, state, history, onChange) {
+        this.list = document.getElementById(listId);
+        this.addSelect = document.getElementById(addSelectId);
+        this.state = state;
+        this.history = history;
+        this.onChange = onChange;
+        this.track = null;
+
+        Object.keys(INSERT_TYPES).forEach(type => {
+            const opt = document.createElement('option');
+            opt.value = type;
+            opt.innerText = INSERT_TYPES[type].label;
+            this.addSelect.appendChild(opt);
+        });
+
+        this.addSelect.addEventListener('change', () => {
+            const type = this.addSelect.value;
+            this.addSelect.value = '';
+            if (!type || !this.track) return;
+            this.edit(`Add ${INSERT_TYPES[type].label}: ${this.track.name}`, null, () => {
+                this.track.inserts = [...(this.track.inserts || []), createInsert(type)];
+            });
+            this.render(this.track);
+        });
+    }
+
+    /**
+     * Shows the chain of a track.
+     * @param {Object} track - Track object.
+     */
+    render(track) {
+        this.track = track;
+        this.list.innerHTML = '';
+        const inserts = (track && track.inserts) || [];
+
+        if (inserts.length === 0) {
+            this.list.innerHTML = '<div style="font-size: 11px; color: #666; text-align: center; padding: 6px;">No insert effects.</div>';
+            return;
+        }
+        inserts.forEach((ins, index) => this.list.appendChild(this.createCard(track, ins, index)));
+    }
+
+    /**
+     * Creates the card of one effect.
+     * @param {Object} track - Track object.
+     * @param {Object} ins - Insert { id, type, enabled, params }.
+     * @param {number} index - Position in the chain.
+     * @returns {HTMLElement}
+     */
+    createCard(track, ins, index) {
+        const def = INSERT_TYPES[ins.type];
+        const count = track.inserts.length;
+        const div = document.createElement('div');
+        div.style.cssText = `background: rgba(255,255,255,0.03); border-radius: 6px; padding: 8px; margin-bottom: 6px;
+            opacity: ${ins.enabled ? 1 : 0.5};`;
+
+        div.innerHTML = `
+            <div style="display: flex; align-items: center; gap: 6px; margin-bottom: 6px;">
+                <input type="checkbox" class="ins-enabled" ${ins.enabled ? 'checked' : ''} title="On/Off">
+                <span style="flex: 1; font-size: 11px; font-weight: bold;">${index + 1}. ${def.label}</span>
+                <button class="track-btn ins-up" title="Move up" ${index === 0 ? 'disabled' : ''}>▲</button>
+                <button class="track-btn ins-down" title="Move down" ${index === count - 1 ? 'disabled' : ''}>▼</button>
+                <button class="track-btn ins-remove" title="Remove">✕</button>
+            </div>
+            <div class="fx-grid">
+                ${Object.keys(def.params).map(key => {
+                    const p = def.params[key];
+                    return `<div class="fx-col">
+                        <label>${p.label} <span class="ins-val" data-key="${key}">${this.formatValue(ins.params[key], p)}</span></label>
+                        <input type="range" class="ins-param" data-key="${key}" min="${p.min}" max="${p.max}" step="${p.step}" value="${ins.params[key]}">
+                    </div>`;
+                }).join('')}
+            </div>
+        `;
+
+        div.querySelector('.ins-enabled').addEventListener('change', (e) => {
+            this.edit(`${e.target.checked ? 'Enable' : 'Bypass'} ${def.label}: ${track.name}`, null, () => {
+                this.replaceInsert(track, ins.id, { enabled: e.target.checked });
+            });
+            this.render(track);
+        });
+        div.querySelector('.ins-up').addEventListener('click', () => this.move(track, index, -1));
+        div.querySelector('.ins-down').addEventListener('click', () => this.move(track, index, 1));
+        div.querySelector('.ins-remove').addEventListener('click', () => {
+            this.edit(`Remove ${def.label}: ${track.name}`, null, () => {
+                track.inserts = track.inserts.filter(i => i.id !== ins.id);
+            });
+            this.render(track);
+        });
+
+        div.querySelectorAll('.ins-param').forEach(input => {
+            const key = input.dataset.key;
+            input.addEventListener('input', () => {
+                const value = parseFloat(input.value);
+                this.edit(`${def.label} ${def.params[key].label}: ${track.name}`, `insert:${ins.id}:${key}`, () => {
+                    const current = track.inserts.find(i => i.id === ins.id);
+                    this.replaceInsert(track, ins.id, { params: { ...current.params, [key]: value } });
+                });
+                div.querySelector(`.ins-val[data-key="${key}"]`).innerText = this.formatValue(value, def.params[key]);
+            });
+        });
+
+        return div;
+    }
+
+    /**
+     * Replaces an insert with an updated copy (history snapshots keep the old object).
+     * @param {Object} track - Track object.
+     * @param {string} id - Insert id.
+     * @param {Object} changes - Fields to change.
+     */
+    replaceInsert(track, id, changes) {
+        track.inserts = track.inserts.map(i => i.id === id ? { ...i, ...changes } : i);
+    }
+
+    /**
+     * Moves an effect up or down the chain.
+     * @param {Object} track - Track object.
+     * @param {number} index - Current position.
+     * @param {number} direction - -1 (earlier) or 1 (later).
+     */
+    move(track, index, direction) {
+        const target = index + direction;
+        if (target < 0 || target >= track.inserts.length) return;
+        this.edit(`Reorder effects: ${track.name}`, null, () => {
+            const inserts = [...track.inserts];
+            [inserts[index], inserts[target]] = [inserts[target], inserts[index]];
+            track.inserts = inserts;
+        });
+        this.render(track);
+    }
+
+    /**
+     * Records an undo step, applies an edit and notifies the app.
+     * @param {string} label - Undo label.
+     * @param {string|null} coalesce - Coalesce key for continuous drags.
+     * @param {Function} apply - Mutates the track.
+     */
+    edit(label, coalesce, apply) {
+        const scope = { tracks: [this.track.id] };
+        this.history.saveState(label, coalesce ? { ...scope, coalesce: coalesce } : scope);
+        apply();
+        this.onChange();
+    }
+
+    /**
+     * Formats a parameter value for display.
+     * @param {number} value - Parameter value.
+     * @param {Object} def - Parameter definition.
+     * @returns {string}
+     */
+    formatValue(value, def) {
+        if (!def.unit && def.max <= 1) return `${Math.round(value * 100)}%`;
+        if (def.unit === 's') return value < 0.1 ? `${Math.round(value * 1000)}ms` : `${value.toFixed(2)}s`;
+        if (def.unit === 'Hz' && value >= 1000) return `${(value / 1000).toFixed(1)}kHz`;
+        return `${value}${def.unit}`;
+    }
+}
@@ -452,6 +452,25 @@ export const INSTRUMENTS = {
         centerMidi: 72
     },
 
+    // ==========================================
+    // 🎚️ Sampler (zones and audio live on the track, see SamplerDefs)
+    // ==========================================
+    'Sampler': {
+        category: '🎚️ Sampler',
+        isSampler: true,
+        attack: 0.005,
+        decay: 0.1,
+        sustain: 1,
+        release: 0.3,
+        filterType: 'lowpass',
+        filterFreq: 20000,
+        filterQ: 0,
+        delayMix: 0,
+        reverbMix: 0,
+        color: '#e17055',
+        centerMidi: 60
+    },
+
     // ==========================================
     // 🥁 Drums & Percussion (Full Data-Driven)
     // ==========================================
@@ -20,6 +20,9 @@
  * All branding, logos, and the name "Sensement Music" are properties of SensementMusic.com.
  */
 
+import NoteTransforms from './NoteTransforms.js';
+import RangeClipboard from './RangeClipboard.js';
+
 /**
  * Handles all user interactions with the application canvases.
  * Manages mouse events, tooltips, context menus, and note editing.
@@ -41,6 +44,12 @@ export default class Interaction {
         this.lastTooltipTime = 0;
         this.activeMenu = null;
         this.draggingNote = null;
+        this.draggingChord = null;
+        this.draggingSelection = null; // { anchorTime, anchorMidi, origins: Map(note -> {time, midi}) }
+        this.marqueeStart = null; // { time, midi } while shift-dragging a selection rectangle
+        this.rulerDrag = null; // { anchor, step, x, moved } while pressing on the ruler
+        this.transforms = new NoteTransforms(this.state, this.brain);
+        this.clipboard = new RangeClipboard(this.state);
 
         const main = this.rend.mainCanvas;
         const chord = this.rend.chordCanvas;
@@ -60,6 +69,8 @@ export default class Interaction {
 
         // Global listeners
         window.addEventListener('mouseup', () => this.onMouseUp());
+        document.addEventListener('copy', e => this.onCopy(e));
+        document.addEventListener('paste', e => this.onPaste(e));
         this.outsideClickListener = this.outsideClickListener.bind(this);
     }
 
@@ -91,32 +102,36 @@ export default class Interaction {
 
         // Handle Chord Canvas zones
         if (source === 'CHORD') {
-            const barWidth = c.gridW * this.state.stepsPerBar;
-            const barIndex = Math.floor((absX - c.keyWidth) / barWidth);
+            const chordStep = (absX - c.keyWidth) / c.gridW;
+            const barIndex = this.state.getBarAtStep(chordStep);
             
             // Timeline Ruler
             if (mouseY >= 50) {
                 const step = Math.round((absX - c.keyWidth) / c.gridW);
-                return { zone: 'RULER', step, x: e.clientX, y: e.clientY };
+                return { zone: 'RULER', step, exactStep: chordStep, x: e.clientX, y: e.clientY };
             }
             
             // Add/Remove Bar Buttons at the end of the track
-            if (barIndex === this.state.totalBars) {
-                const startBtn = c.keyWidth + (this.state.totalBars * barWidth);
+            if (barIndex >= this.state.totalBars) {
+                const startBtn = c.keyWidth + (this.state.getTotalSteps() * c.gridW);
                 const localX = absX - startBtn;
                 if (localX >= 0 && localX < 40) return { zone: 'REMOVE_BTN', x: e.clientX, y: e.clientY };
                 if (localX >= 40 && localX < 80) return { zone: 'ADD_BTN', x: e.clientX, y: e.clientY };
             }
             
-            return { zone: 'CHORD', bar: barIndex, x: e.clientX, y: e.clientY, absX: e.clientX, absY: e.clientY };
+            // Near the right edge of a chord region: drag to resize it
+            const edgeRegion = this.state.chordRegions.find(r => Math.abs(c.keyWidth + (r.start + r.length) * c.gridW - absX) <= 5);
+            return { zone: 'CHORD', bar: barIndex, step: chordStep, edgeRegion, x: e.clientX, y: e.clientY, absX: e.clientX, absY: e.clientY };
         }
 
         // Handle Main Grid zones
         if (source === 'MAIN') {
-            const time = Math.floor((absX - c.keyWidth) / c.gridW);
+            // `time` is the snap line at or before the mouse, `exactTime` the unsnapped position
+            const exactTime = (absX - c.keyWidth) / c.gridW;
+            const time = this.state.snapStep(exactTime);
             const keyIdx = Math.floor(mouseY / c.gridH);
             const midi = c.startMidi - keyIdx;
-            return { zone: 'GRID', midi, time, x: e.clientX, y: e.clientY };
+            return { zone: 'GRID', midi, time, exactTime, x: e.clientX, y: e.clientY };
         }
         return null;
     }
@@ -142,18 +157,41 @@ export default class Interaction {
         const isDrums = activeTrack && activeTrack.type === 'DRUMS';
 
         if (pos.zone === 'GRID') {
-            // Shift+Click sets playback position
-            if (e.shiftKey) {
-                this.state.playbackStartStep = pos.time;
+            // Hit-test at the mouse, not the snap line: notes may start between lines
+            const hitNote = this.state.findNoteAt(pos.midi, pos.exactTime);
+
+            // Shift+Click toggles a note in the selection; Shift+Drag on empty space draws
+            // a selection rectangle (a plain Shift+Click there still sets the playback position)
+            if (e.shiftKey && e.button === 0) {
+                if (hitNote) {
+                    this.state.toggleNoteSelection(hitNote);
+                } else {
+                    this.marqueeStart = { time: pos.exactTime, midi: pos.midi };
+                    this.rend.marquee = { startStep: pos.exactTime, endStep: pos.exactTime, lowMidi: pos.midi, highMidi: pos.midi };
+                }
                 this.rend.draw();
                 return;
             }
-            
-            if (this.history) this.history.saveState();
+
+            // Selected notes: drag to move them together, right-click for the transform menu
+            if (hitNote && this.state.isNoteSelected(hitNote)) {
+                if (e.button === 0) {
+                    if (this.history) this.history.saveState('Move notes', this.getNoteEditScope());
+                    const origins = new Map();
+                    this.state.getSelectedNotes().forEach(n => origins.set(n, { time: n.time, midi: n.midi }));
+                    this.draggingSelection = { anchorTime: pos.time, anchorMidi: pos.midi, origins };
+                } else if (e.button === 2) {
+                    this.showSelectionMenu(pos.x, pos.y, pos);
+                }
+                return;
+            }
+
+            this.state.clearSelection();
+            if (this.history) this.history.saveState(e.button === 2 ? 'Delete note' : 'Add note', this.getNoteEditScope());
             
             // Left Click: Add Note
             if (e.button === 0) {
-                const note = this.state.addNote(pos.midi, pos.time);
+                const note = this.state.addNote(pos.midi, pos.time, this.state.getSnapSteps() || 1);
 
                 // --- Modified: Send preset to playNote ---
                 // This ensures the click sound matches the main playback sound exactly.
@@ -161,6 +199,8 @@ export default class Interaction {
 
                 if (isDrums) {
                     this.audio.playDrum(pos.midi, 0, currentSynthSettings);
+                } else if (activeTrack && activeTrack.type === 'SAMPLER') {
+                    this.audio.playSample(pos.midi, 0.2, 0, currentSynthSettings, activeTrack.sampler, 0.8);
                 } else {
                     // Added last parameter (presetName)
                     this.audio.playNote(pos.midi, 0.2, 0, currentSynthSettings, 0.8, presetName);
@@ -170,7 +210,7 @@ export default class Interaction {
             } 
             // Right Click: Remove Note
             else if (e.button === 2) {
-                this.state.removeNote(pos.midi, pos.time);
+                this.state.removeNote(pos.midi, pos.exactTime);
             }
         } else if (pos.zone === 'KEYS') {
             // --- Modified: Send preset for piano keys ---
@@ -178,25 +218,36 @@ export default class Interaction {
 
             if (isDrums) {
                 this.audio.playDrum(pos.midi, 0, currentSynthSettings);
+            } else if (activeTrack && activeTrack.type === 'SAMPLER') {
+                this.audio.playSample(pos.midi, 0.5, 0, currentSynthSettings, activeTrack.sampler, 0.8);
             } else {
                 // Last parameter added
                 this.audio.playNote(pos.midi, 0.5, 0, currentSynthSettings, 0.8, presetName);
             }
         } else if (pos.zone === 'CHORD') {
-            if (pos.bar >= 0 && pos.bar < this.state.totalBars) {
-                if (e.button === 0) this.showCustomChordMenu(pos.bar, pos.absX, pos.absY);
-                else if (e.button === 2) this.showContextMenu(pos.bar, pos.absX, pos.absY);
+            if (e.button === 0 && pos.edgeRegion) {
+                if (this.history) this.history.saveState('Resize chord', { song: ['chordRegions'] });
+                this.draggingChord = pos.edgeRegion;
+                this.rend.selectedChord = pos.edgeRegion;
+            } else if (pos.bar >= 0 && pos.bar < this.state.totalBars) {
+                if (e.button === 0) this.showCustomChordMenu(pos.bar, pos.absX, pos.absY, pos.step);
+                else if (e.button === 2) this.showContextMenu(pos.bar, pos.absX, pos.absY, pos.step);
             }
         } else if (pos.zone === 'ADD_BTN') {
-            this.history.saveState();
+            this.history.saveState('Add bar', this.history.getTimelineScope());
             this.state.insertBar(this.state.totalBars);
             this.rend.resize();
         } else if (pos.zone === 'REMOVE_BTN') {
-            this.history.saveState();
+            this.history.saveState('Remove last bar', this.history.getTimelineScope());
             this.state.deleteBar(this.state.totalBars - 1);
             this.rend.resize();
         } else if (pos.zone === 'RULER') {
-            this.state.playbackStartStep = Math.max(0, pos.step);
+            if (e.button === 2) {
+                this.showRulerMenu(pos.x, pos.y, pos.exactStep);
+                return;
+            }
+            // Dragging along the ruler draws a loop region; a plain click sets the playback start (on mouse up)
+            this.rulerDrag = { anchor: this.state.snapStep(pos.exactStep, true), step: pos.step, x: e.clientX, moved: false };
         }
         this.rend.draw();
     }
@@ -207,7 +258,9 @@ export default class Interaction {
      * @param {string} source 
      */
     throttledHover(e, source) {
-        if (this.draggingNote && source === 'MAIN') {
+        const isDraggingMain = this.draggingNote || this.draggingSelection || this.marqueeStart;
+        const isDraggingChord = this.draggingChord || this.rulerDrag;
+        if ((isDraggingMain && source === 'MAIN') || (isDraggingChord && source === 'CHORD')) {
             this.onHover(e, source);
             return;
         }
@@ -231,10 +284,85 @@ export default class Interaction {
             cvs.style.cursor = 'e-resize';
             const pos = this.getPos(e, source);
             if (pos && pos.zone === 'GRID') {
-                let d = pos.time - this.draggingNote.time + 1;
-                if (d < 1) d = 1;
+                // The note ends on the snap line after the mouse (or at the mouse with snap off)
+                const size = this.state.getSnapSteps();
+                const end = size > 0 ? pos.time + size : pos.exactTime;
+                const minLength = size > 0 ? size : this.state.getSnapSteps('1/64');
+                const d = Math.max(minLength, this.state.roundTime(end - this.draggingNote.time));
                 if (this.draggingNote.duration !== d) {
                     this.draggingNote.duration = d;
+                    delete this.draggingNote.grooved; // Played with the groove again
+                    this.rend.draw();
+                }
+            }
+            return;
+        }
+
+        // Moving the selection (snap divisions and semitones, kept inside the song and MIDI range)
+        if (this.draggingSelection && source === 'MAIN') {
+            cvs.style.cursor = 'move';
+            const pos = this.getPos(e, source);
+            if (pos && pos.zone === 'GRID') {
+                const drag = this.draggingSelection;
+                const origins = [...drag.origins.values()];
+                const minTime = Math.min(...origins.map(o => o.time));
+                const minMidi = Math.min(...origins.map(o => o.midi));
+                const maxMidi = Math.max(...origins.map(o => o.midi));
+                const dt = Math.max(-minTime, pos.time - drag.anchorTime);
+                const dm = Math.max(-minMidi, Math.min(127 - maxMidi, pos.midi - drag.anchorMidi));
+                drag.origins.forEach((o, note) => {
+                    note.time = this.state.roundTime(o.time + dt);
+                    note.midi = o.midi + dm;
+                    if (dt !== 0) delete note.grooved;
+                });
+                this.rend.draw();
+            }
+            return;
+        }
+
+        // Selection rectangle
+        if (this.marqueeStart && source === 'MAIN') {
+            cvs.style.cursor = 'crosshair';
+            const pos = this.getPos(e, source);
+            if (pos && pos.zone === 'GRID') {
+                const a = this.marqueeStart;
+                this.rend.marquee = {
+                    startStep: Math.max(0, Math.min(a.time, pos.exactTime)),
+                    endStep: Math.max(a.time, pos.exactTime),
+                    lowMidi: Math.min(a.midi, pos.midi),
+                    highMidi: Math.max(a.midi, pos.midi)
+                };
+                this.rend.draw();
+            }
+            return;
+        }
+
+        // Loop region drawing on the ruler (snaps to the snap grid)
+        if (this.rulerDrag && source === 'CHORD') {
+            const drag = this.rulerDrag;
+            if (!drag.moved && Math.abs(e.clientX - drag.x) < 5) return;
+            drag.moved = true;
+            cvs.style.cursor = 'ew-resize';
+            const rect = cvs.getBoundingClientRect();
+            const c = this.rend.config;
+            const step = (e.clientX - rect.left + this.rend.cachedScrollLeft - c.keyWidth) / c.gridW;
+            const end = Math.min(this.state.getTotalSteps(), this.state.snapStep(step, true));
+            if (end !== drag.anchor) {
+                this.state.setLoop(Math.min(drag.anchor, end), Math.max(drag.anchor, end));
+                window.dispatchEvent(new Event('loopChanged'));
+                this.rend.draw();
+            }
+            return;
+        }
+
+        // Chord region resizing (snaps to beat units)
+        if (this.draggingChord && source === 'CHORD') {
+            cvs.style.cursor = 'ew-resize';
+            const pos = this.getPos(e, source);
+            if (pos && pos.zone === 'CHORD') {
+                const end = this.snapChordStep(pos.step);
+                if (end > this.draggingChord.start && end !== this.draggingChord.start + this.draggingChord.length) {
+                    this.state.resizeChord(this.draggingChord, end);
                     this.rend.draw();
                 }
             }
@@ -282,7 +410,8 @@ export default class Interaction {
 
             } else {
                 // Standard Synth mode (show frequency and scale)
-                const analysis = this.brain.analyzeNote(pos.midi, this.state.rootKey, this.brain.getScaleNotes(this.state.rootKey, this.state.scaleName), null);
+                const key = this.state.getKeyAtStep(pos.time);
+                const analysis = this.brain.analyzeNote(pos.midi, key.rootKey, this.brain.getScaleNotes(key.rootKey, key.scaleName), null);
                 const freq = this.brain.getFrequency(pos.midi);
 
                 html = `<div class="tt-header">${this.brain.getNoteName(pos.midi)}</div>`;
@@ -300,13 +429,14 @@ export default class Interaction {
             this.showTooltip(pos.x, pos.y, html);
         } else if (pos.zone === 'CHORD') {
             // (Unchanged from before)
-            cvs.style.cursor = 'context-menu';
+            cvs.style.cursor = pos.edgeRegion ? 'ew-resize' : 'context-menu';
             if (pos.bar < this.state.totalBars) {
-                const chordIdx = this.state.barChords[pos.bar] || 0;
-                const def = this.brain.chordDegrees[this.state.scaleName][chordIdx];
-                const name = this.brain.getRealChordName(def, this.state.rootKey);
+                const key = this.state.getKeyAtStep(pos.step);
+                const entry = this.state.getChordEntryAt(pos.step);
+                const def = this.brain.resolveChord(entry !== null ? entry : 0, key);
+                const name = this.brain.getRealChordName(def, key.rootKey);
                 const barNotes = this.state.getNotesInBar(pos.bar);
-                const analysis = this.brain.analyzeBarHarmony(barNotes, def, this.state.rootKey);
+                const analysis = this.brain.analyzeBarHarmony(barNotes, def, key.rootKey);
 
                 let html = `<div class="tt-header">Bar ${pos.bar + 1}: ${name}</div>`;
                 html += `<div class="tt-row">Func: ${def.name}</div>`;
@@ -352,17 +482,82 @@ export default class Interaction {
      */
     onMouseUp() {
         this.draggingNote = null;
+        this.draggingSelection = null;
+        if (this.marqueeStart) {
+            const m = this.rend.marquee;
+            const c = this.rend.config;
+            // A click without a drag keeps the old Shift+Click behaviour: set the playback start
+            if ((m.endStep - m.startStep) * c.gridW < 4 && m.lowMidi === m.highMidi) {
+                this.state.playbackStartStep = Math.floor(this.marqueeStart.time);
+            } else {
+                this.state.selectNotesInRect(m.startStep, m.endStep, m.lowMidi, m.highMidi, true);
+            }
+            this.marqueeStart = null;
+            this.rend.marquee = null;
+            this.rend.draw();
+        }
+        if (this.draggingChord) {
+            this.draggingChord = null;
+            this.rend.selectedChord = null;
+            this.rend.draw();
+        }
+        if (this.rulerDrag) {
+            if (!this.rulerDrag.moved) this.state.playbackStartStep = Math.max(0, this.rulerDrag.step);
+            this.rulerDrag = null;
+            if (this.rend.chordCanvas) this.rend.chordCanvas.style.cursor = 'default';
+            this.rend.draw();
+        }
         if (this.rend.mainCanvas) this.rend.mainCanvas.style.cursor = 'default';
     }
 
+    /**
+     * Snaps a step in the chord track to the nearest beat unit of its bar.
+     * @param {number} step - Fractional step position.
+     * @returns {number} Snapped step.
+     */
+    snapChordStep(step) {
+        const bar = this.state.getBarAtStep(Math.max(0, step));
+        const barStart = this.state.getBarStartStep(bar);
+        const unit = this.state.getMeter(bar).unitSteps;
+        return barStart + Math.round((step - barStart) / unit) * unit;
+    }
+
+    /**
+     * Refreshes the key controls and scale shading after the key map was edited.
+     * @param {number} barIndex - Bar the edit started at (bar 0 is the project key).
+     */
+    onProjectKeyEdited(barIndex) {
+        if (barIndex === 0) {
+            document.getElementById('rootSelect').value = this.state.rootKey;
+            document.getElementById('scaleSelect').value = this.state.scaleName;
+        }
+        this.rend.updateScaleCache();
+        this.rend.draw();
+    }
+
+    /**
+     * Compares two chord entries (degree indices or chord objects).
+     * @param {number|Object|null} a 
+     * @param {number|Object|null} b 
+     * @returns {boolean} True if both describe the same chord.
+     */
+    isSameChord(a, b) {
+        if (a === null || b === null || typeof a !== typeof b) return false;
+        if (typeof a === 'number') return a === b;
+        return a.root === b.root && a.quality === b.quality && (a.bass || null) === (b.bass || null);
+    }
+
     /**
      * Shows the custom chord selection menu (Left Click on chord bar).
      * @param {number} barIndex 
      * @param {number} x 
      * @param {number} y 
+     * @param {number} step - Step that was clicked; the chord sounding there is changed.
      */
-    showCustomChordMenu(barIndex, x, y) {
-        const availableChords = this.brain.chordDegrees[this.state.scaleName];
+    showCustomChordMenu(barIndex, x, y, step = this.state.getBarStartStep(barIndex)) {
+        const key = this.state.getKeyAtStep(step);
+        const currentChord = this.state.getChordEntryAt(step);
+        const availableChords = this.brain.chordDegrees[key.scaleName];
 
         // Get current section info (assume NONE if missing)
         const currentSection = this.state.barStructure ? (this.state.barStructure[barIndex] || 'NONE') : 'NONE';
@@ -400,7 +595,7 @@ export default class Interaction {
             const item = document.createElement('div');
             item.className = 'chord-item';
 
-            const realName = this.brain.getRealChordName(chord, this.state.rootKey);
+            const realName = this.brain.getRealChordName(chord, key.rootKey);
 
             // 1. Determine color and badge type (Function Badge)
             let badgeClass = 'badge-leading';
@@ -451,7 +646,7 @@ export default class Interaction {
             }
 
             // Highlight current chord
-            if (index === this.state.barChords[barIndex]) {
+            if (this.isSameChord(index, currentChord)) {
                 item.style.backgroundColor = '#353b48';
                 item.style.borderLeftColor = '#ff9f43';
                 item.classList.remove('suggested');
@@ -460,14 +655,112 @@ export default class Interaction {
             item.innerHTML = innerHTML;
             item.onclick = (e) => {
                 e.stopPropagation();
-                if (this.history) this.history.saveState();
-                this.state.barChords[barIndex] = index;
+                if (this.history) this.history.saveState('Change chord', { song: ['chordRegions'] });
+                this.state.setChordAt(step, index);
                 this.rend.draw();
                 this.closeMenu();
             };
             menu.appendChild(item);
         });
 
+        // --- Borrowed / Secondary submenu (collapsed until opened) ---
+        const applyChord = (chord) => {
+            if (this.history) this.history.saveState('Change chord', { song: ['chordRegions'] });
+            this.state.setChordAt(step, chord);
+            this.rend.draw();
+            this.closeMenu();
+        };
+
+        const chromaticToggle = document.createElement('div');
+        chromaticToggle.className = 'menu-header-label';
+        chromaticToggle.style.cssText = 'cursor: pointer; margin-top: 4px;';
+        chromaticToggle.innerText = 'BORROWED / SECONDARY ▸';
+        menu.appendChild(chromaticToggle);
+
+        const chromaticList = document.createElement('div');
+        chromaticList.style.display = 'none';
+        menu.appendChild(chromaticList);
+
+        chromaticToggle.onclick = (e) => {
+            e.stopPropagation();
+            const open = chromaticList.style.display === 'none';
+            chromaticList.style.display = open ? 'block' : 'none';
+            chromaticToggle.innerText = open ? 'BORROWED / SECONDARY ▾' : 'BORROWED / SECONDARY ▸';
+        };
+
+        this.brain.getChromaticChords(key).forEach(({ chord, group, desc }) => {
+            const def = this.brain.resolveChord(chord, key);
+            const item = document.createElement('div');
+            item.className = 'chord-item';
+            item.innerHTML = `
+                <div>
+                    <span class="chord-degree">${def.name}</span>
+                    <span class="chord-real">${this.brain.getRealChordName(def, key.rootKey)}</span>
+                </div>
+                <div class="func-badge badge-${group.toLowerCase()}">${group}</div>
+                <div class="vibe-text">${desc}</div>
+                <div></div>
+            `;
+            if (this.isSameChord(chord, currentChord)) {
+                item.style.backgroundColor = '#353b48';
+                item.style.borderLeftColor = '#ff9f43';
+            }
+            item.onclick = (e) => {
+                e.stopPropagation();
+                applyChord(chord);
+            };
+            chromaticList.appendChild(item);
+        });
+
+        // --- Bass note: inversions and typed chord symbols (slash chords) ---
+        const bassHeader = document.createElement('div');
+        bassHeader.className = 'menu-header-label';
+        bassHeader.style.marginTop = '4px';
+        bassHeader.innerText = 'BASS / CUSTOM';
+        menu.appendChild(bassHeader);
+
+        const addBassItem = (label, detail, onClick) => {
+            const item = document.createElement('div');
+            item.className = 'chord-item';
+            item.innerHTML = `<div><span class="chord-real">${label}</span></div><div></div><div class="vibe-text">${detail}</div><div></div>`;
+            item.onclick = (e) => {
+                e.stopPropagation();
+                onClick();
+            };
+            menu.appendChild(item);
+        };
+
+        const currentDef = this.brain.resolveChord(currentChord, key);
+        if (currentDef) {
+            // Chord objects keep root/quality; only the bass changes
+            const asObject = typeof currentChord === 'number'
+                ? this.brain.degreeToChord(key.scaleName, currentChord)
+                : currentChord;
+            const third = currentDef.intervals[1];
+            const fifth = currentDef.intervals[2];
+
+            addBassItem('Root Position', 'Chord root in the bass', () => applyChord({ ...asObject, bass: null }));
+            if (third !== undefined) {
+                addBassItem(`1st Inversion (/${this.brain.noteNames[(key.rootKey + third) % 12]})`, '3rd in the bass, smoother bass line',
+                    () => applyChord({ ...asObject, bass: third }));
+            }
+            if (fifth !== undefined) {
+                addBassItem(`2nd Inversion (/${this.brain.noteNames[(key.rootKey + fifth) % 12]})`, '5th in the bass, passing or cadential',
+                    () => applyChord({ ...asObject, bass: fifth }));
+            }
+        }
+
+        addBassItem('Chord Symbol...', 'Type any chord, e.g. Bb, F#m7, C/E', () => {
+            const input = prompt("Chord symbol (e.g. Bb, F#m7, Gsus4, C/E):", currentDef ? this.brain.getRealChordName(currentDef, key.rootKey) : '');
+            if (input === null) return;
+            const chord = this.brain.parseChordSymbol(input, key);
+            if (!chord) {
+                alert("Unknown chord symbol. Use a root note, a suffix such as m, 7, maj7, sus4, dim, and an optional /bass note.");
+                return;
+            }
+            applyChord(chord);
+        });
+
         document.body.appendChild(menu);
         this.activeMenu = menu;
 
@@ -485,8 +778,9 @@ export default class Interaction {
      * @param {number} barIndex 
      * @param {number} x 
      * @param {number} y 
+     * @param {number} step - Step that was clicked (used by the chord actions).
      */
-    showContextMenu(barIndex, x, y) {
+    showContextMenu(barIndex, x, y, step = this.state.getBarStartStep(barIndex)) {
         this.closeMenu();
 
         // Create main container
@@ -520,30 +814,39 @@ export default class Interaction {
         header1.innerText = `BAR ${barIndex + 1} ACTIONS`;
         menu.appendChild(header1);
 
-        addItem('📄', 'Copy Bar', () => this.state.copyBar(barIndex));
+        addItem('📄', 'Copy Bar', () => this.clipboard.write(this.state.copyBar(barIndex)));
+        addItem('📑', 'Copy Range...', () => {
+            if (window.openRangeCopy) window.openRangeCopy(this.state.getBarStartStep(barIndex));
+        });
 
-        if (this.state.clipboard) {
-            addItem('📋', 'Paste Bar', () => {
-                if (this.history) this.history.saveState();
-                this.state.pasteBar(barIndex);
-                this.rend.draw();
-            });
-        }
+        // Paste items are always offered: the range may come from another tab
+        const pasteStep = Math.min(this.snapChordStep(step), this.state.getTotalSteps());
+        const pastePos = this.state.formatPosition(pasteStep);
+        addItem('📋', `Paste at ${pastePos} (Overwrite)`, () => {
+            this.pasteClipboard(pasteStep, { mode: 'overwrite' }, `Paste at ${pastePos}`);
+        });
+        addItem('➕', `Paste as New Bars at ${barIndex + 1}`, () => {
+            this.pasteClipboard(this.state.getBarStartStep(barIndex), { mode: 'insert' }, `Insert paste at bar ${barIndex + 1}`);
+        });
+        addItem('🎯', `Paste Into Active Track at ${pastePos}`, () => {
+            this.pasteClipboard(pasteStep, { mode: 'overwrite', targetTrackIndex: this.state.activeTrackIndex, chords: false, sections: false },
+                `Paste into ${this.state.currentTrack ? this.state.currentTrack.name : 'track'} at ${pastePos}`);
+        });
 
         addItem('⬅️', 'Insert Before', () => {
-            if (this.history) this.history.saveState();
+            if (this.history) this.history.saveState(`Insert bar before ${barIndex + 1}`, this.history.getTimelineScope());
             this.state.insertBar(barIndex, barIndex);
             this.rend.forceResize();
         });
 
         addItem('➡️', 'Insert After', () => {
-            if (this.history) this.history.saveState();
+            if (this.history) this.history.saveState(`Insert bar after ${barIndex + 1}`, this.history.getTimelineScope());
             this.state.insertBar(barIndex + 1, barIndex);
             this.rend.forceResize();
         });
 
         addItem('🗑️', 'Delete Bar', () => {
-            if (this.history) this.history.saveState();
+            if (this.history) this.history.saveState(`Delete bar ${barIndex + 1}`, this.history.getTimelineScope());
             this.state.deleteBar(barIndex);
             this.rend.forceResize();
         }, true);
@@ -564,10 +867,153 @@ export default class Interaction {
             if (btn) btn.click();
         });
 
+        const region = this.state.getChordAt(step);
+        const splitStep = this.snapChordStep(step);
+
+        if (region && splitStep > region.start && splitStep < region.start + region.length) {
+            addItem('✂️', 'Split Chord Here', () => {
+                if (this.history) this.history.saveState('Split chord', { song: ['chordRegions'] });
+                this.state.splitChordAt(splitStep);
+                this.rend.draw();
+            });
+        }
+
+        if (region && this.state.chordRegions.some(r => r.start >= region.start + region.length)) {
+            addItem('🔗', 'Merge With Next Chord', () => {
+                if (this.history) this.history.saveState('Merge chords', { song: ['chordRegions'] });
+                this.state.mergeChordWithNext(step);
+                this.rend.draw();
+            });
+        }
+
+        if (region) {
+            addItem('✖️', 'Remove Chord', () => {
+                if (this.history) this.history.saveState('Remove chord', { song: ['chordRegions'] });
+                this.state.removeChordAt(step);
+                this.rend.draw();
+            }, true);
+        }
+
+        // Separator
+        menu.appendChild(document.createElement('hr'));
+
+        // --- Section 3: Tempo, Meter & Key Map ---
+        const headerTime = document.createElement('div');
+        headerTime.className = 'menu-header-label';
+        headerTime.innerText = 'TEMPO, METER & KEY';
+        menu.appendChild(headerTime);
+
+        const tempoChange = this.state.tempoChanges.find(t => t.bar === barIndex);
+        const meterChange = this.state.meterChanges.find(m => m.bar === barIndex);
+
+        addItem('⏱️', 'Tempo Change Here...', () => {
+            const current = tempoChange
+                ? `${tempoChange.ramp ? '~' : ''}${tempoChange.bpm}`
+                : Math.round(this.state.tempoMap.getBpmAtStep(this.state.getBarStartStep(barIndex)));
+            const input = prompt(`Tempo from bar ${barIndex + 1} (BPM).\nPrefix with ~ to glide there from the previous tempo point (e.g. ~60).`, current);
+            if (input === null) return;
+
+            const ramp = input.trim().startsWith('~');
+            const bpm = parseFloat(input.replace('~', ''));
+            if (!bpm || bpm < 20 || bpm > 400) {
+                alert("Please enter a tempo between 20 and 400 BPM.");
+                return;
+            }
+            if (this.history) this.history.saveState(`Set tempo at bar ${barIndex + 1}`, { song: ['bpm', 'tempoChanges'] });
+            this.state.setTempoChange(barIndex, bpm, ramp && barIndex > 0);
+            if (barIndex === 0) document.getElementById('bpmInput').value = bpm;
+            this.rend.draw();
+        });
+
+        if (tempoChange) {
+            addItem('✖️', 'Remove Tempo Change', () => {
+                if (this.history) this.history.saveState(`Remove tempo change at bar ${barIndex + 1}`, { song: ['bpm', 'tempoChanges'] });
+                this.state.removeTempoChange(barIndex);
+                this.rend.draw();
+            }, true);
+        }
+
+        addItem('🎼', 'Time Signature Here...', () => {
+            const meter = this.state.getMeter(barIndex);
+            const current = this.state.formatTimeSignature(meter.numerator, meter.denominator, meter.grouping);
+            const input = prompt(`Time signature from bar ${barIndex + 1} (e.g. 3/4, 6/8, 7/8:3+2+2).`, current);
+            if (input === null) return;
+
+            const parsed = this.state.parseTimeSignature(input);
+            if (!parsed) {
+                alert("Invalid time signature. Use forms like 3/4, 6/8 or 7/8:2+2+3 (denominator 2, 4, 8 or 16).");
+                return;
+            }
+            if (this.history) this.history.saveState(`Set time signature at bar ${barIndex + 1}`, this.history.getTimelineScope());
+            this.state.setMeterChange(barIndex, parsed.numerator, parsed.denominator, parsed.grouping);
+            if (barIndex === 0) {
+                document.getElementById('timeSigSelect').value = this.state.formatTimeSignature(
+                    this.state.timeNumerator, this.state.timeDenominator, this.state.beatGrouping);
+            }
+            this.rend.forceResize();
+        });
+
+        if (meterChange) {
+            addItem('✖️', 'Remove Time Signature Change', () => {
+                if (this.history) this.history.saveState(`Remove time signature change at bar ${barIndex + 1}`, this.history.getTimelineScope());
+                this.state.removeMeterChange(barIndex);
+                this.rend.forceResize();
+            }, true);
+        }
+
+        // --- Key ---
+        const currentKey = this.state.getKeyAtBar(barIndex);
+        const keyChange = this.state.keyChanges.find(k => k.bar === barIndex);
+        const currentKeyName = this.brain.getKeyName(currentKey.rootKey, currentKey.scaleName);
+
+        addItem('🔑', 'Key Change Here...', () => {
+            const input = prompt(`Key from bar ${barIndex + 1} (e.g. D Major, Bb Minor).\nNotes are not moved (chords keep their degrees) - use "Modulate From Here" to move notes too.`, currentKeyName);
+            if (input === null) return;
+
+            const parsed = this.brain.parseKeyName(input, currentKey.scaleName);
+            if (!parsed) {
+                alert("Unknown key. Use a note name followed by a scale, e.g. \"F# Minor\" or \"Eb Dorian\".");
+                return;
+            }
+            if (this.history) this.history.saveState(`Set key at bar ${barIndex + 1}`, { song: ['rootKey', 'scaleName', 'keyChanges'] });
+            this.state.setKeyChange(barIndex, parsed.rootKey, parsed.scaleName);
+            this.onProjectKeyEdited(barIndex);
+        });
+
+        addItem('🔀', 'Modulate From Here...', () => {
+            const input = prompt(`Modulate from bar ${barIndex + 1} (currently ${currentKeyName}).\nEnter a key (e.g. E Major) or a shift in semitones (e.g. +2, -3).\nNotes and chords up to the next key change are moved into the new key.`, '+2');
+            if (input === null) return;
+
+            let target;
+            const shift = input.trim().match(/^([+-]\d+)$/);
+            if (shift) {
+                target = { rootKey: ((currentKey.rootKey + parseInt(shift[1])) % 12 + 12) % 12, scaleName: currentKey.scaleName };
+            } else {
+                target = this.brain.parseKeyName(input, currentKey.scaleName);
+            }
+            if (!target) {
+                alert("Unknown key. Use a key such as \"E Major\" or a semitone shift such as +2.");
+                return;
+            }
+            if (this.history) this.history.saveState(`Modulate from bar ${barIndex + 1}`, this.history.getTimelineScope());
+            this.state.modulateFrom(barIndex, target.rootKey, target.scaleName,
+                midi => this.brain.mapNoteToKey(midi, currentKey, target),
+                chord => this.brain.mapChordToKey(chord, currentKey, target));
+            this.onProjectKeyEdited(barIndex);
+        });
+
+        if (keyChange) {
+            addItem('✖️', 'Remove Key Change', () => {
+                if (this.history) this.history.saveState(`Remove key change at bar ${barIndex + 1}`, { song: ['rootKey', 'scaleName', 'keyChanges'] });
+                this.state.removeKeyChange(barIndex);
+                this.rend.draw();
+            }, true);
+        }
+
         // Separator
         menu.appendChild(document.createElement('hr'));
 
-        // --- Section 3: Section Type ---
+        // --- Section 4: Section Type ---
         const header2 = document.createElement('div');
         header2.className = 'menu-header-label';
         header2.innerText = 'SECTION TYPE';
@@ -593,7 +1039,7 @@ export default class Interaction {
 
             item.onclick = (e) => {
                 e.stopPropagation();
-                if (this.history) this.history.saveState();
+                if (this.history) this.history.saveState(`Set section of bar ${barIndex + 1}`, { song: ['barStructure'] });
                 this.state.barStructure[barIndex] = type;
                 this.rend.draw();
                 this.closeMenu();
@@ -613,6 +1059,368 @@ export default class Interaction {
         setTimeout(() => window.addEventListener('mousedown', this.outsideClickListener), 10);
     }
 
+    /**
+     * Gets the history scope of an edit to the active track's notes (see History.saveState),
+     * so the step only compares that track.
+     * @returns {Object} { tracks: [id] }, or {} without an active track.
+     */
+    getNoteEditScope() {
+        const track = this.state.tracks[this.state.activeTrackIndex];
+        return track ? { tracks: [track.id] } : {};
+    }
+
+    /**
+     * Applies a transform to the selected notes as a single undo step.
+     * @param {string} label - History label.
+     * @param {Function} fn - Receives the selected notes.
+     * @param {string} [coalesce] - Coalesce key for repeated keyboard edits (see History.saveState).
+     */
+    applyToSelection(label, fn, coalesce = null) {
+        const notes = this.state.getSelectedNotes();
+        if (notes.length === 0) return;
+        if (this.history) this.history.saveState(label, coalesce ? { coalesce, ...this.getNoteEditScope() } : this.getNoteEditScope());
+        fn(notes);
+        if (this.history && !coalesce) this.history.commit();
+        this.rend.draw();
+    }
+
+    /**
+     * Shows the transform menu for the selected notes.
+     * @param {number} x - Screen X.
+     * @param {number} y - Screen Y.
+     * @param {Object} pos - Grid position that was clicked.
+     */
+    showSelectionMenu(x, y, pos) {
+        this.closeMenu();
+        const notes = this.state.getSelectedNotes();
+        const t = this.transforms;
+
+        const menu = document.createElement('div');
+        menu.className = 'custom-chord-menu unified-menu';
+        menu.style.left = x + 'px';
+        menu.style.top = y + 'px';
+
+        const addHeader = (text) => {
+            const header = document.createElement('div');
+            header.className = 'menu-header-label';
+            header.innerText = text;
+            menu.appendChild(header);
+        };
+        const addItem = (icon, text, onClick, isDanger = false) => {
+            const el = document.createElement('div');
+            el.className = 'chord-item';
+            if (isDanger) el.classList.add('danger-item');
+            el.innerHTML = `
+                <span class="menu-icon">${icon}</span>
+                <span>${text}</span>
+            `;
+            el.onclick = (e) => {
+                e.stopPropagation();
+                this.closeMenu();
+                onClick();
+            };
+            menu.appendChild(el);
+        };
+
+        addHeader(`SELECTION (${notes.length} NOTE${notes.length === 1 ? '' : 'S'})`);
+        addItem('⬆️', 'Up a Semitone', () => this.applyToSelection('Transpose +1', n => t.transpose(n, 1)));
+        addItem('⬇️', 'Down a Semitone', () => this.applyToSelection('Transpose -1', n => t.transpose(n, -1)));
+        addItem('⏫', 'Up an Octave', () => this.applyToSelection('Transpose +12', n => t.transpose(n, 12)));
+        addItem('⏬', 'Down an Octave', () => this.applyToSelection('Transpose -12', n => t.transpose(n, -12)));
+        addItem('🎼', 'Up a Scale Step', () => this.applyToSelection('Transpose +1 scale step', n => t.transposeDiatonic(n, 1)));
+        addItem('🎼', 'Down a Scale Step', () => this.applyToSelection('Transpose -1 scale step', n => t.transposeDiatonic(n, -1)));
+        addItem('🔢', 'Transpose...', () => {
+            const input = prompt("Transpose by semitones (e.g. 5, -3) or by scale steps with 'd' (e.g. 2d, -1d):", "2d");
+            if (input === null) return;
+            const match = input.trim().match(/^([+-]?\d+)\s*(d?)$/i);
+            if (!match) {
+                alert("Use a whole number of semitones (e.g. -3) or scale steps such as 2d.");
+                return;
+            }
+            const amount = parseInt(match[1]);
+            if (match[2]) this.applyToSelection(`Transpose ${amount > 0 ? '+' : ''}${amount} scale steps`, n => t.transposeDiatonic(n, amount));
+            else this.applyToSelection(`Transpose ${amount > 0 ? '+' : ''}${amount}`, n => t.transpose(n, amount));
+        });
+        addItem('🪞', 'Invert Around...', () => {
+            const low = Math.min(...notes.map(n => n.midi));
+            const high = Math.max(...notes.map(n => n.midi));
+            const input = prompt("Invert around which pitch? (note name such as E4, or a MIDI number)", this.brain.getNoteName(Math.round((low + high) / 2)));
+            if (input === null) return;
+            const pivot = this.brain.parseNoteName(input);
+            if (pivot === null) {
+                alert("Unknown pitch. Use a note name with octave such as C4 or F#3.");
+                return;
+            }
+            this.applyToSelection(`Invert around ${this.brain.getNoteName(pivot)}`, n => t.invert(n, pivot));
+        });
+
+        addHeader('TIMING');
+        addItem('🧲', 'Quantize...', () => {
+            const input = prompt("Quantize to which note value? (1/4, 1/8, 1/16 ... 1/64, 1/8T = triplet, 1/8. = dotted)\nAdd a strength to move notes only part of the way, e.g. \"1/16 50%\".", "1/8");
+            if (input === null) return;
+            const match = input.trim().match(/^(\S+)(?:\s+(\d+(?:\.\d+)?)%?)?$/);
+            const gridSteps = match ? this.state.getSnapSteps(match[1]) : 0;
+            const strength = match && match[2] !== undefined ? parseFloat(match[2]) / 100 : 1;
+            if (!(gridSteps > 0) || this.state.getSnapSteps(match[1].replace(/[T.]$/i, '')) < this.state.getSnapSteps('1/64')) {
+                alert("Choose a note value between 1/1 and 1/64, e.g. 1/16, 1/8T or 1/4.");
+                return;
+            }
+            if (!(strength > 0) || strength > 1) {
+                alert("The strength must be between 1% and 100%.");
+                return;
+            }
+            const label = strength < 1 ? `Quantize to ${match[1]} (${Math.round(strength * 100)}%)` : `Quantize to ${match[1]}`;
+            this.applyToSelection(label, n => t.quantize(n, gridSteps, strength));
+        });
+        addItem('🥁', 'Groove Quantize...', () => {
+            const groove = this.state.grooveMap.getTrackGroove(this.state.currentTrack);
+            const input = prompt(`Move the notes onto the track groove (${groove.template}, ${Math.round(groove.amount * 100)}%).\nStrength (0-100%):`, "100");
+            if (input === null) return;
+            const strength = parseFloat(input) / 100;
+            if (!(strength > 0) || strength > 1) {
+                alert("Enter a strength between 1 and 100.");
+                return;
+            }
+            this.applyToSelection(`Groove quantize (${groove.template}, ${Math.round(strength * 100)}%)`, n => t.grooveQuantize(n, groove, strength));
+        });
+        addItem('⬅️', 'Nudge Left', () => this.applyToSelection('Nudge notes', n => t.nudge(n, -this.getNudgeSteps())));
+        addItem('➡️', 'Nudge Right', () => this.applyToSelection('Nudge notes', n => t.nudge(n, this.getNudgeSteps())));
+        addItem('〰️', 'Legato', () => this.applyToSelection('Legato', n => t.legato(n)));
+        addItem('🔁', 'Reverse', () => this.applyToSelection('Reverse notes', n => t.reverse(n)));
+        addItem('↔️', 'Stretch Time...', () => {
+            const input = prompt("Stretch factor (2 = twice as long, 0.5 = half as long):", "2");
+            if (input === null) return;
+            const factor = parseFloat(input);
+            if (!(factor > 0) || factor > 16) {
+                alert("Enter a factor greater than 0 and at most 16.");
+                return;
+            }
+            this.applyToSelection(`Stretch time x${factor}`, n => t.stretch(n, factor));
+        });
+
+        addHeader('EDIT');
+        addItem('📑', 'Duplicate', () => this.applyToSelection('Duplicate notes', n => this.state.selectNotes(t.duplicate(n))));
+        addItem('🔊', 'Velocity...', () => {
+            const input = prompt("Scale velocity by percent (e.g. 120 = louder, 80 = softer):", "100");
+            if (input === null) return;
+            const percent = parseFloat(input);
+            if (!(percent >= 0)) {
+                alert("Enter a positive percentage.");
+                return;
+            }
+            this.applyToSelection(`Velocity ${percent}%`, n => t.scaleVelocity(n, percent / 100));
+        });
+        addItem('🗑️', 'Delete', () => this.applyToSelection('Delete notes', n => t.remove(n)), true);
+
+        document.body.appendChild(menu);
+        this.activeMenu = menu;
+
+        // Adjust menu position to prevent it from going off the bottom of the screen
+        const rect = menu.getBoundingClientRect();
+        if (rect.bottom > window.innerHeight) {
+            menu.style.top = Math.max(0, y - rect.height) + 'px';
+        }
+
+        setTimeout(() => window.addEventListener('mousedown', this.outsideClickListener), 10);
+    }
+
+    /**
+     * Shows the loop menu (right click on the ruler).
+     * @param {number} x - Menu position.
+     * @param {number} y - Menu position.
+     * @param {number} step - Step that was clicked.
+     */
+    showRulerMenu(x, y, step) {
+        this.closeMenu();
+        const state = this.state;
+        const bar = Math.min(state.totalBars - 1, state.getBarAtStep(Math.max(0, step)));
+
+        const menu = document.createElement('div');
+        menu.className = 'custom-chord-menu unified-menu';
+        menu.style.left = x + 'px';
+        menu.style.top = y + 'px';
+
+        const addItem = (icon, text, onClick, isDanger = false) => {
+            const el = document.createElement('div');
+            el.className = 'chord-item';
+            if (isDanger) el.classList.add('danger-item');
+            el.innerHTML = `
+                <span class="menu-icon">${icon}</span>
+                <span>${text}</span>
+            `;
+            el.onclick = (e) => {
+                e.stopPropagation();
+                this.closeMenu();
+                onClick();
+                window.dispatchEvent(new Event('loopChanged'));
+                this.rend.draw();
+            };
+            menu.appendChild(el);
+        };
+        const loopBars = (first, last) => state.setLoop(state.getBarStartStep(first), state.getBarStartStep(last + 1));
+
+        const header = document.createElement('div');
+        header.className = 'menu-header-label';
+        header.innerText = 'LOOP';
+        menu.appendChild(header);
+
+        addItem('🔁', `Loop Bar ${bar + 1}`, () => loopBars(bar, bar));
+
+        // The run of bars with the same section label (e.g. the whole chorus)
+        const section = state.barStructure[bar];
+        if (section && section !== 'NONE') {
+            let first = bar;
+            let last = bar;
+            while (first > 0 && state.barStructure[first - 1] === section) first--;
+            while (last < state.totalBars - 1 && state.barStructure[last + 1] === section) last++;
+            const label = state.sectionTypes[section] ? state.sectionTypes[section].label : section;
+            addItem('🧩', `Loop ${label} (Bars ${first + 1}-${last + 1})`, () => loopBars(first, last));
+        }
+
+        const selected = state.getSelectedNotes();
+        if (selected.length > 0) {
+            const span = this.transforms.getSpan(selected);
+            const first = state.getBarAtStep(span.start);
+            const last = state.getBarAtStep(span.end - 1e-6);
+            addItem('🎯', `Loop Selected Bars (${first + 1}-${last + 1})`, () => loopBars(first, last));
+        }
+
+        if (state.loopRegion) {
+            const from = state.formatPosition(state.loopRegion.start);
+            const to = state.formatPosition(state.loopRegion.end);
+            addItem(state.loopEnabled ? '⏸️' : '▶️', state.loopEnabled ? `Loop Off (${from} - ${to})` : `Loop On (${from} - ${to})`,
+                () => state.loopEnabled = !state.loopEnabled);
+            addItem('🗑️', 'Clear Loop', () => state.clearLoop(), true);
+        }
+
+        document.body.appendChild(menu);
+        this.activeMenu = menu;
+
+        const rect = menu.getBoundingClientRect();
+        if (rect.bottom > window.innerHeight) {
+            menu.style.top = Math.max(0, y - rect.height) + 'px';
+        }
+
+        setTimeout(() => window.addEventListener('mousedown', this.outsideClickListener), 10);
+    }
+
+    /**
+     * Gets the distance of a single nudge: one snap division, or one step with snap off.
+     * @returns {number} Steps.
+     */
+    getNudgeSteps() {
+        return this.state.getSnapSteps() || 1;
+    }
+
+    /**
+     * Pastes the newest clipboard range (system clipboard first) as one undo step.
+     * @param {number} at - Target step.
+     * @param {Object} options - State.pasteRange options.
+     * @param {string} label - History label.
+     * @returns {Promise<void>}
+     */
+    async pasteClipboard(at, options, label) {
+        const clip = await this.clipboard.read();
+        if (!clip) {
+            alert("The clipboard is empty. Copy a bar or a range first.");
+            return;
+        }
+        // A paste may add bars and fills any track, so it records the whole timeline
+        if (this.history) this.history.saveState(label, this.history.getTimelineScope());
+        const pasted = this.state.pasteRange(clip, at, options);
+        if (this.history) this.history.commit();
+
+        this.state.selectNotes(pasted.filter(n => this.state.notes.includes(n)));
+        this.rend.forceResize();
+    }
+
+    /**
+     * Ctrl+C with selected notes copies them (as a range of the active track)
+     * to the app and system clipboards.
+     * @param {ClipboardEvent} e - The copy event.
+     */
+    onCopy(e) {
+        if (this.isTextTarget(e.target)) return;
+        const notes = this.state.getSelectedNotes();
+        if (notes.length === 0) return;
+
+        const span = this.transforms.getSpan(notes);
+        const clip = this.state.copyRange(span.start, span.end, { onlyNotes: new Set(notes), chords: false, sections: false });
+        e.clipboardData.setData('text/plain', this.clipboard.toText(clip));
+        e.preventDefault();
+    }
+
+    /**
+     * Ctrl+V adds a copied range at the playback start marker without removing notes.
+     * @param {ClipboardEvent} e - The paste event.
+     */
+    onPaste(e) {
+        if (this.isTextTarget(e.target)) return;
+        const clip = this.clipboard.fromText(e.clipboardData.getData('text/plain')) || this.state.clipboard;
+        if (!clip) return;
+        e.preventDefault();
+        this.state.clipboard = clip;
+
+        const at = this.state.playbackStartStep || 0;
+        if (this.history) this.history.saveState(`Paste at ${this.state.formatPosition(at)}`, this.history.getTimelineScope());
+        const pasted = this.state.pasteRange(clip, at, { mode: 'merge' });
+        if (this.history) this.history.commit();
+
+        this.state.selectNotes(pasted.filter(n => this.state.notes.includes(n)));
+        this.rend.forceResize();
+    }
+
+    /**
+     * Checks whether an event target is a text field (where copy/paste must stay native).
+     * @param {Element} target - Event target.
+     * @returns {boolean} True for inputs, selects and editable elements.
+     */
+    isTextTarget(target) {
+        return !!target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT' || target.isContentEditable);
+    }
+
+    /**
+     * Keyboard shortcuts for the note selection.
+     * Ctrl+A selects all, Esc clears, Delete removes, arrows nudge (Left/Right) and
+     * transpose (Up/Down; Shift = octave, Alt = scale step), Ctrl+D duplicates.
+     * @param {KeyboardEvent} e - The keyboard event.
+     * @returns {boolean} True if the key was handled.
+     */
+    onKeyDown(e) {
+        const mod = e.ctrlKey || e.metaKey;
+        const t = this.transforms;
+
+        if (mod && e.code === 'KeyA') {
+            this.state.selectNotes(this.state.notes);
+            this.rend.draw();
+            return true;
+        }
+        if (this.state.getSelectedNotes().length === 0) return false;
+
+        if (e.code === 'Escape') {
+            this.state.clearSelection();
+        } else if (e.code === 'Delete' || e.code === 'Backspace') {
+            this.applyToSelection('Delete notes', n => t.remove(n));
+        } else if (mod && e.code === 'KeyD') {
+            this.applyToSelection('Duplicate notes', n => this.state.selectNotes(t.duplicate(n)));
+        } else if (e.code === 'ArrowLeft' || e.code === 'ArrowRight') {
+            const dir = e.code === 'ArrowLeft' ? -1 : 1;
+            // Shift nudges by a beat unit of the bar the selection starts in
+            const first = Math.min(...this.state.getSelectedNotes().map(n => n.time));
+            const amount = e.shiftKey ? this.state.getMeter(this.state.getBarAtStep(first)).unitSteps : this.getNudgeSteps();
+            this.applyToSelection('Nudge notes', n => t.nudge(n, dir * amount), 'nudge');
+        } else if (e.code === 'ArrowUp' || e.code === 'ArrowDown') {
+            const dir = e.code === 'ArrowUp' ? 1 : -1;
+            if (e.altKey) this.applyToSelection('Transpose by scale steps', n => t.transposeDiatonic(n, dir), 'transpose-diatonic');
+            else this.applyToSelection('Transpose notes', n => t.transpose(n, dir * (e.shiftKey ? 12 : 1)), 'transpose');
+        } else {
+            return false;
+        }
+        e.preventDefault();
+        this.rend.draw();
+        return true;
+    }
+
     /**
      * Closes the currently active menu.
      */
@@ -657,6 +1465,13 @@ export default class Interaction {
             const delta = e.deltaY < 0 ? 0.1 : -0.1;
             let newVel = Math.max(0.1, Math.min(1.0, hoveringNote.velocity + delta));
             if (hoveringNote.velocity !== newVel) {
+                if (this.history) this.history.saveState('Change velocity', { coalesce: 'velocity', ...this.getNoteEditScope() });
+                // Over a selected note the wheel changes the whole selection
+                if (this.state.isNoteSelected(hoveringNote)) {
+                    this.state.getSelectedNotes().forEach(n => {
+                        n.velocity = Math.max(0.1, Math.min(1.0, (n.velocity !== undefined ? n.velocity : 0.8) + delta));
+                    });
+                }
                 hoveringNote.velocity = newVel;
                 this.showTooltip(e.clientX, e.clientY, `<div class="tt-header">Vel: ${Math.round(newVel * 100)}%</div>`);
                 this.rend.draw();
@@ -0,0 +1,142 @@
+/*
+ * SenseAudio - Visual Theory & Creative Studio
+ * Copyright (C) 2026 SensementMusic.com
+ *
+ * This file is part of SenseAudio (A Sensement Music Project).
+ *
+ * SenseAudio is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * SenseAudio is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with SenseAudio. If not, see <https://www.gnu.org/licenses/>.
+ *
+ * All branding, logos, and the name "Sensement Music" are properties of SensementMusic.com.
+ */
+
+/**
+ * @fileoverview Audio worklet for the master true-peak limiter. Runs on the audio thread,
+ * in the live context and in the mastering pass of every export (see AudioEngine.loadWorklets).
+ *
+ * Parameters: `ceiling` (linear peak ceiling), `release` (seconds) and `enabled`
+ * (0 passes the signal through, with the same latency).
+ *
+ * Peaks are also looked for between samples, by 4x oversampling with a windowed-sinc
+ * interpolator (true peak, as in ITU-R BS.1770). Both channels share one gain. A short
+ * look-ahead delay lets the gain reach its target before a peak is output: the required
+ * gain is held at its minimum over the look-ahead window and then averaged over the same
+ * window, so it ramps down smoothly and arrives exactly in time; it recovers with an
+ * exponential release.
+ */
+
+const OVERSAMPLE = 4;
+const HALF_TAPS = 6; // Interpolator reach on each side, in samples
+const LOOKAHEAD = 0.0015; // Seconds
+
+class TruePeakLimiterProcessor extends AudioWorkletProcessor {
+    static get parameterDescriptors() {
+        return [
+            { name: 'ceiling', defaultValue: 0.891, minValue: 0.01, maxValue: 1, automationRate: 'k-rate' },
+            { name: 'release', defaultValue: 0.08, minValue: 0.005, maxValue: 2, automationRate: 'k-rate' },
+            { name: 'enabled', defaultValue: 1, minValue: 0, maxValue: 1, automationRate: 'k-rate' }
+        ];
+    }
+
+    constructor() {
+        super();
+        this.window = Math.max(1, Math.round(sampleRate * LOOKAHEAD)) + 1;
+        this.delay = this.window - 1 + HALF_TAPS; // Latency in samples
+
+        // Input history per channel (a power of two, so indices wrap with a mask)
+        let size = 1;
+        while (size < this.delay + 2 * HALF_TAPS + 2) size *= 2;
+        this.mask = size - 1;
+        this.history = [new Float32Array(size), new Float32Array(size)];
+        this.time = 0;
+
+        // Hann-windowed sinc taps for each point between two samples
+        this.kernels = [];
+        for (let k = 1; k < OVERSAMPLE; k++) {
+            const taps = new Float32Array(2 * HALF_TAPS);
+            for (let j = 0; j < taps.length; j++) {
+                const x = k / OVERSAMPLE - (j - HALF_TAPS + 1);
+                const sinc = Math.sin(Math.PI * x) / (Math.PI * x);
+                taps[j] = sinc * (0.5 + 0.5 * Math.cos(Math.PI * x / (HALF_TAPS + 1)));
+            }
+            this.kernels.push(taps);
+        }
+
+        this.required = new Float32Array(this.window).fill(1); // Required gain over the look-ahead
+        this.held = new Float32Array(this.window).fill(1); // Held minimum, for the moving average
+        this.heldSum = this.window;
+        this.lastRequired = 1;
+        this.gain = 1;
+    }
+
+    /**
+     * Finds the true peak between two input positions (both channels).
+     * @param {number} p - Position of the first sample.
+     * @returns {number} Peak magnitude.
+     */
+    intervalPeak(p) {
+        const mask = this.mask;
+        let peak = 0;
+        for (let ch = 0; ch < 2; ch++) {
+            const hist = this.history[ch];
+            peak = Math.max(peak, Math.abs(hist[p & mask]), Math.abs(hist[(p + 1) & mask]));
+            for (let k = 0; k < this.kernels.length; k++) {
+                const taps = this.kernels[k];
+                let v = 0;
+                for (let j = 0; j < taps.length; j++) v += taps[j] * hist[(p - HALF_TAPS + 1 + j) & mask];
+                peak = Math.max(peak, Math.abs(v));
+            }
+        }
+        return peak;
+    }
+
+    process(inputs, outputs, parameters) {
+        const input = inputs[0];
+        const output = outputs[0];
+        const ceiling = parameters.ceiling[0];
+        const enabled = parameters.enabled[0] >= 0.5;
+        const releaseCoef = 1 - Math.exp(-1 / (Math.max(0.005, parameters.release[0]) * sampleRate));
+        const mask = this.mask;
+        const frames = output[0].length;
+
+        for (let i = 0; i < frames; i++) {
+            const t = this.time++;
+            for (let ch = 0; ch < 2; ch++) {
+                const src = input[ch] || input[0];
+                this.history[ch][t & mask] = src ? src[i] : 0;
+            }
+
+            // The newest full interpolation window ends at t; a sample needs the gain of both intervals it bounds
+            const peak = this.intervalPeak(t - HALF_TAPS);
+            const intervalGain = enabled && peak > ceiling ? ceiling / peak : 1;
+            const slot = t % this.window;
+            this.required[slot] = Math.min(intervalGain, this.lastRequired);
+            this.lastRequired = intervalGain;
+
+            let held = 1;
+            for (let k = 0; k < this.window; k++) held = Math.min(held, this.required[k]);
+            this.heldSum += held - this.held[slot];
+            this.held[slot] = held;
+            const target = Math.min(1, this.heldSum / this.window);
+            this.gain = target < this.gain ? target : this.gain + (target - this.gain) * releaseCoef;
+
+            const o = (t - this.delay) & mask;
+            for (let ch = 0; ch < output.length; ch++) {
+                output[ch][i] = this.history[Math.min(ch, 1)][o] * this.gain;
+            }
+        }
+        return true;
+    }
+}
+
+registerProcessor('true-peak-limiter', TruePeakLimiterProcessor);
@@ -0,0 +1,313 @@
+/*
+ * SenseAudio - Visual Theory & Creative Studio
+ * Copyright (C) 2026 SensementMusic.com
+ *
+ * This file is part of SenseAudio (A Sensement Music Project).
+ *
+ * SenseAudio is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * SenseAudio is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with SenseAudio. If not, see <https://www.gnu.org/licenses/>.
+ *
+ * All branding, logos, and the name "Sensement Music" are properties of SensementMusic.com.
+ */
+
+const OVERSAMPLE = 4; // True-peak interpolation points per sample
+const HALF_TAPS = 6; // Interpolator reach on each side, in samples (as in LimiterWorklet)
+
+/**
+ * Measures loudness as specified by ITU-R BS.1770 / EBU R128: the signal is K-weighted
+ * (a high shelf for the head, then a high pass), its mean square is collected in 100 ms
+ * steps, and loudness is read from 400 ms blocks (momentary), 3 s windows (short-term) or
+ * gated over the whole programme (integrated). Alongside it keeps the unweighted RMS,
+ * the sample peak and the true peak (4x oversampled). Audio is fed in chunks with
+ * process(), so the same meter works on an offline render or on the live master.
+ */
+export default class LoudnessMeter {
+    /**
+     * @param {number} sampleRate - Sample rate of the audio that will be fed.
+     */
+    constructor(sampleRate) {
+        this.sampleRate = sampleRate;
+        this.stepLength = Math.round(sampleRate * 0.1); // Samples per 100 ms step
+        this.filters = this.createKWeighting(sampleRate);
+
+        // Hann-windowed sinc taps for each point between two samples
+        this.kernels = [];
+        for (let k = 1; k < OVERSAMPLE; k++) {
+            const taps = new Float32Array(2 * HALF_TAPS);
+            for (let j = 0; j < taps.length; j++) {
+                const x = k / OVERSAMPLE - (j - HALF_TAPS + 1);
+                const sinc = Math.sin(Math.PI * x) / (Math.PI * x);
+                taps[j] = sinc * (0.5 + 0.5 * Math.cos(Math.PI * x / (HALF_TAPS + 1)));
+            }
+            this.kernels.push(taps);
+        }
+        this.reset();
+    }
+
+    /**
+     * Forgets everything measured so far.
+     */
+    reset() {
+        this.state = [0, 1].map(() => this.filters.map(() => [0, 0, 0, 0])); // Per channel: x1, x2, y1, y2 per stage
+        this.steps = []; // K-weighted mean square (summed over channels) of every completed 100 ms step
+        this.rmsSteps = []; // Unweighted mean square (averaged over channels) of the same steps
+        this.stepSum = 0;
+        this.rmsSum = 0;
+        this.stepCount = 0;
+        // Last samples of the previous chunk, so the interpolator runs across chunk borders
+        this.tails = [new Float32Array(2 * HALF_TAPS - 1), new Float32Array(2 * HALF_TAPS - 1)];
+        this.maxPeak = 0;
+        this.maxTruePeak = 0;
+    }
+
+    /**
+     * Computes the two K-weighting biquads for a sample rate.
+     * @param {number} rate - Sample rate.
+     * @returns {Array<Object>} Stages { b: [b0, b1, b2], a: [a1, a2] }.
+     */
+    createKWeighting(rate) {
+        // Head effect: high shelf of about +4 dB above 1.5 kHz
+        let K = Math.tan(Math.PI * 1681.974450955533 / rate);
+        let Q = 0.7071752369554196;
+        const Vh = Math.pow(10, 3.999843853973347 / 20);
+        const Vb = Math.pow(Vh, 0.4996667741545416);
+        let a0 = 1 + K / Q + K * K;
+        const shelf = {
+            b: [(Vh + Vb * K / Q + K * K) / a0, 2 * (K * K - Vh) / a0, (Vh - Vb * K / Q + K * K) / a0],
+            a: [2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0]
+        };
+
+        // RLB weighting: high pass at about 38 Hz
+        K = Math.tan(Math.PI * 38.13547087602444 / rate);
+        Q = 0.5003270373238773;
+        a0 = 1 + K / Q + K * K;
+        const highPass = {
+            b: [1, -2, 1],
+            a: [2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0]
+        };
+        return [shelf, highPass];
+    }
+
+    /**
+     * Feeds audio to the meter.
+     * @param {Array<Float32Array>} channels - One or two channels of equal length (mono counts once).
+     * @param {boolean} [withTruePeak=true] - False skips the true peak (the costly part), e.g. when only loudness is needed.
+     * @returns {Object} Peaks of this chunk per channel: { peak: [left, right], truePeak: [left, right] }.
+     */
+    process(channels, withTruePeak = true) {
+        const length = channels[0].length;
+        const count = Math.min(2, channels.length);
+        const peak = [0, 0];
+        const truePeak = [0, 0];
+        for (let i = 0; i < length; i++) {
+            let sum = 0;
+            let raw = 0;
+            for (let ch = 0; ch < count; ch++) {
+                let v = channels[ch][i];
+                raw += v * v;
+                if (Math.abs(v) > peak[ch]) peak[ch] = Math.abs(v);
+
+                const state = this.state[ch];
+                for (let s = 0; s < this.filters.length; s++) {
+                    const f = this.filters[s];
+                    const z = state[s];
+                    const y = f.b[0] * v + f.b[1] * z[0] + f.b[2] * z[1] - f.a[0] * z[2] - f.a[1] * z[3];
+                    z[1] = z[0];
+                    z[0] = v;
+                    z[3] = z[2];
+                    z[2] = y;
+                    v = y;
+                }
+                sum += v * v;
+            }
+            this.stepSum += sum;
+            this.rmsSum += raw / count;
+            if (++this.stepCount === this.stepLength) {
+                this.steps.push(this.stepSum / this.stepLength);
+                this.rmsSteps.push(this.rmsSum / this.stepLength);
+                this.stepSum = 0;
+                this.rmsSum = 0;
+                this.stepCount = 0;
+            }
+        }
+
+        if (withTruePeak) {
+            for (let ch = 0; ch < count; ch++) truePeak[ch] = this.interpolatePeak(ch, channels[ch]);
+        }
+        if (count === 1) {
+            peak[1] = peak[0];
+            truePeak[1] = truePeak[0];
+        }
+        for (let ch = 0; ch < 2; ch++) truePeak[ch] = Math.max(truePeak[ch], peak[ch]);
+        this.maxPeak = Math.max(this.maxPeak, peak[0], peak[1]);
+        this.maxTruePeak = Math.max(this.maxTruePeak, truePeak[0], truePeak[1]);
+        return { peak, truePeak };
+    }
+
+    /**
+     * Finds the highest peak between the samples of a chunk (4x oversampled), carrying
+     * the interpolator over from the previous chunk of the channel.
+     * @param {number} ch - Channel index.
+     * @param {Float32Array} data - Chunk samples.
+     * @returns {number} Peak magnitude between samples.
+     */
+    interpolatePeak(ch, data) {
+        const tail = this.tails[ch];
+        const padded = new Float32Array(tail.length + data.length);
+        padded.set(tail);
+        padded.set(data, tail.length);
+
+        let peak = 0;
+        const end = padded.length - 2 * HALF_TAPS;
+        for (let k = 0; k < this.kernels.length; k++) {
+            const taps = this.kernels[k];
+            for (let i = 0; i <= end; i++) {
+                let v = 0;
+                for (let j = 0; j < taps.length; j++) v += taps[j] * padded[i + j];
+                if (v > peak) peak = v;
+                else if (-v > peak) peak = -v;
+            }
+        }
+        this.tails[ch] = padded.slice(padded.length - tail.length);
+        return peak;
+    }
+
+    /**
+     * Converts a linear level to decibels.
+     * @param {number} value - Linear amplitude.
+     * @returns {number} dB (-Infinity for 0).
+     */
+    toDb(value) {
+        return value > 0 ? 20 * Math.log10(value) : -Infinity;
+    }
+
+    /**
+     * Averages the last steps of a list.
+     * @param {Array<number>} list - Per-step values.
+     * @param {number} count - Number of steps.
+     * @returns {number|null} Mean, or null if fewer steps were fed.
+     */
+    averageLast(list, count) {
+        if (list.length < count || count <= 0) return null;
+        let sum = 0;
+        for (let i = list.length - count; i < list.length; i++) sum += list[i];
+        return sum / count;
+    }
+
+    /**
+     * Converts a mean square to LUFS.
+     * @param {number} power - Mean square, summed over channels.
+     * @returns {number} Loudness (-Infinity for silence).
+     */
+    toLufs(power) {
+        return power > 0 ? -0.691 + 10 * Math.log10(power) : -Infinity;
+    }
+
+    /**
+     * Gets the mean square of every 400 ms block (75% overlap).
+     * @returns {Array<number>}
+     */
+    getBlocks() {
+        const blocks = [];
+        for (let i = 3; i < this.steps.length; i++) {
+            blocks.push((this.steps[i - 3] + this.steps[i - 2] + this.steps[i - 1] + this.steps[i]) / 4);
+        }
+        return blocks;
+    }
+
+    /**
+     * Gets the loudness of the last 400 ms.
+     * @returns {number} LUFS (-Infinity until 400 ms were fed).
+     */
+    getMomentary() {
+        const power = this.averageLast(this.steps, 4);
+        return power === null ? -Infinity : this.toLufs(power);
+    }
+
+    /**
+     * Gets the loudness of the last 3 seconds.
+     * @returns {number} LUFS (-Infinity until 3 s were fed).
+     */
+    getShortTerm() {
+        const power = this.averageLast(this.steps, 30);
+        return power === null ? -Infinity : this.toLufs(power);
+    }
+
+    /**
+     * Gets the highest short-term loudness so far.
+     * @returns {number} LUFS (-Infinity until 3 s were fed).
+     */
+    getMaxShortTerm() {
+        let max = -Infinity;
+        let sum = 0;
+        for (let i = 0; i < this.steps.length; i++) {
+            sum += this.steps[i];
+            if (i >= 30) sum -= this.steps[i - 30];
+            if (i >= 29) max = Math.max(max, this.toLufs(sum / 30));
+        }
+        return max;
+    }
+
+    /**
+     * Gets the unweighted RMS level.
+     * @param {number} [seconds] - Window ending now (rounded to 100 ms); the whole programme if omitted.
+     * @returns {number} dBFS (-Infinity for silence or before the window was fed).
+     */
+    getRms(seconds) {
+        const count = seconds === undefined ? this.rmsSteps.length : Math.max(1, Math.round(seconds * 10));
+        const power = this.averageLast(this.rmsSteps, count);
+        return power === null ? -Infinity : 10 * Math.log10(power || 0);
+    }
+
+    /**
+     * Gets the integrated loudness of everything fed so far. Blocks below -70 LUFS are
+     * ignored, then blocks more than 10 LU below the loudness of the remaining ones.
+     * @returns {number} LUFS (-Infinity for silence).
+     */
+    getIntegrated() {
+        const mean = (list) => list.reduce((a, b) => a + b, 0) / list.length;
+        const audible = this.getBlocks().filter(p => this.toLufs(p) > -70);
+        if (audible.length === 0) return -Infinity;
+        const threshold = this.toLufs(mean(audible)) - 10;
+        const gated = audible.filter(p => this.toLufs(p) > threshold);
+        return this.toLufs(mean(gated));
+    }
+
+    /**
+     * Summarises everything fed so far.
+     * @returns {Object} { integrated, shortTermMax (LUFS), truePeak (dBTP), samplePeak, rms (dBFS) }.
+     */
+    getReport() {
+        return {
+            integrated: this.getIntegrated(),
+            shortTermMax: this.getMaxShortTerm(),
+            truePeak: this.toDb(this.maxTruePeak),
+            samplePeak: this.toDb(this.maxPeak),
+            rms: this.getRms()
+        };
+    }
+
+    /**
+     * Measures a whole buffer from the start.
+     * @param {AudioBuffer} buffer 
+     * @param {boolean} [withTruePeak=true] - False skips the true peak (reported as the sample peak).
+     * @returns {Object} See getReport().
+     */
+    measure(buffer, withTruePeak = true) {
+        this.reset();
+        const channels = [];
+        for (let ch = 0; ch < Math.min(2, buffer.numberOfChannels); ch++) channels.push(buffer.getChannelData(ch));
+        this.process(channels, withTruePeak);
+        return this.getReport();
+    }
+}
@@ -30,7 +30,7 @@ export default class MidiParser {
     /**
      * Parses a MIDI ArrayBuffer and extracts note events normalized by beats.
      * * @param {ArrayBuffer} arrayBuffer - The raw MIDI file buffer.
-     * @returns {Array<{midi: number, startBeat: number, durationBeat: number}>} List of parsed note objects.
+     * @returns {Array<{midi: number, startBeat: number, durationBeat: number, velocity: number}>} List of parsed note objects.
      * @throws {Error} If the file header is invalid.
      */
     parse(arrayBuffer) {
@@ -87,10 +87,11 @@ export default class MidiParser {
 
                 if (isNoteOn) {
                     if (!activeNotes[note]) activeNotes[note] = [];
-                    activeNotes[note].push(currentTimeTicks);
+                    activeNotes[note].push({ ticks: currentTimeTicks, velocity: velocity });
                 } else {
                     if (activeNotes[note] && activeNotes[note].length > 0) {
-                        const startTicks = activeNotes[note].shift();
+                        const started = activeNotes[note].shift();
+                        const startTicks = started.ticks;
 
                         // --- Important Change: Return "Beat" value ---
                         // Instead of determining the discrete step here,
@@ -103,7 +104,8 @@ export default class MidiParser {
                         allNotes.push({
                             midi: note,
                             startBeat: startBeat,      // Start time in beats
-                            durationBeat: durationBeat // Duration in beats
+                            durationBeat: durationBeat, // Duration in beats
+                            velocity: started.velocity / 127
                         });
                     }
                 }
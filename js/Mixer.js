@@ -0,0 +1,586 @@
+/*
+ * SenseAudio - Visual Theory & Creative Studio
+ * Copyright (C) 2026 SensementMusic.com
+ *
+ * This file is part of SenseAudio (A Sensement Music Project).
+ *
+ * SenseAudio is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * SenseAudio is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with SenseAudio. If not, see <https://www.gnu.org/licenses/>.
+ *
+ * All branding, logos, and the name "Sensement Music" are properties of SensementMusic.com.
+ */
+
+import { RETURN_BUSES, REVERB_TYPES, DELAY_TIMES, MASTER_SECTIONS, LOUDNESS_TARGETS, getReturnLabel } from './EffectDefs.js';
+import { hasAutomation } from './AutomationDefs.js';
+
+/**
+ * Mixer view: one channel strip per track with a fader, pan knob, width control,
+ * effect sends, mute/solo and a left/right peak meter read from the track's live bus,
+ * followed by the shared return buses and the master section, with true-peak meters and
+ * LUFS/RMS readouts of the master output.
+ * Edits go through the undo history; `onChange` pushes them to the audio engine and track list.
+ */
+export default class Mixer {
+    /**
+     * Creates the mixer.
+     * @param {string} containerId - The ID of the DOM element that holds the strips.
+     * @param {Object} state - The global application state.
+     * @param {Object} audioEngine - The audio engine (for meters).
+     * @param {Object} history - The undo history.
+     * @param {Function} onChange - Called after a mixer edit.
+     */
+    constructor(containerId, state, audioEngine, history, onChange) {
+        this.container = document.getElementById(containerId);
+        this.state = state;
+        this.audio = audioEngine;
+        this.history = history;
+        this.onChange = onChange;
+
+        this.isOpen = false;
+        this.frameId = null;
+        this.signature = '';
+        this.strips = new Map(); // trackId -> { fader, knob, widthInput, meter, ... }
+        this.levels = new Map(); // trackId (or 'master') -> { left, right, holdL, holdR, holdUntil, clip }
+        this.masterStrip = null; // { meter, readouts }
+        this.readoutTime = 0; // Last update of the master readouts
+
+        this.colors = {
+            meterBg: '#111',
+            low: '#00d2d3',
+            mid: '#f1c40f',
+            high: '#e67e22',
+            clip: '#ff4757',
+            knob: '#2d3436',
+            knobActive: '#00d2d3'
+        };
+    }
+
+    /**
+     * Shows the strips and starts the meters.
+     */
+    open() {
+        this.isOpen = true;
+        this.render();
+        if (!this.frameId) this.frameId = requestAnimationFrame(() => this.drawMeters());
+    }
+
+    /**
+     * Stops the meters (the view itself is hidden by the caller).
+     */
+    close() {
+        this.isOpen = false;
+        if (this.frameId) cancelAnimationFrame(this.frameId);
+        this.frameId = null;
+    }
+
+    /**
+     * Describes the mixer-relevant track data, to detect outside changes.
+     * @returns {string}
+     */
+    getSignature() {
+        const tracks = this.state.tracks.map(t => [t.id, t.name, t.color, t.volume, t.pan, t.width, t.sends, t.isMuted, t.isSolo,
+            Object.keys(t.automation || {}).filter(id => hasAutomation(t.automation, id))]);
+        return JSON.stringify([tracks, this.state.returns, this.state.master]);
+    }
+
+    /**
+     * Rebuilds the strips if tracks changed elsewhere (track list, undo, project load).
+     */
+    refresh() {
+        if (this.isOpen && this.getSignature() !== this.signature) this.render();
+    }
+
+    /**
+     * Builds all channel strips.
+     */
+    render() {
+        this.container.innerHTML = '';
+        this.strips.clear();
+        this.masterStrip = null;
+
+        if (this.state.tracks.length === 0) {
+            this.container.innerHTML = '<div style="color: #666; font-size: 12px; margin: auto;">No tracks yet.</div>';
+        }
+        this.state.tracks.forEach(track => this.container.appendChild(this.createStrip(track)));
+
+        const divider = document.createElement('div');
+        divider.style.cssText = 'width: 1px; flex-shrink: 0; background: rgba(255,255,255,0.1); margin: 0 4px;';
+        this.container.appendChild(divider);
+        RETURN_BUSES.forEach(def => this.container.appendChild(this.createReturnStrip(def)));
+        this.container.appendChild(this.createMasterStrip());
+
+        this.signature = this.getSignature();
+    }
+
+    /**
+     * Creates the channel strip of a track.
+     * @param {Object} track - Track object.
+     * @returns {HTMLElement}
+     */
+    createStrip(track) {
+        const div = document.createElement('div');
+        div.style.cssText = `display: flex; flex-direction: column; align-items: center; gap: 6px; width: 76px; flex-shrink: 0;
+            padding: 8px 4px; background: rgba(255,255,255,0.03); border-radius: 8px; border-top: 3px solid ${track.color || '#3498db'};`;
+
+        div.innerHTML = `
+            <canvas class="mix-knob" width="36" height="36" title="Pan (drag up/down, double click to center)" style="cursor: ns-resize;"></canvas>
+            <span class="mix-pan-val" style="font-size: 10px; color: #aaa;"></span>
+            <div style="display: flex; gap: 6px; align-items: stretch; height: 140px;">
+                <canvas class="mix-meter" width="12" height="140" title="Click to reset the clip indicator" style="cursor: pointer;"></canvas>
+                <input type="range" class="mix-fader" min="0" max="1" step="0.01" value="${track.volume}"
+                    style="writing-mode: vertical-lr; direction: rtl; width: 20px; height: 140px; margin: 0;">
+            </div>
+            <span class="mix-vol-val" style="font-size: 10px; color: #aaa;"></span>
+            <input type="range" class="mix-width" min="0" max="200" step="5" value="${Math.round(track.width * 100)}" style="width: 64px;">
+            <span class="mix-width-val" style="font-size: 10px; color: #aaa;"></span>
+            ${RETURN_BUSES.map(def => `
+                <input type="range" class="mix-send" data-bus="${def.id}" min="0" max="1" step="0.05"
+                    value="${(track.sends && track.sends[def.id]) || 0}" title="Send to ${def.label}" style="width: 64px;">
+            `).join('')}
+            <div style="display: flex; gap: 4px;">
+                <button class="track-btn btn-m ${track.isMuted ? 'muted' : ''}" title="Mute">M</button>
+                <button class="track-btn btn-s ${track.isSolo ? 'soloed' : ''}" title="Solo">S</button>
+            </div>
+            <span style="font-size: 11px; color: #ddd; width: 100%; text-align: center; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;" title="${track.name}">${track.name}</span>
+        `;
+
+        const strip = {
+            knob: div.querySelector('.mix-knob'),
+            meter: div.querySelector('.mix-meter'),
+            fader: div.querySelector('.mix-fader'),
+            widthInput: div.querySelector('.mix-width'),
+            panVal: div.querySelector('.mix-pan-val'),
+            volVal: div.querySelector('.mix-vol-val'),
+            widthVal: div.querySelector('.mix-width-val')
+        };
+        this.strips.set(track.id, strip);
+        this.updateStrip(track, strip);
+        const scope = { tracks: [track.id] };
+
+        // Fader
+        strip.fader.addEventListener('input', () => {
+            this.edit(`Volume: ${track.name}`, `volume:${track.id}`, () => {
+                track.volume = parseFloat(strip.fader.value);
+            }, scope);
+            this.updateStrip(track, strip);
+        });
+
+        // Pan knob: vertical drag, double click centers
+        strip.knob.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            const startY = e.clientY;
+            const startPan = track.pan || 0;
+            const onMove = (ev) => {
+                const pan = Math.round(Math.max(-1, Math.min(1, startPan + (startY - ev.clientY) / 100)) * 100) / 100;
+                if (pan === track.pan) return;
+                this.edit(`Pan: ${track.name}`, `pan:${track.id}`, () => track.pan = pan, scope);
+                this.updateStrip(track, strip);
+            };
+            const onUp = () => {
+                window.removeEventListener('mousemove', onMove);
+                window.removeEventListener('mouseup', onUp);
+            };
+            window.addEventListener('mousemove', onMove);
+            window.addEventListener('mouseup', onUp);
+        });
+        strip.knob.addEventListener('dblclick', () => {
+            if (!track.pan) return;
+            this.edit(`Pan: ${track.name}`, null, () => track.pan = 0, scope);
+            this.updateStrip(track, strip);
+        });
+
+        // Width
+        strip.widthInput.addEventListener('input', () => {
+            this.edit(`Width: ${track.name}`, `width:${track.id}`, () => {
+                track.width = parseInt(strip.widthInput.value) / 100;
+            }, scope);
+            this.updateStrip(track, strip);
+        });
+
+        // Sends
+        div.querySelectorAll('.mix-send').forEach(input => {
+            const def = RETURN_BUSES.find(b => b.id === input.dataset.bus);
+            input.addEventListener('input', () => {
+                this.edit(`Send to ${def.label}: ${track.name}`, `send:${track.id}:${def.id}`, () => {
+                    track.sends = { ...track.sends, [def.id]: parseFloat(input.value) };
+                }, scope);
+                input.title = `Send to ${def.label}: ${Math.round(parseFloat(input.value) * 100)}%`;
+            });
+        });
+
+        // Mute/Solo (same rules as the track list)
+        div.querySelector('.btn-m').addEventListener('click', (e) => {
+            this.edit(track.isMuted ? 'Unmute track' : 'Mute track', null, () => {
+                track.isMuted = !track.isMuted;
+                if (track.isMuted) track.isSolo = false;
+            }, scope);
+            this.render();
+        });
+        div.querySelector('.btn-s').addEventListener('click', () => {
+            this.edit(track.isSolo ? 'Unsolo track' : 'Solo track', null, () => {
+                track.isSolo = !track.isSolo;
+                if (track.isSolo) track.isMuted = false;
+            }, scope);
+            this.render();
+        });
+
+        // Clip indicator reset
+        strip.meter.addEventListener('click', () => {
+            const level = this.levels.get(track.id);
+            if (level) level.clip = false;
+        });
+
+        // Controls that an automation lane drives are locked
+        const lock = (el, laneId) => {
+            if (!hasAutomation(track.automation, laneId)) return;
+            el.disabled = true;
+            el.style.opacity = 0.4;
+            el.style.pointerEvents = 'none';
+            el.title = 'Automated (see the automation lanes)';
+        };
+        lock(strip.fader, 'volume');
+        lock(strip.knob, 'pan');
+        div.querySelectorAll('.mix-send').forEach(input => lock(input, 'send:' + input.dataset.bus));
+
+        return div;
+    }
+
+    /**
+     * Creates the strip of a shared return bus: its character or time, feedback and level.
+     * @param {Object} def - Entry of RETURN_BUSES.
+     * @returns {HTMLElement}
+     */
+    createReturnStrip(def) {
+        const settings = this.state.returns[def.id];
+        const div = document.createElement('div');
+        div.style.cssText = `display: flex; flex-direction: column; align-items: center; gap: 6px; width: 92px; flex-shrink: 0;
+            padding: 8px 4px; background: rgba(0,210,211,0.05); border-radius: 8px; border-top: 3px solid #636e72;`;
+
+        const choice = def.type === 'reverb'
+            ? `<select class="mix-return-type" style="width: 84px;">${Object.keys(REVERB_TYPES).map(k =>
+                `<option value="${k}" ${k === settings.character ? 'selected' : ''}>${REVERB_TYPES[k].label}</option>`).join('')}</select>`
+            : `<select class="mix-return-type" style="width: 84px;" title="Delay time at the song tempo">${DELAY_TIMES.map(t =>
+                `<option value="${t}" ${t === settings.time ? 'selected' : ''}>${t}</option>`).join('')}</select>
+               <label style="font-size: 10px; color: #aaa;">Feedback</label>
+               <input type="range" class="mix-return-feedback" min="0" max="0.9" step="0.05" value="${settings.feedback}" style="width: 80px;">`;
+
+        div.innerHTML = `
+            ${choice}
+            <input type="range" class="mix-return-level" min="0" max="1" step="0.01" value="${settings.level}"
+                style="writing-mode: vertical-lr; direction: rtl; width: 20px; height: 110px; margin: 0;">
+            <span class="mix-return-val" style="font-size: 10px; color: #aaa;">${Math.round(settings.level * 100)}%</span>
+            <span style="font-size: 11px; color: #ddd; text-align: center;">${getReturnLabel(def, settings)}</span>
+        `;
+
+        const update = (label, coalesce, changes) => {
+            this.edit(label, coalesce, () => {
+                this.state.returns = { ...this.state.returns, [def.id]: { ...this.state.returns[def.id], ...changes } };
+            }, { song: ['returns'] });
+        };
+        div.querySelector('.mix-return-type').addEventListener('change', (e) => {
+            update(`Change ${def.label}`, null, def.type === 'reverb' ? { character: e.target.value } : { time: e.target.value });
+            this.render();
+        });
+        const level = div.querySelector('.mix-return-level');
+        level.addEventListener('input', () => {
+            update(`${def.label} level`, `return:${def.id}:level`, { level: parseFloat(level.value) });
+            div.querySelector('.mix-return-val').innerText = `${Math.round(parseFloat(level.value) * 100)}%`;
+        });
+        const feedback = div.querySelector('.mix-return-feedback');
+        if (feedback) {
+            feedback.addEventListener('input', () => {
+                update(`${def.label} feedback`, `return:${def.id}:feedback`, { feedback: parseFloat(feedback.value) });
+            });
+        }
+
+        return div;
+    }
+
+    /**
+     * Creates the master section strip: master EQ, glue compressor and true-peak limiter
+     * (each with a bypass switch), and the loudness target of the WAV export.
+     * @returns {HTMLElement}
+     */
+    createMasterStrip() {
+        const master = this.state.master;
+        const div = document.createElement('div');
+        div.style.cssText = `display: flex; flex-direction: column; gap: 8px; width: 240px; flex-shrink: 0;
+            padding: 8px; background: rgba(0,210,211,0.05); border-radius: 8px; border-top: 3px solid #00d2d3; overflow-y: auto;`;
+
+        const readout = (key, label, title) => `
+            <span style="color: #888;" title="${title}">${label}</span><span class="mix-master-readout" data-key="${key}" style="color: #ddd; text-align: right;">-</span>`;
+        div.innerHTML = `
+            <span style="font-size: 11px; color: #ddd; font-weight: bold;">Master</span>
+            <div style="display: flex; gap: 10px; align-items: stretch;">
+                <canvas class="mix-meter" width="16" height="110" title="True peak. Click to reset the clip indicator and the loudness measurement" style="cursor: pointer;"></canvas>
+                <div style="display: grid; grid-template-columns: auto 1fr; gap: 2px 8px; align-content: start; font-size: 10px; font-variant-numeric: tabular-nums; flex: 1;">
+                    ${readout('momentary', 'M', 'Momentary loudness (400 ms)')}
+                    ${readout('shortTerm', 'S', 'Short-term loudness (3 s)')}
+                    ${readout('integrated', 'I', 'Integrated loudness since playback started')}
+                    ${readout('maxTruePeak', 'TP', 'Highest true peak since playback started')}
+                    ${readout('rms', 'RMS', 'RMS level (300 ms)')}
+                </div>
+            </div>
+            ${Object.keys(MASTER_SECTIONS).map(id => {
+                const def = MASTER_SECTIONS[id];
+                const section = master[id];
+                return `<div style="opacity: ${section.enabled ? 1 : 0.5};">
+                    <label style="display: flex; align-items: center; gap: 4px; font-size: 10px; color: #aaa; margin-bottom: 4px;">
+                        <input type="checkbox" class="mix-master-enabled" data-section="${id}" ${section.enabled ? 'checked' : ''}> ${def.label}
+                    </label>
+                    <div class="fx-grid">
+                        ${Object.keys(def.params).map(key => {
+                            const p = def.params[key];
+                            return `<div class="fx-col">
+                                <label>${p.label} <span class="mix-master-val" data-section="${id}" data-key="${key}">${this.formatValue(section[key], p)}</span></label>
+                                <input type="range" class="mix-master-param" data-section="${id}" data-key="${key}" min="${p.min}" max="${p.max}" step="${p.step}" value="${section[key]}">
+                            </div>`;
+                        }).join('')}
+                    </div>
+                </div>`;
+            }).join('')}
+            <label style="font-size: 10px; color: #aaa;">Export loudness</label>
+            <select class="mix-master-loudness" title="The WAV export is measured and normalised to this integrated loudness">
+                ${Object.keys(LOUDNESS_TARGETS).map(k =>
+                    `<option value="${k}" ${k === master.loudness ? 'selected' : ''}>${LOUDNESS_TARGETS[k].label}</option>`).join('')}
+            </select>
+        `;
+
+        this.masterStrip = { meter: div.querySelector('.mix-meter'), readouts: div.querySelectorAll('.mix-master-readout') };
+        this.masterStrip.meter.addEventListener('click', () => {
+            const level = this.levels.get('master');
+            if (level) level.clip = false;
+            this.audio.resetMasterMeter();
+        });
+
+        const update = (label, coalesce, id, changes) => {
+            this.edit(label, coalesce, () => {
+                this.state.master = { ...this.state.master, [id]: { ...this.state.master[id], ...changes } };
+            }, { song: ['master'] });
+        };
+        div.querySelectorAll('.mix-master-enabled').forEach(box => {
+            const id = box.dataset.section;
+            box.addEventListener('change', () => {
+                update(`${box.checked ? 'Enable' : 'Bypass'} ${MASTER_SECTIONS[id].label}`, null, id, { enabled: box.checked });
+                this.render();
+            });
+        });
+        div.querySelectorAll('.mix-master-param').forEach(input => {
+            const id = input.dataset.section;
+            const key = input.dataset.key;
+            const def = MASTER_SECTIONS[id].params[key];
+            input.addEventListener('input', () => {
+                const value = parseFloat(input.value);
+                update(`${MASTER_SECTIONS[id].label}: ${def.label}`, `master:${id}:${key}`, id, { [key]: value });
+                div.querySelector(`.mix-master-val[data-section="${id}"][data-key="${key}"]`).innerText = this.formatValue(value, def);
+            });
+        });
+        div.querySelector('.mix-master-loudness').addEventListener('change', (e) => {
+            this.edit('Export loudness', null, () => {
+                this.state.master = { ...this.state.master, loudness: e.target.value };
+            }, { song: ['master'] });
+        });
+
+        return div;
+    }
+
+    /**
+     * Formats a master section value for display.
+     * @param {number} value - Parameter value.
+     * @param {Object} def - Parameter definition (see EffectDefs.MASTER_SECTIONS).
+     * @returns {string}
+     */
+    formatValue(value, def) {
+        if (def.unit === 's') return value < 0.1 ? `${Math.round(value * 1000)}ms` : `${value.toFixed(2)}s`;
+        if (def.unit === 'Hz' && value >= 1000) return `${(value / 1000).toFixed(1)}kHz`;
+        return `${value}${def.unit}`;
+    }
+
+    /**
+     * Records an undo step, applies a mixer edit and notifies the app.
+     * @param {string} label - Undo label.
+     * @param {string|null} coalesce - Coalesce key for continuous drags.
+     * @param {Function} apply - Mutates the track.
+     * @param {Object} scope - What the edit changes: { tracks: [id] } or { song: [field] } (see History.saveState).
+     */
+    edit(label, coalesce, apply, scope) {
+        this.history.saveState(label, coalesce ? { ...scope, coalesce: coalesce } : scope);
+        apply();
+        this.signature = this.getSignature();
+        this.onChange();
+    }
+
+    /**
+     * Syncs a strip's value labels and knob with the track.
+     * @param {Object} track - Track object.
+     * @param {Object} strip - Strip elements.
+     */
+    updateStrip(track, strip) {
+        const pan = track.pan || 0;
+        const width = track.width === undefined ? 1 : track.width;
+        strip.panVal.innerText = pan === 0 ? 'C' : `${pan < 0 ? 'L' : 'R'}${Math.round(Math.abs(pan) * 100)}`;
+        strip.volVal.innerText = `${Math.round(track.volume * 100)}%`;
+        strip.widthVal.innerText = width === 0 ? 'Mono' : `Width ${Math.round(width * 100)}%`;
+        this.drawKnob(strip.knob, pan);
+    }
+
+    /**
+     * Draws a pan knob.
+     * @param {HTMLCanvasElement} canvas - Knob canvas.
+     * @param {number} pan - -1 to 1.
+     */
+    drawKnob(canvas, pan) {
+        const ctx = canvas.getContext('2d');
+        const c = canvas.width / 2;
+        const r = c - 3;
+        const start = Math.PI * 0.75;
+        const sweep = Math.PI * 1.5;
+        const center = start + sweep / 2;
+        const angle = center + pan * sweep / 2;
+
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.fillStyle = this.colors.knob;
+        ctx.beginPath();
+        ctx.arc(c, c, r, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Arc from the center position to the current pan
+        ctx.strokeStyle = this.colors.knobActive;
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.arc(c, c, r, Math.min(center, angle), Math.max(center, angle) + 0.001);
+        ctx.stroke();
+
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(c, c);
+        ctx.lineTo(c + Math.cos(angle) * (r - 3), c + Math.sin(angle) * (r - 3));
+        ctx.stroke();
+    }
+
+    /**
+     * Converts a linear peak to a meter height fraction (-60 dB to 0 dB).
+     * @param {number} peak - Linear peak.
+     * @returns {number} 0-1.
+     */
+    meterFraction(peak) {
+        if (peak <= 0) return 0;
+        const db = 20 * Math.log10(peak);
+        return Math.max(0, Math.min(1, (db + 60) / 60));
+    }
+
+    /**
+     * Reads the track buses and the master output and draws every meter. Runs once per frame while open.
+     */
+    drawMeters() {
+        if (!this.isOpen) return;
+        const now = performance.now();
+
+        this.strips.forEach((strip, trackId) => {
+            const peak = this.audio.getTrackPeak(trackId) || { left: 0, right: 0 };
+            this.drawMeter(strip.meter, this.updateLevel(trackId, peak, now));
+        });
+
+        if (this.masterStrip) {
+            // True peaks, so the clip indicator also catches overs between samples
+            const levels = this.audio.updateMasterMeter();
+            const peak = { left: levels.truePeak[0], right: levels.truePeak[1] };
+            this.drawMeter(this.masterStrip.meter, this.updateLevel('master', peak, now));
+            if (now - this.readoutTime > 250) {
+                this.readoutTime = now;
+                this.drawReadouts();
+            }
+        }
+
+        this.frameId = requestAnimationFrame(() => this.drawMeters());
+    }
+
+    /**
+     * Smooths a meter's levels: instant attack, smooth fall, peak hold for one second,
+     * and a clip indicator that stays lit until clicked.
+     * @param {string} key - Track id or 'master'.
+     * @param {Object} peak - { left, right } linear peaks since the last frame.
+     * @param {number} now - performance.now().
+     * @returns {Object} Smoothed levels.
+     */
+    updateLevel(key, peak, now) {
+        let level = this.levels.get(key);
+        if (!level) {
+            level = { left: 0, right: 0, holdL: 0, holdR: 0, holdUntil: 0, clip: false };
+            this.levels.set(key, level);
+        }
+
+        level.left = Math.max(peak.left, level.left * 0.9);
+        level.right = Math.max(peak.right, level.right * 0.9);
+        if (peak.left >= level.holdL || peak.right >= level.holdR || now > level.holdUntil) {
+            level.holdL = Math.max(peak.left, now > level.holdUntil ? 0 : level.holdL);
+            level.holdR = Math.max(peak.right, now > level.holdUntil ? 0 : level.holdR);
+            level.holdUntil = now + 1000;
+        }
+        if (peak.left >= 1 || peak.right >= 1) level.clip = true;
+        return level;
+    }
+
+    /**
+     * Writes the master loudness readouts.
+     */
+    drawReadouts() {
+        const loudness = this.audio.getMasterLoudness();
+        if (!loudness) return;
+        const units = { momentary: 'LUFS', shortTerm: 'LUFS', integrated: 'LUFS', maxTruePeak: 'dBTP', rms: 'dB' };
+        this.masterStrip.readouts.forEach(el => {
+            const value = loudness[el.dataset.key];
+            el.innerText = isFinite(value) ? `${value.toFixed(1)} ${units[el.dataset.key]}` : '-';
+            el.style.color = el.dataset.key === 'maxTruePeak' && value > 0 ? this.colors.clip : '#ddd';
+        });
+    }
+
+    /**
+     * Draws a left/right meter with peak hold and clip indicator.
+     * @param {HTMLCanvasElement} canvas - Meter canvas.
+     * @param {Object} level - Smoothed levels.
+     */
+    drawMeter(canvas, level) {
+        const ctx = canvas.getContext('2d');
+        const w = canvas.width;
+        const h = canvas.height;
+        const clipH = 6;
+        const barW = (w - 1) / 2;
+        const meterH = h - clipH - 2;
+
+        ctx.fillStyle = this.colors.meterBg;
+        ctx.fillRect(0, 0, w, h);
+
+        ctx.fillStyle = level.clip ? this.colors.clip : '#333';
+        ctx.fillRect(0, 0, w, clipH);
+
+        [[level.left, level.holdL], [level.right, level.holdR]].forEach(([value, hold], i) => {
+            const x = i * (barW + 1);
+            const fraction = this.meterFraction(value);
+            const barH = fraction * meterH;
+            const gradient = ctx.createLinearGradient(0, h, 0, clipH + 2);
+            gradient.addColorStop(0, this.colors.low);
+            gradient.addColorStop(0.8, this.colors.mid); // -12 dB
+            gradient.addColorStop(0.95, this.colors.high); // -3 dB
+            ctx.fillStyle = gradient;
+            ctx.fillRect(x, h - barH, barW, barH);
+
+            const holdY = h - this.meterFraction(hold) * meterH;
+            if (hold > 0) {
+                ctx.fillStyle = '#fff';
+                ctx.fillRect(x, holdY, barW, 1);
+            }
+        });
+    }
+}
@@ -20,6 +20,8 @@
  * All branding, logos, and the name "Sensement Music" are properties of SensementMusic.com.
  */
 
+import { CHORD_QUALITIES, getChordQuality, CHORD_TYPE_ALIASES } from './ChordDefs.js';
+
 /**
  * MusicBrain Class
  * * Core engine for AI music composition, handling music theory, 
@@ -243,7 +245,11 @@ export default class MusicBrain {
                 genre: 'POP',
                 label: 'Pop: Power Ballad / Epic',
                 bpm: 75,
-                desc: 'Slow, emotional, includes Solo section (~3:45).',
+                desc: 'Slow, emotional, includes Solo section and a ritardando outro (~3:50).',
+                tempoChanges: [
+                    { section: 'OUTRO', offset: 4, bpm: 75 },             // Hold tempo into the outro...
+                    { section: 'OUTRO', offset: 7, bpm: 60, ramp: true }  // ...then slow down to the last bar
+                ],
                 structure: [
                     { type: 'INTRO', len: 4 }, { type: 'VERSE', len: 8 }, { type: 'PRE_CHORUS', len: 4 }, { type: 'CHORUS', len: 8 },
                     { type: 'VERSE', len: 8 }, { type: 'PRE_CHORUS', len: 4 }, { type: 'CHORUS', len: 8 },
@@ -253,6 +259,18 @@ export default class MusicBrain {
                     { type: 'OUTRO', len: 8 }
                 ]
             },
+            'POP_WALTZ': {
+                genre: 'POP',
+                label: 'Pop: Waltz Ballad (3/4)',
+                bpm: 96,
+                timeSignature: '3/4',
+                desc: 'Lilting three-beat ballad, strong downbeat (~3:00).',
+                structure: [
+                    { type: 'INTRO', len: 4 }, { type: 'VERSE', len: 16 }, { type: 'CHORUS', len: 8 },
+                    { type: 'VERSE', len: 16 }, { type: 'CHORUS', len: 8 }, { type: 'BRIDGE', len: 8 },
+                    { type: 'CHORUS', len: 16 }, { type: 'OUTRO', len: 4 }
+                ]
+            },
 
             // === HIP HOP (Includes Trap and Boom Bap) ===
             'TRAP': {
@@ -269,6 +287,7 @@ export default class MusicBrain {
                 genre: 'HIPHOP',
                 label: 'Hip Hop: Old School',
                 bpm: 90,
+                groove: { template: 'MPC 16th Swing', amount: 0.4 },
                 desc: 'Focus on rhythm and long verses.',
                 structure: [
                     { type: 'INTRO', len: 4 }, { type: 'VERSE', len: 16 }, { type: 'CHORUS', len: 4 },
@@ -282,6 +301,8 @@ export default class MusicBrain {
                 label: 'EDM: Radio Edit',
                 bpm: 128,
                 desc: 'Compact version of a dance track.',
+                // Bass and pad pump under the kick
+                sidechain: { bass: { amount: 0.7, release: 0.18 }, pad: { amount: 0.8, release: 0.25 } },
                 structure: [
                     { type: 'INTRO', len: 8 }, { type: 'VERSE', len: 8 }, { type: 'PRE_CHORUS', len: 8 }, { type: 'CHORUS', len: 8 },
                     { type: 'VERSE', len: 8 }, { type: 'PRE_CHORUS', len: 8 }, { type: 'CHORUS', len: 16 }, { type: 'OUTRO', len: 8 }
@@ -292,6 +313,7 @@ export default class MusicBrain {
                 label: 'EDM: Club Extended',
                 bpm: 128,
                 desc: 'DJ friendly. Long Intro/Outro.',
+                sidechain: { bass: { amount: 0.8, release: 0.18 }, pad: { amount: 0.85, release: 0.3 }, arp: { amount: 0.5 } },
                 structure: [
                     { type: 'INTRO', len: 16 }, { type: 'VERSE', len: 16 }, { type: 'PRE_CHORUS', len: 8 }, { type: 'CHORUS', len: 16 },
                     { type: 'BRIDGE', len: 8 }, { type: 'PRE_CHORUS', len: 8 }, { type: 'CHORUS', len: 16 }, { type: 'OUTRO', len: 16 }
@@ -326,6 +348,21 @@ export default class MusicBrain {
                 genre: 'LOFI',
                 label: 'Lo-Fi Hip Hop',
                 bpm: 80,
+                groove: { template: 'MPC 16th Swing', amount: 0.6 },
+                // Dusty colour: crushed drums, worn keys with vinyl noise, darker pad
+                inserts: {
+                    drums: [
+                        { type: 'bitcrusher', params: { bits: 10, downsample: 3, noise: 0, mix: 0.7 } },
+                        { type: 'eq', params: { highGain: -6, highFreq: 6000 } }
+                    ],
+                    lead: [
+                        { type: 'bitcrusher', params: { bits: 12, downsample: 2, noise: 0.5, mix: 0.6 } },
+                        { type: 'chorus', params: { rate: 0.4, depth: 0.3, mix: 0.3 } }
+                    ],
+                    pad: [
+                        { type: 'eq', params: { lowGain: -3, highGain: -8, highFreq: 5000 } }
+                    ]
+                },
                 desc: 'Relaxing beats to study/relax to.',
                 structure: [
                     { type: 'INTRO', len: 4 }, { type: 'VERSE', len: 16 }, { type: 'BRIDGE', len: 4 },
@@ -338,6 +375,7 @@ export default class MusicBrain {
                 genre: 'LATIN',
                 label: 'Latin / Reggaeton',
                 bpm: 95,
+                groove: { template: 'Dembow Push', amount: 0.7 },
                 desc: 'The classic Dembow rhythm.',
                 structure: [
                     { type: 'INTRO', len: 4 }, { type: 'CHORUS', len: 8 }, { type: 'VERSE', len: 16 },
@@ -348,6 +386,7 @@ export default class MusicBrain {
                 genre: 'PERSIAN', // Enables this genre in the list
                 label: 'Persian: Slow 6/8 (Slo-Rock)',
                 bpm: 85, 
+                timeSignature: '6/8',
                 desc: 'Classic slow rhythm, emotional and heavy.',
                 structure: [
                     { type: 'INTRO', len: 4 }, 
@@ -792,7 +831,8 @@ export default class MusicBrain {
     }
 
     /**
-     * Returns instrument configuration for a specific genre.
+     * Returns instrument configuration for a specific genre. The names are built-in presets;
+     * with a General MIDI SoundFont loaded, their GM_PROGRAMS counterparts play instead (see SoundFontDefs).
      * @param {string} genre - The genre identifier (e.g., 'POP').
      * @returns {object} Instrument mapping.
      */
@@ -836,6 +876,102 @@ export default class MusicBrain {
         return set;
     }
 
+    /**
+     * Formats a key for display (e.g. "D Major", "F# HarmonicMinor").
+     * @param {number} rootKey - Root pitch class.
+     * @param {string} scaleName - Scale name.
+     * @returns {string} Key name.
+     */
+    getKeyName(rootKey, scaleName) {
+        return `${this.noteNames[((rootKey % 12) + 12) % 12]} ${scaleName}`;
+    }
+
+    /**
+     * Parses a key typed by the user, such as "D Major", "Bb minor" or "f# dorian".
+     * The scale defaults to `fallbackScale` when only a note is given.
+     * @param {string} text - User input.
+     * @param {string} fallbackScale - Scale to use when none is given.
+     * @returns {Object|null} { rootKey, scaleName } or null if not understood.
+     */
+    parseKeyName(text, fallbackScale = 'Major') {
+        const match = String(text || '').trim().match(/^([A-Ga-g][#b]?)\s*(.*)$/);
+        if (!match) return null;
+
+        const rootKey = this.parsePitchClass(match[1]);
+
+        const wanted = match[2].replace(/\s+/g, '').toLowerCase();
+        if (!wanted) return { rootKey, scaleName: fallbackScale };
+        const scaleName = Object.keys(this.scales).find(name => name.toLowerCase() === wanted);
+        return scaleName ? { rootKey, scaleName } : null;
+    }
+
+    /**
+     * Parses a note name with octave ("C4", "F#3", "Bb-1") or a MIDI number.
+     * Uses the same octave numbering as getNoteName (C4 = 60).
+     * @param {string} text - Note name or number.
+     * @returns {number|null} MIDI number (0-127), or null if invalid.
+     */
+    parseNoteName(text) {
+        const trimmed = String(text || '').trim();
+        if (/^\d+$/.test(trimmed)) {
+            const midi = parseInt(trimmed);
+            return midi <= 127 ? midi : null;
+        }
+        const match = trimmed.match(/^([A-Ga-g])([#b]?)(-?\d+)$/);
+        if (!match) return null;
+        const naturals = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+        let semitone = naturals[match[1].toUpperCase()];
+        if (match[2] === '#') semitone += 1;
+        if (match[2] === 'b') semitone -= 1;
+        const midi = (parseInt(match[3]) + 1) * 12 + semitone;
+        return (midi >= 0 && midi <= 127) ? midi : null;
+    }
+
+    /**
+     * Converts a note name such as "C", "f#" or "Bb" to a pitch class.
+     * @param {string} name - Note letter with an optional # or b.
+     * @returns {number|null} Pitch class (0 = C), or null if not a note name.
+     */
+    parsePitchClass(name) {
+        const match = String(name || '').trim().match(/^([A-Ga-g])([#b]?)$/);
+        if (!match) return null;
+        const naturals = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+        let pc = naturals[match[1].toUpperCase()];
+        if (match[2] === '#') pc += 1;
+        if (match[2] === 'b') pc -= 1;
+        return (pc + 12) % 12;
+    }
+
+    /**
+     * Moves a pitch from one key to another, keeping its scale degree
+     * (E in C Major -> F# in D Major, E in C Major -> Eb in C Minor).
+     * Out-of-scale notes keep their offset from the scale degree below them.
+     * The root moves by the smallest interval (at most a tritone up or down).
+     * @param {number} midi - MIDI note.
+     * @param {Object} fromKey - { rootKey, scaleName }.
+     * @param {Object} toKey - { rootKey, scaleName }.
+     * @returns {number} MIDI note in the new key.
+     */
+    mapNoteToKey(midi, fromKey, toKey) {
+        const fromScale = this.scales[fromKey.scaleName] || this.scales['Major'];
+        const toScale = this.scales[toKey.scaleName] || this.scales['Major'];
+
+        let shift = ((toKey.rootKey - fromKey.rootKey) % 12 + 12) % 12;
+        if (shift > 6) shift -= 12;
+
+        const rel = ((midi - fromKey.rootKey) % 12 + 12) % 12;
+        // Nearest scale degree at or below the note
+        let degree = 0;
+        fromScale.forEach((interval, i) => { if (interval <= rel) degree = i; });
+        const offset = rel - fromScale[degree];
+
+        // Scales with fewer degrees (pentatonics) map proportionally
+        const targetDegree = Math.min(toScale.length - 1, Math.round(degree * toScale.length / fromScale.length));
+        const targetRel = toScale[targetDegree] + offset;
+
+        return Math.max(0, Math.min(127, midi - rel + shift + targetRel));
+    }
+
     /**
      * constructs the real chord name based on root key and definition.
      * @param {object} chordDef - Chord definition object.
@@ -846,9 +982,14 @@ export default class MusicBrain {
         const chordRootMidi = (rootKey + chordDef.intervals[0]) % 12;
         const rootName = this.noteNames[chordRootMidi];
         let suffix = "";
-        if (chordDef.type === 'Minor') suffix = "m";
+        if (chordDef.label !== undefined) suffix = chordDef.label;
+        else if (chordDef.type === 'Minor') suffix = "m";
         else if (chordDef.type === 'Dim') suffix = "°";
-        return `${rootName}${suffix}`;
+        // Slash chords name their bass note (C/E)
+        const bass = (chordDef.bass !== undefined && chordDef.bass !== null && chordDef.bass !== chordDef.intervals[0])
+            ? '/' + this.noteNames[(rootKey + chordDef.bass) % 12]
+            : '';
+        return `${rootName}${suffix}${bass}`;
     }
     
     /**
@@ -950,6 +1091,182 @@ export default class MusicBrain {
         return (scaleRoot + chordDef.intervals[0]) % 12;
     }
 
+    // --- Chord Objects ---
+    // A chord entry in the chord track is either a diatonic degree index into
+    // chordDegrees[scaleName] (follows the scale), or an object
+    // { root, quality, bass, roman } for anything else. `root` and `bass` are
+    // semitones above the key tonic, so chords move with key changes;
+    // `quality` is a ChordDefs name; `bass` is null for root position.
+
+    /**
+     * Builds a chord object from a diatonic degree.
+     * @param {string} scaleName - Scale name.
+     * @param {number} index - Degree index into chordDegrees[scaleName].
+     * @returns {Object|null} Chord object { root, quality, bass, roman }.
+     */
+    degreeToChord(scaleName, index) {
+        const degrees = this.chordDegrees[scaleName] || this.chordDegrees['Major'];
+        const def = degrees[index];
+        if (!def) return null;
+        return { root: def.intervals[0], quality: CHORD_TYPE_ALIASES[def.type] || def.type, bass: null, roman: def.name };
+    }
+
+    /**
+     * Resolves a chord entry (degree index or chord object) in a key to a chord
+     * definition shaped like the chordDegrees entries, so every consumer can use
+     * `intervals` (semitones above the tonic) as before.
+     * @param {number|Object} chord - Chord entry.
+     * @param {Object} key - { rootKey, scaleName }.
+     * @returns {Object|null} { name, type, intervals, root, bass, label, func, vibe }, or null for no chord.
+     */
+    resolveChord(chord, key) {
+        if (chord === null || chord === undefined || chord === -1) return null;
+        const degrees = this.chordDegrees[key.scaleName] || this.chordDegrees['Major'];
+
+        if (typeof chord === 'number') {
+            const def = degrees[chord];
+            return def ? { ...def, root: def.intervals[0], bass: null } : null;
+        }
+
+        const quality = getChordQuality(chord.quality);
+        const root = ((chord.root % 12) + 12) % 12;
+        const diatonic = degrees.find(d => d.intervals[0] === root && (CHORD_TYPE_ALIASES[d.type] || d.type) === chord.quality);
+        return {
+            name: chord.roman || this.getRomanNumeral(root, chord.quality),
+            type: chord.quality,
+            intervals: quality.intervals.map(i => (root + i) % 12),
+            root: root,
+            bass: (chord.bass !== undefined && chord.bass !== null) ? ((chord.bass % 12) + 12) % 12 : null,
+            label: quality.label,
+            func: diatonic ? diatonic.func : 'CHROMATIC',
+            vibe: diatonic ? diatonic.vibe : quality.desc
+        };
+    }
+
+    /**
+     * Builds a Roman numeral for a chord root relative to the tonic (bVI, ii°, V7).
+     * @param {number} root - Semitones above the tonic.
+     * @param {string} qualityName - ChordDefs quality name.
+     * @returns {string} Roman numeral.
+     */
+    getRomanNumeral(root, qualityName) {
+        const numerals = ['I', 'bII', 'II', 'bIII', 'III', 'IV', '#IV', 'V', 'bVI', 'VI', 'bVII', 'VII'];
+        const minorQualities = ['Minor', 'Diminished', 'Min7', 'Dim7', 'Min7b5', 'Min6', 'Min9'];
+        const symbols = { 'Diminished': '°', 'Dim7': '°7', 'Min7b5': 'ø7', 'Augmented': '+' };
+
+        const isMinor = minorQualities.includes(qualityName);
+        let numeral = numerals[((root % 12) + 12) % 12];
+        if (isMinor) numeral = numeral.replace(/[IV]+/, m => m.toLowerCase());
+
+        let suffix = symbols[qualityName] !== undefined ? symbols[qualityName] : getChordQuality(qualityName).label;
+        // The lower-case numeral already says "minor"
+        if (isMinor && suffix.startsWith('m') && !suffix.startsWith('maj')) suffix = suffix.slice(1);
+        return numeral + suffix;
+    }
+
+    /**
+     * Lists common non-diatonic chords for a key: chords borrowed from the parallel
+     * major/minor, secondary dominants of the diatonic chords, and the Neapolitan.
+     * @param {Object} key - { rootKey, scaleName }.
+     * @returns {Array} Entries { chord, group, desc }.
+     */
+    getChromaticChords(key) {
+        const degrees = this.chordDegrees[key.scaleName] || this.chordDegrees['Major'];
+        const minorScales = ['Minor', 'HarmonicMinor', 'Dorian', 'Blues', 'PentatonicMinor'];
+        const parallel = minorScales.includes(key.scaleName) ? 'Major' : 'Minor';
+        const isDiatonic = (root, quality) => degrees.some(d => d.intervals[0] === root && (CHORD_TYPE_ALIASES[d.type] || d.type) === quality);
+        const result = [];
+
+        // 1. Borrowed from the parallel mode
+        this.chordDegrees[parallel].forEach(def => {
+            const root = def.intervals[0];
+            const quality = CHORD_TYPE_ALIASES[def.type] || def.type;
+            if (isDiatonic(root, quality)) return;
+            result.push({
+                chord: { root, quality, bass: null, roman: this.getRomanNumeral(root, quality) },
+                group: 'BORROWED',
+                desc: `From ${parallel}: ${def.vibe}`
+            });
+        });
+
+        // 2. Secondary dominants (V7 of each major/minor diatonic chord except the tonic)
+        degrees.forEach((def, index) => {
+            if (index === 0 || (def.type !== 'Major' && def.type !== 'Minor')) return;
+            const root = (def.intervals[0] + 7) % 12;
+            result.push({
+                chord: { root, quality: 'Dom7', bass: null, roman: `V7/${def.name}` },
+                group: 'SECONDARY',
+                desc: `Pulls to ${def.name}`
+            });
+        });
+
+        // 3. Neapolitan sixth (bII in first inversion)
+        result.push({
+            chord: { root: 1, quality: 'Major', bass: 5, roman: 'N6' },
+            group: 'NEAPOLITAN',
+            desc: 'Dark pre-dominant, resolves to V'
+        });
+
+        return result;
+    }
+
+    /**
+     * Parses a chord symbol typed by the user ("Bb", "F#m7", "C/E", "Gsus4/A").
+     * @param {string} text - Chord symbol.
+     * @param {Object} key - { rootKey, scaleName } the chord is stored relative to.
+     * @returns {Object|null} Chord object, or null if the symbol is not understood.
+     */
+    parseChordSymbol(text, key) {
+        const match = String(text || '').trim().match(/^([A-Ga-g][#b]?)([^/]*)(?:\/([A-Ga-g][#b]?))?$/);
+        if (!match) return null;
+
+        const rootPc = this.parsePitchClass(match[1]);
+        const aliases = { 'M': '', 'maj': '', 'min': 'm', '-': 'm', '°': 'dim', '+': 'aug', '7b5': 'm7b5', 'ø': 'm7b5' };
+        const suffix = aliases[match[2].trim()] !== undefined ? aliases[match[2].trim()] : match[2].trim();
+        const quality = Object.keys(CHORD_QUALITIES).find(name => CHORD_QUALITIES[name].label === suffix);
+        if (!quality) return null;
+
+        const bassPc = match[3] ? this.parsePitchClass(match[3]) : null;
+        return {
+            root: (rootPc - key.rootKey + 12) % 12,
+            quality: quality,
+            bass: bassPc !== null ? (bassPc - key.rootKey + 12) % 12 : null,
+            roman: null
+        };
+    }
+
+    /**
+     * Moves a chord entry to a new key for "Modulate From Here". Degree indices keep
+     * their degree; chord objects keep their root relative to the tonic, mapped by
+     * scale degree when the scale changes (bVI stays bVI, iii becomes bIII in minor).
+     * @param {number|Object} chord - Chord entry.
+     * @param {Object} fromKey - { rootKey, scaleName }.
+     * @param {Object} toKey - { rootKey, scaleName }.
+     * @returns {number|Object} Chord entry in the new key.
+     */
+    mapChordToKey(chord, fromKey, toKey) {
+        if (chord === null || chord === undefined || chord === -1) return chord;
+        if (typeof chord === 'number') {
+            const count = (this.chordDegrees[toKey.scaleName] || this.chordDegrees['Major']).length;
+            return chord % count;
+        }
+        if (fromKey.scaleName === toKey.scaleName) return chord;
+
+        const mapPc = (pc) => {
+            const moved = this.mapNoteToKey(60 + pc, { rootKey: 0, scaleName: fromKey.scaleName }, { rootKey: 0, scaleName: toKey.scaleName });
+            return ((moved - 60) % 12 + 12) % 12;
+        };
+        const bass = (chord.bass !== undefined && chord.bass !== null) ? mapPc(chord.bass) : null;
+
+        // Diatonic chords (e.g. an inverted iii) become the same degree of the new scale
+        const fromDegrees = this.chordDegrees[fromKey.scaleName] || this.chordDegrees['Major'];
+        const index = fromDegrees.findIndex(d => d.intervals[0] === chord.root && (CHORD_TYPE_ALIASES[d.type] || d.type) === chord.quality);
+        const toCount = (this.chordDegrees[toKey.scaleName] || this.chordDegrees['Major']).length;
+        if (index !== -1) return { ...this.degreeToChord(toKey.scaleName, index % toCount), bass };
+
+        return { ...chord, root: mapPc(chord.root), bass, roman: null };
+    }
+
     // =========================================================================
     //  Melody Generation Engine (Simple, Fluid, Beautiful)
     // =========================================================================
@@ -964,7 +1281,13 @@ export default class MusicBrain {
      */
     generateMelody(startBar, length, complexity, state) {
         const newNotes = [];
-        const scaleNotes = this.getScaleNotes(state.rootKey, state.scaleName); 
+        // Scale sets per key, since the key map can change the key mid-phrase
+        const scaleCache = {};
+        const getScaleFor = (key) => {
+            const id = `${key.rootKey}:${key.scaleName}`;
+            if (!scaleCache[id]) scaleCache[id] = this.getScaleNotes(key.rootKey, key.scaleName);
+            return scaleCache[id];
+        };
         const range = this.vocalRanges[state.vocalRangeType] || { min: 48, max: 84 }; 
         
         // 1. Adjust vocal range based on starting section (for the whole phrase)
@@ -979,7 +1302,8 @@ export default class MusicBrain {
 
         // 2. Create Main Motif (Theme)
         // Repeated throughout this range to maintain continuity
-        const mainRhythm = this.generateMelodicRhythm(complexity);
+        const meter = this.getMeterOf(state);
+        const mainRhythm = this.generateMelodicRhythm(complexity, meter);
         
         // Last played note (to maintain continuity between bars)
         let lastMidi = -1;
@@ -989,8 +1313,14 @@ export default class MusicBrain {
             if (currentBar >= state.totalBars) break;
             
             const currentSection = (state.barStructure && state.barStructure[currentBar]) || 'NONE';
-            const chordIdx = state.barChords[currentBar] || 0;
-            const chordDef = this.chordDegrees[state.scaleName][chordIdx];
+            const key = state.getKeyAtBar(currentBar);
+
+            // Bars after a meter change get a theme rhythm of their own
+            const barMeter = this.getMeterOf(state, currentBar);
+            const barSteps = barMeter.stepsPerBar;
+            const barStart = state.getBarStartStep(currentBar);
+            const sameMeter = barMeter.numerator === meter.numerator && barMeter.denominator === meter.denominator;
+            const themeRhythm = sameMeter ? mainRhythm : this.generateMelodicRhythm(complexity, barMeter);
 
             // 3. Determine Rhythm for this bar (A-A-B-C Structure)
             let currentRhythmPattern = [];
@@ -998,46 +1328,50 @@ export default class MusicBrain {
 
             if (b === length - 1) {
                 // End of piece: Sustained note (Resolve)
-                currentRhythmPattern = [{duration: state.stepsPerBar, isRest: false}]; 
+                currentRhythmPattern = [{duration: barSteps, isRest: false}]; 
             } 
             else if (positionInPhrase === 3) {
                 // Bar 4 (Phrase End): Simplify for breathing
+                const half = this.getPhraseSplitStep(barMeter);
                 currentRhythmPattern = [
-                    {duration: 8, isRest: false}, 
-                    {duration: 8, isRest: (Math.random() > 0.5)} // Maybe rest, maybe sustain
+                    {duration: half, isRest: false}, 
+                    {duration: barSteps - half, isRest: (Math.random() > 0.5)} // Maybe rest, maybe sustain
                 ];
             } 
             else if (positionInPhrase === 2) {
                  // Bar 3 (Variation): Slight change to main rhythm
-                 currentRhythmPattern = this.variateRhythmSimple(mainRhythm);
+                 currentRhythmPattern = this.variateRhythmSimple(themeRhythm);
             } 
             else {
                 // Bar 1 & 2 (Theme): Execute main rhythm
-                currentRhythmPattern = JSON.parse(JSON.stringify(mainRhythm));
+                currentRhythmPattern = JSON.parse(JSON.stringify(themeRhythm));
             }
             
             // Exception: Intro
             if (currentSection === 'INTRO') {
-                currentRhythmPattern = this.getIntroArpeggio();
+                currentRhythmPattern = this.getIntroArpeggio(barMeter);
             }
 
             // 4. Note Placement
             let stepCursor = 0;
             for (let noteDef of currentRhythmPattern) {
-                if (stepCursor >= state.stepsPerBar) break;
+                if (stepCursor >= barSteps) break;
                 
                 let dur = noteDef.duration;
-                if (stepCursor + dur > state.stepsPerBar) dur = state.stepsPerBar - stepCursor;
+                if (stepCursor + dur > barSteps) dur = barSteps - stepCursor;
 
-                const isStrongBeat = (stepCursor % 4 === 0);
-                const absTime = (currentBar * state.stepsPerBar) + stepCursor;
+                const isStrongBeat = barMeter.beatSteps.includes(stepCursor);
+                const absTime = barStart + stepCursor;
+                // Follow the chord sounding at this step (chords can change mid-bar)
+                const entry = state.getChordEntryAt(absTime);
+                const chordDef = this.resolveChord(entry !== null ? entry : 0, key);
 
                 if (!noteDef.isRest) {
                     const generatedMidi = this.pickSmoothNote({
                         lastMidi: lastMidi,
                         chordDef: chordDef,
-                        rootKey: state.rootKey,
-                        scaleNotes: scaleNotes,
+                        rootKey: key.rootKey,
+                        scaleNotes: getScaleFor(key),
                         min: targetMin,
                         max: targetMax,
                         isStrongBeat: isStrongBeat,
@@ -1070,30 +1404,43 @@ export default class MusicBrain {
      * Uses section-specific motifs and harmonic rules to create fluid improvisation.
      * * @param {number} root - Root key.
      * @param {string} scaleName - Scale name.
-     * @param {object} chordNotesMap - Map of bars to chord notes.
+     * @param {Function} chordNotesAt - (step) => chord notes sounding at that step.
      * @param {number} startBar - Starting bar.
      * @param {number} numBars - Number of bars to generate.
      * @param {string} complexity - Complexity level.
      * @param {object} state - Song state.
      */
-    generateMelodyMarkov(root, scaleName, chordNotesMap, startBar, numBars, complexity, state) {
+    generateMelodyMarkov(root, scaleName, chordNotesAt, startBar, numBars, complexity, state) {
         const generatedNotes = [];
         
         // 1. Settings
-        let stepsPerBar = 16;
-        if (state && state.stepsPerBar) stepsPerBar = Number(state.stepsPerBar);
-        const beat = stepsPerBar / 4; 
+        const meter = this.getMeterOf(state);
+        // Motifs are written in quarter-note beats; a 4/4 bar is the reference length
+        const beat = meter.unitSteps * meter.denominator / 4;
+        const motifBarLength = beat * 4;
         const rootKey = Number(root);
-        const allScaleNotes = this.getScaleNotesArr(rootKey, scaleName, 55, 84); 
+        // Scale notes per key; bars follow the state's key map when there is one
+        const scaleNotesCache = {};
+        const getScaleNotesFor = (key) => {
+            const id = `${key.rootKey}:${key.scaleName}`;
+            if (!scaleNotesCache[id]) scaleNotesCache[id] = this.getScaleNotesArr(key.rootKey, key.scaleName, 55, 84);
+            return scaleNotesCache[id];
+        };
+
+        // Grouped meters (6/8, 7/8) build their motifs from the pulse groups instead
+        const isGroupedMeter = meter.grouping.some(g => g > 1);
+        const buildMotif = (vibe) => isGroupedMeter
+            ? this.generateMelodicRhythm(complexity, meter).map(r => ({ dur: r.duration, type: 'NOTE' }))
+            : this.generateGoodMotif(complexity, motifBarLength, vibe);
 
         // 2. Build Motif Bank
         // Create a separate motif for each section
         const motifBank = {
-            'INTRO': this.generateGoodMotif(complexity, stepsPerBar, 'SPARSE'), // Sparse
-            'VERSE': this.generateGoodMotif(complexity, stepsPerBar, 'CHATTY'), // Rhythmic/Chatty
-            'CHORUS': this.generateGoodMotif(complexity, stepsPerBar, 'ANTHEM'), // Sustained/Anthemic
-            'BRIDGE': this.generateGoodMotif(complexity, stepsPerBar, 'SYNC'),  // Syncopated
-            'OUTRO': this.generateGoodMotif(complexity, stepsPerBar, 'SPARSE')
+            'INTRO': buildMotif('SPARSE'), // Sparse
+            'VERSE': buildMotif('CHATTY'), // Rhythmic/Chatty
+            'CHORUS': buildMotif('ANTHEM'), // Sustained/Anthemic
+            'BRIDGE': buildMotif('SYNC'),  // Syncopated
+            'OUTRO': buildMotif('SPARSE')
         };
         
         // Default to Verse if structure is undefined
@@ -1109,21 +1456,26 @@ export default class MusicBrain {
             // Fallback to VERSE if unknown
             const baseMotif = motifBank[currentSection] || motifBank['VERSE'];
 
-            const currentChordNotes = chordNotesMap[absoluteBar] || [];
-            const chordClasses = currentChordNotes.map(n => Number(n) % 12);
             
             const phrasePos = b % 4; 
             const isLastBarOfPhrase = (phrasePos === 3);
 
+            const barKey = (state && state.getKeyAtBar) ? state.getKeyAtBar(absoluteBar) : { rootKey, scaleName };
+            const allScaleNotes = getScaleNotesFor(barKey);
+            const barMeter = this.getMeterOf(state, absoluteBar);
+            const stepsPerBar = barMeter.stepsPerBar;
+            const barStart = (state && state.getBarStartStep) ? state.getBarStartStep(absoluteBar) : absoluteBar * stepsPerBar;
+
             // Determine final pattern
             let currentPattern = [];
 
             if (isLastBarOfPhrase) {
                 // Phrase End: Resolution
                 // Sustained note at the end of every 4 bars
+                const half = this.getPhraseSplitStep(barMeter);
                 currentPattern = [
-                    { dur: beat * 2, type: 'NOTE' },
-                    { dur: beat * 2, type: 'REST' }
+                    { dur: half, type: 'NOTE' },
+                    { dur: stepsPerBar - half, type: 'REST' }
                 ];
             } else if (phrasePos === 2) {
                 // Bar 3: Variation
@@ -1147,8 +1499,9 @@ export default class MusicBrain {
                     continue;
                 }
 
-                const absTime = (absoluteBar * stepsPerBar) + currentStepInBar;
-                const isStrongBeat = (currentStepInBar % beat === 0);
+                const absTime = barStart + currentStepInBar;
+                const isStrongBeat = barMeter.beatSteps.includes(currentStepInBar);
+                const chordClasses = chordNotesAt(absTime).map(n => Number(n) % 12);
 
                 // Note Selection Strategy (No jumps)
                 let targetMidi = -1;
@@ -1401,7 +1754,9 @@ export default class MusicBrain {
     /**
      * Generates standard melodic rhythms based on complexity.
      */
-    generateMelodicRhythm(complexity) {
+    generateMelodicRhythm(complexity, meter = null) {
+        if (meter && !meter.isCommonTime) return this.generateMeterRhythm(complexity, meter);
+
         const motifs = {
             'LOW': [
                 [4, 4, 8],          // Simple and Heavy
@@ -1425,7 +1780,76 @@ export default class MusicBrain {
         
         const list = motifs[complexity] || motifs['MEDIUM'];
         const base = list[Math.floor(Math.random() * list.length)];
-        return base.map(d => ({ duration: d, isRest: false }));
+        // Motifs are written in 16ths; scale them to the current grid
+        const scale = meter ? meter.unitSteps / 4 : 1;
+        return base.map(d => ({ duration: Math.max(1, Math.round(d * scale)), isRest: false }));
+    }
+
+    /**
+     * Builds a one-bar rhythm from the pulse groups of a meter (e.g. 3+3 for 6/8, 2+2+3 for 7/8),
+     * so accents land on the group starts instead of on 4/4 beats.
+     * @param {string} complexity - 'LOW', 'MEDIUM', 'HIGH'.
+     * @param {Object} meter - Meter description from State.getMeter().
+     * @returns {Array} List of { duration, isRest } in steps.
+     */
+    generateMeterRhythm(complexity, meter) {
+        // Subdivisions per group size, in beat units (eighths in 6/8, quarters in 3/4)
+        const groupRhythms = {
+            'LOW': {
+                1: [[1]],
+                2: [[2], [1, 1]],
+                3: [[3], [2, 1]]
+            },
+            'MEDIUM': {
+                1: [[1], [0.5, 0.5]],
+                2: [[1, 1], [1.5, 0.5]],
+                3: [[2, 1], [1, 1, 1], [1.5, 0.5, 1]]
+            },
+            'HIGH': {
+                1: [[0.5, 0.5], [0.75, 0.25]],
+                2: [[1, 1], [0.5, 0.5, 1]],
+                3: [[1, 1, 1], [1, 0.5, 0.5, 1], [0.5, 0.5, 1, 1]]
+            }
+        };
+        const table = groupRhythms[complexity] || groupRhythms['MEDIUM'];
+        const rhythm = [];
+
+        meter.grouping.forEach(size => {
+            // Only keep subdivisions that land on whole grid steps
+            const options = (table[size] || [[size]])
+                .filter(p => p.every(d => Number.isInteger(d * meter.unitSteps)));
+            const pick = options.length > 0
+                ? options[Math.floor(Math.random() * options.length)]
+                : [size];
+            pick.forEach(d => rhythm.push({ duration: d * meter.unitSteps, isRest: false }));
+        });
+        return rhythm;
+    }
+
+    /**
+     * Gets the step where a bar is split into two halves for phrase endings
+     * (beat 3 in 4/4, the second group in 6/8).
+     * @param {Object} meter - Meter description from State.getMeter().
+     * @returns {number} Step offset inside the bar.
+     */
+    getPhraseSplitStep(meter) {
+        if (meter.strongSteps.length > 1) return meter.strongSteps[1];
+        const middle = meter.beatSteps[Math.ceil(meter.beatSteps.length / 2)];
+        return middle !== undefined ? middle : Math.max(1, Math.floor(meter.stepsPerBar / 2));
+    }
+
+    /**
+     * Returns the meter of a bar, or plain 4/4 in 16ths when the state has none.
+     * @param {Object} state - Song state.
+     * @param {number} bar - Bar index.
+     * @returns {Object} Meter description (see State.getMeter).
+     */
+    getMeterOf(state, bar = 0) {
+        if (state && typeof state.getMeter === 'function') return state.getMeter(bar);
+        return {
+            numerator: 4, denominator: 4, grouping: [1, 1, 1, 1], stepsPerBar: 16, unitSteps: 4,
+            beatSteps: [0, 4, 8, 12], strongSteps: [0, 8], isCommonTime: true
+        };
     }
 
     /**
@@ -1445,13 +1869,24 @@ export default class MusicBrain {
     /**
      * Returns a standard Intro arpeggio pattern (atmospheric).
      */
-    getIntroArpeggio() {
-        return [
-            {duration: 4, isRest: false}, 
-            {duration: 4, isRest: true}, 
-            {duration: 4, isRest: false}, 
-            {duration: 4, isRest: true}
-        ];
+    getIntroArpeggio(meter = null) {
+        if (!meter) {
+            return [
+                {duration: 4, isRest: false}, 
+                {duration: 4, isRest: true}, 
+                {duration: 4, isRest: false}, 
+                {duration: 4, isRest: true}
+            ];
+        }
+        // One note on each strong pulse, held for half of the pulse
+        const pattern = [];
+        meter.strongSteps.forEach((step, i) => {
+            const next = meter.strongSteps[i + 1] !== undefined ? meter.strongSteps[i + 1] : meter.stepsPerBar;
+            const noteLen = Math.max(1, Math.floor((next - step) / 2));
+            pattern.push({duration: noteLen, isRest: false});
+            if (next - step - noteLen > 0) pattern.push({duration: next - step - noteLen, isRest: true});
+        });
+        return pattern;
     }
 
     /**
@@ -1527,9 +1962,14 @@ export default class MusicBrain {
      * @param {number} stepIndex - Current step index.
      * @param {number} stepsPerBar - Steps per bar.
      * @param {boolean} isTransition - Is this a transition bar?
+     * @param {Object|null} meter - Meter from State.getMeter(); anything but 4/4 uses the pulse-group engine.
      * @returns {Array} Array of MIDI drum notes to add.
      */
-    getDrumPattern(genre, currentSection, nextSection, stepIndex, stepsPerBar, isTransition) {
+    getDrumPattern(genre, currentSection, nextSection, stepIndex, stepsPerBar, isTransition, meter = null) {
+        if (meter && !meter.isCommonTime) {
+            return this.getMeterDrumPattern(genre, currentSection, nextSection, stepIndex, isTransition, meter);
+        }
+
         // --- 1. Init & Constants ---
         const normalizedStep = Math.floor(stepIndex / (stepsPerBar / 16));
         const subStep = stepIndex % (stepsPerBar / 16); 
@@ -1721,6 +2161,94 @@ export default class MusicBrain {
         return notesToAdd;
     }
 
+    /**
+     * Drum engine for meters other than 4/4. Instead of 16-slot arrays, hits are placed
+     * on the pulse groups of the meter: kick on the first group, snare on the last
+     * (3/4: kick-snare-snare, 6/8: kick-snare, 7/8 2+2+3: kick-snare-snare).
+     * @param {string} genre - Music genre.
+     * @param {string} currentSection - Current section (Verse, Chorus, etc).
+     * @param {string} nextSection - Next section (for transitions).
+     * @param {number} stepIndex - Step index inside the bar.
+     * @param {boolean} isTransition - Is this a transition bar?
+     * @param {Object} meter - Meter from State.getMeter().
+     * @returns {Array} Array of MIDI drum notes to add.
+     */
+    getMeterDrumPattern(genre, currentSection, nextSection, stepIndex, isTransition, meter) {
+        const KICK = 36; const SNARE = 38;
+        const CHAT = 42; const CRASH = 49;
+        const LO_TOM = 41; const MID_TOM = 45; const HI_TOM = 48;
+        const notesToAdd = [];
+
+        const unit = meter.unitSteps;
+        const halfUnit = unit / 2;
+        const onUnit = stepIndex % unit === 0;
+        const onHalf = !onUnit && Number.isInteger(halfUnit) && stepIndex % halfUnit === 0;
+        if (!onUnit && !onHalf) return notesToAdd;
+
+        const groupIndex = meter.beatSteps.indexOf(stepIndex);
+        const lastGroup = meter.beatSteps.length - 1;
+        const isSimple = meter.grouping.every(g => g === 1);
+        const isFourOnFloor = (genre === 'EDM' || genre === 'TECHNO');
+
+        // Role of each pulse group: first = kick, last = snare, the ones between alternate
+        const groupRole = (g) => {
+            if (g === 0) return KICK;
+            if (g === lastGroup) return SNARE;
+            return (g % 2 === 1) ? SNARE : KICK;
+        };
+
+        // --- Transition Fill (last group, or last two beats in simple meters) ---
+        const fillStart = meter.beatSteps[isSimple ? Math.max(0, lastGroup - 1) : lastGroup];
+        if (isTransition && stepIndex >= fillStart && stepIndex > 0) {
+            const fillIndex = Math.floor((stepIndex - fillStart) / unit);
+
+            if (currentSection === 'CHORUS' && nextSection !== 'CHORUS' && nextSection !== 'OUTRO') {
+                // Descent (Chorus -> Verse)
+                if (onUnit) notesToAdd.push([HI_TOM, MID_TOM, LO_TOM][Math.min(fillIndex, 2)]);
+            } else {
+                // Buildup: snare on every unit, doubled into a chorus
+                if (onUnit || nextSection === 'CHORUS') notesToAdd.push(SNARE);
+                if (stepIndex === fillStart) notesToAdd.push(KICK);
+            }
+            return notesToAdd;
+        }
+
+        // --- PRE-CHORUS Logic ---
+        if (currentSection === 'PRE_CHORUS') {
+            if (groupIndex !== -1) notesToAdd.push(KICK);
+            if (onUnit) notesToAdd.push(CHAT);
+            if (stepIndex === meter.stepsPerBar - unit) notesToAdd.push(SNARE);
+            return notesToAdd;
+        }
+
+        if (groupIndex !== -1) {
+            // KICK
+            if (currentSection === 'INTRO') {
+                if (groupIndex === 0) notesToAdd.push(KICK);
+            } else if (currentSection !== 'BRIDGE') {
+                if (isFourOnFloor || groupRole(groupIndex) === KICK) notesToAdd.push(KICK);
+            }
+
+            // SNARE
+            if (currentSection !== 'INTRO' && currentSection !== 'OUTRO') {
+                if (groupRole(groupIndex) === SNARE) notesToAdd.push(SNARE);
+            }
+        }
+
+        // HAT
+        const isEnergetic = (currentSection === 'CHORUS' || currentSection === 'SOLO');
+        if (isFourOnFloor) {
+            if (onHalf) notesToAdd.push(CHAT); // Off-beat hats
+        } else if (onUnit || (isEnergetic && onHalf)) {
+            notesToAdd.push(CHAT);
+        }
+
+        // CRASH (Start of Chorus/Solo)
+        if (isEnergetic && stepIndex === 0) notesToAdd.push(CRASH);
+
+        return notesToAdd;
+    }
+
     // =========================================================================
     //  Structure Wizard Methods
     // =========================================================================
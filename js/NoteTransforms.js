@@ -0,0 +1,238 @@
+/*
+ * SenseAudio - Visual Theory & Creative Studio
+ * Copyright (C) 2026 SensementMusic.com
+ *
+ * This file is part of SenseAudio (A Sensement Music Project).
+ *
+ * SenseAudio is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * SenseAudio is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with SenseAudio. If not, see <https://www.gnu.org/licenses/>.
+ *
+ * All branding, logos, and the name "Sensement Music" are properties of SensementMusic.com.
+ */
+
+/**
+ * Bulk edits applied to a set of notes (usually the piano-roll selection).
+ *
+ * Every method changes the given note objects in place (duplicate() also adds new
+ * notes to the active track), so callers wrap a call in one History step. Times are
+ * kept on the step grid and pitches within MIDI range 0-127.
+ */
+export default class NoteTransforms {
+    /**
+     * @param {Object} state - The application state.
+     * @param {Object} brain - MusicBrain (for scales in diatonic transposition).
+     */
+    constructor(state, brain) {
+        this.state = state;
+        this.brain = brain;
+    }
+
+    /**
+     * Gets the time span covered by notes.
+     * @param {Array} notes - Notes.
+     * @returns {Object} { start, end } in steps.
+     */
+    getSpan(notes) {
+        const start = Math.min(...notes.map(n => n.time));
+        const end = Math.max(...notes.map(n => n.time + n.duration));
+        return { start, end };
+    }
+
+    /**
+     * Moves notes by a number of semitones. The shift is reduced if it would push
+     * any note out of MIDI range, so the selection keeps its shape.
+     * @param {Array} notes - Notes to change.
+     * @param {number} semitones - Signed shift.
+     */
+    transpose(notes, semitones) {
+        const low = Math.min(...notes.map(n => n.midi));
+        const high = Math.max(...notes.map(n => n.midi));
+        const shift = Math.max(-low, Math.min(127 - high, semitones));
+        notes.forEach(n => n.midi += shift);
+    }
+
+    /**
+     * Moves notes by scale steps in the key at each note's position. Notes outside
+     * the scale keep their chromatic offset from the scale note below them. Like
+     * transpose, the move is reduced (by whole scale steps) if it would push any note
+     * out of MIDI range, so the selection keeps its shape.
+     * @param {Array} notes - Notes to change.
+     * @param {number} degrees - Signed number of scale steps.
+     */
+    transposeDiatonic(notes, degrees) {
+        const fits = (d) => notes.every(n => {
+            const midi = this.getDiatonicPitch(n, d);
+            return midi >= 0 && midi <= 127;
+        });
+        while (degrees !== 0 && !fits(degrees)) degrees -= Math.sign(degrees);
+        notes.forEach(n => n.midi = this.getDiatonicPitch(n, degrees));
+    }
+
+    /**
+     * Gets the pitch of a note moved by scale steps (see transposeDiatonic).
+     * @param {Object} note - Note.
+     * @param {number} degrees - Signed number of scale steps.
+     * @returns {number} MIDI pitch, possibly outside 0-127.
+     */
+    getDiatonicPitch(note, degrees) {
+        const key = this.state.getKeyAtStep(note.time);
+        const intervals = this.brain.scales[key.scaleName] || this.brain.scales['Major'];
+        const fromRoot = note.midi - key.rootKey;
+        let octave = Math.floor(fromRoot / 12);
+        const rel = fromRoot - octave * 12;
+
+        let index = 0;
+        intervals.forEach((interval, i) => {
+            if (interval <= rel) index = i;
+        });
+        const offset = rel - intervals[index];
+
+        const target = index + degrees;
+        octave += Math.floor(target / intervals.length);
+        const wrapped = ((target % intervals.length) + intervals.length) % intervals.length;
+        return key.rootKey + octave * 12 + intervals[wrapped] + offset;
+    }
+
+    /**
+     * Snaps note starts to a grid (counted from each bar line), optionally only part of the way.
+     * @param {Array} notes - Notes to change.
+     * @param {number} gridSteps - Grid size in steps (may be fractional, e.g. triplets).
+     * @param {number} [strength=1] - 0..1, how far notes move towards the grid.
+     */
+    quantize(notes, gridSteps, strength = 1) {
+        if (!(gridSteps > 0)) return;
+        notes.forEach(n => {
+            const target = this.state.snapToGrid(n.time, gridSteps, true);
+            n.time = Math.max(0, this.state.roundTime(n.time + (target - n.time) * strength));
+            delete n.grooved;
+        });
+    }
+
+    /**
+     * Writes a groove into the notes: each moves towards its nearest groove slot and
+     * takes the slot's accent. The notes are not grooved again at playback until
+     * another edit moves them (every transform that changes timing clears `grooved`).
+     * @param {Array} notes - Notes to change.
+     * @param {Object} groove - { template, amount } (see GrooveMap).
+     * @param {number} [strength=1] - 0-1, how far notes move.
+     */
+    grooveQuantize(notes, groove, strength = 1) {
+        this.state.grooveMap.applyToNotes(notes, groove, strength);
+    }
+
+    /**
+     * Moves notes in time. The move stops at the start of the song.
+     * @param {Array} notes - Notes to change.
+     * @param {number} steps - Signed number of steps.
+     */
+    nudge(notes, steps) {
+        const first = Math.min(...notes.map(n => n.time));
+        const shift = Math.max(-first, steps);
+        notes.forEach(n => {
+            n.time = this.state.roundTime(n.time + shift);
+            delete n.grooved;
+        });
+    }
+
+    /**
+     * Copies notes to directly after their own span and adds them to the active track.
+     * @param {Array} notes - Notes to copy.
+     * @returns {Array} The new notes.
+     */
+    duplicate(notes) {
+        const { start, end } = this.getSpan(notes);
+        const copies = notes.map(n => {
+            const copy = { ...n, time: n.time + (end - start) };
+            delete copy.grooved;
+            return copy;
+        });
+        copies.forEach(n => this.state.notes.push(n));
+        return copies;
+    }
+
+    /**
+     * Extends each note up to the next later note start in the set.
+     * Notes that start together are treated as one chord. The last notes are unchanged.
+     * @param {Array} notes - Notes to change.
+     */
+    legato(notes) {
+        const starts = [...new Set(notes.map(n => n.time))].sort((a, b) => a - b);
+        notes.forEach(n => {
+            const next = starts.find(t => t > n.time);
+            if (next !== undefined) n.duration = next - n.time;
+        });
+    }
+
+    /**
+     * Mirrors notes in time within their span (retrograde).
+     * @param {Array} notes - Notes to change.
+     */
+    reverse(notes) {
+        const { start, end } = this.getSpan(notes);
+        notes.forEach(n => {
+            n.time = start + end - (n.time + n.duration);
+            delete n.grooved;
+        });
+    }
+
+    /**
+     * Mirrors pitches around a pivot (melodic inversion). If that would push any note
+     * out of MIDI range, the pivot moves by as few half steps as needed, so the whole
+     * selection is inverted and keeps its shape.
+     * @param {Array} notes - Notes to change.
+     * @param {number} pivot - MIDI pitch to mirror around.
+     */
+    invert(notes, pivot) {
+        const low = Math.min(...notes.map(n => n.midi));
+        const high = Math.max(...notes.map(n => n.midi));
+        // Mirrored notes span 2 * pivot - high .. 2 * pivot - low
+        const axis = Math.max(high, Math.min(127 + low, Math.round(2 * pivot)));
+        notes.forEach(n => n.midi = axis - n.midi);
+    }
+
+    /**
+     * Scales note positions and lengths from the start of the set.
+     * @param {Array} notes - Notes to change.
+     * @param {number} factor - Time factor (2 = twice as long, 0.5 = half).
+     */
+    stretch(notes, factor) {
+        if (!(factor > 0)) return;
+        const { start } = this.getSpan(notes);
+        notes.forEach(n => {
+            n.time = this.state.roundTime(start + (n.time - start) * factor);
+            n.duration = this.state.roundTime(n.duration * factor);
+            delete n.grooved;
+        });
+    }
+
+    /**
+     * Multiplies velocities, keeping them in 0.05..1.
+     * @param {Array} notes - Notes to change.
+     * @param {number} factor - Velocity factor (1.2 = 20% louder).
+     */
+    scaleVelocity(notes, factor) {
+        notes.forEach(n => {
+            const vel = n.velocity !== undefined ? n.velocity : 0.8;
+            n.velocity = Math.max(0.05, Math.min(1, Math.round(vel * factor * 100) / 100));
+        });
+    }
+
+    /**
+     * Removes notes from the active track.
+     * @param {Array} notes - Notes to remove.
+     */
+    remove(notes) {
+        const doomed = new Set(notes);
+        this.state.notes = this.state.notes.filter(n => !doomed.has(n));
+    }
+}
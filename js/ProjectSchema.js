@@ -0,0 +1,781 @@
+/*
+ * SenseAudio - Visual Theory & Creative Studio
+ * Copyright (C) 2026 SensementMusic.com
+ *
+ * This file is part of SenseAudio (A Sensement Music Project).
+ *
+ * SenseAudio is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * SenseAudio is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with SenseAudio. If not, see <https://www.gnu.org/licenses/>.
+ *
+ * All branding, logos, and the name "Sensement Music" are properties of SensementMusic.com.
+ */
+
+/**
+ * Versioning, migration and validation of saved project data.
+ *
+ * Every project written by State.getData() carries `schemaVersion`. Files without
+ * it are version 1 (the original format). Loading runs the migration chain up to
+ * the current version, then validates the result. Problems that can be fixed
+ * (a bad note, an out-of-range tempo, a missing field) are repaired and reported
+ * as warnings, so old or damaged projects load with as much content as possible;
+ * only data with nothing usable in it is rejected.
+ */
+export default class ProjectSchema {
+    constructor() {
+        this.currentVersion = 4;
+        // Optional lists used to validate names; filled in by the app (see main.js)
+        this.scaleNames = null;
+        this.sectionTypes = null;
+        this.grooveNames = null;
+        this.reverbNames = null;
+        this.delayTimes = null;
+        this.insertTypes = null; // Insert effect definitions with parameter ranges
+        this.sidechainParams = null; // Sidechain parameter ranges
+        this.sidechainTriggers = null;
+        this.masterSections = null; // Master section definitions with parameter ranges
+        this.loudnessTargets = null;
+        this.trackLanes = null; // Automation lane definitions with value ranges
+        this.masterLanes = null;
+        this.automationCurves = null;
+        this.zoneParams = null; // Sampler zone parameter ranges
+        this.zoneEnvelopeParams = null;
+        this.defaultGrouping = null; // (numerator, denominator) => pulse grouping of a meter
+
+        // Each step upgrades data from `from` to `from + 1`. Steps only fill in what
+        // is missing, since files saved between releases may already have some fields.
+        this.migrations = [
+            { from: 1, description: 'Add meter, grid resolution and tempo/meter/key maps', migrate: (data) => this.migrateMeterAndMaps(data) },
+            { from: 2, description: 'Convert per-bar chords to timed chord regions', migrate: (data) => this.migrateChordRegions(data) },
+            { from: 3, description: 'Turn per-track reverb and delay into sends to shared effect buses', migrate: (data) => this.migrateSends(data) }
+        ];
+
+        this.defaults = {
+            bpm: 120,
+            rootKey: 0,
+            scaleName: 'Major',
+            timeNumerator: 4,
+            timeDenominator: 4,
+            gridResolution: 16,
+            totalBars: 4
+        };
+    }
+
+    /**
+     * Finds the project inside whatever was loaded: a JSON string, a project object,
+     * or a cloud record that wraps it as { data: ... } (possibly as a JSON string).
+     * @param {*} raw - Loaded value.
+     * @returns {Object} Project data.
+     */
+    unwrap(raw) {
+        let data = raw;
+        for (let depth = 0; depth < 4; depth++) {
+            if (typeof data === 'string') {
+                try {
+                    data = JSON.parse(data);
+                } catch (err) {
+                    throw new Error("The file is not valid JSON (it may be truncated or not a SenseAudio project).");
+                }
+                continue;
+            }
+            if (data && typeof data === 'object' && !Array.isArray(data) && !this.looksLikeProject(data) && data.data !== undefined) {
+                data = data.data;
+                continue;
+            }
+            break;
+        }
+
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error("This file does not contain a SenseAudio project.");
+        }
+        if (!this.looksLikeProject(data)) {
+            throw new Error("This file does not contain a SenseAudio project (no tracks, notes or song settings were found).");
+        }
+        return data;
+    }
+
+    /**
+     * Checks whether an object has any recognisable project field.
+     * @param {Object} data - Candidate object.
+     * @returns {boolean} True if it looks like project data.
+     */
+    looksLikeProject(data) {
+        return ['tracks', 'notes', 'bpm', 'barChords', 'chordRegions', 'totalBars'].some(k => data[k] !== undefined);
+    }
+
+    /**
+     * Gets the schema version of project data.
+     * @param {Object} data - Project data.
+     * @returns {number} Version (1 for files saved before versioning).
+     */
+    getVersion(data) {
+        const v = parseInt(data.schemaVersion);
+        return (Number.isFinite(v) && v >= 1) ? v : 1;
+    }
+
+    /**
+     * Runs the migration chain up to the current version.
+     * @param {Object} data - Project data (modified in place).
+     * @returns {Array<string>} Descriptions of the steps that ran.
+     */
+    migrate(data) {
+        const version = this.getVersion(data);
+        if (version > this.currentVersion) {
+            throw new Error(`This project was saved by a newer version of SenseAudio (format ${version}; this version reads up to ${this.currentVersion}). Please update the app.`);
+        }
+
+        const applied = [];
+        this.migrations
+            .filter(step => step.from >= version)
+            .sort((a, b) => a.from - b.from)
+            .forEach(step => {
+                step.migrate(data);
+                applied.push(step.description);
+            });
+        data.schemaVersion = this.currentVersion;
+        return applied;
+    }
+
+    /**
+     * v1 -> v2: projects before the meter work were always 4/4 with 16 steps per bar.
+     * @param {Object} data - Project data.
+     */
+    migrateMeterAndMaps(data) {
+        // The oldest files kept a single note list instead of tracks
+        if (!Array.isArray(data.tracks) && Array.isArray(data.notes)) {
+            data.tracks = [{ id: 'trk_legacy', name: 'Synth', type: 'SYNTH', preset: 'Grand Piano', notes: data.notes }];
+            delete data.notes;
+        }
+        if (data.timeNumerator === undefined) data.timeNumerator = 4;
+        if (data.timeDenominator === undefined) data.timeDenominator = 4;
+        if (data.gridResolution === undefined) {
+            const stepsPerBar = Number(data.stepsPerBar) || 16;
+            data.gridResolution = stepsPerBar * data.timeDenominator / data.timeNumerator;
+        }
+        if (!Array.isArray(data.tempoChanges)) data.tempoChanges = [];
+        if (!Array.isArray(data.meterChanges)) data.meterChanges = [];
+        if (!Array.isArray(data.keyChanges)) data.keyChanges = [];
+    }
+
+    /**
+     * v2 -> v3: one chord index per bar becomes chord regions in steps.
+     * @param {Object} data - Project data.
+     */
+    migrateChordRegions(data) {
+        if (Array.isArray(data.chordRegions)) {
+            delete data.barChords;
+            return;
+        }
+        const barChords = Array.isArray(data.barChords) ? data.barChords : [];
+        const totalBars = parseInt(data.totalBars) || barChords.length;
+        const regions = [];
+        let start = 0;
+        for (let bar = 0; bar < totalBars; bar++) {
+            const steps = this.getStepsInBar(data, bar);
+            const chord = barChords[bar];
+            if (chord !== undefined && chord !== null && chord !== -1) regions.push({ start, length: steps, chord });
+            start += steps;
+        }
+        data.chordRegions = regions;
+        delete data.barChords;
+    }
+
+    /**
+     * v3 -> v4: every track had its own reverb and delay; their amounts become send
+     * levels (reverb to Reverb A). The per-track delay time and feedback are dropped,
+     * the shared delay bus has its own.
+     * @param {Object} data - Project data.
+     */
+    migrateSends(data) {
+        (Array.isArray(data.tracks) ? data.tracks : []).forEach(track => {
+            if (!track || typeof track !== 'object') return;
+            const settings = (track.synthSettings && typeof track.synthSettings === 'object') ? track.synthSettings : {};
+            if (track.sends === undefined) {
+                track.sends = { reverbA: Number(settings.reverbMix) || 0, reverbB: 0, delay: Number(settings.delayMix) || 0 };
+            }
+            ['reverbMix', 'delayMix', 'delayTime', 'delayFeedback'].forEach(key => delete settings[key]);
+        });
+    }
+
+    /**
+     * Bar length in steps from raw project data (same rule as State.getStepsInBar).
+     * @param {Object} data - Project data.
+     * @param {number} bar - Bar index.
+     * @returns {number} Steps in the bar.
+     */
+    getStepsInBar(data, bar) {
+        let num = data.timeNumerator;
+        let den = data.timeDenominator;
+        (data.meterChanges || [])
+            .filter(m => m && m.bar <= bar)
+            .sort((a, b) => a.bar - b.bar)
+            .forEach(m => {
+                num = m.numerator;
+                den = m.denominator;
+            });
+        return (num / den) * data.gridResolution;
+    }
+
+    /**
+     * Validates migrated project data and repairs what it can.
+     * @param {Object} data - Project data at the current version (modified in place).
+     * @returns {Array<string>} Readable descriptions of every problem that was repaired.
+     */
+    validate(data) {
+        const warnings = [];
+        const d = this.defaults;
+        const isInt = (v) => Number.isInteger(v);
+
+        // --- Song settings ---
+        if (typeof data.bpm !== 'number' || !(data.bpm >= 20 && data.bpm <= 400)) {
+            warnings.push(`Tempo "${data.bpm}" is not between 20 and 400 BPM; using ${d.bpm}.`);
+            data.bpm = d.bpm;
+        }
+        if (!isInt(data.rootKey) || data.rootKey < 0 || data.rootKey > 11) {
+            warnings.push(`Key root "${data.rootKey}" is not a note (0-11); using C.`);
+            data.rootKey = d.rootKey;
+        }
+        if (!this.isScaleName(data.scaleName)) {
+            warnings.push(`Scale "${data.scaleName}" is unknown; using ${d.scaleName}.`);
+            data.scaleName = d.scaleName;
+        }
+        if (!this.isMeter(data.timeNumerator, data.timeDenominator)) {
+            warnings.push(`Time signature ${data.timeNumerator}/${data.timeDenominator} is not supported; using 4/4.`);
+            data.timeNumerator = d.timeNumerator;
+            data.timeDenominator = d.timeDenominator;
+            data.beatGrouping = undefined;
+        }
+        if (data.beatGrouping !== undefined && !this.isGrouping(data.beatGrouping, data.timeNumerator)) {
+            warnings.push(`Beat grouping ${JSON.stringify(data.beatGrouping)} does not add up to ${data.timeNumerator}; using the default grouping.`);
+            data.beatGrouping = undefined;
+        }
+        if (!isInt(data.gridResolution) || data.gridResolution < 4 || data.gridResolution > 64) {
+            warnings.push(`Grid resolution "${data.gridResolution}" is invalid; using 1/${d.gridResolution}.`);
+            data.gridResolution = d.gridResolution;
+        }
+        const denominators = [data.timeDenominator].concat((data.meterChanges || []).map(m => m && m.denominator));
+        const minResolution = Math.max(...denominators.filter(den => [2, 4, 8, 16].includes(den)));
+        if (data.gridResolution < minResolution) {
+            warnings.push(`Grid resolution 1/${data.gridResolution} is coarser than the time signature; using 1/${minResolution}.`);
+            data.gridResolution = minResolution;
+        }
+        if (!isInt(data.totalBars) || data.totalBars < 1) {
+            const fallback = Array.isArray(data.barStructure) && data.barStructure.length > 0 ? data.barStructure.length : d.totalBars;
+            warnings.push(`Bar count "${data.totalBars}" is invalid; using ${fallback}.`);
+            data.totalBars = fallback;
+        }
+
+        // --- Groove ---
+        if (data.groove === undefined) {
+            data.groove = { template: 'Straight', amount: 0 };
+        } else if (!this.isGroove(data.groove)) {
+            warnings.push("The song groove was unreadable and has been reset to straight timing.");
+            data.groove = { template: 'Straight', amount: 0 };
+        }
+
+        // --- Effect returns (missing buses use their defaults in State) ---
+        if (data.returns !== undefined && (!data.returns || typeof data.returns !== 'object' || Array.isArray(data.returns))) {
+            warnings.push("The effect bus settings were unreadable and have been reset.");
+            data.returns = undefined;
+        } else if (data.returns) {
+            Object.keys(data.returns).forEach(id => {
+                if (this.isReturn(data.returns[id])) return;
+                warnings.push(`Effect bus "${id}" had unreadable settings and has been reset.`);
+                delete data.returns[id];
+            });
+        }
+
+        // --- Master section (missing parts use their defaults in State) ---
+        this.validateMaster(data, warnings);
+
+        // --- Master automation ---
+        data.masterAutomation = this.validateAutomation(data.masterAutomation, this.masterLanes, 'Master', warnings);
+
+        // --- Section structure ---
+        if (!Array.isArray(data.barStructure)) {
+            if (data.barStructure !== undefined) warnings.push("Song sections were unreadable and have been reset.");
+            data.barStructure = [];
+        }
+        let badSections = 0;
+        data.barStructure = data.barStructure.slice(0, data.totalBars).map(s => {
+            if (typeof s === 'string' && (!this.sectionTypes || this.sectionTypes.includes(s))) return s;
+            badSections++;
+            return 'NONE';
+        });
+        while (data.barStructure.length < data.totalBars) data.barStructure.push('NONE');
+        if (badSections > 0) warnings.push(`${badSections} bar(s) had an unknown section type and were set to None.`);
+
+        // --- Timeline maps ---
+        data.tempoChanges = this.filterList(data.tempoChanges, 'tempo change', warnings,
+            t => isInt(t.bar) && t.bar > 0 && typeof t.bpm === 'number' && t.bpm >= 20 && t.bpm <= 400);
+        data.meterChanges = this.filterList(data.meterChanges, 'time signature change', warnings,
+            m => isInt(m.bar) && m.bar > 0 && this.isMeter(m.numerator, m.denominator) &&
+                (m.grouping === undefined || this.isGrouping(m.grouping, m.numerator)));
+        // Meter lookups expect every change to have a grouping
+        data.meterChanges.forEach(m => {
+            if (m.grouping !== undefined) return;
+            m.grouping = this.defaultGrouping ? this.defaultGrouping(m.numerator, m.denominator) : new Array(m.numerator).fill(1);
+        });
+        data.keyChanges = this.filterList(data.keyChanges, 'key change', warnings,
+            k => isInt(k.bar) && k.bar > 0 && isInt(k.rootKey) && k.rootKey >= 0 && k.rootKey <= 11 && this.isScaleName(k.scaleName));
+        // Lookups walk the changes in bar order
+        [data.tempoChanges, data.meterChanges, data.keyChanges].forEach(list => list.sort((a, b) => a.bar - b.bar));
+
+        // --- Chords ---
+        data.chordRegions = this.filterList(data.chordRegions, 'chord', warnings,
+            r => Number.isFinite(r.start) && r.start >= 0 && Number.isFinite(r.length) && r.length > 0 && this.isChord(r.chord));
+        data.chordRegions.sort((a, b) => a.start - b.start);
+        let overlaps = 0;
+        data.chordRegions = data.chordRegions.filter((r, i, list) => {
+            const prev = list[i - 1];
+            if (prev && r.start < prev.start + prev.length) {
+                overlaps++;
+                return false;
+            }
+            return true;
+        });
+        if (overlaps > 0) warnings.push(`${overlaps} overlapping chord(s) were removed.`);
+
+        // --- Tracks ---
+        if (!Array.isArray(data.tracks)) {
+            warnings.push("The track list was missing; an empty project was created.");
+            data.tracks = [];
+        }
+        data.tracks = data.tracks.filter((t, i) => {
+            if (t && typeof t === 'object') return true;
+            warnings.push(`Track ${i + 1} was unreadable and was removed.`);
+            return false;
+        });
+        data.tracks.forEach((t, i) => this.validateTrack(t, i, warnings));
+
+        // --- Embedded samples (checked after the tracks, whose zones play them) ---
+        this.validateSamples(data, warnings);
+
+        // A sidechain needs another track of this project to listen to
+        data.tracks.forEach((t, i) => {
+            if (!t.sidechain) return;
+            const source = data.tracks.find(s => s.id === t.sidechain.source);
+            if (source && source !== t) return;
+            warnings.push(`Track ${i + 1} ("${t.name}") was ducked by a track that no longer exists; the ducking is off.`);
+            t.sidechain = null;
+        });
+
+        return warnings;
+    }
+
+    /**
+     * Validates one track and its notes (repairs in place).
+     * @param {Object} track - Track data.
+     * @param {number} index - Track index (for messages).
+     * @param {Array<string>} warnings - Collected warnings.
+     */
+    validateTrack(track, index, warnings) {
+        const label = `Track ${index + 1}${typeof track.name === 'string' ? ` ("${track.name}")` : ''}`;
+
+        if (typeof track.name !== 'string' || !track.name) track.name = `Track ${index + 1}`;
+        if (track.type !== 'SYNTH' && track.type !== 'DRUMS' && track.type !== 'SAMPLER') {
+            warnings.push(`${label} has unknown type "${track.type}"; treated as a synth track.`);
+            track.type = 'SYNTH';
+        }
+        if (typeof track.volume !== 'number' || !(track.volume >= 0 && track.volume <= 2)) track.volume = 0.8;
+        if (typeof track.pan !== 'number' || !(track.pan >= -1 && track.pan <= 1)) track.pan = 0;
+        if (typeof track.width !== 'number' || !(track.width >= 0 && track.width <= 2)) track.width = 1;
+        track.isMuted = !!track.isMuted;
+        track.isSolo = !!track.isSolo;
+        if (track.groove === undefined) {
+            track.groove = null;
+        } else if (track.groove !== null && !this.isGroove(track.groove)) {
+            warnings.push(`${label} had an unreadable groove; it follows the song groove now.`);
+            track.groove = null;
+        }
+        if (track.sends !== undefined && (!track.sends || typeof track.sends !== 'object' || Array.isArray(track.sends))) {
+            warnings.push(`${label} had unreadable effect sends; they have been turned off.`);
+            track.sends = undefined;
+        }
+        const sends = track.sends || {};
+        track.sends = {};
+        Object.keys(sends).forEach(id => {
+            if (typeof sends[id] === 'number' && sends[id] >= 0 && sends[id] <= 1) track.sends[id] = sends[id];
+            else warnings.push(`${label}: the send to "${id}" was out of range and has been turned off.`);
+        });
+        this.validateInserts(track, label, warnings);
+        this.validateSidechain(track, label, warnings);
+        this.validateSampler(track, label, warnings);
+        track.automation = this.validateAutomation(track.automation, this.trackLanes, label, warnings);
+        if (track.synthSettings !== undefined && (typeof track.synthSettings !== 'object' || track.synthSettings === null)) {
+            warnings.push(`${label} had unreadable sound settings; the preset defaults are used.`);
+            delete track.synthSettings;
+        }
+
+        if (!Array.isArray(track.notes)) {
+            if (track.notes !== undefined) warnings.push(`${label} had an unreadable note list; its notes were lost.`);
+            track.notes = [];
+            return;
+        }
+
+        let dropped = 0;
+        let clamped = 0;
+        track.notes = track.notes.filter(n => {
+            const ok = n && typeof n === 'object' &&
+                Number.isFinite(n.midi) && n.midi >= 0 && n.midi <= 127 &&
+                Number.isFinite(n.time) && n.time >= 0 &&
+                Number.isFinite(n.duration) && n.duration > 0;
+            if (!ok) dropped++;
+            return ok;
+        });
+        track.notes.forEach(n => {
+            if (!Number.isFinite(n.velocity)) {
+                n.velocity = 0.8;
+            } else if (n.velocity < 0 || n.velocity > 1) {
+                n.velocity = Math.max(0, Math.min(1, n.velocity));
+                clamped++;
+            }
+        });
+        if (dropped > 0) warnings.push(`${label}: ${dropped} note(s) with invalid pitch, time or length were removed.`);
+        if (clamped > 0) warnings.push(`${label}: ${clamped} note velocity value(s) were out of range and were fixed.`);
+    }
+
+    /**
+     * Checks a groove setting ({ template, amount }).
+     * @param {*} groove - Candidate value.
+     * @returns {boolean} True if the template is known and the amount is 0-1.
+     */
+    isGroove(groove) {
+        return !!groove && typeof groove === 'object' &&
+            typeof groove.template === 'string' && (!this.grooveNames || this.grooveNames.includes(groove.template)) &&
+            typeof groove.amount === 'number' && groove.amount >= 0 && groove.amount <= 1;
+    }
+
+    /**
+     * Repairs a track's insert effects: unknown effects are removed, missing or
+     * out-of-range parameters use their defaults.
+     * @param {Object} track - Track data (modified in place).
+     * @param {string} label - Track label for messages.
+     * @param {Array<string>} warnings - Collected warnings.
+     */
+    validateInserts(track, label, warnings) {
+        if (track.inserts !== undefined && !Array.isArray(track.inserts)) {
+            warnings.push(`${label} had an unreadable effect chain; it has been cleared.`);
+            track.inserts = [];
+        }
+        const list = track.inserts || [];
+        track.inserts = list.filter(ins => ins && typeof ins === 'object' && typeof ins.type === 'string' &&
+            (!this.insertTypes || this.insertTypes[ins.type]));
+        if (track.inserts.length < list.length) {
+            warnings.push(`${label}: ${list.length - track.inserts.length} unknown insert effect(s) were removed.`);
+        }
+
+        let repaired = 0;
+        track.inserts.forEach(ins => {
+            if (typeof ins.id !== 'string' || !ins.id) ins.id = 'ins_' + Math.random().toString(36).substr(2, 9);
+            ins.enabled = ins.enabled !== false;
+            if (!ins.params || typeof ins.params !== 'object') ins.params = {};
+            if (!this.insertTypes) return;
+            const defs = this.insertTypes[ins.type].params;
+            Object.keys(defs).forEach(key => {
+                const v = ins.params[key];
+                if (typeof v === 'number' && v >= defs[key].min && v <= defs[key].max) return;
+                if (v !== undefined) repaired++;
+                ins.params[key] = defs[key].default;
+            });
+        });
+        if (repaired > 0) warnings.push(`${label}: ${repaired} effect setting(s) were out of range and have been reset.`);
+    }
+
+    /**
+     * Repairs the zones of a SAMPLER track: unreadable zones are removed, out-of-range
+     * parameters use their defaults and an unreadable zone envelope gives way to the
+     * track envelope. Other track types carry no sampler settings.
+     * @param {Object} track - Track data (modified in place).
+     * @param {string} label - Track label for messages.
+     * @param {Array<string>} warnings - Collected warnings.
+     */
+    validateSampler(track, label, warnings) {
+        if (track.type !== 'SAMPLER') {
+            delete track.sampler;
+            return;
+        }
+        const sampler = track.sampler;
+        if (!sampler || typeof sampler !== 'object' || !Array.isArray(sampler.zones)) {
+            if (sampler !== undefined) warnings.push(`${label} had unreadable sampler zones; they have been cleared.`);
+            track.sampler = { zones: [] };
+            return;
+        }
+
+        const count = sampler.zones.length;
+        sampler.zones = sampler.zones.filter(z => z && typeof z === 'object' && typeof z.sampleId === 'string' && z.sampleId);
+        if (sampler.zones.length < count) warnings.push(`${label}: ${count - sampler.zones.length} unreadable sampler zone(s) were removed.`);
+
+        let repaired = 0;
+        sampler.zones.forEach(zone => {
+            if (typeof zone.id !== 'string' || !zone.id) zone.id = 'zone_' + Math.random().toString(36).substr(2, 9);
+            zone.loop = !!zone.loop;
+            if (zone.envelope !== undefined && (!zone.envelope || typeof zone.envelope !== 'object')) {
+                repaired++;
+                delete zone.envelope;
+            }
+            const ranges = [[zone, this.zoneParams], [zone.envelope, this.zoneEnvelopeParams]];
+            ranges.forEach(([target, defs]) => {
+                if (!target || !defs) return;
+                Object.keys(defs).forEach(key => {
+                    const v = target[key];
+                    if (typeof v === 'number' && v >= defs[key].min && v <= defs[key].max) return;
+                    if (v !== undefined) repaired++;
+                    target[key] = defs[key].default;
+                });
+            });
+        });
+        if (repaired > 0) warnings.push(`${label}: ${repaired} sampler zone setting(s) were out of range and have been reset.`);
+    }
+
+    /**
+     * Repairs the embedded samples ({ id: { name, type, data } }): unreadable entries are
+     * dropped, and so are the zones that played them or any other missing sample.
+     * @param {Object} data - Project data (modified in place).
+     * @param {Array<string>} warnings - Collected warnings.
+     */
+    validateSamples(data, warnings) {
+        if (data.samples !== undefined && (!data.samples || typeof data.samples !== 'object' || Array.isArray(data.samples))) {
+            warnings.push("The embedded samples were unreadable and have been removed.");
+            data.samples = undefined;
+        }
+        const samples = data.samples || {};
+        data.samples = {};
+        Object.keys(samples).forEach(id => {
+            const s = samples[id];
+            if (s && typeof s === 'object' && typeof s.data === 'string' && s.data) {
+                data.samples[id] = { name: typeof s.name === 'string' ? s.name : id, type: typeof s.type === 'string' ? s.type : '', data: s.data };
+            } else {
+                warnings.push(`Sample "${(s && s.name) || id}" was unreadable and has been removed.`);
+            }
+        });
+
+        data.tracks.forEach((t, i) => {
+            if (t.type !== 'SAMPLER') return;
+            const count = t.sampler.zones.length;
+            t.sampler.zones = t.sampler.zones.filter(z => data.samples[z.sampleId]);
+            if (t.sampler.zones.length < count) {
+                warnings.push(`Track ${i + 1} ("${t.name}"): ${count - t.sampler.zones.length} sampler zone(s) played a sample missing from the file and were removed.`);
+            }
+        });
+    }
+
+    /**
+     * Repairs the master section: unreadable sections and unknown loudness targets are
+     * dropped (State falls back to their defaults), out-of-range parameters use their defaults.
+     * @param {Object} data - Project data (modified in place).
+     * @param {Array<string>} warnings - Collected warnings.
+     */
+    validateMaster(data, warnings) {
+        const master = data.master;
+        if (master === undefined) return;
+        if (!master || typeof master !== 'object' || Array.isArray(master)) {
+            warnings.push("The master section settings were unreadable and have been reset.");
+            data.master = undefined;
+            return;
+        }
+        if (master.loudness !== undefined && (typeof master.loudness !== 'string' ||
+            (this.loudnessTargets && !this.loudnessTargets[master.loudness]))) {
+            warnings.push(`Export loudness target "${master.loudness}" is unknown; using the default.`);
+            delete master.loudness;
+        }
+        if (!this.masterSections) return;
+
+        let repaired = 0;
+        Object.keys(this.masterSections).forEach(id => {
+            const section = master[id];
+            if (section === undefined) return;
+            if (!section || typeof section !== 'object') {
+                warnings.push(`The ${this.masterSections[id].label} settings were unreadable and have been reset.`);
+                delete master[id];
+                return;
+            }
+            section.enabled = section.enabled !== false;
+            const defs = this.masterSections[id].params;
+            Object.keys(defs).forEach(key => {
+                const v = section[key];
+                if (typeof v === 'number' && v >= defs[key].min && v <= defs[key].max) return;
+                if (v !== undefined) repaired++;
+                section[key] = defs[key].default;
+            });
+        });
+        if (repaired > 0) warnings.push(`${repaired} master section setting(s) were out of range and have been reset.`);
+    }
+
+    /**
+     * Repairs a track's sidechain ducking setting ({ source, trigger, amount, attack, release }
+     * or null): an unreadable setting turns the ducking off, out-of-range values use their defaults.
+     * @param {Object} track - Track data (modified in place).
+     * @param {string} label - Track label for messages.
+     * @param {Array<string>} warnings - Collected warnings.
+     */
+    validateSidechain(track, label, warnings) {
+        const sc = track.sidechain;
+        if (sc === undefined || sc === null) {
+            track.sidechain = null;
+            return;
+        }
+        if (typeof sc !== 'object' || typeof sc.source !== 'string' || !sc.source) {
+            warnings.push(`${label} had an unreadable sidechain setting; the ducking is off.`);
+            track.sidechain = null;
+            return;
+        }
+
+        let repaired = 0;
+        if (typeof sc.trigger !== 'string' || (this.sidechainTriggers && !this.sidechainTriggers[sc.trigger])) {
+            if (sc.trigger !== undefined) repaired++;
+            sc.trigger = 'kick';
+        }
+        if (this.sidechainParams) {
+            Object.keys(this.sidechainParams).forEach(key => {
+                const def = this.sidechainParams[key];
+                const v = sc[key];
+                if (typeof v === 'number' && v >= def.min && v <= def.max) return;
+                if (v !== undefined) repaired++;
+                sc[key] = def.default;
+            });
+        }
+        if (repaired > 0) warnings.push(`${label}: ${repaired} sidechain setting(s) were out of range and have been reset.`);
+    }
+
+    /**
+     * Repairs a set of automation lanes: unknown lanes are removed, unreadable points
+     * dropped, values clamped to the lane range and points sorted by step.
+     * @param {*} automation - Lanes keyed by lane id.
+     * @param {Object|null} lanes - Lane definitions (min/max), or null to skip range checks.
+     * @param {string} label - Owner label for messages.
+     * @param {Array<string>} warnings - Collected warnings.
+     * @returns {Object} Repaired lanes.
+     */
+    validateAutomation(automation, lanes, label, warnings) {
+        if (automation === undefined || automation === null) return {};
+        if (typeof automation !== 'object' || Array.isArray(automation)) {
+            warnings.push(`${label} had unreadable automation; it has been cleared.`);
+            return {};
+        }
+
+        const result = {};
+        let dropped = 0;
+        let clamped = 0;
+        Object.keys(automation).forEach(id => {
+            const def = lanes ? lanes[id] : null;
+            if ((lanes && !def) || !Array.isArray(automation[id])) {
+                warnings.push(`${label}: the unknown automation lane "${id}" was removed.`);
+                return;
+            }
+            const points = automation[id].filter(p => {
+                const ok = p && typeof p === 'object' && Number.isFinite(p.step) && p.step >= 0 && Number.isFinite(p.value);
+                if (!ok) dropped++;
+                return ok;
+            });
+            points.forEach(p => {
+                if (typeof p.curve !== 'string' || (this.automationCurves && !this.automationCurves[p.curve])) p.curve = 'linear';
+                if (def && (p.value < def.min || p.value > def.max)) {
+                    p.value = Math.max(def.min, Math.min(def.max, p.value));
+                    clamped++;
+                }
+            });
+            points.sort((a, b) => a.step - b.step);
+            if (points.length > 0) result[id] = points;
+        });
+        if (dropped > 0) warnings.push(`${label}: ${dropped} unreadable automation point(s) were removed.`);
+        if (clamped > 0) warnings.push(`${label}: ${clamped} automation value(s) were out of range and were fixed.`);
+        return result;
+    }
+
+    /**
+     * Checks the settings of one effect return bus: a reverb ({ character, level })
+     * or the delay ({ time, feedback, level }).
+     * @param {*} bus - Candidate value.
+     * @returns {boolean} True if every field is known and in range.
+     */
+    isReturn(bus) {
+        if (!bus || typeof bus !== 'object') return false;
+        if (typeof bus.level !== 'number' || !(bus.level >= 0 && bus.level <= 1)) return false;
+        if (bus.character !== undefined) {
+            return typeof bus.character === 'string' && (!this.reverbNames || this.reverbNames.includes(bus.character));
+        }
+        return typeof bus.time === 'string' && (!this.delayTimes || this.delayTimes.includes(bus.time)) &&
+            typeof bus.feedback === 'number' && bus.feedback >= 0 && bus.feedback <= 0.9;
+    }
+
+    /**
+     * Keeps the valid entries of an optional list.
+     * @param {*} list - Candidate array.
+     * @param {string} noun - Entry name for messages.
+     * @param {Array<string>} warnings - Collected warnings.
+     * @param {Function} isValid - Entry test.
+     * @returns {Array} Valid entries.
+     */
+    filterList(list, noun, warnings, isValid) {
+        if (!Array.isArray(list)) {
+            if (list !== undefined) warnings.push(`The ${noun} list was unreadable and has been cleared.`);
+            return [];
+        }
+        const kept = list.filter(item => item && typeof item === 'object' && isValid(item));
+        if (kept.length < list.length) warnings.push(`${list.length - kept.length} invalid ${noun}(s) were removed.`);
+        return kept;
+    }
+
+    /**
+     * @param {*} name - Scale name.
+     * @returns {boolean} True if it is a known (or, without a list, any non-empty) scale name.
+     */
+    isScaleName(name) {
+        return typeof name === 'string' && name.length > 0 && (!this.scaleNames || this.scaleNames.includes(name));
+    }
+
+    /**
+     * @param {*} numerator - Beats per bar.
+     * @param {*} denominator - Beat unit.
+     * @returns {boolean} True for a supported time signature.
+     */
+    isMeter(numerator, denominator) {
+        return Number.isInteger(numerator) && numerator >= 1 && numerator <= 32 && [2, 4, 8, 16].includes(denominator);
+    }
+
+    /**
+     * @param {*} grouping - Beat grouping.
+     * @param {number} numerator - Beats per bar.
+     * @returns {boolean} True if the groups are positive integers adding up to the numerator.
+     */
+    isGrouping(grouping, numerator) {
+        return Array.isArray(grouping) && grouping.length > 0 &&
+            grouping.every(g => Number.isInteger(g) && g > 0) &&
+            grouping.reduce((a, b) => a + b, 0) === numerator;
+    }
+
+    /**
+     * @param {*} chord - Chord entry.
+     * @returns {boolean} True for a degree index, -1 (no chord) or a chord object.
+     */
+    isChord(chord) {
+        if (Number.isInteger(chord)) return chord >= -1;
+        return !!chord && typeof chord === 'object' &&
+            Number.isInteger(chord.root) && typeof chord.quality === 'string' &&
+            (chord.bass === undefined || chord.bass === null || Number.isInteger(chord.bass));
+    }
+
+    /**
+     * Full load pipeline: unwrap, copy, migrate and validate.
+     * The input is never modified, so a failed load leaves nothing half-applied.
+     * @param {*} raw - Loaded value (object, JSON string or cloud record).
+     * @returns {Object} { data, fromVersion, migrations, warnings }.
+     */
+    load(raw) {
+        const data = JSON.parse(JSON.stringify(this.unwrap(raw)));
+        const fromVersion = this.getVersion(data);
+        const migrations = this.migrate(data);
+        const warnings = this.validate(data);
+        return { data, fromVersion, migrations, warnings };
+    }
+}
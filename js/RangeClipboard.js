@@ -0,0 +1,126 @@
+/*
+ * SenseAudio - Visual Theory & Creative Studio
+ * Copyright (C) 2026 SensementMusic.com
+ *
+ * This file is part of SenseAudio (A Sensement Music Project).
+ *
+ * SenseAudio is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * SenseAudio is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with SenseAudio. If not, see <https://www.gnu.org/licenses/>.
+ *
+ * All branding, logos, and the name "Sensement Music" are properties of SensementMusic.com.
+ */
+
+/**
+ * Moves clipboard ranges (see State.copyRange) through the system clipboard, so a
+ * range copied in one SenseAudio tab can be pasted in another.
+ *
+ * The text format is JSON tagged with `format`, so ordinary text on the clipboard is
+ * never mistaken for a range. Step times are rescaled when the two projects use a
+ * different grid resolution.
+ */
+export default class RangeClipboard {
+    /**
+     * @param {Object} state - The application state.
+     */
+    constructor(state) {
+        this.state = state;
+        this.format = 'senseaudio-range';
+        this.version = 1;
+    }
+
+    /**
+     * Serializes a clipboard range.
+     * @param {Object} clip - Clipboard (see State.copyRange).
+     * @returns {string} JSON text.
+     */
+    toText(clip) {
+        return JSON.stringify({
+            format: this.format,
+            version: this.version,
+            gridResolution: this.state.gridResolution,
+            clip
+        });
+    }
+
+    /**
+     * Parses clipboard text.
+     * @param {string} text - Text from the clipboard.
+     * @returns {Object|null} Clipboard range, or null if the text is not a SenseAudio range.
+     */
+    fromText(text) {
+        if (typeof text !== 'string' || text.indexOf(this.format) === -1) return null;
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (err) {
+            return null;
+        }
+        if (!data || data.format !== this.format || !data.clip || !Array.isArray(data.clip.tracks)) return null;
+        if (data.version > this.version) return null;
+
+        const clip = data.clip;
+        const ratio = this.state.gridResolution / (data.gridResolution || this.state.gridResolution);
+        if (ratio !== 1) {
+            // Fractional steps (triplets, off-grid timing) stay where they were musically
+            const scale = (v) => this.state.roundTime(v * ratio);
+            const minLength = this.state.getSnapSteps('1/64');
+            clip.length = Math.max(minLength, scale(clip.length));
+            clip.tracks.forEach(t => t.notes.forEach(n => {
+                n.time = scale(n.time);
+                n.duration = Math.max(minLength, scale(n.duration));
+            }));
+            if (clip.chords) clip.chords.forEach(r => {
+                r.start = scale(r.start);
+                r.length = Math.max(minLength, scale(r.length));
+            });
+        }
+        return clip;
+    }
+
+    /**
+     * Stores a range as the app clipboard and, when allowed, on the system clipboard.
+     * @param {Object} clip - Clipboard range.
+     * @returns {Promise<boolean>} True if the system clipboard was written.
+     */
+    async write(clip) {
+        this.state.clipboard = clip;
+        if (typeof navigator === 'undefined' || !navigator.clipboard || !navigator.clipboard.writeText) return false;
+        try {
+            await navigator.clipboard.writeText(this.toText(clip));
+            return true;
+        } catch (err) {
+            console.warn("System clipboard is not available:", err);
+            return false;
+        }
+    }
+
+    /**
+     * Reads the newest range: from the system clipboard if it holds one (e.g. copied in
+     * another tab), otherwise the app clipboard.
+     * @returns {Promise<Object|null>} Clipboard range, or null if there is none.
+     */
+    async read() {
+        if (typeof navigator !== 'undefined' && navigator.clipboard && navigator.clipboard.readText) {
+            try {
+                const clip = this.fromText(await navigator.clipboard.readText());
+                if (clip) {
+                    this.state.clipboard = clip;
+                    return clip;
+                }
+            } catch (err) {
+                // Reading needs permission; the app clipboard still works without it
+            }
+        }
+        return this.state.clipboard || null;
+    }
+}
@@ -0,0 +1,143 @@
+/*
+ * SenseAudio - Visual Theory & Creative Studio
+ * Copyright (C) 2026 SensementMusic.com
+ *
+ * This file is part of SenseAudio (A Sensement Music Project).
+ *
+ * SenseAudio is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * SenseAudio is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with SenseAudio. If not, see <https://www.gnu.org/licenses/>.
+ *
+ * All branding, logos, and the name "Sensement Music" are properties of SensementMusic.com.
+ */
+
+import AudioEngine from './AudioEngine.js';
+import Transport from './Transport.js';
+
+/**
+ * Regression check for the WAV export: renders the project once through the live path
+ * (the transport scheduling notes, ducks and lanes on live buses, exactly as during
+ * playback, but into an OfflineAudioContext) and once through renderOffline, then
+ * measures the difference between the two. Both paths build their graphs from
+ * GraphDefs, so anything above the threshold points at a divergence.
+ */
+export default class RenderCompare {
+    /**
+     * @param {Object} state - The application state.
+     * @param {Object} audio - The audio engine (its generated buffers are shared).
+     */
+    constructor(state, audio) {
+        this.state = state;
+        this.audio = audio;
+        this.threshold = 0.001; // Peak difference (-60 dBFS) still counted as a match
+    }
+
+    /**
+     * Renders the project through the live path.
+     * @returns {Promise<AudioBuffer>}
+     */
+    async renderLive() {
+        const state = this.state;
+        const { sampleRate, totalSamples, automationEnd } = this.audio.getRenderLength(state);
+
+        const engine = new AudioEngine();
+        engine.ctx = new OfflineAudioContext(2, totalSamples, sampleRate);
+        // Same noise and impulses as the export, so both renders are sample-comparable
+        engine.noiseBuffer = this.audio.noiseBuffer;
+        engine.impulseCache = this.audio.impulseCache;
+        engine.vinylCache = this.audio.vinylCache;
+        engine.sampleBuffers = this.audio.sampleBuffers;
+        await engine.loadWorklets(engine.ctx);
+        engine.setupAudioNodes();
+
+        // The mixer as it stands when playback starts
+        engine.setReturnParams(engine.returnBuses, state.returns, state.getDelaySeconds());
+        engine.setInsertNoiseActive(true);
+        state.tracks.forEach(track => engine.syncTrack(track, state.isTrackAudible(track)));
+        engine.setMaster(state.master);
+        engine.setMasterAutomation(state.masterAutomation);
+
+        // One scheduling pass over the whole song, with step 0 at context time 0
+        const transport = new Transport(state, engine);
+        transport.scheduleNotes(0, automationEnd, 0, Infinity);
+        transport.scheduleAutomation(0, automationEnd, 0);
+        return engine.ctx.startRendering();
+    }
+
+    /**
+     * Renders the project both ways and measures the difference.
+     * @returns {Promise<Object>} See measure().
+     */
+    async compare() {
+        await this.audio.init();
+        await this.audio.loadSamples(this.state.samples);
+        const live = await this.renderLive();
+        // Playback is never loudness-normalised
+        const exported = await this.audio.renderOffline(this.state, { normalize: false });
+        return this.measure(live, exported);
+    }
+
+    /**
+     * Measures two renders against each other (a null test).
+     * @param {AudioBuffer} live - Render of the live path.
+     * @param {AudioBuffer} exported - Render of the export path.
+     * @returns {Object} { seconds, peakDb, diffPeakDb, diffRmsDb, firstDifference (seconds or null), matches }.
+     */
+    measure(live, exported) {
+        const length = Math.min(live.length, exported.length);
+        let peak = 0;
+        let diffPeak = 0;
+        let diffSum = 0;
+        let firstIndex = -1;
+
+        for (let ch = 0; ch < 2; ch++) {
+            const a = live.getChannelData(Math.min(ch, live.numberOfChannels - 1));
+            const b = exported.getChannelData(Math.min(ch, exported.numberOfChannels - 1));
+            for (let i = 0; i < length; i++) {
+                const d = Math.abs(a[i] - b[i]);
+                peak = Math.max(peak, Math.abs(b[i]));
+                diffPeak = Math.max(diffPeak, d);
+                diffSum += d * d;
+                if (d > this.threshold && (firstIndex < 0 || i < firstIndex)) firstIndex = i;
+            }
+        }
+
+        const toDb = (v) => v > 0 ? 20 * Math.log10(v) : -Infinity;
+        return {
+            seconds: length / exported.sampleRate,
+            peakDb: toDb(peak),
+            diffPeakDb: toDb(diffPeak),
+            diffRmsDb: toDb(Math.sqrt(diffSum / Math.max(1, length * 2))),
+            firstDifference: firstIndex < 0 ? null : firstIndex / exported.sampleRate,
+            matches: diffPeak <= this.threshold
+        };
+    }
+
+    /**
+     * Describes a comparison for the user.
+     * @param {Object} report - Result of measure().
+     * @returns {string}
+     */
+    formatReport(report) {
+        const db = (v) => isFinite(v) ? `${v.toFixed(1)} dBFS` : 'silence';
+        const lines = [
+            report.matches ? "✅ The export matches live playback." : "⚠️ The export differs from live playback.",
+            "",
+            `Length: ${report.seconds.toFixed(2)}s`,
+            `Export peak: ${db(report.peakDb)}`,
+            `Difference peak: ${db(report.diffPeakDb)}`,
+            `Difference RMS: ${db(report.diffRmsDb)}`
+        ];
+        if (report.firstDifference !== null) lines.push(`First audible difference at ${report.firstDifference.toFixed(3)}s`);
+        return lines.join("\n");
+    }
+}
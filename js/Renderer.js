@@ -77,8 +77,11 @@ export default class Renderer {
         };
 
         this.scaleSet = new Set();
+        this.selectedChord = null; // Chord region being resized in the chord track
+        this.marquee = null; // Selection rectangle { startStep, endStep, lowMidi, highMidi } while dragging
         this.cachedScrollLeft = 0;
         this.cachedWidth = 0;
+        this.lanes = null; // Automation lanes, redrawn with the piano roll (set by main.js)
 
         // Mod 2: Visualizer gradient variable
         this.vizGradient = null;
@@ -102,9 +105,45 @@ export default class Renderer {
 
     /**
      * Updates the cache of notes in the current scale.
+     * Scales of later key changes are cached lazily by getScaleSet().
      */
     updateScaleCache() {
         this.scaleSet = this.brain.getScaleNotes(this.state.rootKey, this.state.scaleName);
+        this.scaleSets = {};
+    }
+
+    /**
+     * Gets the (cached) set of scale notes for a key.
+     * @param {Object} key - { rootKey, scaleName }.
+     * @returns {Set} MIDI notes in the scale.
+     */
+    getScaleSet(key) {
+        if (!this.scaleSets) this.scaleSets = {};
+        const id = key.rootKey + ':' + key.scaleName;
+        if (!this.scaleSets[id]) this.scaleSets[id] = this.brain.getScaleNotes(key.rootKey, key.scaleName);
+        return this.scaleSets[id];
+    }
+
+    /**
+     * Gets the key regions that overlap the visible range, in screen pixels.
+     * @param {Object} view - The visible range object {start, end}.
+     * @returns {Array} Spans { x, w, scaleSet }.
+     */
+    getVisibleKeySpans(view) {
+        const c = this.config;
+        const width = this.mainCanvas.width;
+        const spans = [];
+
+        this.state.getKeyRegions().forEach((region, i, regions) => {
+            const absStart = c.keyWidth + this.state.getBarStartStep(region.startBar) * c.gridW;
+            const absEnd = c.keyWidth + this.state.getBarStartStep(region.endBar) * c.gridW;
+            // The first and last regions extend to the canvas edges
+            const x = i === 0 ? 0 : absStart - this.cachedScrollLeft;
+            const end = i === regions.length - 1 ? width : absEnd - this.cachedScrollLeft;
+            if (end < 0 || x > view.end - view.start) return;
+            spans.push({ x, w: end - x, scaleSet: this.getScaleSet(region) });
+        });
+        return spans;
     }
 
     /**
@@ -140,11 +179,11 @@ export default class Renderer {
         this.chordCanvas.height = 80;
 
         let minCellWidth = 30;
-        if (this.state.stepsPerBar >= 16) minCellWidth = 25;
-        if (this.state.stepsPerBar >= 32) minCellWidth = 15;
+        if (this.state.gridResolution >= 16) minCellWidth = 25;
+        if (this.state.gridResolution >= 32) minCellWidth = 15;
         this.config.gridW = minCellWidth;
 
-        const totalSteps = Math.max(4, this.state.totalBars) * this.state.stepsPerBar;
+        const totalSteps = this.state.getBarStartStep(Math.max(4, this.state.totalBars));
         const fullSongWidth = this.config.keyWidth + (totalSteps * minCellWidth) + 500;
 
         if (this.virtualSizer) {
@@ -181,6 +220,7 @@ export default class Renderer {
         const view = this.getVisibleRange();
         this.drawPianoRoll(view);
         this.drawChordTrack(view);
+        if (this.lanes) this.lanes.draw();
     }
 
     /**
@@ -294,6 +334,7 @@ export default class Renderer {
         ctx.fillRect(0, 0, w, h);
 
         const rangeInfo = this.brain.vocalRanges[this.state.vocalRangeType] || { min: 0, max: 127 };
+        const keySpans = isDrums ? [] : this.getVisibleKeySpans(view);
 
         // 2. Horizontal rows
         for (let i = 0; i < c.numKeys; i++) {
@@ -306,21 +347,25 @@ export default class Renderer {
                 ctx.fillRect(0, y, w, c.gridH);
             } else {
                 let isBlack = [1, 3, 6, 8, 10].includes(midi % 12);
-                let inScale = this.scaleSet.has(midi);
                 const isOutOfRange = (midi < rangeInfo.min || midi > rangeInfo.max);
 
-                let rowColor = isBlack ? '#1a1a1a' : '#222';
-                if (!inScale) rowColor = '#151515';
-                if (isOutOfRange) rowColor = '#0d0d0d';
+                // Each key region shades its own scale
+                keySpans.forEach(span => {
+                    let inScale = span.scaleSet.has(midi);
 
-                ctx.fillStyle = rowColor;
-                ctx.fillRect(0, y, w, c.gridH);
+                    let rowColor = isBlack ? '#1a1a1a' : '#222';
+                    if (!inScale) rowColor = '#151515';
+                    if (isOutOfRange) rowColor = '#0d0d0d';
 
-                if (this.state.highlightScale && inScale) {
-                    const alpha = isOutOfRange ? 0.02 : 0.08;
-                    ctx.fillStyle = `rgba(72, 219, 251, ${alpha})`;
-                    ctx.fillRect(0, y, w, c.gridH);
-                }
+                    ctx.fillStyle = rowColor;
+                    ctx.fillRect(span.x, y, span.w, c.gridH);
+
+                    if (this.state.highlightScale && inScale) {
+                        const alpha = isOutOfRange ? 0.02 : 0.08;
+                        ctx.fillStyle = `rgba(72, 219, 251, ${alpha})`;
+                        ctx.fillRect(span.x, y, span.w, c.gridH);
+                    }
+                });
             }
 
             ctx.beginPath();
@@ -342,33 +387,19 @@ export default class Renderer {
         ctx.clip();
 
         const toScreenX = (absX) => absX - scrollX;
-        const gridRes = this.state.stepsPerBar / (this.state.timeNumerator / this.state.timeDenominator);
-        // Fallback safety if time signature isn't fully implemented in logic yet:
-        const quarterSteps = this.state.stepsPerBar / 4;
-
         const startCol = Math.floor((view.start - c.keyWidth) / c.gridW);
         const endCol = Math.ceil((view.end - c.keyWidth) / c.gridW);
         const safeStart = Math.max(0, startCol);
-        const maxSteps = Math.max(this.state.totalBars * this.state.stepsPerBar, endCol);
+        const maxSteps = Math.max(this.state.getTotalSteps(), endCol);
+        const marks = this.getGridMarks(maxSteps);
 
         ctx.lineWidth = 1;
 
-        // 3. Grid Lines
-        ctx.beginPath();
-        for (let j = safeStart; j <= maxSteps; j++) {
-            let absX = c.keyWidth + (j * c.gridW);
-            let screenX = toScreenX(absX);
-            if (screenX > -50 && screenX < w) {
-                ctx.moveTo(screenX, 0);
-                ctx.lineTo(screenX, h);
-            }
-        }
-        ctx.strokeStyle = '#1e1e1e';
-        ctx.stroke();
-
-        ctx.beginPath();
-        for (let j = safeStart; j <= maxSteps; j++) {
-            if (j % quarterSteps === 0) {
+        // 3. Grid Lines (steps, beat units, pulse groups, bars)
+        const strokeColumns = (filter, color) => {
+            ctx.beginPath();
+            for (let j = safeStart; j <= maxSteps; j++) {
+                if (filter && !filter.has(j)) continue;
                 let absX = c.keyWidth + (j * c.gridW);
                 let screenX = toScreenX(absX);
                 if (screenX > -50 && screenX < w) {
@@ -376,36 +407,56 @@ export default class Renderer {
                     ctx.lineTo(screenX, h);
                 }
             }
-        }
-        ctx.strokeStyle = '#333';
-        ctx.stroke();
+            ctx.strokeStyle = color;
+            ctx.stroke();
+        };
 
-        ctx.beginPath();
-        for (let j = safeStart; j <= maxSteps; j++) {
-            if (j % this.state.stepsPerBar === 0) {
-                let absX = c.keyWidth + (j * c.gridW);
-                let screenX = toScreenX(absX);
-                if (screenX > -50 && screenX < w) {
-                    ctx.moveTo(screenX, 0);
-                    ctx.lineTo(screenX, h);
+        strokeColumns(null, '#1e1e1e');
+
+        // Snap lines between the steps (triplet, dotted and finer-than-grid snap values)
+        const snapSteps = this.state.getSnapSteps();
+        if (snapSteps > 0 && !Number.isInteger(snapSteps) && snapSteps * c.gridW >= 4) {
+            ctx.beginPath();
+            marks.bars.forEach((bar, barStart) => {
+                const barEnd = barStart + this.state.getMeter(bar).stepsPerBar;
+                if (barEnd < safeStart || barStart > endCol) return;
+                for (let k = 1; barStart + k * snapSteps < barEnd - 1e-6; k++) {
+                    const screenX = toScreenX(c.keyWidth + (barStart + k * snapSteps) * c.gridW);
+                    if (screenX > -50 && screenX < w) {
+                        ctx.moveTo(screenX, 0);
+                        ctx.lineTo(screenX, h);
+                    }
                 }
-            }
+            });
+            ctx.strokeStyle = 'rgba(162, 155, 254, 0.12)';
+            ctx.stroke();
+        }
+
+        strokeColumns(marks.units, '#333');
+        // Pulse group starts (e.g. 1 and 4 in 6/8) only differ from beat units in grouped meters
+        if (marks.groups.size > 0) strokeColumns(marks.groups, '#4a4a4a');
+        strokeColumns(marks.bars, '#666');
+
+        // Loop region tint
+        const loop = this.state.getActiveLoop();
+        if (loop) {
+            const x1 = toScreenX(c.keyWidth + loop.start * c.gridW);
+            const x2 = toScreenX(c.keyWidth + loop.end * c.gridW);
+            ctx.fillStyle = 'rgba(0, 210, 211, 0.05)';
+            ctx.fillRect(x1, 0, x2 - x1, h);
         }
-        ctx.strokeStyle = '#666';
-        ctx.stroke();
 
         // 4. Active Chord
         if (this.state.highlightActiveChord && !isDrums) {
-            const barPixelW = this.state.stepsPerBar * c.gridW;
-            const startBar = Math.floor((view.start - c.keyWidth) / barPixelW);
-            const endBar = Math.ceil((view.end - c.keyWidth) / barPixelW);
+            this.state.chordRegions.forEach(({ start, length, chord: chordIdx }) => {
+                const barPixelW = length * c.gridW;
+                let absStartX = c.keyWidth + (start * c.gridW);
+                if (absStartX + barPixelW < view.start || absStartX > view.end) return;
 
-            for (let b = Math.max(0, startBar); b < Math.min(this.state.totalBars, endBar); b++) {
-                let chordIdx = this.state.barChords[b] || 0;
-                let chordDef = this.brain.chordDegrees[this.state.scaleName][chordIdx];
+                const key = this.state.getKeyAtStep(start);
+                let chordDef = this.brain.resolveChord(chordIdx, key);
                 if (chordDef) {
-                    const allowedPCs = chordDef.intervals.map(i => (this.state.rootKey + i) % 12);
-                    let absStartX = c.keyWidth + (b * barPixelW);
+                    const allowedPCs = chordDef.intervals.map(i => (key.rootKey + i) % 12);
                     let screenStartX = toScreenX(absStartX);
 
                     for (let i = 0; i < c.numKeys; i++) {
@@ -418,7 +469,7 @@ export default class Renderer {
                         }
                     }
                 }
-            }
+            });
         }
 
         // 5. Notes
@@ -446,12 +497,12 @@ export default class Renderer {
                 noteColor = this.state.currentTrack.color;
                 strokeColor = '#fff';
             } else {
-                const barIndex = Math.floor(note.time / this.state.stepsPerBar);
-                const chordIdx = this.state.barChords[barIndex] || 0;
-                const chordDef = this.brain.chordDegrees[this.state.scaleName][chordIdx];
+                const entry = this.state.getChordEntryAt(note.time);
+                const key = this.state.getKeyAtStep(note.time);
+                const chordDef = this.brain.resolveChord(entry !== null ? entry : 0, key);
                 if (chordDef) {
-                    const chordRootIdx = this.brain.getChordRootInScale(this.state.rootKey, this.state.scaleName, chordIdx);
-                    const role = this.brain.getNoteRole(note.midi, chordDef, this.state.rootKey, chordRootIdx);
+                    const chordRootIdx = (key.rootKey + chordDef.root) % 12;
+                    const role = this.brain.getNoteRole(note.midi, chordDef, key.rootKey, chordRootIdx);
                     if (role !== 'NON_CHORD') {
                         noteColor = '#0984e3';
                         strokeColor = '#74b9ff';
@@ -470,6 +521,14 @@ export default class Renderer {
             ctx.strokeStyle = strokeColor;
             ctx.strokeRect(screenX + 1, y + 1, notePixelWidth - 2, c.gridH - 2);
 
+            if (this.state.isNoteSelected(note)) {
+                ctx.globalAlpha = 1.0;
+                ctx.lineWidth = 2;
+                ctx.strokeStyle = '#ffeaa7';
+                ctx.strokeRect(screenX + 1, y + 1, notePixelWidth - 2, c.gridH - 2);
+                ctx.lineWidth = 1;
+            }
+
             if (this.state.showLabels && notePixelWidth > 15) {
                 ctx.fillStyle = '#000';
                 ctx.globalAlpha = 1.0;
@@ -492,9 +551,25 @@ export default class Renderer {
             ctx.restore();
         });
 
+        // Selection rectangle
+        if (this.marquee) {
+            const m = this.marquee;
+            const x1 = toScreenX(c.keyWidth + m.startStep * c.gridW);
+            const x2 = toScreenX(c.keyWidth + m.endStep * c.gridW);
+            const y1 = (c.startMidi - m.highMidi) * c.gridH;
+            const y2 = (c.startMidi - m.lowMidi + 1) * c.gridH;
+            ctx.fillStyle = 'rgba(255, 234, 167, 0.12)';
+            ctx.fillRect(x1, y1, x2 - x1, y2 - y1);
+            ctx.strokeStyle = '#ffeaa7';
+            ctx.setLineDash([4, 3]);
+            ctx.strokeRect(x1 + 0.5, y1 + 0.5, x2 - x1, y2 - y1);
+            ctx.setLineDash([]);
+        }
+
         ctx.restore();
 
-        // 6. Piano Keys (Fixed Column)
+        // 6. Piano Keys (Fixed Column) - root follows the key at the left edge of the view
+        const viewKey = this.state.getKeyAtStep(Math.max(0, (view.start - c.keyWidth) / c.gridW));
         ctx.clearRect(0, 0, c.keyWidth, h);
         ctx.fillStyle = isDrums ? '#2d3436' : '#1e1e1e';
         ctx.fillRect(0, 0, c.keyWidth, h);
@@ -517,7 +592,7 @@ export default class Renderer {
                 }
             } else {
                 let isBlack = [1, 3, 6, 8, 10].includes(midi % 12);
-                let isRoot = (midi % 12 === this.state.rootKey);
+                let isRoot = (midi % 12 === viewKey.rootKey);
                 let noteName = this.brain.getNoteName(midi);
                 const isOutOfRange = (midi < rangeInfo.min || midi > rangeInfo.max);
 
@@ -547,8 +622,6 @@ export default class Renderer {
         const h = this.chordCanvas.height;
         const CHORD_H = 50;
         const RULER_H = 30;
-        const steps = this.state.stepsPerBar;
-        const barPixelW = steps * c.gridW;
         const scrollX = this.cachedScrollLeft;
         const toScreenX = (absX) => absX - scrollX;
 
@@ -567,11 +640,12 @@ export default class Renderer {
         ctx.rect(c.keyWidth, 0, w - c.keyWidth, h);
         ctx.clip();
 
-        const startBar = Math.floor((view.start - c.keyWidth) / barPixelW);
-        const endBar = Math.ceil((view.end - c.keyWidth) / barPixelW);
+        const layout = this.state.getBarLayout();
 
-        for (let b = Math.max(0, startBar); b < Math.min(this.state.totalBars, endBar); b++) {
-            let absX = c.keyWidth + (b * barPixelW);
+        for (const { bar: b, start, steps } of layout) {
+            const barPixelW = steps * c.gridW;
+            let absX = c.keyWidth + (start * c.gridW);
+            if (absX + barPixelW < view.start || absX > view.end) continue;
             let screenX = toScreenX(absX);
 
             if (this.state.barStructure) {
@@ -598,21 +672,46 @@ export default class Renderer {
             ctx.strokeStyle = '#555';
             ctx.strokeRect(screenX, 0, barPixelW, CHORD_H);
 
-            let chordIdx = this.state.barChords[b];
+            if (b > 0 && this.state.keyChanges.some(k => k.bar === b) && barPixelW >= 40) {
+                const key = this.state.getKeyAtBar(b);
+                ctx.font = 'bold 9px Arial';
+                ctx.textAlign = 'right';
+                ctx.fillStyle = '#55efc4';
+                ctx.fillText(this.brain.getKeyName(key.rootKey, key.scaleName), screenX + barPixelW - 4, 16);
+            }
+        }
+
+        // Chord regions (may start mid-bar or span several bars)
+        this.state.chordRegions.forEach(region => {
+            const regionPixelW = region.length * c.gridW;
+            const absX = c.keyWidth + (region.start * c.gridW);
+            if (absX + regionPixelW < view.start || absX > view.end) return;
+            const screenX = toScreenX(absX);
+
+            const key = this.state.getKeyAtStep(region.start);
             let txt = "-";
-            if (chordIdx !== undefined && chordIdx !== -1) {
-                let chordDef = this.brain.chordDegrees[this.state.scaleName][chordIdx];
-                if (chordDef) txt = this.brain.getRealChordName(chordDef, this.state.rootKey);
+            if (region.chord !== -1) {
+                let chordDef = this.brain.resolveChord(region.chord, key);
+                if (chordDef) txt = this.brain.getRealChordName(chordDef, key.rootKey);
             }
-            if (barPixelW < 40) txt = ".";
+            if (regionPixelW < 40) txt = ".";
+
+            const isSelected = this.selectedChord === region;
+            ctx.fillStyle = isSelected ? 'rgba(255, 159, 67, 0.25)' : 'rgba(255, 255, 255, 0.05)';
+            ctx.fillRect(screenX + 1, 20, regionPixelW - 2, CHORD_H - 22);
+            ctx.strokeStyle = isSelected ? '#ff9f43' : '#777';
+            ctx.strokeRect(screenX + 1, 20, regionPixelW - 2, CHORD_H - 22);
+            // Resize handle
+            ctx.fillStyle = isSelected ? '#ff9f43' : '#999';
+            ctx.fillRect(screenX + regionPixelW - 4, 26, 2, CHORD_H - 34);
 
             ctx.fillStyle = '#fff';
             ctx.font = 'bold 13px Segoe UI';
             ctx.textAlign = 'center';
-            ctx.fillText(txt, screenX + (barPixelW / 2), CHORD_H / 2 + 8);
-        }
+            ctx.fillText(txt, screenX + (regionPixelW / 2), CHORD_H / 2 + 10);
+        });
 
-        let btnStartX = c.keyWidth + (this.state.totalBars * barPixelW);
+        let btnStartX = c.keyWidth + (this.state.getTotalSteps() * c.gridW);
         let screenBtnX = toScreenX(btnStartX);
         let btnW = 40;
 
@@ -635,6 +734,8 @@ export default class Renderer {
         const maxSteps = (view.end - c.keyWidth) / c.gridW;
         const loopStartStep = Math.floor((view.start - c.keyWidth) / c.gridW);
 
+        const marks = this.getGridMarks(Math.ceil(maxSteps));
+
         ctx.textAlign = 'left';
         ctx.beginPath();
         for (let j = loopStartStep; j < maxSteps; j++) {
@@ -642,13 +743,30 @@ export default class Renderer {
             let absX = c.keyWidth + (j * c.gridW);
             let screenX = toScreenX(absX);
 
-            if (j % this.state.stepsPerBar === 0) {
+            if (marks.bars.has(j)) {
                 ctx.moveTo(screenX, CHORD_H);
                 ctx.lineTo(screenX, h);
+                const barIndex = marks.bars.get(j);
                 ctx.fillStyle = '#fff';
                 ctx.font = 'bold 11px Arial';
-                const barNum = (j / this.state.stepsPerBar) + 1;
-                ctx.fillText(barNum, screenX + 5, CHORD_H + 12);
+                ctx.fillText(barIndex + 1, screenX + 5, CHORD_H + 12);
+
+                // Meter on the first bar and wherever it changes; tempo changes beneath
+                const meterChange = this.state.meterChanges.find(m => m.bar === barIndex);
+                let timeLabel = '';
+                if (barIndex === 0) timeLabel = `${this.state.timeNumerator}/${this.state.timeDenominator}`;
+                else if (meterChange) timeLabel = `${meterChange.numerator}/${meterChange.denominator}`;
+                const tempoChange = this.state.tempoChanges.find(t => t.bar === barIndex);
+                if (tempoChange) timeLabel += `${timeLabel ? ' ' : ''}♩${tempoChange.ramp ? '→' : '='}${tempoChange.bpm}`;
+                if (timeLabel) {
+                    ctx.fillStyle = '#fab1a0';
+                    ctx.font = '9px Arial';
+                    ctx.fillText(timeLabel, screenX + 5, CHORD_H + 24);
+                }
+            } else if (marks.pulses.has(j)) {
+                // Pulse (beat group) ticks are taller than plain grid ticks
+                ctx.moveTo(screenX, CHORD_H);
+                ctx.lineTo(screenX, CHORD_H + 10);
             } else {
                 ctx.moveTo(screenX, CHORD_H);
                 ctx.lineTo(screenX, CHORD_H + 5);
@@ -657,6 +775,18 @@ export default class Renderer {
         ctx.strokeStyle = '#555';
         ctx.stroke();
 
+        // Loop region on the ruler (grey while looping is switched off)
+        const loopRegion = this.state.loopRegion;
+        if (loopRegion) {
+            const x1 = toScreenX(c.keyWidth + loopRegion.start * c.gridW);
+            const x2 = toScreenX(c.keyWidth + loopRegion.end * c.gridW);
+            ctx.fillStyle = this.state.loopEnabled ? 'rgba(0, 210, 211, 0.35)' : 'rgba(150, 150, 150, 0.2)';
+            ctx.fillRect(x1, CHORD_H + 14, x2 - x1, h - CHORD_H - 14);
+            ctx.fillStyle = this.state.loopEnabled ? '#00d2d3' : '#777';
+            ctx.fillRect(x1, CHORD_H + 14, 2, h - CHORD_H - 14);
+            ctx.fillRect(x2 - 2, CHORD_H + 14, 2, h - CHORD_H - 14);
+        }
+
         let markerAbsX = c.keyWidth + (this.state.playbackStartStep * c.gridW);
         let markerScreenX = toScreenX(markerAbsX);
         if (markerScreenX > c.keyWidth) {
@@ -678,6 +808,33 @@ export default class Renderer {
         ctx.fillText("TIME", 15, CHORD_H + 20);
     }
 
+    /**
+     * Classifies grid steps for drawing, following the meter map: bar starts,
+     * pulse groups (only in grouped meters like 6/8), every pulse, and beat units.
+     * @param {number} maxStep - Last step that needs classifying.
+     * @returns {Object} { bars: Map(step -> bar index), pulses: Set, groups: Set, units: Set }.
+     */
+    getGridMarks(maxStep) {
+        const bars = new Map();
+        const pulses = new Set();
+        const groups = new Set();
+        const units = new Set();
+
+        let start = 0;
+        for (let bar = 0; start <= maxStep; bar++) {
+            const meter = this.state.getMeter(bar);
+            const isGrouped = meter.grouping.some(g => g > 1);
+            bars.set(start, bar);
+            for (let u = 0; u < meter.stepsPerBar; u += meter.unitSteps) units.add(start + u);
+            meter.beatSteps.forEach(b => {
+                pulses.add(start + b);
+                if (isGrouped) groups.add(start + b);
+            });
+            start += meter.stepsPerBar;
+        }
+        return { bars, pulses, groups, units };
+    }
+
     /**
      * Centers the view vertically based on the track type.
      * @param {string} trackType - The type of track (e.g., 'DRUMS', 'BASS').
@@ -0,0 +1,225 @@
+/*
+ * SenseAudio - Visual Theory & Creative Studio
+ * Copyright (C) 2026 SensementMusic.com
+ *
+ * This file is part of SenseAudio (A Sensement Music Project).
+ *
+ * SenseAudio is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * SenseAudio is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with SenseAudio. If not, see <https://www.gnu.org/licenses/>.
+ *
+ * All branding, logos, and the name "Sensement Music" are properties of SensementMusic.com.
+ */
+
+/**
+ * @fileoverview Defines the zones of a SAMPLER track and the helpers to import its samples.
+ *
+ * A sampler track keeps `track.sampler = { zones }`. A zone plays one sample over a key
+ * and velocity range; notes are pitch-shifted from the zone's root note. With `loop` on,
+ * the sample repeats between `loopStart` and `loopEnd` (seconds) until the note's release.
+ * Zones are looked up in list order, so overlapping zones act as velocity layers.
+ * A zone may carry its own `envelope` (e.g. from a SoundFont); otherwise the track's
+ * synth envelope shapes it.
+ *
+ * The audio files themselves are embedded in the project (`state.samples`, keyed by
+ * sample id, as base64), so a saved project or session plays anywhere.
+ */
+
+/**
+ * Zone parameters with their ranges (velocities are MIDI values, 1-127).
+ * @constant
+ * @type {Object.<string, Object>}
+ */
+export const ZONE_PARAMS = {
+    rootNote:     { label: 'Root', min: 0, max: 127, step: 1, default: 60 },
+    lowNote:      { label: 'Low Key', min: 0, max: 127, step: 1, default: 0 },
+    highNote:     { label: 'High Key', min: 0, max: 127, step: 1, default: 127 },
+    lowVelocity:  { label: 'Low Vel', min: 1, max: 127, step: 1, default: 1 },
+    highVelocity: { label: 'High Vel', min: 1, max: 127, step: 1, default: 127 },
+    tune:         { label: 'Tune', min: -100, max: 100, step: 1, default: 0, unit: 'ct' },
+    gain:         { label: 'Gain', min: 0, max: 4, step: 0.01, default: 1 },
+    loopStart:    { label: 'Loop Start', min: 0, max: 3600, step: 0.001, default: 0, unit: 's' },
+    loopEnd:      { label: 'Loop End', min: 0, max: 3600, step: 0.001, default: 0, unit: 's' }
+};
+
+/**
+ * Ranges of a zone's own volume envelope (times in seconds, sustain as a level 0-1).
+ * @constant
+ * @type {Object.<string, Object>}
+ */
+export const ZONE_ENVELOPE_PARAMS = {
+    attack:  { min: 0, max: 100, default: 0.005 },
+    hold:    { min: 0, max: 100, default: 0 },
+    decay:   { min: 0, max: 100, default: 0.1 },
+    sustain: { min: 0, max: 1, default: 1 },
+    release: { min: 0, max: 100, default: 0.3 }
+};
+
+/**
+ * Largest audio file accepted for import; samples are embedded in the project file.
+ * @constant
+ * @type {number}
+ */
+export const MAX_SAMPLE_BYTES = 16 * 1024 * 1024;
+
+const NOTE_CLASSES = { c: 0, d: 2, e: 4, f: 5, g: 7, a: 9, b: 11 };
+
+/**
+ * Creates the sampler settings of a new SAMPLER track.
+ * @returns {Object} { zones }.
+ */
+export function getDefaultSampler() {
+    return { zones: [] };
+}
+
+/**
+ * Creates a zone for a sample, spanning every key and velocity.
+ * @param {string} sampleId - Key in state.samples.
+ * @param {Object} [info] - Known values, e.g. from readWavInfo() (rootNote, tune, loop, loopStart, loopEnd, envelope).
+ * @returns {Object} Zone.
+ */
+export function createZone(sampleId, info = {}) {
+    const zone = { id: 'zone_' + Math.random().toString(36).substr(2, 9), sampleId: sampleId, loop: !!info.loop };
+    Object.keys(ZONE_PARAMS).forEach(key => {
+        zone[key] = typeof info[key] === 'number' ? info[key] : ZONE_PARAMS[key].default;
+    });
+    if (info.envelope) zone.envelope = { ...info.envelope };
+    return zone;
+}
+
+/**
+ * Spreads zones across the keyboard by root note: each root takes the keys up to halfway
+ * to its neighbours. Zones sharing a root keep the same range (velocity layers).
+ * @param {Array<Object>} zones 
+ * @returns {Array<Object>} Updated copies, in the same order.
+ */
+export function mapZonesByRoot(zones) {
+    const roots = [...new Set(zones.map(z => z.rootNote))].sort((a, b) => a - b);
+    return zones.map(zone => {
+        const i = roots.indexOf(zone.rootNote);
+        return {
+            ...zone,
+            lowNote: i === 0 ? 0 : Math.floor((roots[i - 1] + roots[i]) / 2) + 1,
+            highNote: i === roots.length - 1 ? 127 : Math.floor((roots[i] + roots[i + 1]) / 2)
+        };
+    });
+}
+
+/**
+ * Finds the zone that plays a note.
+ * @param {Object} sampler - track.sampler.
+ * @param {number} midi - MIDI note.
+ * @param {number} velocity - Velocity (0-1).
+ * @returns {Object|null} The first matching zone.
+ */
+export function findZone(sampler, midi, velocity) {
+    if (!sampler || !Array.isArray(sampler.zones)) return null;
+    const vel = Math.max(1, Math.min(127, Math.round(velocity * 127)));
+    return sampler.zones.find(z => midi >= z.lowNote && midi <= z.highNote &&
+        vel >= z.lowVelocity && vel <= z.highVelocity) || null;
+}
+
+/**
+ * Guesses a sample's root note from its file name, e.g. "Piano C#4.wav" (C4 = 60) or
+ * "strings_062.ogg".
+ * @param {string} fileName 
+ * @returns {number|null} MIDI note, or null if the name has none.
+ */
+export function parseRootNote(fileName) {
+    const base = fileName.replace(/\.[^.]*$/, '');
+    // The last note name wins ("Piano C4 v2" is C4)
+    const named = [...base.matchAll(/(?:^|[^A-Za-z])([A-Ga-g])(#|b|s)?(-1|\d)(?!\d)/g)].pop();
+    if (named) {
+        let pc = NOTE_CLASSES[named[1].toLowerCase()];
+        if (named[2] === '#' || named[2] === 's') pc += 1;
+        if (named[2] === 'b') pc -= 1;
+        const midi = (parseInt(named[3]) + 1) * 12 + pc;
+        if (midi >= 0 && midi <= 127) return midi;
+    }
+    const numbered = base.match(/(?:^|\D)(\d{2,3})$/);
+    if (numbered && parseInt(numbered[1]) <= 127) return parseInt(numbered[1]);
+    return null;
+}
+
+/**
+ * Reads the root note, fine tune and first loop that samplers store in a WAV file's
+ * 'smpl' chunk.
+ * @param {ArrayBuffer} data - File contents.
+ * @returns {Object} { rootNote, tune, loop, loopStart, loopEnd } for the values found (empty for other files).
+ */
+export function readWavInfo(data) {
+    const view = new DataView(data);
+    const tag = (offset) => String.fromCharCode(view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3));
+    if (data.byteLength < 12 || tag(0) !== 'RIFF' || tag(8) !== 'WAVE') return {};
+
+    let sampleRate = 0;
+    let smpl = -1;
+    for (let offset = 12; offset + 8 <= data.byteLength;) {
+        const size = view.getUint32(offset + 4, true);
+        if (tag(offset) === 'fmt ' && size >= 8) sampleRate = view.getUint32(offset + 12, true);
+        if (tag(offset) === 'smpl' && size >= 36) smpl = offset + 8;
+        offset += 8 + size + (size % 2); // Chunks are word-aligned
+    }
+    if (smpl < 0 || smpl + 36 > data.byteLength) return {};
+
+    const info = {
+        rootNote: Math.min(127, view.getUint32(smpl + 12, true)),
+        // The pitch fraction is a fraction of a semitone upwards
+        tune: Math.round(view.getUint32(smpl + 16, true) / 0x100000000 * 100)
+    };
+    const loops = view.getUint32(smpl + 28, true);
+    if (loops > 0 && sampleRate > 0 && smpl + 60 <= data.byteLength) {
+        info.loop = true;
+        info.loopStart = view.getUint32(smpl + 44, true) / sampleRate;
+        info.loopEnd = (view.getUint32(smpl + 48, true) + 1) / sampleRate; // The end frame is included
+    }
+    return info;
+}
+
+/**
+ * Encodes an audio file for embedding in the project.
+ * @param {ArrayBuffer} data - File contents.
+ * @returns {string} Base64.
+ */
+export function encodeSampleData(data) {
+    const bytes = new Uint8Array(data);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Decodes an embedded audio file.
+ * @param {string} base64 
+ * @returns {ArrayBuffer} File contents.
+ */
+export function decodeSampleData(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes.buffer;
+}
+
+/**
+ * Lists the samples a set of tracks plays.
+ * @param {Array<Object>} tracks 
+ * @returns {Set<string>} Sample ids.
+ */
+export function getUsedSampleIds(tracks) {
+    const ids = new Set();
+    tracks.forEach(t => {
+        if (t.type === 'SAMPLER' && t.sampler) t.sampler.zones.forEach(z => ids.add(z.sampleId));
+    });
+    return ids;
+}
@@ -0,0 +1,226 @@
+/*
+ * SenseAudio - Visual Theory & Creative Studio
+ * Copyright (C) 2026 SensementMusic.com
+ *
+ * This file is part of SenseAudio (A Sensement Music Project).
+ *
+ * SenseAudio is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * SenseAudio is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with SenseAudio. If not, see <https://www.gnu.org/licenses/>.
+ *
+ * All branding, logos, and the name "Sensement Music" are properties of SensementMusic.com.
+ */
+import { ZONE_PARAMS, MAX_SAMPLE_BYTES, createZone, mapZonesByRoot, parseRootNote, readWavInfo, encodeSampleData } from './SamplerDefs.js';
+
+/**
+ * Edits the zones of a SAMPLER track in the synth panel: load audio files, set each
+ * zone's key/velocity range, root note, tuning and loop, and spread zones across the
+ * keyboard. Edits go through the undo history; `onChange` pushes them to the audio engine.
+ */
+export default class SamplerEditor {
+    /**
+     * Creates the editor.
+     * @param {string} listId - The ID of the element that lists the zones.
+     * @param {string} fileInputId - The ID of the file input that loads samples.
+     * @param {string} mapBtnId - The ID of the "auto-map" button.
+     * @param {Object} state - The global application state.
+     * @param {Object} audio - The audio engine (decodes the loaded files).
+     * @param {Object} history - The undo history.
+     * @param {Function} onChange - Called after an edit.
+     */
+    constructor(listId, fileInputId, mapBtnId, state, audio, history, onChange) {
+        this.list = document.getElementById(listId);
+        this.fileInput = document.getElementById(fileInputId);
+        this.state = state;
+        this.audio = audio;
+        this.history = history;
+        this.onChange = onChange;
+        this.track = null;
+
+        this.fileInput.addEventListener('change', () => {
+            const files = [...this.fileInput.files];
+            this.fileInput.value = '';
+            if (files.length > 0 && this.track) this.importFiles(this.track, files);
+        });
+
+        document.getElementById(mapBtnId).addEventListener('click', () => {
+            const track = this.track;
+            if (!track || !track.sampler || track.sampler.zones.length === 0) return;
+            this.edit(`Map sampler keys: ${track.name}`, () => {
+                track.sampler = { ...track.sampler, zones: mapZonesByRoot(track.sampler.zones) };
+            });
+            this.render(track);
+        });
+    }
+
+    /**
+     * Shows the zones of a track.
+     * @param {Object} track - Track object.
+     */
+    render(track) {
+        this.track = track;
+        this.list.innerHTML = '';
+        const zones = (track && track.sampler && track.sampler.zones) || [];
+
+        if (zones.length === 0) {
+            this.list.innerHTML = '<div style="font-size: 11px; color: #666; text-align: center; padding: 6px;">No samples. Load WAV or OGG files; names like "Piano C4.wav" set the root note.</div>';
+            return;
+        }
+        zones.forEach((zone, index) => this.list.appendChild(this.createCard(track, zone, index)));
+    }
+
+    /**
+     * Creates the card of one zone.
+     * @param {Object} track - Track object.
+     * @param {Object} zone - Zone (see SamplerDefs.createZone).
+     * @param {number} index - Position in the zone list.
+     * @returns {HTMLElement}
+     */
+    createCard(track, zone, index) {
+        const sample = this.state.samples[zone.sampleId];
+        const missing = !this.audio.sampleBuffers.has(zone.sampleId);
+        const div = document.createElement('div');
+        div.style.cssText = 'background: rgba(255,255,255,0.03); border-radius: 6px; padding: 8px; margin-bottom: 6px;';
+
+        div.innerHTML = `
+            <div style="display: flex; align-items: center; gap: 6px; margin-bottom: 6px;">
+                <span style="flex: 1; font-size: 11px; font-weight: bold; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;"
+                    title="${sample ? sample.name : ''}">${index + 1}. ${sample ? sample.name : 'Missing sample'}${missing ? ' ⚠️' : ''}</span>
+                ${zone.envelope ? '<button class="track-btn zone-envelope" title="This zone has its own envelope (e.g. from a SoundFont). Click to use the track envelope instead.">Env ✕</button>' : ''}
+                <label style="font-size: 10px;"><input type="checkbox" class="zone-loop" ${zone.loop ? 'checked' : ''}> Loop</label>
+                <button class="track-btn zone-remove" title="Remove">✕</button>
+            </div>
+            <div class="fx-grid">
+                ${Object.keys(ZONE_PARAMS).map(key => {
+                    const p = ZONE_PARAMS[key];
+                    return `<div class="fx-col">
+                        <label>${p.label}${p.unit ? ` (${p.unit})` : ''}</label>
+                        <input type="number" class="zone-param" data-key="${key}" min="${p.min}" max="${p.max}" step="${p.step}" value="${zone[key]}" style="width: 100%;">
+                    </div>`;
+                }).join('')}
+            </div>
+        `;
+
+        div.querySelector('.zone-loop').addEventListener('change', (e) => {
+            this.edit(`${e.target.checked ? 'Loop' : 'Unloop'} sample: ${track.name}`, () => {
+                this.replaceZone(track, zone.id, { loop: e.target.checked });
+            });
+        });
+        if (zone.envelope) {
+            div.querySelector('.zone-envelope').addEventListener('click', () => {
+                this.edit(`Use track envelope: ${track.name}`, () => {
+                    this.replaceZone(track, zone.id, { envelope: undefined });
+                });
+                this.render(track);
+            });
+        }
+        div.querySelector('.zone-remove').addEventListener('click', () => {
+            this.edit(`Remove sample zone: ${track.name}`, () => {
+                track.sampler = { ...track.sampler, zones: track.sampler.zones.filter(z => z.id !== zone.id) };
+            });
+            this.render(track);
+        });
+
+        div.querySelectorAll('.zone-param').forEach(input => {
+            const key = input.dataset.key;
+            input.addEventListener('change', () => {
+                const p = ZONE_PARAMS[key];
+                let value = parseFloat(input.value);
+                if (isNaN(value)) value = zone[key];
+                value = Math.max(p.min, Math.min(p.max, p.step === 1 ? Math.round(value) : value));
+                input.value = value;
+                this.edit(`Sampler ${p.label}: ${track.name}`, () => {
+                    this.replaceZone(track, zone.id, { [key]: value });
+                });
+            });
+        });
+
+        return div;
+    }
+
+    /**
+     * Replaces a zone with an updated copy (history snapshots keep the old object).
+     * @param {Object} track - Track object.
+     * @param {string} id - Zone id.
+     * @param {Object} changes - Fields to change.
+     */
+    replaceZone(track, id, changes) {
+        track.sampler = { ...track.sampler, zones: track.sampler.zones.map(z => z.id === id ? { ...z, ...changes } : z) };
+    }
+
+    /**
+     * Embeds audio files and adds a zone for each. Root notes come from the WAV 'smpl'
+     * chunk or the file name; the new zones are spread across the keyboard around the
+     * existing ones. Files that are too large or fail to decode are skipped with a message.
+     * @param {Object} track - The SAMPLER track.
+     * @param {Array<File>} files - Chosen files.
+     * @returns {Promise<void>}
+     */
+    async importFiles(track, files) {
+        const rejected = [];
+        const loaded = [];
+        for (const file of files) {
+            if (file.size > MAX_SAMPLE_BYTES) {
+                rejected.push(`${file.name} (larger than ${MAX_SAMPLE_BYTES / 1024 / 1024} MB)`);
+                continue;
+            }
+            const data = await file.arrayBuffer();
+            loaded.push({ file: file, data: data, info: readWavInfo(data) });
+        }
+
+        // Decode under temporary ids first, so a failed file leaves no undo step or zone behind
+        const pending = {};
+        loaded.forEach((item, i) => {
+            item.tempId = `pending_${Date.now()}_${i}`;
+            pending[item.tempId] = { name: item.file.name, type: item.file.type, data: encodeSampleData(item.data) };
+        });
+        await this.audio.loadSamples({ ...this.state.samples, ...pending });
+
+        const decoded = loaded.filter(item => {
+            if (this.audio.sampleBuffers.has(item.tempId)) return true;
+            rejected.push(`${item.file.name} (not a readable audio file)`);
+            return false;
+        });
+
+        if (decoded.length > 0) {
+            this.edit(`Load ${decoded.length === 1 ? 'sample' : 'samples'}: ${track.name}`, () => {
+                const existing = track.sampler.zones;
+                const added = decoded.map(item => {
+                    const sample = pending[item.tempId];
+                    const id = this.state.addSample(sample.name, sample.type, sample.data);
+                    this.audio.sampleBuffers.set(id, this.audio.sampleBuffers.get(item.tempId));
+                    const rootNote = typeof item.info.rootNote === 'number' ? item.info.rootNote : parseRootNote(item.file.name);
+                    return createZone(id, { ...item.info, rootNote: rootNote === null ? 60 : rootNote });
+                });
+                const mapped = mapZonesByRoot([...existing, ...added]);
+                track.sampler = { ...track.sampler, zones: [...existing, ...mapped.slice(existing.length)] };
+            }, track);
+        }
+        // Drops the temporary ids
+        await this.audio.loadSamples(this.state.samples);
+        this.render(track);
+
+        if (rejected.length > 0) alert(`Some files were not loaded:\n${rejected.join('\n')}`);
+    }
+
+    /**
+     * Records an undo step, applies an edit and notifies the app.
+     * @param {string} label - Undo label.
+     * @param {Function} apply - Mutates the track.
+     * @param {Object} [track] - The edited track (defaults to the shown one).
+     */
+    edit(label, apply, track = this.track) {
+        this.history.saveState(label, { tracks: [track.id] });
+        apply();
+        this.onChange();
+    }
+}
@@ -0,0 +1,167 @@
+/*
+ * SenseAudio - Visual Theory & Creative Studio
+ * Copyright (C) 2026 SensementMusic.com
+ *
+ * This file is part of SenseAudio (A Sensement Music Project).
+ *
+ * SenseAudio is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * SenseAudio is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with SenseAudio. If not, see <https://www.gnu.org/licenses/>.
+ *
+ * All branding, logos, and the name "Sensement Music" are properties of SensementMusic.com.
+ */
+import { createZone, encodeSampleData } from './SamplerDefs.js';
+
+/**
+ * @fileoverview Turns SoundFont presets (see SoundFontParser) into SAMPLER tracks, and maps
+ * the built-in instrument presets to General MIDI programs.
+ *
+ * A chosen preset becomes sampler zones whose samples are written out as WAV files and
+ * embedded in the project like any loaded sample, so the SoundFont itself is not needed
+ * to play the song again. Stereo sample pairs are joined into one stereo file. Where
+ * regions overlap, the first one plays (SAMPLER tracks play one zone per note).
+ */
+
+/**
+ * General MIDI program (0-127, bank 0) that best matches each built-in preset. With a GM
+ * SoundFont loaded, the song wizard picks these sounds for the genre instruments
+ * (MusicBrain.getInstrumentsForGenre). Drum kits keep their built-in sounds.
+ * @constant
+ * @type {Object.<string, number>}
+ */
+export const GM_PROGRAMS = {
+    'Grand Piano': 0,
+    'Bright Piano': 1,
+    'Vintage Rhodes': 4,
+    'Electric Piano': 5,
+    'Acoustic Guitar': 25,
+    'Distorted Guitar': 30,
+    'Analog Bass': 38,
+    'Sub Bass': 39,
+    'Solo Cello': 42,
+    'Orchestral Strings': 48,
+    'Chamber Strings': 48,
+    'Warm Strings': 49,
+    'Analog Strings': 50,
+    'Hollow Flute Pad': 73,
+    'Soft Lead': 80,
+    'Saw Lead': 81,
+    'Bright Cloud Pad': 88,
+    'Soft Pad': 89,
+    'Vintage Synth Pad': 90,
+    'Emotional Pad': 94,
+    'Dark Ocean Pad': 95
+};
+
+/**
+ * Finds the General MIDI sound of a built-in preset in a SoundFont.
+ * @param {Object} font - Parsed SoundFont.
+ * @param {string} presetName - Built-in preset name (see InstrumentDefs).
+ * @returns {Object|null} The SoundFont preset, or null if there is no mapping or the font lacks the program.
+ */
+export function findGmPreset(font, presetName) {
+    const program = GM_PROGRAMS[presetName];
+    if (program === undefined) return null;
+    return font.presets.find(p => p.bank === 0 && p.program === program) || null;
+}
+
+/**
+ * Builds the sampler settings for a SoundFont preset, embedding its samples.
+ * @param {Object} font - Parsed SoundFont.
+ * @param {Object} preset - One of font.presets.
+ * @param {Function} addSample - (name, type, base64) => sample id, e.g. State.addSample.
+ * @param {Map} [ids] - Sample ids by "sample:start:end" slice of the font. Slices found
+ *   here are reused instead of embedded again; new ones are added to it.
+ * @returns {Object} Sampler settings { zones }.
+ */
+export function createSamplerFromPreset(font, preset, addSample, ids = new Map()) {
+    // Regions sharing a sample slice share its file
+    const sameRange = (a, b) => a.lowNote === b.lowNote && a.highNote === b.highNote &&
+        a.lowVelocity === b.lowVelocity && a.highVelocity === b.highVelocity;
+    const zones = [];
+
+    preset.regions.forEach(region => {
+        const header = font.samples[region.sample];
+        // The right half of a stereo pair plays with its left half
+        if ((header.type & 2) && preset.regions.some(r => r.sample === header.link && sameRange(r, region))) return;
+        if (region.start < 0 || region.end > font.sampleData.length) return;
+
+        const key = `${region.sample}:${region.start}:${region.end}`;
+        if (!ids.has(key)) {
+            const channels = [font.sampleData.subarray(region.start, region.end)];
+            const partner = font.samples[header.link];
+            if ((header.type & 4) && partner && (partner.type & 2)) {
+                const start = partner.start + (region.start - header.start);
+                const end = Math.min(partner.end, start + channels[0].length, font.sampleData.length);
+                if (start >= 0 && end - start === channels[0].length) channels.push(font.sampleData.subarray(start, end));
+            }
+            const wav = encodePcmWav(channels, header.sampleRate);
+            ids.set(key, addSample(`${header.name}.wav`, 'audio/wav', encodeSampleData(wav)));
+        }
+
+        // Whole semitones of the tuning move the root note; the zone keeps the cents
+        const semitones = Math.round(region.tune / 100);
+        const length = region.end - region.start;
+        const loop = region.loop && region.loopStart >= 0 && region.loopEnd > region.loopStart && region.loopEnd <= length;
+        zones.push(createZone(ids.get(key), {
+            rootNote: Math.max(0, Math.min(127, region.rootNote - semitones)),
+            tune: region.tune - semitones * 100,
+            lowNote: region.lowNote,
+            highNote: region.highNote,
+            lowVelocity: region.lowVelocity,
+            highVelocity: region.highVelocity,
+            gain: Math.min(4, Math.pow(10, -region.attenuation / 20)),
+            loop: loop,
+            loopStart: loop ? region.loopStart / header.sampleRate : 0,
+            loopEnd: loop ? region.loopEnd / header.sampleRate : 0,
+            envelope: region.envelope
+        }));
+    });
+    return { zones: zones };
+}
+
+/**
+ * Writes 16-bit PCM channels as a WAV file.
+ * @param {Array<Int16Array>} channels - One or two channels of equal length.
+ * @param {number} sampleRate 
+ * @returns {ArrayBuffer} WAV file contents.
+ */
+export function encodePcmWav(channels, sampleRate) {
+    const frames = channels[0].length;
+    const blockAlign = channels.length * 2;
+    const buffer = new ArrayBuffer(44 + frames * blockAlign);
+    const view = new DataView(buffer);
+    const tag = (offset, text) => { for (let i = 0; i < 4; i++) view.setUint8(offset + i, text.charCodeAt(i)); };
+
+    tag(0, 'RIFF');
+    view.setUint32(4, buffer.byteLength - 8, true);
+    tag(8, 'WAVE');
+    tag(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true); // PCM
+    view.setUint16(22, channels.length, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, 16, true);
+    tag(36, 'data');
+    view.setUint32(40, frames * blockAlign, true);
+
+    let offset = 44;
+    for (let i = 0; i < frames; i++) {
+        for (let ch = 0; ch < channels.length; ch++) {
+            view.setInt16(offset, channels[ch][i], true);
+            offset += 2;
+        }
+    }
+    return buffer;
+}
@@ -0,0 +1,301 @@
+/*
+ * SenseAudio - Visual Theory & Creative Studio
+ * Copyright (C) 2026 SensementMusic.com
+ *
+ * This file is part of SenseAudio (A Sensement Music Project).
+ *
+ * SenseAudio is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * SenseAudio is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with SenseAudio. If not, see <https://www.gnu.org/licenses/>.
+ *
+ * All branding, logos, and the name "Sensement Music" are properties of SensementMusic.com.
+ */
+/**
+ * Parser for SoundFont 2 (.sf2) files.
+ *
+ * Reads the presets, instruments and sample headers of the 'pdta' chunk and the 16-bit
+ * sample data of the 'sdta' chunk, then resolves every preset into flat regions: one
+ * sample over a key/velocity range with its root note, tuning, loop and volume envelope.
+ * Instrument-level generators set values (local zones override the global zone); preset-level
+ * generators are added on top, and key/velocity ranges of both levels intersect.
+ * Modulators, filters, LFOs and the modulation envelope are not used.
+ */
+export default class SoundFontParser {
+    constructor() {
+        // Generator operators used by the regions (SoundFont 2.04, section 8.1.2)
+        this.GEN = {
+            startAddrsOffset: 0, endAddrsOffset: 1, startloopAddrsOffset: 2, endloopAddrsOffset: 3,
+            startAddrsCoarseOffset: 4, endAddrsCoarseOffset: 12, initialAttenuation: 48,
+            attackVolEnv: 34, holdVolEnv: 35, decayVolEnv: 36, sustainVolEnv: 37, releaseVolEnv: 38,
+            instrument: 41, keyRange: 43, velRange: 44, startloopAddrsCoarseOffset: 45,
+            endloopAddrsCoarseOffset: 50, coarseTune: 51, fineTune: 52, sampleID: 53,
+            sampleModes: 54, overridingRootKey: 58
+        };
+        // Preset-level values of these generators are offsets to the instrument's
+        this.ADDITIVE = [34, 35, 36, 37, 38, 48, 51, 52];
+        // Envelope times are in timecents; -12000 (about 1 ms) is the spec default
+        this.DEFAULTS = { 34: -12000, 35: -12000, 36: -12000, 37: 0, 38: -12000, 48: 0, 51: 0, 52: 0, 58: -1 };
+    }
+
+    /**
+     * Parses a SoundFont.
+     * @param {ArrayBuffer} arrayBuffer - The raw .sf2 file.
+     * @returns {{name: string, presets: Array<Object>, samples: Array<Object>, sampleData: Int16Array}}
+     *   The bank name ('' if unnamed) and presets { name, bank, program, regions } sorted by bank and program.
+     * @throws {Error} If the file is not a readable SoundFont.
+     */
+    parse(arrayBuffer) {
+        const data = new DataView(arrayBuffer);
+        if (data.byteLength < 12 || this.readString(data, 0, 4) !== 'RIFF' || this.readString(data, 8, 4) !== 'sfbk') {
+            throw new Error("This file is not a SoundFont 2 (.sf2) file.");
+        }
+
+        const chunks = {};
+        this.readChunks(data, 12, Math.min(data.byteLength, 8 + data.getUint32(4, true)), chunks);
+        ['smpl', 'phdr', 'pbag', 'pgen', 'inst', 'ibag', 'igen', 'shdr'].forEach(id => {
+            if (!chunks[id]) throw new Error(`The SoundFont is incomplete (no '${id}' chunk).`);
+        });
+
+        const smpl = chunks.smpl;
+        // Sample words are little-endian; copy when the chunk is not 2-byte aligned
+        const sampleData = smpl.offset % 2 === 0
+            ? new Int16Array(arrayBuffer, smpl.offset, Math.floor(smpl.size / 2))
+            : new Int16Array(arrayBuffer.slice(smpl.offset, smpl.offset + smpl.size - (smpl.size % 2)));
+
+        const samples = this.readSampleHeaders(data, chunks.shdr);
+        const instruments = this.readZoneList(data, chunks.inst, 22, 20, chunks.ibag, chunks.igen)
+            .map(inst => ({ name: inst.name, zones: inst.zones }));
+        const presets = this.readZoneList(data, chunks.phdr, 38, 24, chunks.pbag, chunks.pgen)
+            .map(p => ({
+                name: p.name,
+                program: data.getUint16(p.offset + 20, true),
+                bank: data.getUint16(p.offset + 22, true),
+                regions: this.resolveRegions(p.zones, instruments, samples)
+            }))
+            .filter(p => p.regions.length > 0)
+            .sort((a, b) => a.bank - b.bank || a.program - b.program);
+
+        return {
+            name: chunks.INAM ? this.readString(data, chunks.INAM.offset, chunks.INAM.size) : '',
+            presets: presets,
+            samples: samples,
+            sampleData: sampleData
+        };
+    }
+
+    /**
+     * Collects the sub-chunks of a RIFF list, descending into LIST chunks.
+     * @param {DataView} data - File data.
+     * @param {number} start - First chunk offset.
+     * @param {number} end - End of the list.
+     * @param {Object} chunks - Found chunks by id ({ offset, size } of the contents).
+     */
+    readChunks(data, start, end, chunks) {
+        let pointer = start;
+        while (pointer + 8 <= end) {
+            const id = this.readString(data, pointer, 4);
+            const size = data.getUint32(pointer + 4, true);
+            const offset = pointer + 8;
+            if (offset + size > data.byteLength) throw new Error(`The SoundFont is truncated (in the '${id}' chunk).`);
+            if (id === 'LIST') this.readChunks(data, offset + 4, offset + size, chunks);
+            else if (!chunks[id]) chunks[id] = { offset: offset, size: size };
+            pointer = offset + size + (size % 2);
+        }
+    }
+
+    /**
+     * Reads the sample headers, without the terminal record.
+     * @param {DataView} data - File data.
+     * @param {Object} chunk - The 'shdr' chunk.
+     * @returns {Array<Object>} { name, start, end, startLoop, endLoop, sampleRate, originalPitch, pitchCorrection, link, type }.
+     */
+    readSampleHeaders(data, chunk) {
+        const list = [];
+        for (let offset = chunk.offset; offset + 46 <= chunk.offset + chunk.size - 46; offset += 46) {
+            list.push({
+                name: this.readString(data, offset, 20),
+                start: data.getUint32(offset + 20, true),
+                end: data.getUint32(offset + 24, true),
+                startLoop: data.getUint32(offset + 28, true),
+                endLoop: data.getUint32(offset + 32, true),
+                sampleRate: data.getUint32(offset + 36, true),
+                originalPitch: data.getUint8(offset + 40),
+                pitchCorrection: data.getInt8(offset + 41),
+                link: data.getUint16(offset + 42, true),
+                type: data.getUint16(offset + 44, true)
+            });
+        }
+        return list;
+    }
+
+    /**
+     * Reads presets or instruments with their zones. Each record points at its first bag;
+     * each bag points at its first generator, and the next record or bag ends the list.
+     * @param {DataView} data - File data.
+     * @param {Object} headers - The 'phdr' or 'inst' chunk.
+     * @param {number} recordSize - Header record size (38 or 22).
+     * @param {number} bagField - Offset of the bag index in a record (24 or 20).
+     * @param {Object} bags - The 'pbag' or 'ibag' chunk.
+     * @param {Object} gens - The 'pgen' or 'igen' chunk.
+     * @returns {Array<Object>} { name, offset, zones } where a zone maps generator operators to amounts.
+     */
+    readZoneList(data, headers, recordSize, bagField, bags, gens) {
+        const count = Math.floor(headers.size / recordSize) - 1; // The last record is a terminal
+        const bagIndex = (i) => data.getUint16(headers.offset + i * recordSize + bagField, true);
+        const genIndex = (b) => data.getUint16(bags.offset + b * 4, true);
+        const bagCount = Math.floor(bags.size / 4);
+        const genCount = Math.floor(gens.size / 4);
+
+        const list = [];
+        for (let i = 0; i < count; i++) {
+            const offset = headers.offset + i * recordSize;
+            const zones = [];
+            const lastBag = Math.min(bagIndex(i + 1), bagCount - 1);
+            for (let b = bagIndex(i); b < lastBag; b++) {
+                const zone = {};
+                const lastGen = Math.min(genIndex(b + 1), genCount);
+                for (let g = genIndex(b); g < lastGen; g++) {
+                    const at = gens.offset + g * 4;
+                    const oper = data.getUint16(at, true);
+                    if (oper === this.GEN.keyRange || oper === this.GEN.velRange) {
+                        zone[oper] = [data.getUint8(at + 2), data.getUint8(at + 3)];
+                    } else if (oper === this.GEN.instrument || oper === this.GEN.sampleID || oper === this.GEN.sampleModes) {
+                        zone[oper] = data.getUint16(at + 2, true);
+                    } else {
+                        zone[oper] = data.getInt16(at + 2, true);
+                    }
+                }
+                zones.push(zone);
+            }
+            list.push({ name: this.readString(data, offset, 20), offset: offset, zones: zones });
+        }
+        return list;
+    }
+
+    /**
+     * Splits zones into the global zone (the first one, if it does not end in `terminal`)
+     * and the local zones.
+     * @param {Array<Object>} zones - Zones of a preset or instrument.
+     * @param {number} terminal - Generator every local zone has (instrument or sampleID).
+     * @returns {{global: Object, local: Array<Object>}}
+     */
+    splitGlobalZone(zones, terminal) {
+        const global = zones.length > 0 && zones[0][terminal] === undefined ? zones[0] : {};
+        return { global: global, local: zones.filter(z => z[terminal] !== undefined) };
+    }
+
+    /**
+     * Resolves a preset's zones into playable regions.
+     * @param {Array<Object>} presetZones - Zones of the preset.
+     * @param {Array<Object>} instruments - Instruments from readZoneList().
+     * @param {Array<Object>} samples - Sample headers.
+     * @returns {Array<Object>} Regions { sample, start, end, loop, loopStart, loopEnd, lowNote, highNote,
+     *   lowVelocity, highVelocity, rootNote, tune, attenuation, envelope }; addresses are sample frames.
+     */
+    resolveRegions(presetZones, instruments, samples) {
+        const G = this.GEN;
+        const regions = [];
+        const preset = this.splitGlobalZone(presetZones, G.instrument);
+
+        preset.local.forEach(pz => {
+            const p = { ...preset.global, ...pz };
+            const inst = instruments[p[G.instrument]];
+            if (!inst) return;
+            const instrument = this.splitGlobalZone(inst.zones, G.sampleID);
+
+            instrument.local.forEach(iz => {
+                const z = { ...instrument.global, ...iz };
+                const sample = samples[z[G.sampleID]];
+                if (!sample || (sample.type & 0x8000)) return; // ROM samples are not in the file
+
+                const keys = this.intersect(p[G.keyRange], z[G.keyRange]);
+                const vels = this.intersect(p[G.velRange], z[G.velRange]);
+                if (!keys || !vels) return;
+
+                const gen = (oper) => {
+                    const own = z[oper] !== undefined ? z[oper] : (this.DEFAULTS[oper] || 0);
+                    return this.ADDITIVE.includes(oper) && p[oper] !== undefined ? own + p[oper] : own;
+                };
+                const offset = (fine, coarse) => gen(fine) + gen(coarse) * 32768;
+
+                const start = sample.start + offset(G.startAddrsOffset, G.startAddrsCoarseOffset);
+                const end = sample.end + offset(G.endAddrsOffset, G.endAddrsCoarseOffset);
+                if (end <= start) return;
+                const mode = gen(G.sampleModes) & 3;
+                const rootKey = gen(G.overridingRootKey);
+
+                regions.push({
+                    sample: z[G.sampleID],
+                    start: start,
+                    end: end,
+                    loop: mode === 1 || mode === 3,
+                    loopStart: sample.startLoop + offset(G.startloopAddrsOffset, G.startloopAddrsCoarseOffset) - start,
+                    loopEnd: sample.endLoop + offset(G.endloopAddrsOffset, G.endloopAddrsCoarseOffset) - start,
+                    lowNote: keys[0],
+                    highNote: keys[1],
+                    lowVelocity: Math.max(1, vels[0]),
+                    highVelocity: Math.max(1, vels[1]),
+                    rootNote: rootKey >= 0 && rootKey <= 127 ? rootKey : (sample.originalPitch <= 127 ? sample.originalPitch : 60),
+                    tune: gen(G.coarseTune) * 100 + gen(G.fineTune) + sample.pitchCorrection,
+                    attenuation: Math.max(0, gen(G.initialAttenuation)) / 10, // Centibels to dB
+                    envelope: {
+                        attack: this.timecentsToSeconds(gen(G.attackVolEnv)),
+                        hold: this.timecentsToSeconds(gen(G.holdVolEnv)),
+                        decay: this.timecentsToSeconds(gen(G.decayVolEnv)),
+                        // Sustain is an attenuation in centibels below the peak
+                        sustain: Math.pow(10, -Math.max(0, gen(G.sustainVolEnv)) / 200),
+                        release: this.timecentsToSeconds(gen(G.releaseVolEnv))
+                    }
+                });
+            });
+        });
+        return regions;
+    }
+
+    /**
+     * Intersects two optional [low, high] ranges (a missing range spans 0-127).
+     * @param {Array<number>|undefined} a 
+     * @param {Array<number>|undefined} b 
+     * @returns {Array<number>|null} The common range, or null if they do not overlap.
+     */
+    intersect(a, b) {
+        const low = Math.max(a ? a[0] : 0, b ? b[0] : 0);
+        const high = Math.min(a ? a[1] : 127, b ? b[1] : 127, 127);
+        return low <= high ? [low, high] : null;
+    }
+
+    /**
+     * Converts an envelope time in timecents to seconds (limited to 0-100 s).
+     * @param {number} timecents 
+     * @returns {number} Seconds.
+     */
+    timecentsToSeconds(timecents) {
+        return Math.min(100, Math.pow(2, timecents / 1200));
+    }
+
+    /**
+     * Reads a zero-padded ASCII string.
+     * @param {DataView} data - File data.
+     * @param {number} offset - Start offset.
+     * @param {number} length - Field length.
+     * @returns {string}
+     */
+    readString(data, offset, length) {
+        let result = '';
+        for (let i = 0; i < length; i++) {
+            const code = data.getUint8(offset + i);
+            if (code === 0) break;
+            result += String.fromCharCode(code);
+        }
+        return result.trim();
+    }
+}
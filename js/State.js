@@ -21,6 +21,13 @@
  */
 
 import { getInstrumentSettings } from './InstrumentDefs.js';
+import TempoMap from './TempoMap.js';
+import GrooveMap from './GrooveMap.js';
+import { GROOVES } from './GrooveDefs.js';
+import { ZONE_PARAMS, ZONE_ENVELOPE_PARAMS, getDefaultSampler, getUsedSampleIds } from './SamplerDefs.js';
+import { INSERT_TYPES, REVERB_TYPES, DELAY_TIMES, SIDECHAIN_PARAMS, SIDECHAIN_TRIGGERS, MASTER_SECTIONS, LOUDNESS_TARGETS, getDefaultMaster, getDefaultReturns, getDefaultSends } from './EffectDefs.js';
+import { TRACK_AUTOMATION_LANES, MASTER_AUTOMATION_LANES, AUTOMATION_CURVES } from './AutomationDefs.js';
+import ProjectSchema from './ProjectSchema.js';
 
 /**
  * Manages the global state of the application, including tracks, playback settings,
@@ -32,11 +39,34 @@ export default class State {
         this.rootKey = 0;
         this.scaleName = 'Major';
         this.vocalRangeType = 'NONE';
-        this.stepsPerBar = 16;
+        // Meter: BPM is always counted in quarter notes, the grid in steps per whole note.
+        this.timeNumerator = 4;
+        this.timeDenominator = 4;
+        this.beatGrouping = [1, 1, 1, 1]; // Pulse groups, in denominator units (e.g. [3, 3] for 6/8)
+        this.gridResolution = 16;
+        this.stepsPerBar = 16; // Length of bars in the project meter (bar 0)
+        // Mid-song changes. Bar 0 always uses bpm / the project meter above.
+        this.tempoChanges = []; // { bar, bpm, ramp }
+        this.meterChanges = []; // { bar, numerator, denominator, grouping }
+        this.keyChanges = []; // { bar, rootKey, scaleName } (bar 0 uses rootKey / scaleName)
+        this.tempoMap = new TempoMap(this);
+        // Song swing/feel; tracks follow it unless they set their own `groove`
+        this.groove = { template: 'Straight', amount: 0 }; // amount 0-1
+        this.grooveMap = new GrooveMap(this);
+        // Shared reverb/delay buses; tracks feed them through `track.sends`
+        this.returns = getDefaultReturns();
+        // Master EQ, glue compressor, limiter and export loudness target
+        this.master = getDefaultMaster();
+        // Audio files of sampler tracks by sample id: { name, type, data (base64) } (see SamplerDefs)
+        this.samples = {};
+        // Project automation lanes (see AutomationDefs.MASTER_AUTOMATION_LANES); tracks keep theirs in `track.automation`
+        this.masterAutomation = {};
         this.totalBars = 4;
         this.tracks = [];
         this.activeTrackIndex = 0;
-        this.barChords = [];
+        // { start, length, chord } in steps, sorted, non-overlapping. `chord` is a diatonic
+        // degree index or a chord object { root, quality, bass, roman } (see MusicBrain.resolveChord)
+        this.chordRegions = [];
         this.barStructure = [];
         this.clipboard = null;
         this.autoScroll = true;
@@ -47,9 +77,13 @@ export default class State {
         this.playbackStartStep = 0;
         this.isPlaying = false;
         this.currentPlayX = 0;
-        this._playbackNotes = [];
+        this.loopRegion = null; // { start, end } in steps; not saved
+        this.loopEnabled = false;
         this.user= null, // User State for Auth
         this.cloudId = null; // To track cloud save ID
+        this.selectedNotes = new Set(); // Piano-roll selection (note objects); not saved
+        this.snapValue = '1/16'; // Editor snap grid ('1/8T' triplet, '1/8.' dotted, 'off'); not saved
+        this.metronome = { enabled: false, sound: 'Beep', level: 0.6, countInBars: 0 }; // Click track settings; not saved
         this.sectionTypes = {
             'INTRO':      { label: 'Intro', color: '#3498db' },
             'VERSE':      { label: 'Verse', color: '#2ecc71' },
@@ -62,13 +96,31 @@ export default class State {
             'NONE':       { label: 'None', color: '#95a5a6' }
         };
 
+        // Save-format version, migrations and validation (scale names are set by main.js)
+        this.schema = new ProjectSchema();
+        this.schema.sectionTypes = Object.keys(this.sectionTypes);
+        this.schema.grooveNames = Object.keys(GROOVES);
+        this.schema.reverbNames = Object.keys(REVERB_TYPES);
+        this.schema.delayTimes = DELAY_TIMES;
+        this.schema.insertTypes = INSERT_TYPES;
+        this.schema.sidechainParams = SIDECHAIN_PARAMS;
+        this.schema.sidechainTriggers = SIDECHAIN_TRIGGERS;
+        this.schema.masterSections = MASTER_SECTIONS;
+        this.schema.loudnessTargets = LOUDNESS_TARGETS;
+        this.schema.trackLanes = TRACK_AUTOMATION_LANES;
+        this.schema.masterLanes = MASTER_AUTOMATION_LANES;
+        this.schema.automationCurves = AUTOMATION_CURVES;
+        this.schema.zoneParams = ZONE_PARAMS;
+        this.schema.zoneEnvelopeParams = ZONE_ENVELOPE_PARAMS;
+        this.schema.defaultGrouping = (numerator, denominator) => this.getDefaultGrouping(numerator, denominator);
+
         // Create default track
         this.addTrack('SYNTH', 'Grand Piano');
 
         for (let i = 0; i < this.totalBars; i++) {
-            this.barChords.push(0);
             this.barStructure.push('NONE');
         }
+        this.setChordsFromBars(new Array(this.totalBars).fill(0));
     }
 
     /**
@@ -102,7 +154,7 @@ export default class State {
      * Creates a structured track object with smart defaults and merged settings.
      * * @param {string} id - Unique identifier for the track.
      * @param {string} name - Display name of the track.
-     * @param {string} type - Type of track ('DRUMS' or 'SYNTH').
+     * @param {string} type - Type of track ('DRUMS', 'SYNTH' or 'SAMPLER').
      * @param {string} presetName - Name of the instrument preset.
      * @returns {Object} The constructed track object.
      */
@@ -128,23 +180,38 @@ export default class State {
         // AudioEngine.playDrum requires this to identify the kit.
         finalSettings.preset = presetName || 'Default';
 
-        return {
+        // Preset reverb/delay amounts become send levels to the shared buses
+        const sends = getDefaultSends(finalSettings);
+        delete finalSettings.reverbMix;
+        delete finalSettings.delayMix;
+
+        const track = {
             id: id,
             name: name,
             type: type,
             preset: presetName || 'Default',
             color: settings.color || '#3498db',
             volume: 0.8,
+            pan: 0, // -1 (left) to 1 (right)
+            width: 1, // Stereo width: 0 = mono, 1 = as is, 2 = extra wide
             isMuted: false,
             isSolo: false,
             notes: [],
+            groove: null, // null = follow the song groove
+            sends: sends, // Post-fader send levels by return bus id (0-1)
+            inserts: [], // Insert effects in signal order (see EffectDefs.INSERT_TYPES)
+            sidechain: null, // Ducking keyed from another track (see EffectDefs.createSidechain)
+            automation: {}, // Breakpoint lanes by lane id (see AutomationDefs)
             synthSettings: finalSettings
         };
+        // Key/velocity zones of the track's samples; the envelope stays in synthSettings
+        if (type === 'SAMPLER') track.sampler = getDefaultSampler();
+        return track;
     }
 
     /**
      * Adds a new track to the project.
-     * @param {string} type - The type of track ('SYNTH' or 'DRUMS').
+     * @param {string} type - The type of track ('SYNTH', 'DRUMS' or 'SAMPLER').
      * @param {string|null} presetName - Optional preset name.
      */
     addTrack(type, presetName = null) {
@@ -160,6 +227,799 @@ export default class State {
         this.activeTrackIndex = this.tracks.length - 1;
     }
 
+    /**
+     * Returns the conventional pulse grouping for a meter.
+     * Compound meters (6/8, 9/8, 12/8) group in threes, odd eighth meters
+     * (5/8, 7/8) end with the long group, everything else counts every beat.
+     * @param {number} numerator - Beats per bar.
+     * @param {number} denominator - Beat unit (4 = quarter, 8 = eighth).
+     * @returns {Array<number>} Group sizes in denominator units.
+     */
+    getDefaultGrouping(numerator, denominator) {
+        if (denominator === 8 && numerator > 3 && numerator % 3 === 0) {
+            return new Array(numerator / 3).fill(3);
+        }
+        if (denominator === 8 && numerator > 3 && numerator % 2 === 1) {
+            const groups = new Array((numerator - 3) / 2).fill(2);
+            groups.push(3);
+            return groups;
+        }
+        return new Array(numerator).fill(1);
+    }
+
+    /**
+     * Parses a meter string such as "6/8" or "7/8:3+2+2" (numerator/denominator[:grouping]).
+     * @param {string} value - The meter string.
+     * @returns {Object|null} { numerator, denominator, grouping } or null if invalid.
+     */
+    parseTimeSignature(value) {
+        const match = String(value || '').trim().match(/^(\d+)\s*\/\s*(\d+)(?:\s*:\s*([\d+\s]+))?$/);
+        if (!match) return null;
+        const numerator = parseInt(match[1]);
+        const denominator = parseInt(match[2]);
+        if (numerator < 1 || numerator > 32 || ![2, 4, 8, 16].includes(denominator)) return null;
+
+        let grouping = null;
+        if (match[3]) {
+            grouping = match[3].split('+').map(g => parseInt(g));
+            if (grouping.some(g => !g) || grouping.reduce((a, b) => a + b, 0) !== numerator) return null;
+        }
+        return { numerator, denominator, grouping };
+    }
+
+    /**
+     * Formats a meter as "num/den", adding ":a+b+c" only when the grouping is not the default.
+     * @param {number} numerator - Beats per bar.
+     * @param {number} denominator - Beat unit.
+     * @param {Array<number>} grouping - Pulse grouping.
+     * @returns {string} Meter string.
+     */
+    formatTimeSignature(numerator, denominator, grouping) {
+        const sig = `${numerator}/${denominator}`;
+        const defaults = this.getDefaultGrouping(numerator, denominator);
+        const isDefault = !grouping || defaults.join('+') === grouping.join('+');
+        return isDefault ? sig : `${sig}:${grouping.join('+')}`;
+    }
+
+    /**
+     * Sets the project meter and recalculates the bar length in steps.
+     * @param {number} numerator - Beats per bar.
+     * @param {number} denominator - Beat unit (2, 4, 8 or 16).
+     * @param {Array<number>|null} grouping - Optional pulse grouping (must sum to the numerator).
+     */
+    setTimeSignature(numerator, denominator, grouping = null) {
+        numerator = parseInt(numerator) || 4;
+        denominator = parseInt(denominator) || 4;
+        const validGrouping = Array.isArray(grouping) && grouping.length > 0 &&
+            grouping.reduce((a, b) => a + b, 0) === numerator;
+
+        this.timeNumerator = numerator;
+        this.timeDenominator = denominator;
+        this.beatGrouping = validGrouping ? grouping.slice() : this.getDefaultGrouping(numerator, denominator);
+        this.setGridResolution(this.gridResolution);
+    }
+
+    /**
+     * Sets the grid resolution (steps per whole note). The grid is never coarser
+     * than the beat unit, so every beat of the meter falls on a whole step.
+     * @param {number} resolution - 4 (quarters), 8, 16 or 32.
+     */
+    setGridResolution(resolution) {
+        const denominators = this.meterChanges.map(m => m.denominator);
+        this.gridResolution = Math.max(parseInt(resolution) || 16, this.timeDenominator, ...denominators);
+        this.stepsPerBar = (this.timeNumerator / this.timeDenominator) * this.gridResolution;
+    }
+
+    /**
+     * Gets the number of grid steps in one quarter note (the BPM unit).
+     * @returns {number} Steps per quarter note.
+     */
+    getStepsPerQuarter() {
+        return this.gridResolution / 4;
+    }
+
+    /**
+     * Gets the size of a snap division in steps. Notes may sit between steps, so
+     * triplets and values finer than the grid resolution are fractional.
+     * @param {string} [value=this.snapValue] - '1/4' to '1/64', with 'T' (triplet) or '.' (dotted), or 'off'.
+     * @returns {number} Steps per division, or 0 if the value is 'off' or unreadable.
+     */
+    getSnapSteps(value = this.snapValue) {
+        const match = String(value).trim().match(/^1\/(\d+)(T|\.)?$/i);
+        if (!match || parseInt(match[1]) < 1) return 0;
+        let steps = this.gridResolution / parseInt(match[1]);
+        if (match[2] === '.') steps *= 1.5;
+        else if (match[2]) steps *= 2 / 3;
+        return steps;
+    }
+
+    /**
+     * Snaps a step to a grid of divisions counted from the start of its bar,
+     * so triplet and dotted grids restart at every bar line (also in odd meters).
+     * @param {number} step - Step position.
+     * @param {number} size - Division size in steps (0 = no snapping).
+     * @param {boolean} [nearest=false] - Snap to the nearest line instead of the line at or before the step.
+     * @returns {number} Snapped step (never negative).
+     */
+    snapToGrid(step, size, nearest = false) {
+        if (!(size > 0)) return Math.max(0, this.roundTime(step));
+        const barStart = this.getBarStartStep(this.getBarAtStep(step));
+        const units = (step - barStart) / size;
+        const index = nearest ? Math.round(units) : Math.floor(units + 1e-6);
+        return Math.max(0, this.roundTime(barStart + index * size));
+    }
+
+    /**
+     * Snaps a step to the editor snap grid (see snapValue).
+     * @param {number} step - Step position.
+     * @param {boolean} [nearest=false] - Snap to the nearest line.
+     * @returns {number} Snapped step.
+     */
+    snapStep(step, nearest = false) {
+        return this.snapToGrid(step, this.getSnapSteps(), nearest);
+    }
+
+    /**
+     * Rounds a fractional step to 1/1,000,000 step, which removes floating point
+     * noise (e.g. from triplets) while keeping every audible timing detail.
+     * @param {number} step - Step position or length.
+     * @returns {number} Rounded value.
+     */
+    roundTime(step) {
+        return Math.round(step * 1e6) / 1e6;
+    }
+
+    /**
+     * Gets the duration of one grid step in seconds.
+     * @param {number} bpm - Tempo in quarter notes per minute (defaults to the project tempo).
+     * @returns {number} Seconds per step.
+     */
+    getSecondsPerStep(bpm = this.bpm) {
+        return 60 / bpm / this.getStepsPerQuarter();
+    }
+
+    /**
+     * Gets the delay bus time in seconds (its note value at the project tempo).
+     * @returns {number} Seconds.
+     */
+    getDelaySeconds() {
+        return this.getSnapSteps(this.returns.delay.time) * this.getSecondsPerStep();
+    }
+
+    /**
+     * Checks whether a track is heard: not muted, and soloed if any track is.
+     * @param {Object} track 
+     * @returns {boolean}
+     */
+    isTrackAudible(track) {
+        if (track.isSolo) return true;
+        return !track.isMuted && !this.tracks.some(t => t.isSolo);
+    }
+
+    /**
+     * Lists the sidechain links that can be heard, grouped by the track that triggers them.
+     * A muted (or un-soloed) source makes no sound, so it ducks nothing.
+     * @returns {Map<string, Array<Object>>} Source track id -> [{ trackId, sidechain, sourceType }].
+     */
+    getSidechainLinks() {
+        const links = new Map();
+        this.tracks.forEach(track => {
+            const sc = track.sidechain;
+            if (!sc) return;
+            const source = this.tracks.find(t => t.id === sc.source);
+            if (!source || source === track) return;
+            if (!this.isTrackAudible(source)) return;
+            if (!links.has(source.id)) links.set(source.id, []);
+            links.get(source.id).push({ trackId: track.id, sidechain: sc, sourceType: source.type });
+        });
+        return links;
+    }
+
+    /**
+     * Describes the meter of a bar in grid steps for the Renderer, generators and exporters.
+     * @param {number} bar - Bar index (defaults to the first bar, i.e. the project meter).
+     * @returns {Object} { numerator, denominator, grouping, stepsPerBar, unitSteps, beatSteps, strongSteps, isCommonTime }
+     */
+    getMeter(bar = 0) {
+        const change = this.getMeterChangeFor(bar);
+        if (change) return this.describeMeter(change.numerator, change.denominator, change.grouping);
+        return this.describeMeter(this.timeNumerator, this.timeDenominator, this.beatGrouping);
+    }
+
+    /**
+     * Builds a meter description in grid steps.
+     * @param {number} numerator - Beats per bar.
+     * @param {number} denominator - Beat unit.
+     * @param {Array<number>} grouping - Pulse groups in denominator units.
+     * @returns {Object} Meter description (see getMeter).
+     */
+    describeMeter(numerator, denominator, grouping) {
+        const unitSteps = this.gridResolution / denominator;
+        const beatSteps = [];
+        let cursor = 0;
+        grouping.forEach(g => {
+            beatSteps.push(cursor * unitSteps);
+            cursor += g;
+        });
+
+        // Strong pulses: every group start in grouped meters (6/8, 7/8),
+        // every other beat in simple meters (1 and 3 in 4/4, only 1 in 3/4).
+        const isSimple = grouping.every(g => g === 1);
+        const count = beatSteps.length;
+        const strongSteps = isSimple
+            ? beatSteps.filter((s, i) => i % 2 === 0 && !(count % 2 === 1 && i === count - 1 && count > 1))
+            : beatSteps.slice();
+
+        return {
+            numerator: numerator,
+            denominator: denominator,
+            grouping: grouping.slice(),
+            stepsPerBar: (numerator / denominator) * this.gridResolution,
+            unitSteps: unitSteps,
+            beatSteps: beatSteps,
+            strongSteps: strongSteps,
+            isCommonTime: numerator === 4 && denominator === 4
+        };
+    }
+
+    /**
+     * Gets the meter change in effect at a bar (the latest one at or before it).
+     * @param {number} bar - Bar index.
+     * @returns {Object|null} Meter change entry, or null when the project meter applies.
+     */
+    getMeterChangeFor(bar) {
+        let found = null;
+        this.meterChanges.forEach(m => {
+            if (m.bar > 0 && m.bar <= bar && (!found || m.bar > found.bar)) found = m;
+        });
+        return found;
+    }
+
+    /**
+     * Adds or replaces a time signature change starting at a bar.
+     * Changing bar 0 changes the project meter instead. Either way the content after
+     * the change moves with its bars (see editMeterMap).
+     * @param {number} bar - Bar index.
+     * @param {number} numerator - Beats per bar.
+     * @param {number} denominator - Beat unit.
+     * @param {Array<number>|null} grouping - Optional pulse grouping.
+     */
+    setMeterChange(bar, numerator, denominator, grouping = null) {
+        if (bar <= 0) {
+            this.editMeterMap(() => this.setTimeSignature(numerator, denominator, grouping));
+            return;
+        }
+        numerator = parseInt(numerator) || 4;
+        denominator = parseInt(denominator) || 4;
+        const validGrouping = Array.isArray(grouping) && grouping.length > 0 &&
+            grouping.reduce((a, b) => a + b, 0) === numerator;
+
+        this.editMeterMap(() => {
+            this.meterChanges = this.meterChanges.filter(m => m.bar !== bar);
+            this.meterChanges.push({
+                bar: bar,
+                numerator: numerator,
+                denominator: denominator,
+                grouping: validGrouping ? grouping.slice() : this.getDefaultGrouping(numerator, denominator)
+            });
+            this.meterChanges.sort((a, b) => a.bar - b.bar);
+        });
+    }
+
+    /**
+     * Removes the time signature change at a bar (the previous meter continues).
+     * @param {number} bar - Bar index.
+     */
+    removeMeterChange(bar) {
+        this.editMeterMap(() => {
+            this.meterChanges = this.meterChanges.filter(m => m.bar !== bar);
+        });
+    }
+
+    /**
+     * Changes the grid resolution of the project. Notes, automation and chords keep
+     * their musical position, so their step values are scaled to the new grid.
+     * @param {number} resolution - 4 (quarters), 8, 16 or 32.
+     */
+    changeGridResolution(resolution) {
+        this.editMeterMap(() => this.setGridResolution(resolution));
+    }
+
+    /**
+     * Changes the meter map and moves the notes, automation and chords so they keep
+     * their bar and their position in it (bars after a change start earlier or later).
+     * Notes and points past the end of a bar that got shorter are removed and chords
+     * are cut there, as when deleting a bar. This is the one path for meter edits, from
+     * the project meter (bar 0) to mid-song changes and the grid resolution.
+     * @param {Function} apply - Edits this.meterChanges, the project meter or the grid resolution.
+     */
+    editMeterMap(apply) {
+        const oldGrid = this.gridResolution;
+        const oldStarts = [];
+        for (let bar = 0; bar <= this.totalBars; bar++) oldStarts.push(this.getBarStartStep(bar));
+
+        apply();
+        this.setGridResolution(this.gridResolution);
+
+        // A finer grid (e.g. a x/32 change) scales every position
+        const scale = this.gridResolution / oldGrid;
+        const newStarts = oldStarts.map((s, bar) => this.getBarStartStep(bar));
+
+        // A chord held across a bar line where bars start changing length (either end of
+        // the changed span) is split there, so each part keeps its bar
+        for (let bar = 1; bar < this.totalBars; bar++) {
+            const oldBefore = oldStarts[bar] - oldStarts[bar - 1];
+            const oldAfter = oldStarts[bar + 1] - oldStarts[bar];
+            const newBefore = newStarts[bar] - newStarts[bar - 1];
+            const newAfter = newStarts[bar + 1] - newStarts[bar];
+            if (newBefore * oldAfter !== newAfter * oldBefore) this.splitChordAt(oldStarts[bar]);
+        }
+        // Steps cut off a shorter bar give null, or the bar end when `clamp` is set.
+        // Range ends (`isEnd`) on a bar line belong to the bar before it.
+        const moveStep = (step, clamp = false, isEnd = false) => {
+            let bar = oldStarts.length - 1;
+            while (bar > 0 && (oldStarts[bar] > step || (isEnd && oldStarts[bar] === step))) bar--;
+            const offset = this.roundTime((step - oldStarts[bar]) * scale);
+            const length = this.getStepsInBar(bar);
+            if (bar < this.totalBars && (offset > length || (offset === length && !isEnd))) {
+                return clamp ? newStarts[bar] + length : null;
+            }
+            return newStarts[bar] + offset;
+        };
+
+        this.tracks.forEach(t => {
+            t.notes = t.notes.filter(n => {
+                const time = moveStep(n.time);
+                if (time === null) return false;
+                n.time = time;
+                n.duration = this.roundTime(n.duration * scale);
+                return true;
+            });
+        });
+
+        const moveLanes = (lanes) => {
+            Object.keys(lanes || {}).forEach(id => {
+                lanes[id] = lanes[id]
+                    .map(p => ({ ...p, step: moveStep(p.step) }))
+                    .filter(p => p.step !== null);
+            });
+        };
+        this.tracks.forEach(t => moveLanes(t.automation));
+        moveLanes(this.masterAutomation);
+
+        this.chordRegions = this.chordRegions
+            .map(r => {
+                const start = moveStep(r.start, true);
+                return { ...r, start: start, length: moveStep(r.start + r.length, true, true) - start };
+            })
+            .filter(r => r.length > 0);
+    }
+
+    /**
+     * Adds or replaces a tempo change at a bar. Changing bar 0 sets the project tempo.
+     * @param {number} bar - Bar index.
+     * @param {number} bpm - Tempo in quarter notes per minute.
+     * @param {boolean} ramp - Glide linearly from the previous tempo point instead of jumping.
+     */
+    setTempoChange(bar, bpm, ramp = false) {
+        bpm = parseFloat(bpm);
+        if (!bpm || bpm <= 0) return;
+        if (bar <= 0) {
+            this.bpm = bpm;
+            return;
+        }
+        this.tempoChanges = this.tempoChanges.filter(t => t.bar !== bar);
+        this.tempoChanges.push({ bar: bar, bpm: bpm, ramp: !!ramp });
+        this.tempoChanges.sort((a, b) => a.bar - b.bar);
+    }
+
+    /**
+     * Removes the tempo change at a bar.
+     * @param {number} bar - Bar index.
+     */
+    removeTempoChange(bar) {
+        this.tempoChanges = this.tempoChanges.filter(t => t.bar !== bar);
+    }
+
+    /**
+     * Gets the key (root and scale) in effect at a bar, following the key map.
+     * @param {number} bar - Bar index.
+     * @returns {Object} { rootKey, scaleName }
+     */
+    getKeyAtBar(bar) {
+        let found = null;
+        this.keyChanges.forEach(k => {
+            if (k.bar > 0 && k.bar <= bar && (!found || k.bar > found.bar)) found = k;
+        });
+        if (found) return { rootKey: found.rootKey, scaleName: found.scaleName };
+        return { rootKey: this.rootKey, scaleName: this.scaleName };
+    }
+
+    /**
+     * Gets the key in effect at a step.
+     * @param {number} step - Absolute step.
+     * @returns {Object} { rootKey, scaleName }
+     */
+    getKeyAtStep(step) {
+        return this.getKeyAtBar(this.getBarAtStep(Math.max(0, step)));
+    }
+
+    /**
+     * Splits the song into regions of constant key.
+     * @returns {Array} Regions { startBar, endBar (exclusive), rootKey, scaleName }.
+     */
+    getKeyRegions() {
+        const regions = [{ startBar: 0, rootKey: this.rootKey, scaleName: this.scaleName }];
+        this.keyChanges
+            .filter(k => k.bar > 0 && k.bar < this.totalBars)
+            .sort((a, b) => a.bar - b.bar)
+            .forEach(k => regions.push({ startBar: k.bar, rootKey: k.rootKey, scaleName: k.scaleName }));
+        regions.forEach((r, i) => {
+            r.endBar = regions[i + 1] ? regions[i + 1].startBar : this.totalBars;
+        });
+        return regions;
+    }
+
+    /**
+     * Adds or replaces a key change at a bar. Bar 0 changes the project key.
+     * Existing notes are left as they are (see modulateFrom); chords keep their degrees.
+     * @param {number} bar - Bar index.
+     * @param {number} rootKey - Root pitch class (0 = C).
+     * @param {string} scaleName - Scale name (MusicBrain.scales key).
+     */
+    setKeyChange(bar, rootKey, scaleName) {
+        if (bar <= 0) {
+            this.rootKey = rootKey;
+            this.scaleName = scaleName;
+            return;
+        }
+        this.keyChanges = this.keyChanges.filter(k => k.bar !== bar);
+        this.keyChanges.push({ bar: bar, rootKey: rootKey, scaleName: scaleName });
+        this.keyChanges.sort((a, b) => a.bar - b.bar);
+    }
+
+    /**
+     * Removes the key change at a bar (the previous key continues).
+     * @param {number} bar - Bar index.
+     */
+    removeKeyChange(bar) {
+        this.keyChanges = this.keyChanges.filter(k => k.bar !== bar);
+    }
+
+    /**
+     * Modulates from a bar to a new key: sets the key change and moves the passage
+     * up to the next key change into the new key. Pitched notes are rewritten with
+     * `mapNote` and chords starting in the passage with `mapChord`.
+     * Drum tracks are not touched.
+     * @param {number} bar - First bar of the new key.
+     * @param {number} rootKey - New root pitch class.
+     * @param {string} scaleName - New scale name.
+     * @param {Function} mapNote - (midi) => midi in the new key.
+     * @param {Function} mapChord - (chord entry) => chord entry in the new key.
+     */
+    modulateFrom(bar, rootKey, scaleName, mapNote, mapChord) {
+        const nextChange = this.keyChanges.find(k => k.bar > bar);
+        const endBar = nextChange ? nextChange.bar : this.totalBars;
+        const start = this.getBarStartStep(bar);
+        const end = this.getBarStartStep(endBar);
+
+        this.tracks.forEach(t => {
+            if (t.type === 'DRUMS') return;
+            t.notes.forEach(n => {
+                if (n.time >= start && n.time < end) n.midi = mapNote(n.midi);
+            });
+        });
+
+        this.chordRegions.forEach(r => {
+            if (r.start >= start && r.start < end) r.chord = mapChord(r.chord);
+        });
+
+        this.setKeyChange(bar, rootKey, scaleName);
+    }
+
+    /**
+     * Replaces the chord regions with one chord per bar (the old barChords model).
+     * Entries of -1 or undefined leave the bar without a chord.
+     * @param {Array} barChords - Chord index per bar.
+     */
+    setChordsFromBars(barChords) {
+        this.chordRegions = [];
+        (barChords || []).forEach((chord, bar) => {
+            if (bar >= this.totalBars || chord === undefined || chord === null || chord === -1) return;
+            this.chordRegions.push({ start: this.getBarStartStep(bar), length: this.getStepsInBar(bar), chord: chord });
+        });
+    }
+
+    /**
+     * Gets the chord region playing at a step.
+     * @param {number} step - Step position.
+     * @returns {Object|null} Region { start, length, chord } or null in a gap.
+     */
+    getChordAt(step) {
+        return this.chordRegions.find(r => step >= r.start && step < r.start + r.length) || null;
+    }
+
+    /**
+     * Gets the chord entry playing at a step.
+     * @param {number} step - Step position.
+     * @returns {number|Object|null} Degree index or chord object, or null when no chord is set.
+     */
+    getChordEntryAt(step) {
+        const region = this.getChordAt(step);
+        return (region && region.chord !== -1) ? region.chord : null;
+    }
+
+    /**
+     * Gets the chord at the downbeat of a bar (what used to be the bar's only chord).
+     * @param {number} bar - Bar index.
+     * @returns {number|Object|null} Chord entry, or null when no chord is set.
+     */
+    getBarChord(bar) {
+        return this.getChordEntryAt(this.getBarStartStep(bar));
+    }
+
+    /**
+     * Gets the chord regions that sound inside a bar, clipped to the bar.
+     * @param {number} bar - Bar index.
+     * @returns {Array} Regions { start, length, chord } with absolute starts.
+     */
+    getChordsInBar(bar) {
+        const barStart = this.getBarStartStep(bar);
+        return this.getChordsInRange(barStart, barStart + this.getStepsInBar(bar));
+    }
+
+    /**
+     * Gets the chord regions overlapping a step range, clipped to the range.
+     * @param {number} start - First step.
+     * @param {number} end - End step (exclusive).
+     * @returns {Array} Regions { start, length, chord }.
+     */
+    getChordsInRange(start, end) {
+        return this.chordRegions
+            .filter(r => r.start < end && r.start + r.length > start)
+            .map(r => {
+                const s = Math.max(start, r.start);
+                return { start: s, length: Math.min(end, r.start + r.length) - s, chord: r.chord };
+            });
+    }
+
+    /**
+     * Removes chords from a step range, trimming or splitting regions that cross its edges.
+     * @param {number} start - First step.
+     * @param {number} end - End step (exclusive).
+     */
+    clearChordRange(start, end) {
+        const kept = [];
+        this.chordRegions.forEach(r => {
+            const rEnd = r.start + r.length;
+            if (rEnd <= start || r.start >= end) {
+                kept.push(r);
+                return;
+            }
+            if (r.start < start) kept.push({ start: r.start, length: start - r.start, chord: r.chord });
+            if (rEnd > end) kept.push({ start: end, length: rEnd - end, chord: r.chord });
+        });
+        this.chordRegions = kept.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Places a chord over a step range, replacing whatever was there.
+     * @param {number} start - First step.
+     * @param {number} length - Length in steps.
+     * @param {number|Object} chord - Chord entry.
+     */
+    setChordRange(start, length, chord) {
+        if (length <= 0) return;
+        this.clearChordRange(start, start + length);
+        this.chordRegions.push({ start: start, length: length, chord: chord });
+        this.chordRegions.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Sets the chord at a step. Changes the region there, or fills the gap
+     * up to the next region (within the bar) when there is none.
+     * @param {number} step - Step position.
+     * @param {number|Object} chord - Chord entry.
+     */
+    setChordAt(step, chord) {
+        const region = this.getChordAt(step);
+        if (region) {
+            region.chord = chord;
+            return;
+        }
+        const bar = this.getBarAtStep(step);
+        const barStart = this.getBarStartStep(bar);
+        const barEnd = barStart + this.getStepsInBar(bar);
+        const prev = this.chordRegions.filter(r => r.start + r.length <= step).pop();
+        const next = this.chordRegions.find(r => r.start > step);
+        const start = Math.max(barStart, prev ? prev.start + prev.length : 0);
+        const end = Math.min(barEnd, next ? next.start : barEnd);
+        this.setChordRange(start, end - start, chord);
+    }
+
+    /**
+     * Splits the chord region at a step; both halves keep the chord.
+     * @param {number} step - Split position (must be inside the region).
+     * @returns {boolean} True if a region was split.
+     */
+    splitChordAt(step) {
+        const region = this.getChordAt(step);
+        if (!region || step <= region.start) return false;
+        const tail = { start: step, length: region.start + region.length - step, chord: region.chord };
+        region.length = step - region.start;
+        this.chordRegions.push(tail);
+        this.chordRegions.sort((a, b) => a.start - b.start);
+        return true;
+    }
+
+    /**
+     * Merges the chord region at a step with the region after it.
+     * The merged region keeps the first chord and covers any gap between them.
+     * @param {number} step - Step inside the first region.
+     * @returns {boolean} True if regions were merged.
+     */
+    mergeChordWithNext(step) {
+        const region = this.getChordAt(step);
+        if (!region) return false;
+        const next = this.chordRegions.find(r => r.start >= region.start + region.length);
+        if (!next) return false;
+        region.length = next.start + next.length - region.start;
+        this.chordRegions = this.chordRegions.filter(r => r !== next);
+        return true;
+    }
+
+    /**
+     * Moves the end of a chord region. Growing it shortens (or removes) the chords
+     * it runs over; shrinking it leaves a gap. It cannot pass the song end.
+     * @param {Object} region - Region from chordRegions.
+     * @param {number} end - Requested end step.
+     */
+    resizeChord(region, end) {
+        end = Math.max(region.start + 1, Math.min(this.getTotalSteps(), end));
+        const currentEnd = region.start + region.length;
+        if (end > currentEnd) this.clearChordRange(currentEnd, end);
+        region.length = end - region.start;
+    }
+
+    /**
+     * Removes the chord region at a step, leaving a gap without a chord.
+     * @param {number} step - Step inside the region.
+     */
+    removeChordAt(step) {
+        const region = this.getChordAt(step);
+        if (region) this.chordRegions = this.chordRegions.filter(r => r !== region);
+    }
+
+    /**
+     * Gets the number of steps in a bar, following the meter map.
+     * @param {number} bar - Bar index.
+     * @returns {number} Steps in the bar.
+     */
+    getStepsInBar(bar) {
+        const change = this.getMeterChangeFor(bar);
+        if (!change) return this.stepsPerBar;
+        return (change.numerator / change.denominator) * this.gridResolution;
+    }
+
+    /**
+     * Gets the absolute start step of a bar. Bars past the end keep the last meter.
+     * @param {number} bar - Bar index.
+     * @returns {number} Start step.
+     */
+    getBarStartStep(bar) {
+        let start = 0;
+        let prevBar = 0;
+        let prevSteps = this.stepsPerBar;
+        for (const m of this.meterChanges) {
+            if (m.bar <= 0) continue;
+            if (m.bar > bar) break;
+            start += (m.bar - prevBar) * prevSteps;
+            prevBar = m.bar;
+            prevSteps = (m.numerator / m.denominator) * this.gridResolution;
+        }
+        return start + (bar - prevBar) * prevSteps;
+    }
+
+    /**
+     * Gets the bar index containing a step.
+     * @param {number} step - Absolute step (may be fractional).
+     * @returns {number} Bar index.
+     */
+    getBarAtStep(step) {
+        if (step < 0) return Math.floor(step / this.stepsPerBar);
+        let start = 0;
+        let prevBar = 0;
+        let prevSteps = this.stepsPerBar;
+        for (const m of this.meterChanges) {
+            if (m.bar <= 0) continue;
+            const changeStart = start + (m.bar - prevBar) * prevSteps;
+            if (changeStart > step) break;
+            start = changeStart;
+            prevBar = m.bar;
+            prevSteps = (m.numerator / m.denominator) * this.gridResolution;
+        }
+        return prevBar + Math.floor((step - start) / prevSteps);
+    }
+
+    /**
+     * Gets the total length of the song in steps.
+     * @returns {number} Steps from bar 0 to the end of the last bar.
+     */
+    getTotalSteps() {
+        return this.getBarStartStep(this.totalBars);
+    }
+
+    /**
+     * Lists the position and meter of every bar, for drawing and generators.
+     * @param {number} barCount - Number of bars to describe (defaults to the song length).
+     * @returns {Array} Entries { bar, start, steps, meter }.
+     */
+    getBarLayout(barCount = this.totalBars) {
+        const layout = [];
+        let start = 0;
+        for (let bar = 0; bar < barCount; bar++) {
+            const meter = this.getMeter(bar);
+            layout.push({ bar: bar, start: start, steps: meter.stepsPerBar, meter: meter });
+            start += meter.stepsPerBar;
+        }
+        return layout;
+    }
+
+    /**
+     * Shifts tempo, meter and key changes after a bar was inserted (delta 1) or deleted (delta -1).
+     * A change on a deleted bar moves to the bar that replaces it; a change that lands
+     * on bar 0 becomes the project tempo / meter / key.
+     * @param {number} atIndex - Inserted or deleted bar index.
+     * @param {number} delta - +1 or -1.
+     */
+    shiftTimelineChanges(atIndex, delta) {
+        const shift = (list) => {
+            if (delta > 0) return list.map(e => e.bar >= atIndex ? { ...e, bar: e.bar + 1 } : e);
+            // Two entries collide when the deleted bar had one; the one that followed it wins
+            const hasFollower = list.some(e => e.bar === atIndex + 1);
+            return list
+                .filter(e => !(hasFollower && e.bar === atIndex))
+                .map(e => e.bar > atIndex ? { ...e, bar: e.bar - 1 } : e);
+        };
+
+        this.tempoChanges = shift(this.tempoChanges);
+        this.meterChanges = shift(this.meterChanges);
+        this.keyChanges = shift(this.keyChanges);
+
+        const keyZero = this.keyChanges.find(k => k.bar <= 0);
+        if (keyZero) {
+            this.rootKey = keyZero.rootKey;
+            this.scaleName = keyZero.scaleName;
+        }
+        this.keyChanges = this.keyChanges.filter(k => k.bar > 0);
+
+        const tempoZero = this.tempoChanges.find(t => t.bar <= 0);
+        if (tempoZero) this.bpm = tempoZero.bpm;
+        this.tempoChanges = this.tempoChanges.filter(t => t.bar > 0);
+
+        const meterZero = this.meterChanges.find(m => m.bar <= 0);
+        this.meterChanges = this.meterChanges.filter(m => m.bar > 0);
+        if (meterZero) this.setTimeSignature(meterZero.numerator, meterZero.denominator, meterZero.grouping);
+    }
+
+    /**
+     * Moves the automation points at or after a step, in every lane. Moving back
+     * removes the points in the span that closes.
+     * @param {number} fromStep - First step that moves.
+     * @param {number} delta - Steps to move by.
+     */
+    shiftAutomation(fromStep, delta) {
+        const shift = (lanes) => {
+            Object.keys(lanes || {}).forEach(id => {
+                lanes[id] = lanes[id]
+                    .filter(p => delta > 0 || p.step < fromStep + delta || p.step >= fromStep)
+                    .map(p => p.step >= fromStep ? { ...p, step: p.step + delta } : p);
+            });
+        };
+        this.tracks.forEach(t => shift(t.automation));
+        shift(this.masterAutomation);
+    }
+
     /**
      * Adds a note to the current track or updates an existing one.
      * @param {number} midi - MIDI note number.
@@ -200,24 +1060,117 @@ export default class State {
         if (index !== -1) this.notes.splice(index, 1);
     }
 
+    /**
+     * Sets the loop region and turns looping on.
+     * @param {number} start - Start step.
+     * @param {number} end - End step (exclusive).
+     */
+    setLoop(start, end) {
+        if (!(end > start)) return;
+        this.loopRegion = { start: Math.max(0, start), end: end };
+        this.loopEnabled = true;
+    }
+
+    /**
+     * Removes the loop region.
+     */
+    clearLoop() {
+        this.loopRegion = null;
+        this.loopEnabled = false;
+    }
+
+    /**
+     * Gets the loop region playback should cycle through.
+     * @returns {Object|null} { start, end } while looping is on, otherwise null.
+     */
+    getActiveLoop() {
+        if (!this.loopEnabled || !this.loopRegion) return null;
+        const start = this.loopRegion.start;
+        const end = Math.min(this.loopRegion.end, this.getTotalSteps());
+        return end > start ? { start, end } : null;
+    }
+
+    /**
+     * Gets the selected notes of the active track. Notes that no longer exist
+     * (deleted, or replaced by undo) simply drop out of the selection.
+     * @returns {Array} Selected note objects.
+     */
+    getSelectedNotes() {
+        return this.notes.filter(n => this.selectedNotes.has(n));
+    }
+
+    /**
+     * Checks whether a note is selected.
+     * @param {Object} note - Note object.
+     * @returns {boolean} True if selected.
+     */
+    isNoteSelected(note) {
+        return this.selectedNotes.has(note);
+    }
+
+    /**
+     * Replaces or extends the selection.
+     * @param {Array} notes - Notes to select.
+     * @param {boolean} [additive=false] - Keep the current selection.
+     */
+    selectNotes(notes, additive = false) {
+        if (!additive) this.selectedNotes.clear();
+        notes.forEach(n => this.selectedNotes.add(n));
+    }
+
+    /**
+     * Adds a note to the selection, or removes it if already selected.
+     * @param {Object} note - Note object.
+     */
+    toggleNoteSelection(note) {
+        if (this.selectedNotes.has(note)) this.selectedNotes.delete(note);
+        else this.selectedNotes.add(note);
+    }
+
+    /**
+     * Selects the notes of the active track that overlap a time/pitch rectangle.
+     * @param {number} startStep - Rectangle start (steps, may be fractional).
+     * @param {number} endStep - Rectangle end (steps).
+     * @param {number} lowMidi - Lowest pitch (inclusive).
+     * @param {number} highMidi - Highest pitch (inclusive).
+     * @param {boolean} [additive=false] - Keep the current selection.
+     */
+    selectNotesInRect(startStep, endStep, lowMidi, highMidi, additive = false) {
+        const hits = this.notes.filter(n =>
+            n.midi >= lowMidi && n.midi <= highMidi &&
+            n.time < endStep && n.time + n.duration > startStep);
+        this.selectNotes(hits, additive);
+    }
+
+    /**
+     * Clears the note selection.
+     */
+    clearSelection() {
+        this.selectedNotes.clear();
+    }
+
     /**
      * Retrieves all notes within a specific bar.
      * @param {number} barIndex - The index of the bar.
      * @returns {Array} List of notes in the bar.
      */
     getNotesInBar(barIndex) {
-        const start = barIndex * this.stepsPerBar;
-        const end = start + this.stepsPerBar;
+        const start = this.getBarStartStep(barIndex);
+        const end = start + this.getStepsInBar(barIndex);
         return this.notes.filter(n => n.time >= start && n.time < end);
     }
 
     /**
      * Flattens all notes from all tracks into a single array with track metadata.
      * Useful for the AudioEngine or exporting data.
+     * @param {number} [fromStep=-Infinity] - Only notes heard from this step (after the groove)...
+     * @param {number} [toStep=Infinity] - ...up to (not including) this step.
      * @returns {Array} Flattened array of all notes.
      */
-    getAllNotesFlattened() {
+    getAllNotesFlattened(fromStep = -Infinity, toStep = Infinity) {
         let all = [];
+        // Grooves move notes by less than a quarter note, so the written time is a cheap first filter
+        const margin = this.getStepsPerQuarter();
         // Removed solo/mute filtering logic from here.
         // We send all notes and delegate audio management to the AudioEngine.
 
@@ -232,16 +1185,21 @@ export default class State {
                 safeSynthSettings.preset = t.preset || 'Default';
             }
 
-            all = all.concat(t.notes.map(n => ({
+            const inRange = t.notes.filter(n => n.time >= fromStep - margin && n.time < toStep + margin);
+            all = all.concat(inRange.map(n => ({
                 ...n,
                 // trackVolume is not critical here as it is applied in the mixer,
                 // but kept just in case it is needed for export.
                 trackVolume: t.volume,
                 _synthSettings: safeSynthSettings,
+                _sampler: t.sampler || null,
                 trackType: t.type,
                 trackPreset: t.preset || 'Default',
-                trackId: t.id
-            })));
+                trackId: t.id,
+                // Heard position and velocity after the track/song groove
+                playTime: this.grooveMap.getPlayStep(n, t),
+                playVelocity: this.grooveMap.getPlayVelocity(n, t)
+            })).filter(n => n.playTime >= fromStep && n.playTime < toStep));
         });
         return all;
     }
@@ -253,8 +1211,9 @@ export default class State {
      */
     insertBar(atIndex, templateIndex = null) {
         if (atIndex > this.totalBars) atIndex = this.totalBars;
-        const steps = this.stepsPerBar;
-        const insertTime = atIndex * steps;
+        this.shiftTimelineChanges(atIndex, 1);
+        const steps = this.getStepsInBar(atIndex);
+        const insertTime = this.getBarStartStep(atIndex);
         this.tracks.forEach(t => {
             t.notes.forEach(n => {
                 if (n.time >= insertTime) n.time += steps;
@@ -263,8 +1222,15 @@ export default class State {
         let templateStruct = (templateIndex !== null && this.barStructure[templateIndex]) 
             ? this.barStructure[templateIndex] 
             : (atIndex > 0 ? this.barStructure[atIndex - 1] : 'NONE');
-        
-        this.barChords.splice(atIndex, 0, 0);
+
+        // A chord held across the insert point is split around the new bar
+        this.splitChordAt(insertTime);
+        this.chordRegions.forEach(r => {
+            if (r.start >= insertTime) r.start += steps;
+        });
+        this.setChordRange(insertTime, steps, 0);
+        this.shiftAutomation(insertTime, steps);
+
         this.barStructure.splice(atIndex, 0, templateStruct);
         this.totalBars++;
     }
@@ -275,46 +1241,198 @@ export default class State {
      */
     deleteBar(atIndex) {
         if (this.totalBars <= 1) return;
-        const steps = this.stepsPerBar;
-        const start = atIndex * steps;
+        const steps = this.getStepsInBar(atIndex);
+        const start = this.getBarStartStep(atIndex);
         this.tracks.forEach(t => {
             t.notes = t.notes.filter(n => !(n.time >= start && n.time < start + steps));
             t.notes.forEach(n => {
                 if (n.time >= start + steps) n.time -= steps;
             });
         });
-        this.barChords.splice(atIndex, 1);
+        this.clearChordRange(start, start + steps);
+        this.chordRegions.forEach(r => {
+            if (r.start >= start + steps) r.start -= steps;
+        });
+        this.shiftAutomation(start + steps, -steps);
         this.barStructure.splice(atIndex, 1);
+        this.shiftTimelineChanges(atIndex, -1);
         this.totalBars--;
     }
 
     /**
-     * Copies the content of a bar to the clipboard.
+     * Parses a song position typed as "bar" or "bar.unit" (1-based), e.g. "5" or "5.3"
+     * for beat 3 of bar 5. Units are the meter's beat unit (eighths in 6/8).
+     * @param {string} text - Position text.
+     * @returns {number|null} Step position, or null if invalid. The end of the song is bar totalBars + 1.
+     */
+    parsePosition(text) {
+        const match = String(text || '').trim().match(/^(\d+)(?:\.(\d+))?$/);
+        if (!match) return null;
+        const bar = parseInt(match[1]) - 1;
+        const unit = match[2] ? parseInt(match[2]) - 1 : 0;
+        if (bar < 0 || bar > this.totalBars || unit < 0) return null;
+        if (bar === this.totalBars) return unit === 0 ? this.getTotalSteps() : null;
+
+        const meter = this.getMeter(bar);
+        if (unit >= meter.numerator) return null;
+        return this.getBarStartStep(bar) + unit * meter.unitSteps;
+    }
+
+    /**
+     * Formats a step position as "bar.unit" (see parsePosition).
+     * @param {number} step - Step position.
+     * @returns {string} Position text.
+     */
+    formatPosition(step) {
+        if (step >= this.getTotalSteps()) return String(this.totalBars + 1);
+        const bar = this.getBarAtStep(step);
+        const unit = Math.floor((step - this.getBarStartStep(bar)) / this.getMeter(bar).unitSteps);
+        return unit > 0 ? `${bar + 1}.${unit + 1}` : String(bar + 1);
+    }
+
+    /**
+     * Copies a time range of one or more tracks to the clipboard.
+     * Section labels are only included when the range starts on a bar line.
+     * @param {number} start - First step.
+     * @param {number} end - End step (exclusive).
+     * @param {Object} [options] - { trackIndices (default: active track), chords (default true),
+     *   sections (default true), onlyNotes (Set limiting which notes are copied) }.
+     * @returns {Object} Clipboard { length, tracks: [{ id, name, type, preset, notes }], chords, sections }.
+     */
+    copyRange(start, end, options = {}) {
+        const trackIndices = options.trackIndices || [this.activeTrackIndex];
+        const startBar = this.getBarAtStep(start);
+
+        const clip = {
+            length: end - start,
+            tracks: trackIndices.filter(i => this.tracks[i]).map(i => {
+                const t = this.tracks[i];
+                const notes = t.notes.filter(n => n.time >= start && n.time < end && (!options.onlyNotes || options.onlyNotes.has(n)));
+                return {
+                    id: t.id,
+                    name: t.name,
+                    type: t.type,
+                    preset: t.preset,
+                    notes: notes.map(n => {
+                        // Playback fields are rebuilt from the target track
+                        const { _synthSettings, _sampler, trackType, trackVolume, trackPreset, ...note } = n;
+                        return { ...note, time: n.time - start };
+                    })
+                };
+            }),
+            chords: options.chords === false ? null : this.getChordsInRange(start, end).map(r => ({ ...r, start: r.start - start })),
+            sections: null
+        };
+
+        if (options.sections !== false && this.getBarStartStep(startBar) === start) {
+            clip.sections = [];
+            for (let bar = startBar; bar < this.totalBars && this.getBarStartStep(bar) < end; bar++) {
+                clip.sections.push(this.barStructure[bar]);
+            }
+        }
+
+        this.clipboard = clip;
+        return clip;
+    }
+
+    /**
+     * Pastes a clipboard range.
+     * - 'overwrite' replaces notes of the target tracks (and chords) in the pasted span;
+     * - 'merge' adds the notes without removing anything;
+     * - 'insert' first inserts whole bars at the bar containing `at` (shifting everything
+     *   after it, in all tracks) and pastes into the new space.
+     * Clipboard tracks go back to the track they came from (by id, then by name), or to
+     * `targetTrackIndex`, `targetTrackIndex + 1`, ... when given; missing tracks are created.
+     * The song is extended if the paste runs past its end.
+     * @param {Object} clip - Clipboard (see copyRange).
+     * @param {number} at - Target step.
+     * @param {Object} [options] - { mode, targetTrackIndex, chords, sections }.
+     * @returns {Array} The pasted note objects.
+     */
+    pasteRange(clip, at, options = {}) {
+        const mode = options.mode || 'overwrite';
+        if (!clip || !(clip.length > 0)) return [];
+
+        if (mode === 'insert') {
+            const bar = this.getBarAtStep(at);
+            at = this.getBarStartStep(bar);
+            let inserted = 0;
+            for (let i = 0; inserted < clip.length; i++) {
+                this.insertBar(bar + i);
+                inserted += this.getStepsInBar(bar + i);
+            }
+        }
+        const end = at + clip.length;
+        while (this.getTotalSteps() < end) this.insertBar(this.totalBars);
+
+        const pasted = [];
+        const activeIndex = this.activeTrackIndex;
+        clip.tracks.forEach((source, i) => {
+            const track = this.findPasteTrack(source, i, options.targetTrackIndex);
+            if (mode === 'overwrite') track.notes = track.notes.filter(n => n.time < at || n.time >= end);
+            source.notes.forEach(n => {
+                const note = { ...n, time: at + n.time };
+                track.notes.push(note);
+                pasted.push(note);
+            });
+        });
+        this.activeTrackIndex = activeIndex;
+
+        if (clip.chords && options.chords !== false) {
+            if (mode !== 'merge') this.clearChordRange(at, end);
+            clip.chords.forEach(r => this.setChordRange(at + r.start, r.length, r.chord));
+        }
+
+        const startBar = this.getBarAtStep(at);
+        if (clip.sections && options.sections !== false && this.getBarStartStep(startBar) === at) {
+            clip.sections.forEach((type, k) => {
+                if (startBar + k < this.totalBars) this.barStructure[startBar + k] = type;
+            });
+        }
+        return pasted;
+    }
+
+    /**
+     * Finds (or creates) the track a clipboard track is pasted into. A sampler part
+     * without a matching track is pasted into a new SYNTH track.
+     * @param {Object} source - Clipboard track.
+     * @param {number} index - Its index in the clipboard.
+     * @param {number|undefined} targetTrackIndex - Explicit first target track.
+     * @returns {Object} Track object.
+     */
+    findPasteTrack(source, index, targetTrackIndex) {
+        if (targetTrackIndex !== undefined && targetTrackIndex !== null) {
+            if (this.tracks[targetTrackIndex + index]) return this.tracks[targetTrackIndex + index];
+        } else {
+            const match = this.tracks.find(t => t.id === source.id) ||
+                this.tracks.find(t => t.name === source.name && t.type === source.type);
+            if (match) return match;
+        }
+        // The clipboard has no sampler zones or samples, so a sampler part gets a synth track
+        if (source.type === 'SAMPLER') this.addTrack('SYNTH');
+        else this.addTrack(source.type, source.preset || null);
+        const track = this.tracks[this.tracks.length - 1];
+        if (source.name) track.name = source.name;
+        return track;
+    }
+
+    /**
+     * Copies one bar of the active track, with its chords and section label.
      * @param {number} barIndex - Index of the bar to copy.
+     * @returns {Object} Clipboard (see copyRange).
      */
     copyBar(barIndex) {
-        const start = barIndex * this.stepsPerBar;
-        const notes = this.currentTrack.notes.filter(n => n.time >= start && n.time < start + this.stepsPerBar);
-        this.clipboard = {
-            notes: notes.map(n => ({ ...n, relativeTime: n.time - start })),
-            chord: this.barChords[barIndex],
-            structure: this.barStructure[barIndex]
-        };
+        const start = this.getBarStartStep(barIndex);
+        return this.copyRange(start, start + this.getStepsInBar(barIndex));
     }
 
     /**
-     * Pastes clipboard content into the target bar.
+     * Pastes the clipboard at the start of the target bar, replacing what is there.
      * @param {number} targetIndex - Index of the target bar.
      */
     pasteBar(targetIndex) {
         if (!this.clipboard) return;
-        const start = targetIndex * this.stepsPerBar;
-        this.currentTrack.notes = this.currentTrack.notes.filter(n => n.time < start || n.time >= start + this.stepsPerBar);
-        this.clipboard.notes.forEach(n => {
-            this.currentTrack.notes.push({ ...n, time: start + n.relativeTime });
-        });
-        this.barChords[targetIndex] = this.clipboard.chord;
-        this.barStructure[targetIndex] = this.clipboard.structure;
+        this.pasteRange(this.clipboard, this.getBarStartStep(targetIndex), { mode: 'overwrite' });
     }
 
     /**
@@ -323,12 +1441,25 @@ export default class State {
      */
     getData() {
         return {
+            schemaVersion: this.schema.currentVersion,
             cloudId: this.cloudId,
             tracks: this.tracks,
             bpm: this.bpm,
+            timeNumerator: this.timeNumerator,
+            timeDenominator: this.timeDenominator,
+            beatGrouping: this.beatGrouping,
+            gridResolution: this.gridResolution,
             stepsPerBar: this.stepsPerBar,
+            tempoChanges: this.tempoChanges,
+            meterChanges: this.meterChanges,
+            keyChanges: this.keyChanges,
+            groove: this.groove,
+            returns: this.returns,
+            master: this.master,
+            samples: this.getUsedSamples(),
+            masterAutomation: this.masterAutomation,
             totalBars: this.totalBars,
-            barChords: this.barChords,
+            chordRegions: this.chordRegions,
             barStructure: this.barStructure,
             rootKey: this.rootKey,
             scaleName: this.scaleName
@@ -337,18 +1468,39 @@ export default class State {
 
     /**
      * Loads project data into the state.
-     * @param {Object} data - The project data object.
+     * Accepts any saved version, a JSON string or a cloud record ({ data: ... });
+     * the data is migrated and validated on a copy before anything is applied.
+     * @param {Object|string} data - The project data object.
+     * @returns {Object} Load report { fromVersion, migrations, warnings } (see ProjectSchema.load).
+     * @throws {Error} If the data is not a readable project.
      */
     loadProject(data) {
         if (!data) return;
+        // Upgrades old formats and repairs what it can; throws if nothing is usable
+        const report = this.schema.load(data);
+        data = report.data;
         this.cloudId = data.cloudId || null;
         this.bpm = data.bpm;
         this.rootKey = data.rootKey;
         this.scaleName = data.scaleName;
-        this.stepsPerBar = data.stepsPerBar;
+        this.timeNumerator = data.timeNumerator;
+        this.timeDenominator = data.timeDenominator;
+        this.beatGrouping = data.beatGrouping || this.getDefaultGrouping(this.timeNumerator, this.timeDenominator);
+        this.gridResolution = data.gridResolution;
+        this.stepsPerBar = (this.timeNumerator / this.timeDenominator) * this.gridResolution;
+        this.tempoChanges = data.tempoChanges;
+        this.meterChanges = data.meterChanges;
+        this.keyChanges = data.keyChanges;
+        this.groove = data.groove;
+        // Buses the validator had to drop fall back to their defaults
+        this.returns = { ...getDefaultReturns(), ...data.returns };
+        // Projects saved before the master section get the defaults
+        this.master = { ...getDefaultMaster(), ...data.master };
+        this.samples = data.samples || {};
+        this.masterAutomation = data.masterAutomation || {};
         this.totalBars = data.totalBars;
-        this.barChords = data.barChords;
         this.barStructure = data.barStructure;
+        this.chordRegions = data.chordRegions;
         if (data.tracks) {
             this.tracks = data.tracks;
             this.tracks.forEach(t => {
@@ -357,13 +1509,14 @@ export default class State {
 
                 if (t.preset) {
                     const fresh = getInstrumentSettings(t.preset);
-                    // Reset only if settings are corrupted
-                    if (!t.synthSettings.waveform) t.synthSettings = JSON.parse(JSON.stringify(fresh));
+                    // Reset only if settings are corrupted (sampler tracks have no oscillator)
+                    if (!t.synthSettings || (!t.synthSettings.waveform && t.type !== 'SAMPLER')) t.synthSettings = JSON.parse(JSON.stringify(fresh));
                     if (!t.synthSettings.preset) t.synthSettings.preset = t.preset;
                 }
             });
         }
         this.activeTrackIndex = 0;
+        return report;
     }
 
     /**
@@ -391,6 +1544,32 @@ export default class State {
         });
     }
 
+    /**
+     * Embeds an audio file for sampler tracks.
+     * @param {string} name - File name.
+     * @param {string} type - MIME type.
+     * @param {string} data - File contents as base64 (see SamplerDefs.encodeSampleData).
+     * @returns {string} The new sample id.
+     */
+    addSample(name, type, data) {
+        const id = 'smp_' + Date.now() + '_' + Math.random().toString(36).substr(2, 5);
+        this.samples = { ...this.samples, [id]: { name, type, data } };
+        return id;
+    }
+
+    /**
+     * Gets the samples some sampler zone still plays. Saved projects only carry these,
+     * so removed zones don't keep their audio around.
+     * @returns {Object} Samples by id.
+     */
+    getUsedSamples() {
+        const used = {};
+        getUsedSampleIds(this.tracks).forEach(id => {
+            if (this.samples[id]) used[id] = this.samples[id];
+        });
+        return used;
+    }
+
     /**
      * Restores data (alias for loadProject).
      * @param {Object} data - The project data.
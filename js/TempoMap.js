@@ -0,0 +1,161 @@
+/*
+ * SenseAudio - Visual Theory & Creative Studio
+ * Copyright (C) 2026 SensementMusic.com
+ *
+ * This file is part of SenseAudio (A Sensement Music Project).
+ *
+ * SenseAudio is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * SenseAudio is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with SenseAudio. If not, see <https://www.gnu.org/licenses/>.
+ *
+ * All branding, logos, and the name "Sensement Music" are properties of SensementMusic.com.
+ */
+
+/**
+ * Converts between grid steps and seconds using the project tempo map.
+ *
+ * Bar 0 always plays at `state.bpm`; `state.tempoChanges` holds later points
+ * as { bar, bpm, ramp }. A point with `ramp: true` is reached by a linear tempo
+ * glide (linear in steps) from the previous point; otherwise the tempo jumps
+ * at the start of the bar. BPM is always counted in quarter notes.
+ */
+export default class TempoMap {
+    /**
+     * @param {Object} state - The application state.
+     */
+    constructor(state) {
+        this.state = state;
+    }
+
+    /**
+     * Builds the list of tempo segments in steps. Cheap enough to rebuild on every
+     * call, so edits to the map never need an explicit invalidation.
+     * @returns {Array} Segments { startStep, endStep, startBpm, endBpm, startSeconds }.
+     */
+    getSegments() {
+        const state = this.state;
+        const points = [{ step: 0, bpm: state.bpm, ramp: false }];
+
+        (state.tempoChanges || [])
+            .filter(c => c.bar > 0 && c.bpm > 0)
+            .sort((a, b) => a.bar - b.bar)
+            .forEach(c => points.push({ step: state.getBarStartStep(c.bar), bpm: c.bpm, ramp: !!c.ramp }));
+
+        const segments = [];
+        let seconds = 0;
+        for (let i = 0; i < points.length; i++) {
+            const p = points[i];
+            const next = points[i + 1];
+            const seg = {
+                startStep: p.step,
+                endStep: next ? next.step : Infinity,
+                startBpm: p.bpm,
+                endBpm: (next && next.ramp) ? next.bpm : p.bpm,
+                startSeconds: seconds
+            };
+            segments.push(seg);
+            if (next) seconds += this.segmentSeconds(seg, seg.endStep - seg.startStep);
+        }
+        return segments;
+    }
+
+    /**
+     * Seconds elapsed after `steps` steps into a segment.
+     * For a ramp, tempo is linear in steps, so time is the integral of k / bpm(x).
+     * @param {Object} seg - Tempo segment.
+     * @param {number} steps - Steps from the segment start.
+     * @returns {number} Seconds.
+     */
+    segmentSeconds(seg, steps) {
+        const k = 60 / this.state.getStepsPerQuarter();
+        const length = seg.endStep - seg.startStep;
+        const delta = seg.endBpm - seg.startBpm;
+        if (!isFinite(length) || Math.abs(delta) < 1e-9) return steps * k / seg.startBpm;
+
+        const slope = delta / length;
+        return (k / slope) * Math.log((seg.startBpm + slope * steps) / seg.startBpm);
+    }
+
+    /**
+     * Finds the segment containing a step.
+     * @param {Array} segments - Result of getSegments().
+     * @param {number} step - Step position.
+     * @returns {Object} Segment.
+     */
+    findSegment(segments, step) {
+        let seg = segments[0];
+        for (const s of segments) {
+            if (s.startStep <= step) seg = s;
+            else break;
+        }
+        return seg;
+    }
+
+    /**
+     * Converts a step position to seconds from the start of the song.
+     * @param {number} step - Step position (may be fractional or negative).
+     * @returns {number} Seconds.
+     */
+    stepToSeconds(step) {
+        const segments = this.getSegments();
+        if (step <= 0) return step * 60 / this.state.getStepsPerQuarter() / segments[0].startBpm;
+        const seg = this.findSegment(segments, step);
+        return seg.startSeconds + this.segmentSeconds(seg, step - seg.startStep);
+    }
+
+    /**
+     * Converts seconds from the start of the song to a (fractional) step position.
+     * @param {number} seconds - Time in seconds.
+     * @returns {number} Step position.
+     */
+    secondsToStep(seconds) {
+        const segments = this.getSegments();
+        const k = 60 / this.state.getStepsPerQuarter();
+        if (seconds <= 0) return seconds * segments[0].startBpm / k;
+
+        let seg = segments[0];
+        for (const s of segments) {
+            if (s.startSeconds <= seconds) seg = s;
+            else break;
+        }
+
+        const t = seconds - seg.startSeconds;
+        const length = seg.endStep - seg.startStep;
+        const delta = seg.endBpm - seg.startBpm;
+        if (!isFinite(length) || Math.abs(delta) < 1e-9) return seg.startStep + t * seg.startBpm / k;
+
+        const slope = delta / length;
+        return seg.startStep + (seg.startBpm / slope) * (Math.exp(t * slope / k) - 1);
+    }
+
+    /**
+     * Gets the instantaneous tempo at a step.
+     * @param {number} step - Step position.
+     * @returns {number} BPM (quarter notes per minute).
+     */
+    getBpmAtStep(step) {
+        const seg = this.findSegment(this.getSegments(), Math.max(0, step));
+        if (!isFinite(seg.endStep) || seg.endBpm === seg.startBpm) return seg.startBpm;
+        const progress = (step - seg.startStep) / (seg.endStep - seg.startStep);
+        return seg.startBpm + (seg.endBpm - seg.startBpm) * progress;
+    }
+
+    /**
+     * Gets the duration of a note (or any span) in seconds.
+     * @param {number} startStep - Start step.
+     * @param {number} durationSteps - Length in steps.
+     * @returns {number} Seconds.
+     */
+    spanToSeconds(startStep, durationSteps) {
+        return this.stepToSeconds(startStep + durationSteps) - this.stepToSeconds(startStep);
+    }
+}
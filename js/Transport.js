@@ -0,0 +1,364 @@
+/*
+ * SenseAudio - Visual Theory & Creative Studio
+ * Copyright (C) 2026 SensementMusic.com
+ *
+ * This file is part of SenseAudio (A Sensement Music Project).
+ *
+ * SenseAudio is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * SenseAudio is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with SenseAudio. If not, see <https://www.gnu.org/licenses/>.
+ *
+ * All branding, logos, and the name "Sensement Music" are properties of SensementMusic.com.
+ */
+
+import { isSidechainTrigger } from './EffectDefs.js';
+import { getAutomationEvents } from './AutomationDefs.js';
+
+/**
+ * Schedules live playback from the project itself: every tick reads the tracks again,
+ * so notes, mutes and chords edited while playing are heard on the next scheduled pass
+ * (at most `lookAhead` seconds later). While a loop region is active, playback cycles
+ * through it seamlessly, each pass starting exactly where the previous one ended.
+ *
+ * Ticks come from a worker clock (ClockWorker.js), which keeps running while the page
+ * is busy or in the background; without workers a main-thread timer is used. Song time
+ * is tracked as anchors ({ step, time } pairs written as scheduling advances), so tempo
+ * map edits during playback only affect what has not been scheduled yet.
+ *
+ * The metronome and count-in (state.metronome) play on the audio engine's click bus.
+ * Sidechain ducking is scheduled alongside the notes that trigger it, and automation
+ * lanes as AudioParam ramps over the same scheduling windows.
+ */
+export default class Transport {
+    /**
+     * @param {Object} state - The application state.
+     * @param {Object} audio - The audio engine.
+     */
+    constructor(state, audio) {
+        this.state = state;
+        this.audio = audio;
+        this.baseLookAhead = 0.2; // Seconds scheduled in advance
+        this.maxLookAhead = 1.0; // Upper limit when ticks arrive late
+        this.lookAhead = this.baseLookAhead;
+        this.interval = 25; // Milliseconds between scheduler ticks
+        this.worker = null;
+        this.timerId = null;
+        this.lastTickTime = null;
+        this.startedAt = 0;
+        this.cursor = null; // { step, time }: next step to schedule and its context time
+        this.anchors = []; // { step, time }: scheduled song positions, used to place the playhead
+    }
+
+    /**
+     * Starts the tick clock: the worker if it can be created, otherwise a timer.
+     */
+    startClock() {
+        if (!this.worker && typeof Worker !== 'undefined') {
+            try {
+                this.worker = new Worker(new URL('./ClockWorker.js', import.meta.url), { type: 'module' });
+                this.worker.onmessage = () => this.tick();
+            } catch (err) {
+                console.warn("Worker clock unavailable, using a timer:", err);
+                this.worker = null;
+            }
+        }
+        if (this.worker) this.worker.postMessage({ type: 'start', interval: this.interval });
+        else this.timerId = setInterval(() => this.tick(), this.interval);
+    }
+
+    /**
+     * Stops the tick clock.
+     */
+    stopClock() {
+        if (this.worker) this.worker.postMessage({ type: 'stop' });
+        if (this.timerId) clearInterval(this.timerId);
+        this.timerId = null;
+    }
+
+    /**
+     * Starts playback, after the count-in if one is set.
+     * @param {number} fromStep - Step to start at.
+     */
+    start(fromStep) {
+        this.stop();
+        let time = this.audio.ctx.currentTime + 0.1;
+        const countInBars = this.state.metronome.countInBars;
+        if (countInBars > 0) time = this.scheduleCountIn(fromStep, countInBars, time);
+        this.startedAt = time;
+        this.cursor = { step: fromStep, time: time };
+        this.anchors = [{ step: fromStep, time: time }];
+        this.lookAhead = this.baseLookAhead;
+        this.lastTickTime = null;
+        this.startClock();
+        this.tick();
+    }
+
+    /**
+     * Stops scheduling. Notes that were already scheduled are stopped by the audio engine.
+     */
+    stop() {
+        this.stopClock();
+        this.cursor = null;
+    }
+
+    /**
+     * Widens the look-ahead when ticks arrive late (e.g. a long redraw blocked the page),
+     * and slowly narrows it again so edits stay quick to be heard.
+     * @param {number} now - Audio context time of this tick.
+     */
+    adaptLookAhead(now) {
+        if (this.lastTickTime !== null) {
+            const gap = now - this.lastTickTime;
+            if (gap * 2 > this.lookAhead) this.lookAhead = Math.min(this.maxLookAhead, gap * 2);
+            else this.lookAhead = Math.max(this.baseLookAhead, this.lookAhead * 0.98);
+        }
+        this.lastTickTime = now;
+    }
+
+    /**
+     * Records a scheduled song position for the playhead.
+     * @param {number} step - Song step.
+     * @param {number} time - Context time it is played at.
+     */
+    addAnchor(step, time) {
+        this.anchors.push({ step, time });
+        // Keep enough history for the output latency and the look-ahead
+        const now = this.audio.ctx.currentTime;
+        while (this.anchors.length > 2 && this.anchors[1].time < now - 1) this.anchors.shift();
+    }
+
+    /**
+     * Schedules everything up to the look-ahead horizon, wrapping at the loop end.
+     */
+    tick() {
+        if (!this.cursor) return;
+        const tempoMap = this.state.tempoMap;
+        const now = this.audio.ctx.currentTime;
+        this.adaptLookAhead(now);
+        const horizon = now + this.lookAhead;
+
+        // Very short loops may need several passes per tick; the guard keeps a tick bounded
+        for (let guard = 0; guard < 16 && this.cursor && this.cursor.time < horizon; guard++) {
+            const loop = this.state.getActiveLoop();
+            const inLoop = !!loop && this.cursor.step < loop.end;
+            const passEnd = inLoop ? loop.end : this.state.getTotalSteps();
+
+            // Context time of step 0 for this pass (the tempo map gives every step's offset from it)
+            const zeroTime = this.cursor.time - tempoMap.stepToSeconds(this.cursor.step);
+            const passEndTime = zeroTime + tempoMap.stepToSeconds(passEnd);
+            const toStep = passEndTime <= horizon ? passEnd : tempoMap.secondsToStep(horizon - zeroTime);
+
+            this.scheduleNotes(this.cursor.step, toStep, zeroTime, inLoop ? passEnd : Infinity);
+            if (this.state.metronome.enabled) this.scheduleClicks(this.cursor.step, toStep, zeroTime);
+            this.scheduleAutomation(this.cursor.step, toStep, zeroTime);
+
+            if (toStep < passEnd) {
+                this.cursor = { step: toStep, time: horizon };
+                this.addAnchor(toStep, horizon);
+            } else if (inLoop) {
+                this.cursor = { step: loop.start, time: passEndTime };
+                this.addAnchor(loop.start, passEndTime);
+            } else {
+                // End of the song: nothing left to schedule
+                this.cursor = null;
+            }
+        }
+    }
+
+    /**
+     * Plays the notes that start in a step range.
+     * @param {number} fromStep - Range start (inclusive).
+     * @param {number} toStep - Range end (exclusive).
+     * @param {number} zeroTime - Context time of step 0 in this pass.
+     * @param {number} cutStep - Notes are cut here (the loop end), so they don't ring into the next pass.
+     */
+    scheduleNotes(fromStep, toStep, zeroTime, cutStep) {
+        if (toStep <= fromStep) return;
+        const tempoMap = this.state.tempoMap;
+        const now = this.audio.ctx.currentTime;
+        const sidechainLinks = this.state.getSidechainLinks();
+
+        this.state.getAllNotesFlattened(fromStep, toStep).forEach(n => {
+            const t = zeroTime + tempoMap.stepToSeconds(n.playTime);
+            if (t < now - 0.1) return;
+
+            // Dip the tracks this note's track is keyed to
+            const links = sidechainLinks.get(n.trackId);
+            if (links) {
+                links.forEach(link => {
+                    if (isSidechainTrigger(link.sidechain, n.midi, link.sourceType)) {
+                        this.audio.duckTrack(link.trackId, Math.max(now, t), link.sidechain, n.playVelocity);
+                    }
+                });
+            }
+
+            const settings = n._synthSettings || {
+                waveform: 'triangle',
+                attack: 0.01,
+                decay: 0.1,
+                sustain: 0.5,
+                release: 0.5
+            };
+
+            if (n.trackType === 'DRUMS') {
+                this.audio.playDrum(n.midi, Math.max(now, t), settings, n.playVelocity, null, null, n.trackId);
+            } else if (n.trackType === 'SAMPLER') {
+                const length = Math.min(n.duration, cutStep - n.playTime);
+                this.audio.playSample(n.midi, tempoMap.spanToSeconds(n.playTime, length), Math.max(now, t),
+                    settings, n._sampler, n.playVelocity, null, null, n.trackId);
+            } else {
+                const length = Math.min(n.duration, cutStep - n.playTime);
+                // Passing trackId prevents AudioEngine from rebuilding FX chains unnecessarily,
+                // eliminating audio crackling during playback.
+                this.audio.playNote(
+                    n.midi,
+                    tempoMap.spanToSeconds(n.playTime, length),
+                    Math.max(now, t),
+                    settings,
+                    n.playVelocity,
+                    n.trackPreset,
+                    null, // targetCtx (null for live playback)
+                    null, // targetDest (null for live playback)
+                    false, // bypassFX
+                    false, // isOfflineRender
+                    n.trackId
+                );
+            }
+        });
+    }
+
+    /**
+     * Gets the metronome clicks in a step range: every beat unit of the meter map,
+     * with the downbeat accented and, in grouped meters (6/8, 7/8), each group start.
+     * @param {number} fromStep - Range start (inclusive).
+     * @param {number} toStep - Range end (exclusive).
+     * @returns {Array} Clicks { step, accent } (accent 2 = downbeat, 1 = group start, 0 = beat).
+     */
+    getClicks(fromStep, toStep) {
+        const state = this.state;
+        const clicks = [];
+        let bar = state.getBarAtStep(Math.max(0, fromStep));
+        for (let start = state.getBarStartStep(bar); start < toStep; start = state.getBarStartStep(++bar)) {
+            const meter = state.getMeter(bar);
+            const isGrouped = meter.grouping.some(g => g > 1);
+            for (let u = 0; u < meter.stepsPerBar; u += meter.unitSteps) {
+                const step = start + u;
+                if (step < fromStep || step >= toStep) continue;
+                const accent = u === 0 ? 2 : (isGrouped && meter.beatSteps.includes(u) ? 1 : 0);
+                clicks.push({ step, accent });
+            }
+        }
+        return clicks;
+    }
+
+    /**
+     * Schedules the automation lanes over a step range. Each range starts by setting the
+     * lane's current value, so lane edits and loop jumps are picked up on the next range.
+     * @param {number} fromStep - Range start.
+     * @param {number} toStep - Range end.
+     * @param {number} zeroTime - Context time of step 0 in this pass.
+     */
+    scheduleAutomation(fromStep, toStep, zeroTime) {
+        if (toStep <= fromStep) return;
+        const tempoMap = this.state.tempoMap;
+        const toTime = (step) => zeroTime + tempoMap.stepToSeconds(step);
+
+        this.state.tracks.forEach(track => {
+            const automation = track.automation || {};
+            Object.keys(automation).forEach(laneId => {
+                const events = getAutomationEvents(automation[laneId], fromStep, toStep);
+                if (events.length > 0) this.audio.automateTrack(track.id, laneId, events, toTime);
+            });
+        });
+        const master = this.state.masterAutomation || {};
+        Object.keys(master).forEach(laneId => {
+            const events = getAutomationEvents(master[laneId], fromStep, toStep);
+            if (events.length > 0) this.audio.automateMaster(laneId, events, toTime);
+        });
+    }
+
+    /**
+     * Plays the metronome clicks in a step range.
+     * @param {number} fromStep - Range start (inclusive).
+     * @param {number} toStep - Range end (exclusive).
+     * @param {number} zeroTime - Context time of step 0 in this pass.
+     */
+    scheduleClicks(fromStep, toStep, zeroTime) {
+        const sound = this.state.metronome.sound;
+        this.getClicks(fromStep, toStep).forEach(click => {
+            this.audio.playClick(zeroTime + this.state.tempoMap.stepToSeconds(click.step), click.accent, sound);
+        });
+    }
+
+    /**
+     * Plays a count-in in the meter and tempo of the start position (also when the metronome is off).
+     * @param {number} fromStep - Step playback starts at.
+     * @param {number} bars - Number of bars (1-2).
+     * @param {number} time - Context time the count-in starts.
+     * @returns {number} Context time the song starts (the end of the count-in).
+     */
+    scheduleCountIn(fromStep, bars, time) {
+        const state = this.state;
+        const meter = state.getMeter(state.getBarAtStep(fromStep));
+        const secondsPerStep = state.getSecondsPerStep(state.tempoMap.getBpmAtStep(fromStep));
+        const isGrouped = meter.grouping.some(g => g > 1);
+
+        for (let b = 0; b < bars; b++) {
+            for (let u = 0; u < meter.stepsPerBar; u += meter.unitSteps) {
+                const accent = u === 0 ? 2 : (isGrouped && meter.beatSteps.includes(u) ? 1 : 0);
+                this.audio.playClick(time + (b * meter.stepsPerBar + u) * secondsPerStep, accent, state.metronome.sound);
+            }
+        }
+        return time + bars * meter.stepsPerBar * secondsPerStep;
+    }
+
+    /**
+     * Gets the song position played at a context time.
+     * @param {number} time - Audio context time.
+     * @returns {number} Fractional step.
+     */
+    getPositionAt(time) {
+        if (this.anchors.length === 0) return 0;
+        let anchor = this.anchors[0];
+        for (const a of this.anchors) {
+            if (a.time <= time) anchor = a;
+        }
+        const tempoMap = this.state.tempoMap;
+        return tempoMap.secondsToStep(tempoMap.stepToSeconds(anchor.step) + (time - anchor.time));
+    }
+
+    /**
+     * Gets the context time that is coming out of the speakers right now
+     * (the context clock runs ahead of the output by the output latency).
+     * @returns {number} Audio context time.
+     */
+    getHeardTime() {
+        const ctx = this.audio.ctx;
+        return ctx.currentTime - (ctx.outputLatency || ctx.baseLatency || 0);
+    }
+
+    /**
+     * Gets the song position that is being heard, for the playhead and HUD.
+     * @returns {Object} { step, bar, beat (1-based beat unit in the bar), seconds (song time) }.
+     */
+    getSongPosition() {
+        const step = Math.max(0, this.getPositionAt(this.getHeardTime()));
+        const bar = this.state.getBarAtStep(step);
+        const unit = this.state.getMeter(bar).unitSteps;
+        return {
+            step: step,
+            bar: bar,
+            beat: Math.floor((step - this.state.getBarStartStep(bar)) / unit) + 1,
+            seconds: this.state.tempoMap.stepToSeconds(step)
+        };
+    }
+}
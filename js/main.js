@@ -27,11 +27,23 @@ import Renderer from './Renderer.js';
 import Interaction from './Interaction.js';
 import Exporter from './Exporter.js';
 import MidiParser from './MidiParser.js';
+import SoundFontParser from './SoundFontParser.js';
 import History from './History.js';
+import HistoryStore from './HistoryStore.js';
+import Transport from './Transport.js';
 import CircleOfFifths from './CircleOfFifths.js';
 import ChordCalculator from './ChordCalculator.js';
+import Mixer from './Mixer.js';
+import InsertEditor from './InsertEditor.js';
+import SamplerEditor from './SamplerEditor.js';
+import AutomationLanes from './AutomationLanes.js';
 import CloudClient from './CloudClient.js';
+import RenderCompare from './RenderCompare.js';
 import { INSTRUMENTS, getInstrumentSettings } from './InstrumentDefs.js';
+import { GROOVES } from './GrooveDefs.js';
+import { getDefaultSampler } from './SamplerDefs.js';
+import { findGmPreset, createSamplerFromPreset } from './SoundFontDefs.js';
+import { RETURN_BUSES, SIDECHAIN_TRIGGERS, getDefaultMaster, getDefaultReturns, getDefaultSends, getReturnLabel, createInsert, createSidechain } from './EffectDefs.js';
 
 console.log("App Starting (Cloud & Analytics Integrated)...");
 
@@ -125,12 +137,20 @@ function logEvent(name, params = {}) {
 // --- Initialization ---
 const brain = new MusicBrain();
 const state = new State();
+state.schema.scaleNames = Object.keys(brain.scales);
 const audio = new AudioEngine();
+const transport = new Transport(state, audio);
 const renderer = new Renderer('mainCanvas', state, brain, audio); // Audio engine dependency injected
 const history = new History(state, renderer);
 const interaction = new Interaction(renderer, audio, history);
 const exporter = new Exporter(state, audio);
+const renderCompare = new RenderCompare(state, audio);
 const midiParser = new MidiParser();
+const soundFontParser = new SoundFontParser();
+// SoundFonts loaded this session; projects keep only the samples of the presets they use
+const soundFonts = [];
+// Embedded sample ids per SoundFont, so applying a preset again reuses its files (see createSamplerFromPreset)
+const soundFontSampleIds = new WeakMap();
 const cloudClient = new CloudClient();
 
 /**
@@ -139,6 +159,8 @@ const cloudClient = new CloudClient();
  */
 const unlockAudio = async () => {
     await audio.init();
+    audio.setClickLevel(state.metronome.level);
+    updateMixer();
     window.removeEventListener('mousedown', unlockAudio);
     window.removeEventListener('keydown', unlockAudio);
 };
@@ -200,10 +222,8 @@ let selectedTrackIndexForContext = -1;
 
 // --- Global State Variables ---
 let animationFrameId;
-let audioStartTime = 0;
-let schedulerIntervalId = null;
-let nextNoteIndex = 0;
 let isAutoScrolling = false;
+let mixerInstance = null; // Created when the mixer is first opened
 
 // ============================================================================
 // Playback Logic
@@ -212,7 +232,8 @@ let isAutoScrolling = false;
 playBtn.addEventListener('click', () => {
     playBtn.blur();
     if (audio.ctx.state === 'suspended') audio.ctx.resume();
-    audio.init().then(() => {
+    // Sampler tracks are silent until their samples are decoded
+    audio.init().then(() => audio.loadSamples(state.samples)).then(() => {
         if (state.isPlaying) stopPlayback();
         else startPlayback();
     });
@@ -220,18 +241,13 @@ playBtn.addEventListener('click', () => {
 
 /**
  * Starts the playback process.
- * Prepares notes, sorts them, and initializes the scheduler.
+ * The transport reads the project while it plays, so edits are heard on the next pass.
  */
 function startPlayback() {
-    // Retrieve notes from State (now including per-track synth settings)
-    const allNotesToPlay = state.getAllNotesFlattened();
-    if (allNotesToPlay.length === 0) return;
-
-    allNotesToPlay.sort((a, b) => a.time - b.time);
-    state._playbackNotes = allNotesToPlay;
-
-    updateMixer();
     state.isPlaying = true;
+    updateMixer(); // Creates missing buses, so levels and pan apply from the first note
+    audio.setInsertNoiseActive(true);
+    audio.resetMasterMeter(); // Integrated loudness covers this playback
 
     logEvent('playback_start', { 
         bpm: state.bpm, 
@@ -242,18 +258,12 @@ function startPlayback() {
     playBtn.innerText = "■ Stop";
     playBtn.style.color = "#ff6b6b";
 
-    const stepDur = 60 / state.bpm * (4 / state.stepsPerBar);
-    const now = audio.ctx.currentTime;
-    audioStartTime = now + 0.1 - (state.playbackStartStep * stepDur);
-    nextNoteIndex = 0;
-
-    // Skip notes that have already passed based on start position
-    while (nextNoteIndex < state._playbackNotes.length && state._playbackNotes[nextNoteIndex].time < state.playbackStartStep) {
-        nextNoteIndex++;
-    }
+    // With a loop, a start marker outside the region starts at the loop instead
+    const loop = state.getActiveLoop();
+    let fromStep = state.playbackStartStep;
+    if (loop && (fromStep < loop.start || fromStep >= loop.end)) fromStep = loop.start;
 
-    if (schedulerIntervalId) clearInterval(schedulerIntervalId);
-    schedulerIntervalId = setInterval(scheduler, 25);
+    transport.start(fromStep);
     animatePlayhead();
 }
 
@@ -261,77 +271,29 @@ function startPlayback() {
  * Stops playback and resets audio state.
  */
 function stopPlayback() {
-    logEvent('playback_stop', { duration_played: audio.ctx.currentTime - audioStartTime });
+    logEvent('playback_stop', { duration_played: audio.ctx.currentTime - transport.startedAt });
     state.isPlaying = false;
     playBtn.innerText = "▶ Play";
     playBtn.style.color = "";
     cancelAnimationFrame(animationFrameId);
-    if (schedulerIntervalId) clearInterval(schedulerIntervalId);
+    transport.stop();
     audio.stopAll();
+    audio.resetDucking();
+    audio.stopAutomation();
+    audio.setInsertNoiseActive(false);
     renderer.draw();
 }
 
-/**
- * Audio Scheduler: Schedules notes in advance to ensure precise timing.
- * Runs on a strict interval.
- */
-function scheduler() {
-    const ahead = 0.2;
-    const stepDur = 60 / state.bpm * (4 / state.stepsPerBar);
-    const now = audio.ctx.currentTime;
-    const notes = state._playbackNotes || [];
-
-    while (nextNoteIndex < notes.length) {
-        const n = notes[nextNoteIndex];
-        const t = audioStartTime + (n.time * stepDur);
-
-        if (t > now + ahead) break;
-
-        if (t > now - 0.1) {
-            let vol = n.velocity;
-            // if (n.trackVolume !== undefined) vol *= n.trackVolume;
-
-            const settings = n._synthSettings || {
-                waveform: 'triangle',
-                attack: 0.01,
-                decay: 0.1,
-                sustain: 0.5,
-                release: 0.5
-            };
-
-            if (n.trackType === 'DRUMS') {
-                audio.playDrum(n.midi, Math.max(now, t), settings, vol, null, null, n.trackId);
-            } else {
-                // Critical Fix: Passing trackId prevents AudioEngine from rebuilding FX chains unnecessarily,
-                // eliminating audio crackling during playback.
-                audio.playNote(
-                    n.midi,
-                    n.duration * stepDur,
-                    Math.max(now, t),
-                    settings,
-                    vol,
-                    n.trackPreset,
-                    null, // targetCtx (null for live playback)
-                    null, // targetDest (null for live playback)
-                    false, // bypassFX
-                    false, // isOfflineRender
-                    n.trackId // Key Parameter: Unique Track ID
-                );
-            }
-        }
-        nextNoteIndex++;
-    }
-}
-
 /**
  * Animation Loop: Updates the playhead position and HUD UI.
  */
 function animatePlayhead() {
     if (!state.isPlaying) return;
 
-    const stepDur = 60 / state.bpm * (4 / state.stepsPerBar);
-    const elapsed = audio.ctx.currentTime - audioStartTime;
-    const currentStepFloat = elapsed / stepDur;
+    // Keeps the master loudness measurement running while the mixer is closed
+    audio.updateMasterMeter();
+
+    const currentStepFloat = transport.getSongPosition().step;
 
     const c = renderer.config;
     state.currentPlayX = Math.floor(c.keyWidth + (currentStepFloat * c.gridW));
@@ -355,21 +317,24 @@ function animatePlayhead() {
 
     // --- HUD Update Logic (Practice Mode & Timeline) ---
     if (isHudVisible) {
-        const currentBar = Math.floor(currentStepFloat / state.stepsPerBar);
+        const currentBar = state.getBarAtStep(currentStepFloat);
+        const currentChord = state.getChordAt(currentStepFloat);
 
         // 1. Update Progress Bar
-        const progressInBar = (currentStepFloat % state.stepsPerBar) / state.stepsPerBar;
+        const progressInBar = (currentStepFloat - state.getBarStartStep(currentBar)) / state.getStepsInBar(currentBar);
         hudProgressBar.style.width = `${progressInBar * 100}%`;
 
-        // 2. Update Text (Only on bar change to save performance)
-        if (currentBar !== lastRenderedBar) {
-            lastRenderedBar = currentBar;
+        // 2. Update Text (Only on bar or chord change to save performance)
+        const hudPosition = `${currentBar}:${currentChord ? currentChord.start : -1}`;
+        if (hudPosition !== lastRenderedBar) {
+            lastRenderedBar = hudPosition;
 
             if (currentBar >= 0 && currentBar < state.totalBars) {
-                // Determine 3 chords: Current, Next, Later
-                const currName = getChordName(currentBar);
-                const nextName = getChordName(currentBar + 1);
-                const laterName = getChordName(currentBar + 2);
+                // Determine 3 chords: Current, Next, Later (chords may change mid-bar)
+                const upcoming = state.chordRegions.filter(r => r.start > currentStepFloat);
+                const currName = currentChord ? getChordName(currentChord) : "--";
+                const nextName = upcoming[0] ? getChordName(upcoming[0]) : "--";
+                const laterName = upcoming[1] ? getChordName(upcoming[1]) : "--";
 
                 hudCurrentChord.innerText = currName;
                 hudNextChord.innerText = nextName;
@@ -398,7 +363,7 @@ function animatePlayhead() {
     }
 
     // Stop if song ended
-    if (currentStepFloat > (state.totalBars * state.stepsPerBar) + 1) {
+    if (currentStepFloat > state.getTotalSteps() + 1) {
         stopPlayback();
         state.playbackStartStep = 0;
         state.currentPlayX = 0;
@@ -413,6 +378,12 @@ function animatePlayhead() {
 // Synth Panel Logic
 // ============================================================================
 
+// Insert effect chain of the active track
+const insertEditor = new InsertEditor('insertList', 'insertAddSelect', state, history, () => updateMixer());
+// Sample zones of the active SAMPLER track
+const samplerEditor = new SamplerEditor('samplerZoneList', 'samplerFileInput', 'samplerMapBtn', state, audio, history, () => updateMixer());
+document.getElementById('samplerLoadBtn').addEventListener('click', () => document.getElementById('samplerFileInput').click());
+
 /**
  * Updates the Synth Panel UI values based on the currently active track.
  */
@@ -421,18 +392,65 @@ function updateSynthPanelUI() {
     if (!track) return;
 
     const s = track.synthSettings;
+    // Samplers play their zones instead of an oscillator
+    const isSampler = track.type === 'SAMPLER';
+    document.getElementById('synthWaveRow').style.display = isSampler ? 'none' : '';
+    document.getElementById('samplerSection').style.display = isSampler ? 'block' : 'none';
+    if (isSampler) samplerEditor.render(track);
+    else document.getElementById('synthWave').value = s.waveform;
     // ADSR
-    document.getElementById('synthWave').value = s.waveform;
     document.getElementById('synthAttack').value = s.attack;
     document.getElementById('synthDecay').value = s.decay;
     document.getElementById('synthSustain').value = s.sustain;
     document.getElementById('synthRelease').value = s.release;
 
-    // FX
-    document.getElementById('synthDelayMix').value = s.delayMix || 0;
-    document.getElementById('synthDelayTime').value = s.delayTime || 0.3;
-    document.getElementById('synthDelayFeed').value = s.delayFeedback || 0.4;
-    document.getElementById('synthReverb').value = s.reverbMix || 0;
+    // FX sends
+    const sends = track.sends || {};
+    RETURN_BUSES.forEach(def => {
+        document.getElementById(`synthSend-${def.id}`).value = sends[def.id] || 0;
+        document.getElementById(`synthSendLabel-${def.id}`).innerText = getReturnLabel(def, state.returns[def.id]);
+    });
+
+    insertEditor.render(track);
+    updateSidechainUI(track);
+}
+
+/**
+ * Fills the sidechain controls for a track: the other tracks as sources, and the
+ * trigger choice (only meaningful for a drum source).
+ * @param {Object} track - The active track.
+ */
+function updateSidechainUI(track) {
+    const sc = track.sidechain;
+    const sourceSelect = document.getElementById('sidechainSource');
+    sourceSelect.innerHTML = '<option value="">Off</option>';
+    state.tracks.forEach(t => {
+        if (t === track) return;
+        const opt = document.createElement('option');
+        opt.value = t.id;
+        opt.innerText = `Duck from: ${t.name}`;
+        sourceSelect.appendChild(opt);
+    });
+    sourceSelect.value = sc ? sc.source : '';
+
+    const source = sc ? state.tracks.find(t => t.id === sc.source) : null;
+    const triggerSelect = document.getElementById('sidechainTrigger');
+    triggerSelect.innerHTML = '';
+    Object.keys(SIDECHAIN_TRIGGERS).forEach(key => {
+        const opt = document.createElement('option');
+        opt.value = key;
+        opt.innerText = SIDECHAIN_TRIGGERS[key].label;
+        triggerSelect.appendChild(opt);
+    });
+    triggerSelect.value = sc ? sc.trigger : 'kick';
+    triggerSelect.disabled = !source || source.type !== 'DRUMS';
+
+    const defaults = createSidechain('');
+    ['amount', 'attack', 'release'].forEach(key => {
+        const input = document.getElementById('sidechain' + key.charAt(0).toUpperCase() + key.slice(1));
+        input.value = sc ? sc[key] : defaults[key];
+        input.disabled = !sc;
+    });
 }
 
 // Listeners for Synth Control Changes (including FX)
@@ -460,27 +478,6 @@ const synthControls = [{
         el: document.getElementById('synthRelease'),
         key: 'release',
         isNum: true
-    },
-    // --- FX Controls ---
-    {
-        el: document.getElementById('synthDelayMix'),
-        key: 'delayMix',
-        isNum: true
-    },
-    {
-        el: document.getElementById('synthDelayTime'),
-        key: 'delayTime',
-        isNum: true
-    },
-    {
-        el: document.getElementById('synthDelayFeed'),
-        key: 'delayFeedback',
-        isNum: true
-    },
-    {
-        el: document.getElementById('synthReverb'),
-        key: 'reverbMix',
-        isNum: true
     }
 ];
 
@@ -488,6 +485,7 @@ synthControls.forEach(ctrl => {
     ctrl.el.addEventListener('input', (e) => {
         const track = state.tracks[state.activeTrackIndex];
         if (track) {
+            history.saveState('Change sound', { coalesce: `synth:${track.id}:${ctrl.key}`, tracks: [track.id] });
             let val = e.target.value;
             if (ctrl.isNum) val = parseFloat(val);
             track.synthSettings[ctrl.key] = val;
@@ -495,6 +493,42 @@ synthControls.forEach(ctrl => {
     });
 });
 
+// Send levels to the shared effect buses
+RETURN_BUSES.forEach(def => {
+    document.getElementById(`synthSend-${def.id}`).addEventListener('input', (e) => {
+        const track = state.tracks[state.activeTrackIndex];
+        if (!track) return;
+        history.saveState(`Send to ${def.label}: ${track.name}`, { coalesce: `send:${track.id}:${def.id}`, tracks: [track.id] });
+        track.sends = { ...track.sends, [def.id]: parseFloat(e.target.value) };
+        updateMixer();
+    });
+});
+
+// Sidechain ducking of the active track
+document.getElementById('sidechainSource').addEventListener('change', (e) => {
+    const track = state.tracks[state.activeTrackIndex];
+    if (!track) return;
+    history.saveState(`Sidechain: ${track.name}`, { tracks: [track.id] });
+    // Switching sources keeps the amount and timing already dialled in
+    track.sidechain = e.target.value ? createSidechain(e.target.value, track.sidechain || {}) : null;
+    updateSidechainUI(track);
+});
+document.getElementById('sidechainTrigger').addEventListener('change', (e) => {
+    const track = state.tracks[state.activeTrackIndex];
+    if (!track || !track.sidechain) return;
+    history.saveState(`Sidechain trigger: ${track.name}`, { tracks: [track.id] });
+    track.sidechain = { ...track.sidechain, trigger: e.target.value };
+});
+['amount', 'attack', 'release'].forEach(key => {
+    const input = document.getElementById('sidechain' + key.charAt(0).toUpperCase() + key.slice(1));
+    input.addEventListener('input', (e) => {
+        const track = state.tracks[state.activeTrackIndex];
+        if (!track || !track.sidechain) return;
+        history.saveState(`Sidechain ${key}: ${track.name}`, { coalesce: `sidechain:${track.id}:${key}`, tracks: [track.id] });
+        track.sidechain = { ...track.sidechain, [key]: parseFloat(e.target.value) };
+    });
+});
+
 document.getElementById('synthMenuBtn').addEventListener('click', () => {
     melodyPanel.style.display = 'none';
     structurePanel.style.display = 'none';
@@ -515,6 +549,49 @@ autoScrollBtn.addEventListener('click', () => {
 });
 if (state.autoScroll) autoScrollBtn.classList.add('active');
 
+// Loop: toggles the region drawn on the ruler; without one, loops the bar at the start marker
+const loopBtn = document.getElementById('loopBtn');
+function updateLoopButton() {
+    loopBtn.classList.toggle('active', state.loopEnabled);
+    loopBtn.style.color = state.loopEnabled ? "#00d2d3" : "#888";
+}
+loopBtn.addEventListener('click', () => {
+    loopBtn.blur();
+    if (!state.loopRegion) {
+        const bar = Math.min(state.totalBars - 1, state.getBarAtStep(state.playbackStartStep));
+        state.setLoop(state.getBarStartStep(bar), state.getBarStartStep(bar + 1));
+    } else {
+        state.loopEnabled = !state.loopEnabled;
+    }
+    updateLoopButton();
+    renderer.draw();
+});
+window.addEventListener('loopChanged', updateLoopButton);
+updateLoopButton();
+
+// Automation lanes under the piano roll
+const automationBtn = document.getElementById('automationBtn');
+const automationLanes = new AutomationLanes('automation-container', state, renderer, history, () => updateMixer());
+renderer.lanes = automationLanes;
+
+/**
+ * Shows or hides the automation lanes.
+ * @param {boolean} open 
+ */
+function setAutomationOpen(open) {
+    if (open) automationLanes.open();
+    else automationLanes.close();
+    automationBtn.classList.toggle('active', open);
+    automationBtn.style.color = open ? "#00d2d3" : "#888";
+    // The piano roll gives up (or gets back) the room of the lanes
+    renderer.resize();
+}
+automationBtn.addEventListener('click', () => {
+    automationBtn.blur();
+    setAutomationOpen(!automationLanes.isOpen());
+});
+document.getElementById('closeAutomationBtn').addEventListener('click', () => setAutomationOpen(false));
+
 if (toggleVisualizerBtn) {
     // 1. Click Handler
     toggleVisualizerBtn.addEventListener('click', () => {
@@ -531,22 +608,24 @@ if (toggleVisualizerBtn) {
 
 window.addEventListener('keydown', (e) => {
     if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return;
+    if (interaction.onKeyDown(e)) return;
     if (e.code === 'Space') {
         e.preventDefault();
         playBtn.click();
     }
+    if (e.code === 'KeyL' && !e.ctrlKey && !e.metaKey) loopBtn.click();
+    if (e.code === 'KeyK' && !e.ctrlKey && !e.metaKey) metronomeBtn.click();
+    if (e.code === 'KeyA' && !e.ctrlKey && !e.metaKey) automationBtn.click();
     if ((e.ctrlKey || e.metaKey) && e.code === 'KeyZ') {
         e.preventDefault();
         if (e.shiftKey) history.redo();
         else history.undo();
-        updateUIControls();
-        renderer.draw();
+        refreshAfterHistoryMove();
     }
     if ((e.ctrlKey || e.metaKey) && e.code === 'KeyY') {
         e.preventDefault();
         history.redo();
-        updateUIControls();
-        renderer.draw();
+        refreshAfterHistoryMove();
     }
 });
 
@@ -557,11 +636,13 @@ brain.noteNames.forEach((n, i) => {
     rootSel.add(opt);
 });
 rootSel.addEventListener('change', e => {
+    history.saveState('Change key', { song: ['rootKey'] });
     state.rootKey = parseInt(e.target.value);
     renderer.updateScaleCache();
     renderer.draw();
 });
 scaleSel.addEventListener('change', e => {
+    history.saveState('Change scale', { song: ['scaleName'] });
     state.scaleName = e.target.value;
     renderer.updateScaleCache();
     renderer.draw();
@@ -573,7 +654,9 @@ vocalRangeSel.addEventListener('change', (e) => {
 
 function updateBPM(val) {
     if (isNaN(val) || val <= 0) return;
+    if (val !== state.bpm) history.saveState('Change tempo', { coalesce: 'bpm', song: ['bpm'] });
     state.bpm = val;
+    updateMixer(); // The delay bus follows the tempo
     renderer.draw();
 }
 bpmInput.addEventListener('input', (e) => updateBPM(parseInt(e.target.value)));
@@ -616,32 +699,30 @@ document.getElementById('doGenerateBtn').addEventListener('click', () => {
 
     if (startBar < 0 || lenBars <= 0) return;
 
-    const startStep = startBar * state.stepsPerBar;
-    const endStep = (startBar + lenBars) * state.stepsPerBar;
+    const startStep = state.getBarStartStep(startBar);
+    const endStep = state.getBarStartStep(startBar + lenBars);
 
     // Warning for overwriting active track notes
     const activeTrack = state.tracks[state.activeTrackIndex];
     if (activeTrack.notes.some(n => n.time >= startStep && n.time < endStep)) {
         if (!confirm("Overwrite active track notes?")) return;
     }
-    history.saveState();
+    history.saveState(lenBars > 1 ? `Generate melody bars ${startBar + 1}-${startBar + lenBars}` : `Generate melody bar ${startBar + 1}`, { tracks: [activeTrack.id] });
 
     // Clear existing notes in the selected range for the active track
     activeTrack.notes = activeTrack.notes.filter(n => n.time < startStep || n.time >= endStep);
 
-    // Generate Chord Map for the section
-    const chordMap = {};
-    for (let i = startBar; i < startBar + lenBars; i++) {
-        const chordIdx = state.barChords[i] || 0;
-        const chordDef = brain.chordDegrees[state.scaleName][chordIdx];
-        if (chordDef) {
-            const rootNote = brain.getChordRootInScale(state.rootKey, state.scaleName, chordIdx);
-            chordMap[i] = chordDef.intervals.map(interval => rootNote + interval + 60);
-        }
-    }
+    // Chord tones at any step of the section (chords can change mid-bar)
+    const chordNotesAt = (step) => {
+        const key = state.getKeyAtStep(step);
+        const chordDef = brain.resolveChord(state.getChordEntryAt(step), key);
+        if (!chordDef) return [];
+        return chordDef.intervals.map(interval => key.rootKey + interval + 60);
+    };
 
     let generatedNotes = [];
-    if (algo === 'MARKOV') generatedNotes = brain.generateMelodyMarkov(state.rootKey, state.scaleName, chordMap, startBar, lenBars, complexity, state);
+    const startKey = state.getKeyAtBar(startBar);
+    if (algo === 'MARKOV') generatedNotes = brain.generateMelodyMarkov(startKey.rootKey, startKey.scaleName, chordNotesAt, startBar, lenBars, complexity, state);
     else generatedNotes = brain.generateMelody(startBar, lenBars, complexity, state);
 
     generatedNotes.forEach(n => state.addNote(n.midi, n.time, n.duration, n.velocity));
@@ -673,25 +754,40 @@ if (applyStructureBtn) {
         if (!template) return;
 
         // 2. Save State
-        if (state.history) state.history.saveState();
+        history.saveState(`Generate song (${template.label || templateKey})`, history.getProjectScope());
 
         // 3. Reset Project
         state.tracks = [];
         state.activeTrackIndex = -1;
 
-        // 4. Set Tempo
+        // 4. Set Tempo & Meter
         state.bpm = template.bpm;
         document.getElementById('bpmInput').value = template.bpm;
+        state.tempoChanges = [];
+        state.meterChanges = [];
+        state.keyChanges = [];
+        // Templates such as Boom Bap or Reggaeton bring their own feel
+        state.groove = template.groove ? { ...template.groove } : { template: 'Straight', amount: 0 };
+        updateGrooveControls();
+        state.returns = getDefaultReturns();
+        state.master = getDefaultMaster();
+        state.masterAutomation = {};
+        state.samples = {};
+        const meter = state.parseTimeSignature(template.timeSignature || '4/4');
+        state.setTimeSignature(meter.numerator, meter.denominator, meter.grouping);
+        timeSigSelect.value = getTimeSigValue();
+        rhythmSelect.value = state.gridResolution;
 
         // 5. Generate Structure
         const structure = brain.generateSongStructure(templateKey);
         state.totalBars = structure.length;
         state.barStructure = structure;
+        applyTemplateTempoChanges(template);
 
         // 6. Generate Chords (using Genre)
         const selectedStyle = brain.getStyleByVibe(genreKey, vibeIndex);
 
-        state.barChords = [];
+        const barChords = [];
         for (let i = 0; i < state.totalBars; i++) {
             const currentSection = state.barStructure[i];
             let targetSectionForChords = currentSection;
@@ -708,36 +804,69 @@ if (applyStructureBtn) {
             }
 
             const chord = sectionChords[i % sectionChords.length];
-            state.barChords.push(chord !== undefined ? chord : 0);
+            barChords.push(chord !== undefined ? chord : 0);
         }
+        state.setChordsFromBars(barChords);
 
         // 7. Generate Tracks
         const instruments = brain.getInstrumentsForGenre(genreKey); // Key fix: get instruments by genre
 
+        // Templates can colour each part with insert effects (e.g. Lo-Fi)
+        const applyTemplateInserts = (role) => {
+            const list = template.inserts && template.inserts[role];
+            if (list) state.tracks[state.tracks.length - 1].inserts = list.map(ins => createInsert(ins.type, ins.params));
+        };
+        // ...and duck parts under the kick of the drum track (e.g. EDM)
+        const applyTemplateSidechain = (role, drumTrack) => {
+            const params = template.sidechain && template.sidechain[role];
+            if (params) state.tracks[state.tracks.length - 1].sidechain = createSidechain(drumTrack.id, params);
+        };
+
         // A. Drums
         state.addTrack('DRUMS', 'Standard');
+        applyTemplateInserts('drums');
+        const drumTrack = state.tracks[state.tracks.length - 1];
         generateDrumsForWholeSong(state.tracks.length - 1, genreKey);
 
+        // With a General MIDI SoundFont loaded, the parts use its sounds
+        const applyGmSound = (presetName) => {
+            const font = soundFonts.find(f => findGmPreset(f, presetName));
+            if (font) applySoundFontPreset(state.tracks[state.tracks.length - 1], font, findGmPreset(font, presetName));
+        };
+
         // B. Bass
         state.addTrack('SYNTH', instruments.bass);
+        applyGmSound(instruments.bass);
+        applyTemplateInserts('bass');
+        applyTemplateSidechain('bass', drumTrack);
         generateBassForWholeSong(state.tracks.length - 1);
 
         // C. Pad
         state.addTrack('SYNTH', instruments.pad);
+        applyGmSound(instruments.pad);
+        applyTemplateInserts('pad');
+        applyTemplateSidechain('pad', drumTrack);
         generatePadForWholeSong(state.tracks.length - 1);
 
         // D. Lead
         state.addTrack('SYNTH', instruments.lead);
+        applyGmSound(instruments.lead);
+        applyTemplateInserts('lead');
+        applyTemplateSidechain('lead', drumTrack);
         generateLeadForWholeSong(state.tracks.length - 1);
 
         // E. Arp
         state.addTrack('SYNTH', instruments.arp);
+        applyGmSound(instruments.arp);
+        applyTemplateInserts('arp');
+        applyTemplateSidechain('arp', drumTrack);
         const arpTrackIdx = state.tracks.length - 1;
 
         // If Rock, allow default settings for distortion; if Pop, apply softer settings.
         generateArpForWholeSong(arpTrackIdx, genreKey);
 
         // 8. Refresh UI
+        updateMixer(); // Decodes SoundFont samples
         renderTrackList();
         if (renderer.forceResize) renderer.forceResize();
         else renderer.resize();
@@ -747,13 +876,14 @@ if (applyStructureBtn) {
 }
 
 document.getElementById('clearBtn').addEventListener('click', () => {
-    history.saveState();
-    state.tracks[state.activeTrackIndex].notes = [];
+    const track = state.tracks[state.activeTrackIndex];
+    history.saveState('Clear all notes', { tracks: [track.id] });
+    track.notes = [];
     renderer.draw();
 });
 document.getElementById('trimBarsBtn').addEventListener('click', () => {
     if (confirm("Trim empty bars?")) {
-        history.saveState();
+        history.saveState('Trim empty bars', history.getTimelineScope());
         state.deleteBar(state.totalBars - 1);
         renderer.resize();
     }
@@ -774,16 +904,39 @@ document.getElementById('toggleScaleHighlightBtn').addEventListener('click', ()
 // Menu Actions
 document.getElementById('menuNew').addEventListener('click', () => {
     if (confirm("New Project?")) {
-        history.saveState();
+        history.saveState('New project', history.getProjectScope());
         state.tracks = [state.createTrackObject(0, 'Grand Piano', 'SYNTH', '#00d2d3')];
         state.activeTrackIndex = 0;
-        state.barChords = [0, 0, 0, 0];
         state.barStructure = ['NONE', 'NONE', 'NONE', 'NONE'];
         state.totalBars = 4;
+        state.tempoChanges = [];
+        state.meterChanges = [];
+        state.keyChanges = [];
+        state.groove = { template: 'Straight', amount: 0 };
+        updateGrooveControls();
+        state.returns = getDefaultReturns();
+        state.master = getDefaultMaster();
+        state.masterAutomation = {};
+        state.samples = {};
+        updateMixer();
+        state.setChordsFromBars([0, 0, 0, 0]);
         renderTrackList();
         renderer.resize();
     }
 });
+/**
+ * Tells the user what was upgraded or repaired while loading a project.
+ * @param {Object} report - Result of state.loadProject().
+ */
+function showLoadReport(report) {
+    if (!report || report.warnings.length === 0) return;
+    const MAX_LINES = 12;
+    const lines = report.warnings.slice(0, MAX_LINES).map(w => "• " + w);
+    if (report.warnings.length > MAX_LINES) lines.push(`• ...and ${report.warnings.length - MAX_LINES} more.`);
+    const upgraded = report.fromVersion < state.schema.currentVersion ? " (upgraded from an older format)" : "";
+    alert(`Project loaded${upgraded}, but some data had to be repaired:\n\n` + lines.join("\n"));
+}
+
 document.getElementById('menuSave').addEventListener('click', () => exporter.saveProject());
 document.getElementById('menuOpen').addEventListener('click', () => fileInput.click());
 fileInput.addEventListener('change', (e) => {
@@ -792,13 +945,14 @@ fileInput.addEventListener('change', (e) => {
     const reader = new FileReader();
     reader.onload = (event) => {
         try {
-            const data = JSON.parse(event.target.result);
-            state.loadProject(data);
+            history.saveState('Open project', history.getProjectScope());
+            const report = state.loadProject(event.target.result);
             updateUIControls();
             renderTrackList();
             renderer.resize();
+            showLoadReport(report);
         } catch (err) {
-            alert("Error loading file.");
+            alert("Error loading file: " + err.message);
         }
     };
     reader.readAsText(file);
@@ -818,8 +972,14 @@ midiInput.addEventListener('change', (e) => {
         try {
             const notes = midiParser.parse(event.target.result);
             if (confirm(`Import ${notes.length} notes?`)) {
-                history.saveState();
-                notes.forEach(n => state.addNote(n.midi, n.time, n.duration, n.velocity));
+                history.saveState(`Import MIDI (${notes.length} notes)`, { tracks: [state.tracks[state.activeTrackIndex].id] });
+                // Beats become (fractional) steps as they are, so played timing keeps its feel
+                const stepsPerBeat = state.getStepsPerQuarter();
+                notes.forEach(n => {
+                    const time = state.roundTime(n.startBeat * stepsPerBeat);
+                    const duration = Math.max(state.roundTime(n.durationBeat * stepsPerBeat), state.getSnapSteps('1/64'));
+                    state.addNote(n.midi, time, duration, n.velocity);
+                });
                 renderTrackList();
                 renderer.resize();
             }
@@ -830,25 +990,205 @@ midiInput.addEventListener('change', (e) => {
     reader.readAsArrayBuffer(file);
     e.target.value = '';
 });
+/**
+ * Shows what Undo/Redo will do in the Edit menu, e.g. "Undo Generate melody bars 9-16".
+ */
+function updateUndoMenuLabels() {
+    const undoLabel = history.getUndoLabel();
+    const redoLabel = history.getRedoLabel();
+    document.getElementById('menuUndo').textContent = `↩ Undo${undoLabel ? ' ' + undoLabel : ''} (Ctrl+Z)`;
+    document.getElementById('menuRedo').textContent = `↪ Redo${redoLabel ? ' ' + redoLabel : ''} (Ctrl+Y)`;
+}
+document.getElementById('menuUndo').closest('.menu-item').addEventListener('mouseenter', updateUndoMenuLabels);
+
 document.getElementById('menuUndo').addEventListener('click', () => {
     history.undo();
-    updateUIControls();
-    renderTrackList();
-    renderer.draw();
+    refreshAfterHistoryMove();
 });
 document.getElementById('menuRedo').addEventListener('click', () => {
     history.redo();
+    refreshAfterHistoryMove();
+});
+
+/**
+ * Refreshes every view of the project after undo, redo or a jump in the history.
+ */
+function refreshAfterHistoryMove() {
     updateUIControls();
     renderTrackList();
+    updateMixer();
+    if (synthPanel.style.display === 'block') updateSynthPanelUI();
     renderer.draw();
+    updateUndoMenuLabels();
+}
+
+// ============================================================================
+// History Panel & Persistent Session
+// ============================================================================
+
+const historyPanel = document.getElementById('historyPanel');
+const historyList = document.getElementById('historyList');
+
+/**
+ * Lists the history tree in the History panel (only while it is open).
+ */
+function renderHistoryPanel() {
+    if (historyPanel.style.display !== 'block') return;
+    historyList.innerHTML = '';
+
+    history.getRows().forEach(({ node, depth, isCurrent, isActivePath }) => {
+        const row = document.createElement('div');
+        row.style.cssText = `display: flex; align-items: center; gap: 6px; padding: 5px 8px 5px ${8 + depth * 14}px; border-radius: 4px; cursor: pointer; font-size: 12px;` +
+            `border-left: 3px solid ${isCurrent ? 'var(--primary)' : 'transparent'};` +
+            (isCurrent ? 'background: #2d3436;' : '') +
+            (isActivePath ? '' : 'opacity: 0.5;');
+
+        const label = document.createElement('span');
+        label.style.cssText = "flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;";
+        label.textContent = (depth > 0 ? '↳ ' : '') + node.label;
+        row.appendChild(label);
+
+        if (node.checkpoint) {
+            const badge = document.createElement('span');
+            badge.style.cssText = "background: #f1c40f; color: #000; border-radius: 3px; padding: 1px 5px; font-size: 10px; font-weight: bold;";
+            badge.textContent = `📌 ${node.checkpoint}`;
+            badge.title = "Right-click to remove the checkpoint";
+            badge.addEventListener('contextmenu', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                history.removeCheckpoint(node.id);
+            });
+            row.appendChild(badge);
+        }
+
+        const time = document.createElement('span');
+        time.style.cssText = "color: #666; font-size: 10px;";
+        time.textContent = new Date(node.time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        row.appendChild(time);
+
+        row.onmouseover = () => { if (!isCurrent) row.style.background = '#2a2a2a'; };
+        row.onmouseout = () => { if (!isCurrent) row.style.background = ''; };
+        row.addEventListener('click', () => {
+            history.jumpTo(node.id);
+            refreshAfterHistoryMove();
+        });
+        historyList.appendChild(row);
+    });
+}
+history.onChange = renderHistoryPanel;
+
+document.getElementById('menuHistory').addEventListener('click', () => {
+    historyPanel.style.display = 'block';
+    history.commit();
+    renderHistoryPanel();
 });
+document.getElementById('closeHistoryBtn').addEventListener('click', () => historyPanel.style.display = 'none');
+
+// --- Range Clipboard ---
+const rangeCopyPanel = document.getElementById('rangeCopyPanel');
+
+window.openRangeCopy = (startStep) => {
+    const end = Math.min(state.getTotalSteps(), startStep + state.getStepsInBar(state.getBarAtStep(startStep)));
+    document.getElementById('rangeFromInput').value = state.formatPosition(startStep);
+    document.getElementById('rangeToInput').value = state.formatPosition(end);
+
+    const list = document.getElementById('rangeTrackList');
+    list.innerHTML = '';
+    state.tracks.forEach((track, index) => {
+        const row = document.createElement('label');
+        row.style.cssText = 'display: block; font-size: 12px; padding: 2px 0;';
+        const check = document.createElement('input');
+        check.type = 'checkbox';
+        check.value = index;
+        check.checked = index === state.activeTrackIndex;
+        row.appendChild(check);
+        row.appendChild(document.createTextNode(' ' + track.name));
+        list.appendChild(row);
+    });
+
+    rangeCopyPanel.style.display = 'block';
+};
+
+document.getElementById('closeRangeCopyBtn').addEventListener('click', () => rangeCopyPanel.style.display = 'none');
+
+document.getElementById('rangeCopyBtn').addEventListener('click', () => {
+    const start = state.parsePosition(document.getElementById('rangeFromInput').value);
+    const end = state.parsePosition(document.getElementById('rangeToInput').value);
+    if (start === null || end === null || end <= start) {
+        alert("Enter a valid range, e.g. from 5 to 9 or from 5.3 to 6.1.");
+        return;
+    }
+
+    const trackIndices = Array.from(document.querySelectorAll('#rangeTrackList input:checked')).map(c => parseInt(c.value));
+    const chords = document.getElementById('rangeChordsCheck').checked;
+    const sections = document.getElementById('rangeSectionsCheck').checked;
+    if (trackIndices.length === 0 && !chords && !sections) {
+        alert("Select at least one track, chords or section labels.");
+        return;
+    }
+
+    interaction.clipboard.write(state.copyRange(start, end, { trackIndices, chords, sections }));
+    rangeCopyPanel.style.display = 'none';
+});
+
+document.getElementById('addCheckpointBtn').addEventListener('click', () => {
+    const name = prompt("Checkpoint name (e.g. \"before reharm\"):");
+    if (!name || !name.trim()) return;
+    history.addCheckpoint(name.trim());
+});
+
+document.getElementById('clearHistoryBtn').addEventListener('click', () => {
+    if (!confirm("Clear the whole history, including checkpoints and branches? The current project is kept.")) return;
+    history.clear();
+    updateUndoMenuLabels();
+});
+
+// A mouse gesture (note drag, chord resize, slider move) is one step: close it on release
+window.addEventListener('mouseup', () => history.commit());
+
+// Persist the history so it survives a reload or a crashed tab
+const historyStore = new HistoryStore();
+if (historyStore.isAvailable()) {
+    historyStore.loadSession()
+        .then(session => {
+            if (!session || !session.tree || session.tree.nodes.length <= 1) return;
+            const when = new Date(session.savedAt).toLocaleString();
+            if (!confirm(`Restore your previous session from ${when}, including its undo history?`)) return;
+            const report = state.loadProject(session.project);
+            // The steps are patches against the saved project: if loading had to repair or
+            // upgrade it, they no longer fit, so only the project comes back
+            if (report.migrations.length > 0 || report.warnings.length > 0) {
+                history.clear();
+                alert("The saved project needed repairs, so it was restored without its undo history:\n" + report.warnings.join('\n'));
+            } else {
+                history.restore(session.tree);
+            }
+            renderer.resize();
+            refreshAfterHistoryMove();
+        })
+        .catch(err => console.warn("Previous session could not be restored:", err))
+        .then(() => history.attachStore(historyStore));
+
+    window.addEventListener('pagehide', () => {
+        history.commit();
+        history.saveNow();
+    });
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState !== 'hidden') return;
+        history.commit();
+        history.saveNow();
+    });
+}
 
 function updateUIControls() {
     bpmInput.value = state.bpm;
     rootSel.value = state.rootKey;
     scaleSel.value = state.scaleName;
-    rhythmSel.value = state.stepsPerBar;
+    rhythmSel.value = state.gridResolution;
+    timeSigSelect.value = getTimeSigValue();
     vocalRangeSel.value = state.vocalRangeType;
+    updateGrooveControls();
+    updateMixer();
 }
 
 pianoRollArea.addEventListener('scroll', () => {
@@ -883,14 +1223,170 @@ window.addEventListener('load', () => {
 });
 
 
-function updateGridLogic() {
-    const gridRes = parseInt(rhythmSelect.value);
-    const timeSig = timeSigSelect.value.split('/');
-    state.stepsPerBar = (parseInt(timeSig[0]) / parseInt(timeSig[1])) * gridRes;
+/**
+ * Builds the #timeSigSelect value for the current project meter.
+ * @returns {string} Meter string, with grouping only when it differs from the default.
+ */
+function getTimeSigValue() {
+    return state.formatTimeSignature(state.timeNumerator, state.timeDenominator, state.beatGrouping);
+}
+
+/**
+ * Applies the toolbar meter and grid resolution as one undo step. Content keeps its
+ * bar and musical position (see State.editMeterMap).
+ * @param {string} label - Undo label.
+ */
+function updateGridLogic(label) {
+    const meter = state.parseTimeSignature(timeSigSelect.value);
+    history.saveState(label, history.getTimelineScope());
+    state.setMeterChange(0, meter.numerator, meter.denominator, meter.grouping);
+    state.changeGridResolution(parseInt(rhythmSelect.value));
+    history.commit();
+    // The grid may have been raised to the beat unit (e.g. 1/8 in 6/8)
+    rhythmSelect.value = state.gridResolution;
     renderer.forceResize();
 }
-rhythmSelect.addEventListener('change', updateGridLogic);
-timeSigSelect.addEventListener('change', updateGridLogic);
+rhythmSelect.addEventListener('change', () => updateGridLogic('Change grid resolution'));
+timeSigSelect.addEventListener('change', () => updateGridLogic('Change time signature'));
+
+// Snap only affects editing; notes keep whatever (fractional) position they have
+const snapSel = document.getElementById('snapSelect');
+snapSel.addEventListener('change', () => {
+    state.snapValue = snapSel.value;
+    snapSel.blur();
+    renderer.draw();
+});
+
+// --- Groove (swing) ---
+const grooveSel = document.getElementById('grooveSelect');
+const swingAmountInput = document.getElementById('swingAmount');
+const trackGroovePanel = document.getElementById('trackGroovePanel');
+const trackGrooveSel = document.getElementById('trackGrooveSelect');
+const trackSwingAmountInput = document.getElementById('trackSwingAmount');
+let grooveTrackIndex = -1;
+
+/**
+ * Fills a select with the groove templates.
+ * @param {HTMLSelectElement} select - Target select.
+ * @param {string|null} followLabel - Label of an extra "follow the song" option (value ''), or null.
+ */
+function fillGrooveOptions(select, followLabel) {
+    select.innerHTML = '';
+    if (followLabel) select.add(new Option(followLabel, ''));
+    Object.keys(GROOVES).forEach(key => select.add(new Option(GROOVES[key].label, key)));
+}
+fillGrooveOptions(grooveSel, null);
+fillGrooveOptions(trackGrooveSel, 'Follow Song Groove');
+
+/**
+ * Shows the song groove (and the open track groove panel) in the controls.
+ */
+function updateGrooveControls() {
+    const amount = Math.round(state.groove.amount * 100);
+    grooveSel.value = state.groove.template;
+    swingAmountInput.value = amount;
+    document.getElementById('swingAmountVal').innerText = amount + '%';
+
+    const track = state.tracks[grooveTrackIndex];
+    if (!track || trackGroovePanel.style.display !== 'block') return;
+    const own = track.groove;
+    const trackAmount = Math.round((own ? own.amount : state.groove.amount) * 100);
+    document.getElementById('trackGrooveTitle').innerText = `🥁 Groove: ${track.name}`;
+    trackGrooveSel.value = own ? own.template : '';
+    trackSwingAmountInput.value = trackAmount;
+    trackSwingAmountInput.disabled = !own;
+    document.getElementById('trackSwingAmountVal').innerText = trackAmount + '%';
+}
+
+grooveSel.addEventListener('change', () => {
+    history.saveState('Change groove', { song: ['groove'] });
+    state.groove = { template: grooveSel.value, amount: state.groove.amount };
+    // Picking a template with no amount would sound unchanged
+    if (state.groove.amount === 0 && grooveSel.value !== 'Straight') state.groove.amount = 0.5;
+    updateGrooveControls();
+});
+swingAmountInput.addEventListener('input', () => {
+    history.saveState('Change groove amount', { coalesce: 'groove', song: ['groove'] });
+    state.groove = { template: state.groove.template, amount: parseInt(swingAmountInput.value) / 100 };
+    updateGrooveControls();
+});
+
+/**
+ * Opens the groove settings of one track.
+ * @param {number} trackIndex - Track index.
+ */
+function openTrackGroove(trackIndex) {
+    grooveTrackIndex = trackIndex;
+    trackGroovePanel.style.display = 'block';
+    updateGrooveControls();
+}
+
+trackGrooveSel.addEventListener('change', () => {
+    const track = state.tracks[grooveTrackIndex];
+    if (!track) return;
+    history.saveState(`Change groove of "${track.name}"`, { tracks: [track.id] });
+    const amount = track.groove ? track.groove.amount : state.groove.amount;
+    track.groove = trackGrooveSel.value ? { template: trackGrooveSel.value, amount: amount } : null;
+    updateGrooveControls();
+});
+trackSwingAmountInput.addEventListener('input', () => {
+    const track = state.tracks[grooveTrackIndex];
+    if (!track || !track.groove) return;
+    history.saveState(`Change groove of "${track.name}"`, { coalesce: 'groove_' + track.id, tracks: [track.id] });
+    track.groove = { template: track.groove.template, amount: parseInt(trackSwingAmountInput.value) / 100 };
+    updateGrooveControls();
+});
+document.getElementById('closeTrackGrooveBtn').addEventListener('click', () => trackGroovePanel.style.display = 'none');
+
+// Metronome: click track and count-in (session settings, not saved with the project)
+const metronomeBtn = document.getElementById('metronomeBtn');
+const metronomePanel = document.getElementById('metronomePanel');
+const metronomeEnabledInput = document.getElementById('metronomeEnabled');
+const metronomeSoundSel = document.getElementById('metronomeSound');
+const metronomeLevelInput = document.getElementById('metronomeLevel');
+const metronomeCountInSel = document.getElementById('metronomeCountIn');
+
+/**
+ * Syncs the metronome button and panel with state.metronome.
+ */
+function updateMetronomeControls() {
+    const m = state.metronome;
+    metronomeBtn.classList.toggle('active', m.enabled);
+    metronomeBtn.style.color = m.enabled ? "#00d2d3" : "#888";
+    metronomeEnabledInput.checked = m.enabled;
+    metronomeSoundSel.value = m.sound;
+    metronomeLevelInput.value = Math.round(m.level * 100);
+    document.getElementById('metronomeLevelVal').innerText = Math.round(m.level * 100) + '%';
+    metronomeCountInSel.value = String(m.countInBars);
+}
+
+metronomeBtn.addEventListener('click', () => {
+    metronomeBtn.blur();
+    state.metronome.enabled = !state.metronome.enabled;
+    updateMetronomeControls();
+});
+document.getElementById('metronomeMenuBtn').addEventListener('click', () => {
+    updateMetronomeControls();
+    metronomePanel.style.display = 'block';
+});
+metronomeEnabledInput.addEventListener('change', () => {
+    state.metronome.enabled = metronomeEnabledInput.checked;
+    updateMetronomeControls();
+});
+metronomeSoundSel.addEventListener('change', () => {
+    state.metronome.sound = metronomeSoundSel.value;
+    // Audition the new sound
+    if (audio.ctx) audio.playClick(audio.ctx.currentTime, 2, state.metronome.sound);
+});
+metronomeLevelInput.addEventListener('input', () => {
+    state.metronome.level = parseInt(metronomeLevelInput.value) / 100;
+    audio.setClickLevel(state.metronome.level);
+    updateMetronomeControls();
+});
+metronomeCountInSel.addEventListener('change', () => {
+    state.metronome.countInBars = parseInt(metronomeCountInSel.value);
+});
+document.getElementById('closeMetronomeBtn').addEventListener('click', () => metronomePanel.style.display = 'none');
 
 // ============================================================================
 // Track List Logic
@@ -910,6 +1406,7 @@ function renderTrackList() {
         // Determine Icon
         let icon = '🎹';
         if (track.type === 'DRUMS') icon = '🥁';
+        else if (track.type === 'SAMPLER') icon = '🎚️';
         else if (track.preset && track.preset.includes('Guitar')) icon = '🎸';
         else if (track.preset && track.preset.includes('Bass')) icon = '🔊';
         else if (track.preset && track.preset.includes('Pad')) icon = '☁️';
@@ -968,6 +1465,7 @@ function renderTrackList() {
             e.stopPropagation();
             const n = prompt("Rename Track:", track.name);
             if (n) {
+                history.saveState('Rename track', { tracks: [track.id] });
                 track.name = n.trim();
                 renderTrackList();
             }
@@ -976,6 +1474,7 @@ function renderTrackList() {
         // 4. Mute/Solo Buttons
         div.querySelector('.btn-m').addEventListener('click', (e) => {
             e.stopPropagation();
+            history.saveState(track.isMuted ? 'Unmute track' : 'Mute track', { tracks: [track.id] });
             track.isMuted = !track.isMuted;
             if (track.isMuted) track.isSolo = false;
             renderTrackList();
@@ -984,6 +1483,7 @@ function renderTrackList() {
 
         div.querySelector('.btn-s').addEventListener('click', (e) => {
             e.stopPropagation();
+            history.saveState(track.isSolo ? 'Unsolo track' : 'Solo track', { tracks: [track.id] });
             track.isSolo = !track.isSolo;
             if (track.isSolo) track.isMuted = false;
             renderTrackList();
@@ -1002,6 +1502,7 @@ function renderTrackList() {
         // 6. Volume Slider
         const volSlider = div.querySelector('.vol-slider');
         volSlider.addEventListener('input', (e) => {
+            history.saveState(`Volume: ${track.name}`, { coalesce: `volume:${track.id}`, tracks: [track.id] });
             track.volume = parseFloat(e.target.value);
             e.target.title = `Volume: ${Math.round(track.volume * 100)}%`;
             updateMixer();
@@ -1022,6 +1523,8 @@ function renderTrackList() {
 
         trackListContainer.appendChild(div);
     });
+
+    if (mixerInstance) mixerInstance.refresh();
 }
 
 
@@ -1046,6 +1549,7 @@ document.querySelectorAll('.dropdown-item').forEach(item => {
         const preset = item.getAttribute('data-preset');
 
         // Track is created and set as active
+        history.saveState('Add track', { tracks: [] });
         state.addTrack(type, preset);
 
         logEvent('track_add', { type: type, preset: preset, total: state.tracks.length });
@@ -1107,7 +1611,7 @@ if (doGenerateDrumsBtn) {
         const track = state.tracks[trackIdx];
         if (!track || track.type !== 'DRUMS') return;
 
-        if (state.history) state.history.saveState();
+        history.saveState('Generate drums', { tracks: [track.id] });
 
         const genre = document.getElementById('drumGenre').value;
         const humanizeAmt = parseInt(document.getElementById('drumHumanize').value) || 0;
@@ -1119,7 +1623,8 @@ if (doGenerateDrumsBtn) {
 
         // Loop through all bars
         for (let bar = 0; bar < state.totalBars; bar++) {
-            const barStartStep = bar * state.stepsPerBar;
+            const barStartStep = state.getBarStartStep(bar);
+            const meter = state.getMeter(bar);
 
             const currentSection = state.barStructure[bar] || 'NONE';
             // Predict next section
@@ -1130,11 +1635,11 @@ if (doGenerateDrumsBtn) {
             if (bar === state.totalBars - 1) isTransition = true;
 
             // Loop through steps in bar
-            for (let s = 0; s < state.stepsPerBar; s++) {
+            for (let s = 0; s < meter.stepsPerBar; s++) {
                 const absStep = barStartStep + s;
 
                 // Send nextSection to Brain for context
-                const drumMidis = brain.getDrumPattern(genre, currentSection, nextSection, s, state.stepsPerBar, isTransition);
+                const drumMidis = brain.getDrumPattern(genre, currentSection, nextSection, s, meter.stepsPerBar, isTransition, meter);
 
                 drumMidis.forEach(midi => {
                     let vel = 0.9;
@@ -1236,7 +1741,7 @@ function updateWizardInfo() {
         const scaleTip = vibe.preferredScale ? `💡 Suggested Scale: <strong>${vibe.preferredScale}</strong>` : '';
 
         infoDiv.innerHTML = `
-            <div style="margin-bottom:4px;"><strong>${template.label}</strong> <span style="opacity:0.6; font-size:0.9em;">(${template.bpm} BPM)</span></div>
+            <div style="margin-bottom:4px;"><strong>${template.label}</strong> <span style="opacity:0.6; font-size:0.9em;">(${template.bpm} BPM, ${template.timeSignature || '4/4'})</span></div>
             <div style="color:#aaa; margin-bottom:8px;">${template.desc}</div>
             
             <div style="border-top: 1px solid #444; margin: 8px 0; padding-top: 8px;"></div>
@@ -1249,6 +1754,22 @@ function updateWizardInfo() {
     }
 }
 
+/**
+ * Places the tempo changes of a song template on the generated structure.
+ * Entries are { section, offset, bpm, ramp }, anchored to the last occurrence
+ * of the section (e.g. a ritardando over the final OUTRO).
+ * @param {Object} template - Song template from MusicBrain.songTemplates.
+ */
+function applyTemplateTempoChanges(template) {
+    (template.tempoChanges || []).forEach(change => {
+        let sectionStart = state.barStructure.lastIndexOf(change.section);
+        if (sectionStart === -1) return;
+        while (sectionStart > 0 && state.barStructure[sectionStart - 1] === change.section) sectionStart--;
+        const bar = Math.min(state.totalBars - 1, sectionStart + (change.offset || 0));
+        state.setTempoChange(bar, change.bpm, change.ramp);
+    });
+}
+
 // Update structure button listener
 structureBtn.addEventListener('click', () => {
     synthPanel.style.display = 'none';
@@ -1278,11 +1799,12 @@ function generateDrumsForWholeSong(trackIdx, genre) {
         // Detect transition
         let isTransition = (currentSection !== nextSection) || (bar === state.totalBars - 1);
 
-        const barStartStep = bar * state.stepsPerBar;
+        const barStartStep = state.getBarStartStep(bar);
+        const meter = state.getMeter(bar);
 
-        for (let s = 0; s < state.stepsPerBar; s++) {
+        for (let s = 0; s < meter.stepsPerBar; s++) {
             // Pass drumGenre directly to brain
-            const notes = brain.getDrumPattern(drumGenre, currentSection, nextSection, s, state.stepsPerBar, isTransition);
+            const notes = brain.getDrumPattern(drumGenre, currentSection, nextSection, s, meter.stepsPerBar, isTransition, meter);
 
             notes.forEach(midi => {
                 let vel = 0.9;
@@ -1304,29 +1826,47 @@ function generateDrumsForWholeSong(trackIdx, genre) {
  * 2. Generates Bass Lines (Root Notes).
  */
 function generateBassForWholeSong(trackIdx) {
-    for (let bar = 0; bar < state.totalBars; bar++) {
-        const chordIdx = state.barChords[bar];
-        const rootKey = state.rootKey; // e.g., 0 (C)
+    const eighth = Math.max(1, state.gridResolution / 8);
 
-        // Find chord root in scale
-        const scaleIndices = brain.scales[state.scaleName];
-        const interval = scaleIndices[chordIdx % scaleIndices.length];
-        let midiNote = rootKey + interval + 36; // C2 range (36)
+    // Bass note of the chord sounding at a step (its root, or the slash bass), in the C2 range (36)
+    const bassNoteAt = (step) => {
+        const key = state.getKeyAtStep(step);
+        const chordDef = brain.resolveChord(state.getChordEntryAt(step), key);
+        if (!chordDef) return null;
 
+        const interval = chordDef.bass !== null ? chordDef.bass : chordDef.root;
+        return key.rootKey + interval + 36;
+    };
+
+    for (let bar = 0; bar < state.totalBars; bar++) {
         // Bass Rhythm
         const section = state.barStructure[bar];
-        const barStart = bar * state.stepsPerBar;
+        const barStart = state.getBarStartStep(bar);
+        const meter = state.getMeter(bar);
 
         if (section === 'INTRO' || section === 'OUTRO') {
-            // Whole note
-            state.addNoteToTrack(trackIdx, midiNote, barStart, 16, 0.8);
+            // One held note per chord in the bar
+            state.getChordsInBar(bar).forEach(region => {
+                const midiNote = bassNoteAt(region.start);
+                if (midiNote !== null) state.addNoteToTrack(trackIdx, midiNote, region.start, region.length, 0.8);
+            });
         } else if (section === 'CHORUS' || section === 'DROP') {
             // Pumping rhythm (1/8 notes)
-            for (let i = 0; i < 16; i += 2) state.addNoteToTrack(trackIdx, midiNote, barStart + i, 2, 0.9);
+            for (let i = 0; i < meter.stepsPerBar; i += eighth) {
+                const midiNote = bassNoteAt(barStart + i);
+                if (midiNote !== null) state.addNoteToTrack(trackIdx, midiNote, barStart + i, eighth, 0.9);
+            }
         } else {
-            // Simple rhythm (1 and 3)
-            state.addNoteToTrack(trackIdx, midiNote, barStart, 4, 0.8);
-            state.addNoteToTrack(trackIdx, midiNote, barStart + 8, 4, 0.8);
+            // Simple rhythm on the strong pulses (1 and 3 in 4/4, each group in 6/8 or 7/8),
+            // plus a hit wherever the chord changes between them
+            const hits = new Set(meter.strongSteps);
+            state.getChordsInBar(bar).forEach(region => hits.add(region.start - barStart));
+            const steps = [...hits].sort((a, b) => a - b);
+            steps.forEach((step, i) => {
+                const next = steps[i + 1] !== undefined ? steps[i + 1] : meter.stepsPerBar;
+                const midiNote = bassNoteAt(barStart + step);
+                if (midiNote !== null) state.addNoteToTrack(trackIdx, midiNote, barStart + step, Math.max(1, (next - step) / 2), 0.8);
+            });
         }
     }
 }
@@ -1338,42 +1878,58 @@ function generatePadForWholeSong(trackIdx) {
     const useSpread = document.getElementById('structSpreadCheck').checked;
 
     for (let bar = 0; bar < state.totalBars; bar++) {
-        const chordIdx = state.barChords[bar];
-        if (chordIdx === undefined || chordIdx === -1) continue;
-
         const section = state.barStructure[bar];
 
         // Usually no pads in Drop (Optional)
         if (section === 'DROP') continue;
 
-        const chordDef = brain.chordDegrees[state.scaleName][chordIdx];
-        if (!chordDef) continue;
+        // One voicing per chord region inside the bar
+        state.getChordsInBar(bar).forEach(region => addPadChord(trackIdx, region, useSpread));
+    }
+}
 
-        let rootBase = state.rootKey + 48; // Start from C3
+/**
+ * Adds one pad voicing for a chord region.
+ * @param {number} trackIdx - Target track.
+ * @param {Object} region - Chord region { start, length, chord } (clipped to a bar).
+ * @param {boolean} useSpread - Raise the middle voice an octave.
+ */
+function addPadChord(trackIdx, region, useSpread) {
+    const key = state.getKeyAtStep(region.start);
+    const chordDef = brain.resolveChord(region.chord, key);
+    if (!chordDef) return;
+
+    let rootBase = key.rootKey + 48; // Start from C3
+
+    // 1. Basic Voicing
+    let currentMidis = chordDef.intervals.map(interval => {
+        let note = rootBase + interval;
+        // Simple inversion to prevent high pitch
+        if (interval > 7) note -= 12;
+        return note;
+    });
 
-        // 1. Basic Voicing
-        let currentMidis = chordDef.intervals.map(interval => {
-            let note = rootBase + interval;
-            // Simple inversion to prevent high pitch
-            if (interval > 7) note -= 12;
-            return note;
-        });
+    // 2. Apply Spread (Fixed)
+    // If checked, always raise the middle note by an octave
+    if (useSpread && currentMidis.length >= 3) {
+        currentMidis.sort((a, b) => a - b);
+        currentMidis[1] += 12; // Raise 2nd note (index 1)
+        currentMidis.sort((a, b) => a - b);
+    }
 
-        // 2. Apply Spread (Fixed)
-        // If checked, always raise the middle note by an octave
-        if (useSpread && currentMidis.length >= 3) {
-            currentMidis.sort((a, b) => a - b);
-            currentMidis[1] += 12; // Raise 2nd note (index 1)
-            currentMidis.sort((a, b) => a - b);
-        }
+    // Slash chords: put the bass note under the voicing
+    if (chordDef.bass !== null && chordDef.bass !== chordDef.root) {
+        let bassNote = rootBase + chordDef.bass;
+        while (bassNote >= Math.min(...currentMidis)) bassNote -= 12;
+        currentMidis.unshift(bassNote);
+    }
 
-        // 3. Add notes to track
-        currentMidis.forEach(note => {
-            if (note > 80) note -= 12; // High pitch guard
+    // 3. Add notes to track
+    currentMidis.forEach(note => {
+        if (note > 80) note -= 12; // High pitch guard
 
-            state.addNoteToTrack(trackIdx, note, bar * state.stepsPerBar, 16, 0.6);
-        });
-    }
+        state.addNoteToTrack(trackIdx, note, region.start, region.length, 0.6);
+    });
 }
 
 /**
@@ -1422,6 +1978,27 @@ if (exportWavBtn) {
     });
 }
 
+// Renders the project through the live graph and the export, and reports the difference
+const compareRenderBtn = document.getElementById('menuCompareRender');
+
+if (compareRenderBtn) {
+    compareRenderBtn.addEventListener('click', () => {
+        const originalText = compareRenderBtn.innerText;
+        compareRenderBtn.innerText = "⏳ Rendering twice...";
+
+        setTimeout(async () => {
+            try {
+                const report = await renderCompare.compare();
+                alert(renderCompare.formatReport(report));
+            } catch (err) {
+                console.error("Render comparison failed:", err);
+                alert("Comparison failed: " + err.message);
+            }
+            compareRenderBtn.innerText = originalText;
+        }, 100);
+    });
+}
+
 // ============================================================================
 // HUD & Practice Mode Logic
 // ============================================================================
@@ -1465,17 +2042,19 @@ if (toggleHudBtn) {
 }
 
 /**
- * Returns the real name of a chord (e.g., C Major).
+ * Returns the real name of a chord region (e.g., C Major).
+ * @param {Object} region - Chord region { start, length, chord }.
  */
-function getChordName(barIndex) {
-    if (barIndex < 0 || barIndex >= state.totalBars) return "--";
-    if (!state.barChords[barIndex] && state.barChords[barIndex] !== 0) return "--";
+function getChordName(region) {
+    if (!region) return "--";
 
-    const chordIdx = state.barChords[barIndex];
-    const chordDef = brain.chordDegrees[state.scaleName][chordIdx];
+    const key = state.getKeyAtStep(region.start);
+    const chordDef = brain.resolveChord(region.chord, key);
     if (!chordDef) return "--";
+    // Chord objects carry their own symbol (m7, sus4, slash bass...)
+    if (chordDef.label !== undefined) return brain.getRealChordName(chordDef, key.rootKey);
 
-    const rootNoteMidi = brain.getChordRootInScale(state.rootKey, state.scaleName, chordIdx);
+    const rootNoteMidi = key.rootKey + chordDef.root;
     const rootName = brain.noteNames[rootNoteMidi % 12];
 
     let suffix = "";
@@ -1574,6 +2153,36 @@ if (overlayCalc) {
     });
 }
 
+// ============================================================================
+// Mixer Logic
+// ============================================================================
+const mixerMenuBtn = document.getElementById('mixerMenuBtn');
+const overlayMixer = document.getElementById('overlay-mixer');
+
+/**
+ * Hides the mixer and stops its meters.
+ */
+function closeMixer() {
+    overlayMixer.classList.add('hidden');
+    if (mixerInstance) mixerInstance.close();
+}
+
+mixerMenuBtn.addEventListener('click', () => {
+    document.querySelectorAll('.glass-overlay').forEach(el => el.classList.add('hidden'));
+    if (!mixerInstance) {
+        mixerInstance = new Mixer('mixer-strips', state, audio, history, () => {
+            renderTrackList();
+            updateMixer();
+        });
+    }
+    overlayMixer.classList.remove('hidden');
+    mixerInstance.open();
+});
+document.getElementById('close-mixer-btn').addEventListener('click', closeMixer);
+overlayMixer.addEventListener('click', (e) => {
+    if (e.target === overlayMixer) closeMixer();
+});
+
 // Listen for Project Updates from Calculator
 window.addEventListener('projectUpdated', () => {
     renderer.draw();
@@ -1609,17 +2218,17 @@ window.addEventListener('insertChord', (e) => {
 
     if (targetStep < 0) targetStep = 0;
 
-    console.log(`📍 Inserting at Step: ${targetStep} (Bar: ${Math.floor(targetStep / state.stepsPerBar)})`);
-
-    // 2. Save for Undo
-    history.saveState();
+    console.log(`📍 Inserting at Step: ${targetStep} (Bar: ${state.getBarAtStep(targetStep)})`);
 
-    // 3. Add to Active Track
+    // 2. Add to Active Track
     if (state.activeTrackIndex === -1) {
         alert("Please select a track first!");
         return;
     }
 
+    // 3. Save for Undo
+    history.saveState('Insert chord notes', { tracks: [state.tracks[state.activeTrackIndex].id] });
+
     midis.forEach((midi, index) => {
         // Strum effect: 0.12 step delay (~20ms)
         const strumDelay = index * 0.12;
@@ -1634,15 +2243,20 @@ window.addEventListener('insertChord', (e) => {
  * 4. Context-Aware Arpeggiator (Data-driven from MusicBrain).
  */
 function generateArpForWholeSong(trackIdx, genre) {
-    const rootBase = state.rootKey + 60; // Middle range (C4)
+    // Chord tones of the chord at a step, extended to 2 octaves
+    const arpNotesAt = (step) => {
+        const key = state.getKeyAtStep(step);
+        const rootBase = key.rootKey + 60; // Middle range (C4)
+        const chordDef = brain.resolveChord(state.getChordEntryAt(step), key);
+        if (!chordDef) return null;
 
-    for (let bar = 0; bar < state.totalBars; bar++) {
-        const chordIdx = state.barChords[bar];
-        if (chordIdx === undefined || chordIdx === -1) continue;
+        let notes = chordDef.intervals.map(i => rootBase + i);
+        let extendedNotes = [...notes, ...notes.map(n => n + 12)];
+        return extendedNotes.sort((a, b) => a - b);
+    };
 
+    for (let bar = 0; bar < state.totalBars; bar++) {
         const section = state.barStructure[bar];
-        const chordDef = brain.chordDegrees[state.scaleName][chordIdx];
-        if (!chordDef) continue;
 
         // 1. Get pattern from MusicBrain
         const arpStyle = brain.getArpPattern(genre, section);
@@ -1650,21 +2264,37 @@ function generateArpForWholeSong(trackIdx, genre) {
         // Skip if no pattern (e.g., Intro)
         if (!arpStyle) continue;
 
-        // 2. Prepare notes (Extended to 2 Octaves)
-        let notes = chordDef.intervals.map(i => rootBase + i);
-        let extendedNotes = [...notes, ...notes.map(n => n + 12)];
-        extendedNotes.sort((a, b) => a - b);
-
-        // 3. Apply Pattern
+        // 2. Apply Pattern
         const {
             pattern,
             rate,
             gate
         } = arpStyle;
-        const stepsInBar = state.stepsPerBar;
+        const meter = state.getMeter(bar);
+        const isGroupedMeter = meter.grouping.some(g => g > 1);
+        const stepsInBar = meter.stepsPerBar;
+        const barStart = state.getBarStartStep(bar);
+        // Rates are written in 16ths; convert to the current grid
+        const rateSteps = Math.max(1, Math.round(rate * state.gridResolution / 16));
         let pIndex = 0;
+        let lastRegion = null;
+
+        for (let s = 0; s < stepsInBar; s += rateSteps) {
+            // In grouped meters (6/8, 7/8) the pattern restarts on every pulse group
+            if (isGroupedMeter && meter.beatSteps.includes(s)) pIndex = 0;
+
+            // Follow the chord at this step; a new chord restarts the pattern
+            const region = state.getChordAt(barStart + s);
+            if (region !== lastRegion) {
+                lastRegion = region;
+                pIndex = 0;
+            }
+            const extendedNotes = arpNotesAt(barStart + s);
+            if (!extendedNotes) {
+                pIndex++;
+                continue;
+            }
 
-        for (let s = 0; s < stepsInBar; s += rate) {
             const noteIndexOrNull = pattern[pIndex % pattern.length];
 
             if (noteIndexOrNull !== null && noteIndexOrNull !== undefined) {
@@ -1674,9 +2304,9 @@ function generateArpForWholeSong(trackIdx, genre) {
                     // Humanize
                     const vel = 0.7 + (Math.random() * 0.1 - 0.05);
 
-                    const duration = Math.max(0.1, rate * gate);
+                    const duration = Math.max(0.1, rateSteps * gate);
 
-                    state.addNoteToTrack(trackIdx, midi, (bar * stepsInBar) + s, duration, vel);
+                    state.addNoteToTrack(trackIdx, midi, barStart + s, duration, vel);
                 }
             }
             pIndex++;
@@ -1732,53 +2362,110 @@ function renderInstrumentList() {
     const sortedCategories = Object.keys(grouped).sort();
 
     sortedCategories.forEach(catName => {
-        // Category Header
-        const catHeader = document.createElement('div');
-        catHeader.className = 'inst-category-header';
-        catHeader.textContent = catName;
-        catHeader.style.cssText = "grid-column: 1 / -1; font-size: 12px; color: #aaa; margin-top: 10px; border-bottom: 1px solid #444; padding-bottom: 3px;";
-        instrumentList.appendChild(catHeader);
+        addInstrumentCategory(catName);
 
         // Instrument Buttons
         grouped[catName].forEach(instName => {
-            const settings = INSTRUMENTS[instName];
+            addInstrumentButton(instName, INSTRUMENTS[instName].color, () => selectInstrument(instName));
+        });
+    });
 
-            const btn = document.createElement('div');
-            btn.className = 'inst-item';
-            btn.textContent = instName;
-            btn.style.cssText = "background: #333; padding: 8px; border-radius: 4px; cursor: pointer; text-align: center; font-size: 11px; transition: 0.2s;";
+    // 3. Presets of loaded SoundFonts (GM program numbers count from 1; other banks are prefixed)
+    soundFonts.forEach(font => {
+        addInstrumentCategory(`🎼 ${font.name} (SoundFont)`);
+        font.presets.forEach(preset => {
+            const number = String(preset.program + 1).padStart(3, '0');
+            const label = preset.bank === 0 ? `${number} ${preset.name}` : `${preset.bank}:${number} ${preset.name}`;
+            addInstrumentButton(label, INSTRUMENTS['Sampler'].color, () => selectSoundFontPreset(font, preset));
+        });
+    });
+}
 
-            if (settings.color) {
-                btn.style.borderLeft = `3px solid ${settings.color}`;
-            }
+/**
+ * Adds a category header to the instrument list.
+ * @param {string} title - Category name.
+ */
+function addInstrumentCategory(title) {
+    const catHeader = document.createElement('div');
+    catHeader.className = 'inst-category-header';
+    catHeader.textContent = title;
+    catHeader.style.cssText = "grid-column: 1 / -1; font-size: 12px; color: #aaa; margin-top: 10px; border-bottom: 1px solid #444; padding-bottom: 3px;";
+    instrumentList.appendChild(catHeader);
+}
 
-            btn.onmouseover = () => btn.style.background = '#444';
-            btn.onmouseout = () => btn.style.background = '#333';
+/**
+ * Adds an instrument button to the instrument list.
+ * @param {string} label - Button text.
+ * @param {string|undefined} color - Accent color.
+ * @param {Function} onClick - Called when the instrument is chosen.
+ */
+function addInstrumentButton(label, color, onClick) {
+    const btn = document.createElement('div');
+    btn.className = 'inst-item';
+    btn.textContent = label;
+    btn.style.cssText = "background: #333; padding: 8px; border-radius: 4px; cursor: pointer; text-align: center; font-size: 11px; transition: 0.2s;";
+
+    if (color) {
+        btn.style.borderLeft = `3px solid ${color}`;
+    }
 
-            btn.onclick = () => {
-                selectInstrument(instName);
-            };
-            instrumentList.appendChild(btn);
-        });
-    });
+    btn.onmouseover = () => btn.style.background = '#444';
+    btn.onmouseout = () => btn.style.background = '#333';
+    btn.onclick = onClick;
+    instrumentList.appendChild(btn);
 }
 
+// Load a SoundFont; its presets join the instrument list
+document.getElementById('loadSoundFontBtn').addEventListener('click', () => document.getElementById('soundFontInput').click());
+document.getElementById('soundFontInput').addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    document.body.style.cursor = 'wait';
+    file.arrayBuffer()
+        .then(data => {
+            const font = soundFontParser.parse(data);
+            if (font.presets.length === 0) throw new Error("The SoundFont has no playable presets.");
+            if (!font.name) font.name = file.name.replace(/\.sf2$/i, '');
+            soundFonts.push(font);
+            renderInstrumentList();
+            logEvent('soundfont_load', { presets: font.presets.length });
+        })
+        .catch(err => alert("Error loading SoundFont: " + err.message))
+        .then(() => {
+            document.body.style.cursor = 'default';
+        });
+});
+
 function selectInstrument(presetName) {
     if (targetTrackIndexForInstrument === -1) return;
 
     const track = state.tracks[targetTrackIndexForInstrument];
     const newSettings = getInstrumentSettings(presetName);
+    history.saveState(`Change instrument to ${presetName}`, { tracks: [track.id] });
 
     // 1. Determine Track Type (Crucial for Piano Roll view)
     if (newSettings.isDrum) {
         track.type = 'DRUMS';
+    } else if (newSettings.isSampler) {
+        track.type = 'SAMPLER';
     } else {
         track.type = 'SYNTH';
     }
+    // Zones stay with the track while it remains a sampler
+    if (track.type === 'SAMPLER') {
+        if (!track.sampler) track.sampler = getDefaultSampler();
+    } else {
+        delete track.sampler;
+    }
 
     // 2. Apply New Settings
     track.preset = presetName;
     track.synthSettings = JSON.parse(JSON.stringify(newSettings));
+    // The preset's ambience comes as send levels
+    track.sends = getDefaultSends(track.synthSettings);
+    delete track.synthSettings.reverbMix;
+    delete track.synthSettings.delayMix;
 
     // 3. Update Color and Name
     track.color = newSettings.color || '#3498db';
@@ -1786,6 +2473,53 @@ function selectInstrument(presetName) {
 
     // 4. Close and Redraw
     instrumentPanel.style.display = 'none';
+    if (synthPanel.style.display === 'block') updateSynthPanelUI();
+    renderTrackList();
+    renderer.draw();
+    renderer.centerViewOnTrack(track);
+}
+
+/**
+ * Turns a track into a SAMPLER playing a SoundFont preset. The preset's samples are
+ * embedded in the project once, with the SoundFont's key ranges, loops and envelopes.
+ * @param {Object} track - Track object.
+ * @param {Object} font - Parsed SoundFont.
+ * @param {Object} preset - One of font.presets.
+ */
+function applySoundFontPreset(track, font, preset) {
+    const settings = getInstrumentSettings('Sampler');
+    track.type = 'SAMPLER';
+    track.preset = 'Sampler';
+    track.synthSettings = JSON.parse(JSON.stringify(settings));
+    track.sends = getDefaultSends(track.synthSettings);
+    delete track.synthSettings.reverbMix;
+    delete track.synthSettings.delayMix;
+    if (!soundFontSampleIds.has(font)) soundFontSampleIds.set(font, new Map());
+    const ids = soundFontSampleIds.get(font);
+    // Samples dropped since (e.g. by a new project) are embedded again
+    ids.forEach((id, key) => {
+        if (!state.samples[id]) ids.delete(key);
+    });
+    track.sampler = createSamplerFromPreset(font, preset, (name, type, data) => state.addSample(name, type, data), ids);
+    track.color = settings.color;
+    track.name = preset.name;
+}
+
+/**
+ * Applies a SoundFont preset chosen in the instrument selector.
+ * @param {Object} font - Parsed SoundFont.
+ * @param {Object} preset - One of font.presets.
+ */
+function selectSoundFontPreset(font, preset) {
+    if (targetTrackIndexForInstrument === -1) return;
+
+    const track = state.tracks[targetTrackIndexForInstrument];
+    history.saveState(`Change instrument to ${preset.name}`, { tracks: [track.id] });
+    applySoundFontPreset(track, font, preset);
+
+    instrumentPanel.style.display = 'none';
+    updateMixer(); // Decodes the new samples
+    if (synthPanel.style.display === 'block') updateSynthPanelUI();
     renderTrackList();
     renderer.draw();
     renderer.centerViewOnTrack(track);
@@ -1823,6 +2557,13 @@ ctxExportMidi.addEventListener('click', () => {
     exporter.exportTrackMidi(selectedTrackIndexForContext);
 });
 
+// Track Groove
+document.getElementById('ctxTrackGroove').addEventListener('click', () => {
+    if (selectedTrackIndexForContext === -1) return;
+    contextMenu.style.display = 'none';
+    openTrackGroove(selectedTrackIndexForContext);
+});
+
 // Delete Track
 ctxDeleteTrack.addEventListener('click', () => {
     if (selectedTrackIndexForContext === -1) return;
@@ -1830,7 +2571,14 @@ ctxDeleteTrack.addEventListener('click', () => {
 
     const trackName = state.tracks[selectedTrackIndexForContext].name;
     if (confirm(`Are you sure you want to delete "${trackName}"?`)) {
-        state.tracks.splice(selectedTrackIndexForContext, 1);
+        const trackId = state.tracks[selectedTrackIndexForContext].id;
+        const ducked = state.tracks.filter(t => t.sidechain && t.sidechain.source === trackId);
+        history.saveState(`Delete track "${trackName}"`, { tracks: [trackId, ...ducked.map(t => t.id)] });
+        const removed = state.tracks.splice(selectedTrackIndexForContext, 1)[0];
+        // Tracks ducked by the deleted track stop ducking
+        state.tracks.forEach(t => {
+            if (t.sidechain && t.sidechain.source === removed.id) t.sidechain = null;
+        });
 
         if (state.activeTrackIndex >= state.tracks.length) {
             state.activeTrackIndex = Math.max(0, state.tracks.length - 1);
@@ -1846,24 +2594,18 @@ ctxDeleteTrack.addEventListener('click', () => {
 // ============================================================================
 
 function updateMixer() {
-    const soloActive = state.tracks.some(t => t.isSolo);
-
     state.tracks.forEach(track => {
-        let finalVol = track.volume;
-
-        // Mute/Solo Logic
-        if (track.isMuted && !track.isSolo) finalVol = 0;
-        if (soloActive && !track.isSolo) finalVol = 0;
-
-        // Send to Audio Engine
+        // Send to Audio Engine (creates the bus if missing, e.g. initialized during silence)
         if (state.isPlaying || audio.liveTrackBuses.has(track.id)) {
-            // Create bus if missing (e.g., initialized during silence)
-            if (!audio.liveTrackBuses.has(track.id)) {
-                audio.getOrCreateLiveBus(track.id, track.synthSettings);
-            }
-            audio.setTrackVolume(track.id, finalVol);
+            audio.syncTrack(track, state.isTrackAudible(track));
         }
     });
+    audio.setReturns(state.returns, state.getDelaySeconds());
+    audio.setMaster(state.master);
+    audio.setMasterAutomation(state.masterAutomation);
+    audio.loadSamples(state.samples);
+
+    if (mixerInstance) mixerInstance.refresh();
 }
 
 // ==========================================
@@ -2070,8 +2812,9 @@ if (menuOpenCloud) {
                         // Fetch full project JSON by ID
                         const fullProject = await cloudClient.loadProject(proj.id, state.user);
                         
-                        // Restore state
-                        state.loadProject(fullProject.data);
+                        // Restore state (the schema unwraps the { data } record)
+                        history.saveState('Open cloud project', history.getProjectScope());
+                        const report = state.loadProject(fullProject);
                         state.cloudId = proj.id; // Ensure updates go to the same ID
                         
                         // Refresh UI components
@@ -2080,8 +2823,9 @@ if (menuOpenCloud) {
                         else renderer.resize();
                         
                         overlayCloud.classList.add('hidden');
+                        showLoadReport(report);
                     } catch(err) {
-                        alert("Error loading project.");
+                        alert("Error loading project: " + err.message);
                         div.style.opacity = '1';
                     }
                 });